@@ -0,0 +1,316 @@
+const { isTranscriptSource, transcriptSourceLabel } = require('./transcriptSpeakers.cjs');
+const { formatSegmentTag, annotateRowSegments } = require('./segmentThemes.cjs');
+const { mergeThemeSentiment } = require('./sentimentBreakdown.cjs');
+const { normaliseCode } = require('./codebook.cjs');
+
+const CHARS_PER_TOKEN = 4;
+const MERGE_SIMILARITY_THRESHOLD = 0.5;
+const MAX_EVIDENCE = 3;
+const MAX_VERBATIM_QUOTES = 12;
+
+const TITLE_STOPWORDS = new Set([
+  'a', 'an', 'and', 'the', 'of', 'for', 'to', 'in', 'on', 'with', 'by', 'vs', 'or', 'about'
+]);
+
+function estimateTokens(text) {
+  return Math.ceil(String(text || '').length / CHARS_PER_TOKEN);
+}
+
+function formatCategoryName(category) {
+  return String(category || 'general').replace(/_/g, ' ').replace(/\b\w/g, l => l.toUpperCase());
+}
+
+function formatSourcesForPrompt(textSources) {
+  const sourcesByCategory = {};
+  (Array.isArray(textSources) ? textSources : []).forEach(source => {
+    const category = source.category || 'general';
+    if (!sourcesByCategory[category]) {
+      sourcesByCategory[category] = [];
+    }
+    const headerLines = [`[File: ${source.fileName}]`];
+    if (isTranscriptSource(source)) headerLines.push(transcriptSourceLabel(source));
+    const fileSegments = formatSegmentTag(source.segments);
+    if (fileSegments) headerLines.push(`[Segments: ${fileSegments.slice(1, -1)}]`);
+    const content = annotateRowSegments(source.content, source.rowSegments);
+    sourcesByCategory[category].push(`---\n${headerLines.join('\n')}\n${content}\n---`);
+  });
+
+  let dataForPrompt = '';
+  for (const category in sourcesByCategory) {
+    dataForPrompt += `\n\n====================\nData from: ${formatCategoryName(category)}\n====================\n`;
+    dataForPrompt += sourcesByCategory[category].join('\n');
+  }
+  return dataForPrompt;
+}
+
+// Splits text into pieces no longer than maxChars, preferring paragraph, then line, then hard breaks.
+function splitContent(content, maxChars) {
+  const text = String(content || '');
+  if (text.length <= maxChars) return [text];
+
+  const pieces = [];
+  let current = '';
+  const flush = () => {
+    if (current.trim()) pieces.push(current);
+    current = '';
+  };
+
+  const units = text.split(/(\n\s*\n)/);
+  for (const unit of units) {
+    if (current.length + unit.length <= maxChars) {
+      current += unit;
+      continue;
+    }
+    flush();
+    if (unit.length <= maxChars) {
+      current = unit;
+      continue;
+    }
+    for (const line of unit.split(/(\n)/)) {
+      if (current.length + line.length <= maxChars) {
+        current += line;
+        continue;
+      }
+      flush();
+      for (let i = 0; i < line.length; i += maxChars) {
+        const slice = line.slice(i, i + maxChars);
+        if (slice.length === maxChars) pieces.push(slice);
+        else current = slice;
+      }
+    }
+  }
+  flush();
+  return pieces;
+}
+
+/**
+ * Packs text sources into chunks whose estimated prompt size stays within tokenBudget.
+ * Sources larger than the budget are split into labelled parts.
+ */
+function chunkTextSources(textSources, tokenBudget) {
+  const budget = Math.max(1000, Math.floor(Number(tokenBudget) || 0));
+  const maxChars = budget * CHARS_PER_TOKEN;
+
+  const pieces = [];
+  (Array.isArray(textSources) ? textSources : []).forEach(source => {
+    const parts = splitContent(source.content, maxChars);
+    const text = String(source.content || '');
+    let searchFrom = 0;
+    parts.forEach((content, index) => {
+      // Parts are contiguous slices of the content (whitespace-only gaps may be dropped), so
+      // locate each one to keep per-row segments aligned with the lines it contains.
+      const start = Math.max(0, text.indexOf(content, searchFrom));
+      searchFrom = start + content.length;
+      const firstLine = (text.slice(0, start).match(/\n/g) || []).length;
+      pieces.push({
+        ...source,
+        fileName: parts.length > 1
+          ? `${source.fileName} (part ${index + 1} of ${parts.length})`
+          : source.fileName,
+        content,
+        ...(Array.isArray(source.rowSegments)
+          ? { rowSegments: source.rowSegments.slice(firstLine, firstLine + content.split('\n').length) }
+          : {})
+      });
+    });
+  });
+
+  const chunks = [];
+  let current = [];
+  let currentTokens = 0;
+  pieces.forEach(piece => {
+    const tokens = estimateTokens(piece.content);
+    if (current.length > 0 && currentTokens + tokens > budget) {
+      chunks.push(current);
+      current = [];
+      currentTokens = 0;
+    }
+    current.push(piece);
+    currentTokens += tokens;
+  });
+  if (current.length > 0) chunks.push(current);
+  return chunks;
+}
+
+function titleTokens(title) {
+  return new Set(
+    String(title || '')
+      .toLowerCase()
+      .replace(/[^a-z0-9\s]/g, ' ')
+      .split(/\s+/)
+      .filter(word => word && !TITLE_STOPWORDS.has(word))
+  );
+}
+
+function titleSimilarity(a, b) {
+  const left = titleTokens(a);
+  const right = titleTokens(b);
+  if (left.size === 0 || right.size === 0) return 0;
+  let shared = 0;
+  left.forEach(word => { if (right.has(word)) shared += 1; });
+  return shared / (left.size + right.size - shared);
+}
+
+function dedupeStrings(values, limit) {
+  const seen = new Set();
+  const out = [];
+  for (const value of values) {
+    const key = String(value || '').replace(/\s+/g, ' ').trim().toLowerCase();
+    if (!key || seen.has(key)) continue;
+    seen.add(key);
+    out.push(value);
+    if (out.length >= limit) break;
+  }
+  return out;
+}
+
+function round2(value) {
+  return Number(Number(value || 0).toFixed(2));
+}
+
+// Averages per-segment prominence across every chunk of the source, weighted by chunk size, so
+// chunks without the theme count as zero exactly as they do for the theme's own prominence.
+function mergeSegmentProminence(group, sourceWeight) {
+  const totals = new Map();
+  group.forEach(({ theme, weight }) => {
+    (Array.isArray(theme.segmentProminence) ? theme.segmentProminence : []).forEach(entry => {
+      const key = `${entry?.attribute}\u0000${entry?.segment}`;
+      const total = totals.get(key) || { attribute: entry?.attribute, segment: entry?.segment, sum: 0 };
+      total.sum += (Number(entry?.prominence) || 0) * weight;
+      totals.set(key, total);
+    });
+  });
+  return [...totals.values()].map(({ attribute, segment, sum }) => ({
+    attribute,
+    segment,
+    prominence: round2(sourceWeight > 0 ? sum / sourceWeight : 0)
+  }));
+}
+
+function mergeThemeGroup(group, sourceWeight) {
+  const sorted = [...group].sort((a, b) => (b.theme.prominence || 0) - (a.theme.prominence || 0));
+  const primary = sorted[0].theme;
+  const collect = (field) => sorted.flatMap(({ theme }) => Array.isArray(theme[field]) ? theme[field] : []);
+
+  const weightedProminence = sorted.reduce((acc, { theme, weight }) => acc + (Number(theme.prominence) || 0) * weight, 0);
+  const rated = sorted.filter(({ theme }) => Number.isFinite(Number(theme.confidence)));
+  const confidenceWeight = rated.reduce((acc, { weight }) => acc + weight, 0);
+  const weightedConfidence = rated.reduce((acc, { theme, weight }) => acc + Number(theme.confidence) * weight, 0);
+  const quantitative = dedupeStrings(sorted.map(({ theme }) => theme.quantitativeEvidence).filter(Boolean), 3);
+
+  return {
+    ...primary,
+    prominence: round2(sourceWeight > 0 ? weightedProminence / sourceWeight : primary.prominence),
+    confidence: confidenceWeight > 0 ? round2(weightedConfidence / confidenceWeight) : primary.confidence,
+    quantitativeEvidence: quantitative.length > 0 ? quantitative.join('; ') : null,
+    evidence: dedupeStrings(collect('evidence'), MAX_EVIDENCE),
+    drivers: dedupeStrings(collect('drivers'), 6),
+    barriers: dedupeStrings(collect('barriers'), 6),
+    tensions: dedupeStrings(collect('tensions'), 4),
+    opportunities: dedupeStrings(collect('opportunities'), 6),
+    participants: [...new Set(collect('participants'))],
+    segmentProminence: mergeSegmentProminence(sorted, sourceWeight),
+    ...mergeThemeSentiment(sorted)
+  };
+}
+
+// With a codebook, theme titles are code names: distinct codes that share words (e.g.
+// "Onboarding" and "Onboarding friction") must stay apart, so only identical names group.
+function findThemeGroup(groups, theme, codebook) {
+  if (codebook) {
+    const key = normaliseCode(theme.theme);
+    return groups.find(group => normaliseCode(group[0].theme.theme) === key) || null;
+  }
+  let best = null;
+  let bestScore = 0;
+  groups.forEach(group => {
+    const score = titleSimilarity(group[0].theme.theme, theme.theme);
+    if (score > bestScore) { best = group; bestScore = score; }
+  });
+  return bestScore >= MERGE_SIMILARITY_THRESHOLD ? best : null;
+}
+
+/**
+ * Merges per-chunk analyses into a single analysis. Themes with similar titles under the
+ * same source type are combined (identical code names only, when a `codebook` is given);
+ * prominence and sentiment are weighted by chunk size.
+ * Each entry is { analysis, weight, partLengths? } where weight is the chunk's estimated token
+ * count and partLengths maps each file (part) name in the chunk to its length in characters.
+ */
+function mergeChunkAnalyses(chunkResults, { codebook = null } = {}) {
+  const entries = (Array.isArray(chunkResults) ? chunkResults : []).filter(entry => entry && entry.analysis);
+  const groupsBySource = {};
+  const sourceWeights = {};
+
+  entries.forEach(({ analysis, weight }) => {
+    (analysis.analysisBySource || []).forEach(sourceAnalysis => {
+      const sourceType = sourceAnalysis?.sourceType || 'general';
+      if (!groupsBySource[sourceType]) groupsBySource[sourceType] = [];
+      sourceWeights[sourceType] = (sourceWeights[sourceType] || 0) + weight;
+
+      (sourceAnalysis?.themes || []).forEach(theme => {
+        const groups = groupsBySource[sourceType];
+        const best = findThemeGroup(groups, theme, codebook);
+        if (best) {
+          best.push({ theme, weight });
+        } else {
+          groups.push([{ theme, weight }]);
+        }
+      });
+    });
+  });
+
+  const analysisBySource = Object.entries(groupsBySource).map(([sourceType, groups]) => ({
+    sourceType,
+    themes: groups
+      .map(group => mergeThemeGroup(group, sourceWeights[sourceType]))
+      .sort((a, b) => (b.prominence || 0) - (a.prominence || 0))
+  }));
+
+  const merged = {
+    narrativeOverview: entries.map(({ analysis }) => analysis.narrativeOverview).filter(Boolean).join('\n\n'),
+    analysisBySource
+  };
+
+  const withSentiment = entries.filter(({ analysis }) => analysis.sentimentDistribution);
+  if (withSentiment.length > 0) {
+    const totalWeight = withSentiment.reduce((acc, { weight }) => acc + weight, 0) || 1;
+    const sentiment = { positive: 0, negative: 0, neutral: 0 };
+    withSentiment.forEach(({ analysis, weight }) => {
+      Object.keys(sentiment).forEach(key => {
+        sentiment[key] += (Number(analysis.sentimentDistribution[key]) || 0) * weight;
+      });
+    });
+    Object.keys(sentiment).forEach(key => { sentiment[key] = round2(sentiment[key] / totalWeight); });
+    merged.sentimentDistribution = sentiment;
+  }
+
+  // Per-file sentiment is kept per part, weighted by the part's length (or the whole chunk's when
+  // the model renamed the part); parts are matched back to their file when the report is finalised.
+  if (entries.some(({ analysis }) => Array.isArray(analysis.fileSentiment))) {
+    merged.fileSentiment = entries.flatMap(({ analysis, partLengths = {} }) => {
+      const chunkLength = Object.values(partLengths).reduce((acc, length) => acc + length, 0);
+      return (analysis.fileSentiment || []).map(entry => ({
+        ...entry,
+        weight: partLengths[String(entry?.fileName || '').trim()] || chunkLength || 1
+      }));
+    });
+  }
+
+  if (entries.some(({ analysis }) => Array.isArray(analysis.verbatimQuotes))) {
+    merged.verbatimQuotes = dedupeStrings(
+      entries.flatMap(({ analysis }) => analysis.verbatimQuotes || []),
+      MAX_VERBATIM_QUOTES
+    );
+  }
+
+  return merged;
+}
+
+module.exports = {
+  estimateTokens,
+  formatSourcesForPrompt,
+  chunkTextSources,
+  titleSimilarity,
+  mergeChunkAnalyses
+};
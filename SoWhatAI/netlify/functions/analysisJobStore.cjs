@@ -0,0 +1,388 @@
+const ANALYSIS_JOB_STORE_NAME = 'sowhatai-analysis-jobs-v1';
+const JOB_KEY_PREFIX = 'job:';
+const CANCEL_KEY_PREFIX = 'cancel:';
+const INPUT_KEY_PREFIX = 'input:';
+const ANALYSIS_JOB_TTL_MS = 24 * 60 * 60 * 1000;
+// Background functions are stopped after 15 minutes; a running job that has not reported
+// progress for longer than this was stopped mid-run, and a job still queued this long after it
+// was created never started.
+const STALE_JOB_MS = 16 * 60 * 1000;
+const MAX_TEXT = 320;
+const JOB_STATUSES = ['queued', 'running', 'complete', 'failed', 'cancelled'];
+
+// Local development fallback only. In Netlify runtime, Blobs is required.
+const memoryStore = (() => {
+  const key = '__SOWHATAI_ANALYSIS_JOB_STORE_V1__';
+  if (!globalThis[key]) {
+    globalThis[key] = new Map();
+  }
+  return globalThis[key];
+})();
+
+let blobStorePromise = null;
+let fallbackWarningShown = false;
+
+function sanitizeText(value, fallback = '') {
+  return String(value || fallback).replace(/\s+/g, ' ').trim().slice(0, MAX_TEXT);
+}
+
+function toIso(value, fallbackMs) {
+  if (!value) return new Date(fallbackMs).toISOString();
+  const parsed = new Date(value);
+  if (Number.isNaN(parsed.getTime())) return new Date(fallbackMs).toISOString();
+  return parsed.toISOString();
+}
+
+function jobKey(jobId) {
+  return `${JOB_KEY_PREFIX}${String(jobId || '').trim()}`;
+}
+
+// Cancellation is a separate key so a progress write from the running job cannot overwrite it.
+function cancelKey(jobId) {
+  return `${CANCEL_KEY_PREFIX}${String(jobId || '').trim()}`;
+}
+
+// The request payload is stored on its own so status polls do not download the whole data set.
+function inputKey(jobId) {
+  return `${INPUT_KEY_PREFIX}${String(jobId || '').trim()}`;
+}
+
+function isLocalDevelopmentRuntime() {
+  const context = String(process.env.CONTEXT || '').toLowerCase();
+  const netlifyDev = String(process.env.NETLIFY_DEV || '').toLowerCase() === 'true';
+  const nodeEnv = String(process.env.NODE_ENV || '').toLowerCase();
+  return context === 'dev' || netlifyDev || nodeEnv === 'development';
+}
+
+function toRawText(raw) {
+  if (raw == null) return '';
+  if (typeof raw === 'string') return raw;
+  if (raw instanceof Uint8Array) {
+    try {
+      return new TextDecoder().decode(raw);
+    } catch {
+      return '';
+    }
+  }
+  if (typeof Buffer !== 'undefined' && Buffer.isBuffer(raw)) {
+    return raw.toString('utf8');
+  }
+  if (typeof raw === 'object' && typeof raw.toString === 'function') {
+    const text = raw.toString();
+    return typeof text === 'string' ? text : '';
+  }
+  return '';
+}
+
+function normalizeStatus(value, fallback = 'queued') {
+  const status = String(value || '').toLowerCase();
+  return JOB_STATUSES.includes(status) ? status : fallback;
+}
+
+/**
+ * Progress carries the pipeline stage (parsing, quantitative, analysing, chunk, merging,
+ * verifying, complete) and, while chunks are being analysed, which chunk out of how many.
+ */
+function normalizeProgress(progress, previous) {
+  const prior = previous && typeof previous === 'object' ? previous : {};
+  const source = progress && typeof progress === 'object' ? progress : {};
+  const percentValue = Number(source.percent);
+  const percent = Number.isFinite(percentValue)
+    ? Math.max(0, Math.min(100, Math.round(percentValue)))
+    : Number.isFinite(Number(prior.percent))
+      ? Math.max(0, Math.min(100, Math.round(Number(prior.percent))))
+      : 0;
+  const message = sanitizeText(source.message, prior.message || '');
+  const stage = sanitizeText(source.stage, prior.stage || 'queued');
+  const next = { percent, message, stage };
+  const chunk = Number(source.chunk);
+  const chunks = Number(source.chunks);
+  if (Number.isFinite(chunk) && Number.isFinite(chunks) && chunks > 0) {
+    next.chunk = chunk;
+    next.chunks = chunks;
+  }
+  return next;
+}
+
+function normalizeError(error) {
+  if (!error) return null;
+  if (typeof error === 'string') {
+    return { message: sanitizeText(error, 'Unknown error.') };
+  }
+  const message = sanitizeText(error.message || error.error || 'Unknown error.');
+  const code = sanitizeText(error.code || '', '');
+  return code ? { code, message } : { message };
+}
+
+function normalizeRecord(jobId, input = {}) {
+  const now = Date.now();
+  const base = input && typeof input === 'object' ? input : {};
+
+  return {
+    jobId,
+    status: normalizeStatus(base.status),
+    progress: normalizeProgress(base.progress, null),
+    createdAt: toIso(base.createdAt, now),
+    updatedAt: toIso(base.updatedAt, now),
+    finishedAt: base.finishedAt ? toIso(base.finishedAt, now) : null,
+    result: base.result ?? null,
+    partialResult: base.partialResult ?? null,
+    error: normalizeError(base.error),
+    expiresAt: toIso(base.expiresAt, now + ANALYSIS_JOB_TTL_MS)
+  };
+}
+
+function isExpired(record) {
+  if (!record || !record.expiresAt) return false;
+  const expiresAtMs = new Date(record.expiresAt).getTime();
+  if (!Number.isFinite(expiresAtMs)) return false;
+  return Date.now() > expiresAtMs;
+}
+
+async function getBlobStore() {
+  if (blobStorePromise) return blobStorePromise;
+
+  blobStorePromise = (async () => {
+    try {
+      const module = await import('@netlify/blobs');
+      const getStore =
+        (module && typeof module.getStore === 'function' && module.getStore) ||
+        (module && module.default && typeof module.default.getStore === 'function' && module.default.getStore);
+      if (typeof getStore !== 'function') {
+        throw new Error('getStore not available from @netlify/blobs.');
+      }
+      return getStore(ANALYSIS_JOB_STORE_NAME);
+    } catch (error) {
+      if (process.env.NETLIFY && !isLocalDevelopmentRuntime()) {
+        throw new Error(
+          `Netlify Blobs is required in production analysisJobStore. ${sanitizeText(error && error.message)}`
+        );
+      }
+      if (!fallbackWarningShown) {
+        fallbackWarningShown = true;
+        console.warn(
+          '[analysisJobStore] Netlify Blobs unavailable, using in-memory local dev fallback.',
+          sanitizeText(error && error.message)
+        );
+      }
+      return null;
+    }
+  })();
+
+  return blobStorePromise;
+}
+
+async function writeValue(key, value) {
+  const store = await getBlobStore();
+  if (store) {
+    await store.set(key, JSON.stringify(value));
+  } else {
+    memoryStore.set(key, value);
+  }
+}
+
+async function readValue(key) {
+  const store = await getBlobStore();
+  if (store) {
+    let raw = null;
+    try {
+      raw = await store.get(key);
+    } catch {
+      raw = null;
+    }
+    if (raw) {
+      try {
+        return JSON.parse(toRawText(raw));
+      } catch {
+        return null;
+      }
+    }
+  }
+  return memoryStore.has(key) ? memoryStore.get(key) : null;
+}
+
+async function deleteValue(key) {
+  const store = await getBlobStore();
+  if (store) {
+    await store.delete(key);
+  }
+  memoryStore.delete(key);
+}
+
+async function writeRecord(jobId, record) {
+  const normalized = normalizeRecord(jobId, record);
+  await writeValue(jobKey(jobId), normalized);
+  return normalized;
+}
+
+async function readRecord(jobId) {
+  const parsed = await readValue(jobKey(jobId));
+  if (!parsed || typeof parsed !== 'object') return null;
+  const normalized = normalizeRecord(jobId, parsed);
+  if (isExpired(normalized)) {
+    await deleteValue(jobKey(jobId));
+    await deleteValue(cancelKey(jobId));
+    await deleteValue(inputKey(jobId));
+    return null;
+  }
+  return normalized;
+}
+
+function ensureJobId(jobId) {
+  const id = String(jobId || '').trim();
+  if (!id) {
+    throw new Error('jobId is required.');
+  }
+  return id;
+}
+
+function isFinished(status) {
+  return status === 'complete' || status === 'failed' || status === 'cancelled';
+}
+
+/**
+ * Creates a job record. `job.input` (the analyze request body) is stored separately for the
+ * background function to pick up with getJobInput.
+ */
+async function saveJob(job) {
+  const { input, ...fields } = job && typeof job === 'object' ? job : {};
+  const jobId = ensureJobId(fields.jobId);
+  const now = Date.now();
+
+  if (input !== undefined) {
+    await writeValue(inputKey(jobId), input);
+  }
+  return writeRecord(jobId, {
+    ...fields,
+    status: fields.status || 'queued',
+    progress: normalizeProgress(
+      fields.progress || { percent: 0, message: 'Queued for analysis.', stage: 'queued' },
+      null
+    ),
+    createdAt: fields.createdAt || new Date(now).toISOString(),
+    updatedAt: new Date(now).toISOString(),
+    expiresAt: new Date(now + ANALYSIS_JOB_TTL_MS).toISOString()
+  });
+}
+
+async function getJobInput(jobId) {
+  const id = ensureJobId(jobId);
+  return readValue(inputKey(id));
+}
+
+async function deleteJobInput(jobId) {
+  const id = ensureJobId(jobId);
+  await deleteValue(inputKey(id));
+}
+
+async function getJob(jobId) {
+  const id = ensureJobId(jobId);
+  return readRecord(id);
+}
+
+async function updateStatus(jobId, patch) {
+  const id = ensureJobId(jobId);
+  const existing = await readRecord(id);
+  if (!existing) return null;
+  const has = (field) => Object.prototype.hasOwnProperty.call(patch || {}, field);
+  const next = {
+    ...existing,
+    status: patch?.status != null ? normalizeStatus(patch.status, existing.status) : existing.status,
+    progress: patch?.progress != null ? normalizeProgress(patch.progress, existing.progress) : existing.progress,
+    error: has('error') ? normalizeError(patch.error) : existing.error,
+    result: has('result') ? patch.result : existing.result,
+    partialResult: has('partialResult') ? patch.partialResult : existing.partialResult,
+    finishedAt:
+      has('finishedAt') && patch.finishedAt
+        ? toIso(patch.finishedAt, Date.now())
+        : existing.finishedAt,
+    updatedAt: new Date().toISOString(),
+    expiresAt: new Date(Date.now() + ANALYSIS_JOB_TTL_MS).toISOString()
+  };
+
+  return writeRecord(id, next);
+}
+
+async function saveAnalysis(jobId, analysis) {
+  const id = ensureJobId(jobId);
+  const existing = await readRecord(id);
+  if (!existing) return null;
+  const finishedAt = new Date().toISOString();
+
+  return writeRecord(id, {
+    ...existing,
+    status: 'complete',
+    progress: { percent: 100, message: 'Analysis complete.', stage: 'complete' },
+    result: analysis ?? null,
+    partialResult: null,
+    error: null,
+    finishedAt,
+    updatedAt: finishedAt,
+    expiresAt: new Date(Date.now() + ANALYSIS_JOB_TTL_MS).toISOString()
+  });
+}
+
+async function requestCancel(jobId) {
+  const id = ensureJobId(jobId);
+  const existing = await readRecord(id);
+  if (!existing) return null;
+  if (!isFinished(existing.status)) {
+    await writeValue(cancelKey(id), { requestedAt: new Date().toISOString() });
+  }
+  return existing;
+}
+
+async function isCancelRequested(jobId) {
+  const id = ensureJobId(jobId);
+  return Boolean(await readValue(cancelKey(id)));
+}
+
+async function getAnalysis(jobId) {
+  const id = ensureJobId(jobId);
+  let record = await readRecord(id);
+  if (!record) return null;
+
+  const idleMs = Date.now() - new Date(record.updatedAt).getTime();
+  const queuedMs = Date.now() - new Date(record.createdAt).getTime();
+  if (record.status === 'running' && idleMs > STALE_JOB_MS) {
+    record = await updateStatus(id, {
+      status: 'failed',
+      progress: { percent: 100, stage: 'failed', message: 'Analysis stopped before it finished.' },
+      error: { code: 'job_timed_out', message: 'The analysis ran out of time before it finished.' },
+      finishedAt: Date.now()
+    });
+  } else if (record.status === 'queued' && queuedMs > STALE_JOB_MS) {
+    record = await updateStatus(id, {
+      status: 'failed',
+      progress: { percent: 100, stage: 'failed', message: 'Analysis never started.' },
+      error: { code: 'job_not_started', message: 'The analysis did not start. Please run it again.' },
+      finishedAt: Date.now()
+    });
+  }
+
+  return {
+    jobId: record.jobId,
+    status: record.status,
+    progress: record.progress,
+    result: record.status === 'complete' ? record.result : null,
+    partialResult: record.status === 'complete' ? null : record.partialResult,
+    error: record.status === 'failed' || record.status === 'cancelled' ? record.error : null,
+    cancelRequested: isFinished(record.status) ? false : await isCancelRequested(id),
+    createdAt: record.createdAt,
+    finishedAt: record.finishedAt,
+    updatedAt: record.updatedAt
+  };
+}
+
+module.exports = {
+  ANALYSIS_JOB_TTL_MS,
+  saveJob,
+  getJob,
+  getJobInput,
+  deleteJobInput,
+  updateStatus,
+  saveAnalysis,
+  requestCancel,
+  isCancelRequested,
+  getAnalysis
+};
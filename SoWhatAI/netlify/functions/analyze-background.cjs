@@ -0,0 +1,100 @@
+const { getJob, getJobInput, deleteJobInput, updateStatus } = require('./analysisJobStore.cjs');
+const { runTrackedAnalysis } = require('./analyze.cjs');
+
+const RESPONSE_HEADERS = {
+  'Content-Type': 'application/json',
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Headers': 'Content-Type',
+  'Access-Control-Allow-Methods': 'POST,OPTIONS'
+};
+
+function json(statusCode, body) {
+  return {
+    statusCode,
+    headers: RESPONSE_HEADERS,
+    body: JSON.stringify(body)
+  };
+}
+
+function sanitizeText(value, fallback = '') {
+  return String(value || fallback).replace(/\s+/g, ' ').trim().slice(0, 320);
+}
+
+/**
+ * Runs a queued analysis job as a Netlify background function (up to 15 minutes). The request
+ * body saved by analyze-start is loaded from the job store; progress, partial results and the
+ * final report are written back to the job for analyze-status to serve.
+ */
+exports.handler = async (event, context) => {
+  if (context && typeof context === 'object') {
+    context.callbackWaitsForEmptyEventLoop = false;
+  }
+
+  if (event.httpMethod === 'OPTIONS') {
+    return json(200, { ok: true });
+  }
+
+  if (event.httpMethod !== 'POST') {
+    return json(405, { error: 'Method Not Allowed' });
+  }
+
+  let body = {};
+  try {
+    body = JSON.parse(event.body || '{}');
+  } catch {
+    return json(400, { error: 'Invalid JSON body.' });
+  }
+
+  const jobId = String(body.jobId || '').trim();
+  if (!jobId) {
+    return json(400, { error: 'jobId is required.' });
+  }
+
+  try {
+    const job = await getJob(jobId);
+    if (!job) {
+      return json(200, {
+        jobId,
+        status: 'failed',
+        error: { code: 'job_not_found', message: 'Analysis job not found or expired.' }
+      });
+    }
+    if (job.status !== 'queued') {
+      // Already picked up (e.g. a retried trigger) or finished.
+      return json(200, { jobId, status: job.status });
+    }
+
+    const input = await getJobInput(jobId);
+    if (!input) {
+      await updateStatus(jobId, {
+        status: 'failed',
+        progress: { percent: 100, stage: 'failed', message: 'Analysis input is missing.' },
+        error: { code: 'input_missing', message: 'The data for this analysis was not found. Start it again.' },
+        finishedAt: Date.now()
+      });
+      return json(200, { jobId, status: 'failed' });
+    }
+
+    await updateStatus(jobId, {
+      status: 'running',
+      progress: { percent: 2, stage: 'parsing', message: 'Starting analysis...' },
+      error: null
+    });
+
+    try {
+      await runTrackedAnalysis(jobId, input);
+    } finally {
+      await deleteJobInput(jobId).catch(() => {});
+    }
+
+    return json(200, { jobId, status: 'complete' });
+  } catch (error) {
+    // runTrackedAnalysis has already recorded the failure (with any partial result) on the job.
+    const message = sanitizeText(error?.message || String(error), 'Analysis failed.');
+    return json(200, {
+      jobId,
+      status: error?.code === 'cancelled' ? 'cancelled' : 'failed',
+      error: { code: error?.code === 'cancelled' ? 'cancelled' : 'analysis_failed', message }
+    });
+  }
+};
@@ -0,0 +1,69 @@
+const { requestCancel } = require('./analysisJobStore.cjs');
+
+const RESPONSE_HEADERS = {
+  'Content-Type': 'application/json',
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Headers': 'Content-Type',
+  'Access-Control-Allow-Methods': 'POST,OPTIONS'
+};
+
+function json(statusCode, body) {
+  return {
+    statusCode,
+    headers: RESPONSE_HEADERS,
+    body: JSON.stringify(body)
+  };
+}
+
+function sanitizeText(value, fallback = '') {
+  return String(value || fallback).replace(/\s+/g, ' ').trim().slice(0, 320);
+}
+
+/**
+ * Flags an analysis job for cancellation. The running analysis checks the flag between
+ * stages and chunks, then records the job as cancelled with whatever it had produced.
+ */
+exports.handler = async (event, context) => {
+  if (context && typeof context === 'object') {
+    context.callbackWaitsForEmptyEventLoop = false;
+  }
+
+  if (event.httpMethod === 'OPTIONS') {
+    return json(200, { ok: true });
+  }
+
+  if (event.httpMethod !== 'POST') {
+    return json(405, { error: 'Method Not Allowed' });
+  }
+
+  let body = {};
+  try {
+    body = JSON.parse(event.body || '{}');
+  } catch {
+    return json(400, { error: 'Invalid JSON body.' });
+  }
+
+  const jobId = String(body.jobId || '').trim();
+  if (!jobId) {
+    return json(400, { error: 'jobId is required.' });
+  }
+
+  try {
+    const job = await requestCancel(jobId);
+    if (!job) {
+      return json(404, {
+        jobId,
+        error: { code: 'job_not_found', message: 'Analysis job not found or expired.' }
+      });
+    }
+    return json(200, { jobId, status: job.status, cancelRequested: true });
+  } catch (error) {
+    return json(500, {
+      jobId,
+      error: {
+        code: 'cancel_failed',
+        message: sanitizeText(error?.message || String(error), 'Unable to cancel analysis.')
+      }
+    });
+  }
+};
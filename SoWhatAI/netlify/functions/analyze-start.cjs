@@ -0,0 +1,135 @@
+const crypto = require('crypto');
+const { saveJob, updateStatus } = require('./analysisJobStore.cjs');
+
+const BACKGROUND_TRIGGER_TIMEOUT_MS = 1200;
+const RESPONSE_HEADERS = {
+  'Content-Type': 'application/json',
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Headers': 'Content-Type',
+  'Access-Control-Allow-Methods': 'POST,OPTIONS'
+};
+
+function json(statusCode, body) {
+  return {
+    statusCode,
+    headers: RESPONSE_HEADERS,
+    body: JSON.stringify(body)
+  };
+}
+
+function sanitizeText(value, fallback = '') {
+  return String(value || fallback).replace(/\s+/g, ' ').trim().slice(0, 320);
+}
+
+function resolveBaseUrl(event) {
+  const headers = (event && event.headers) || {};
+  const forwardedProto = headers['x-forwarded-proto'] || headers['X-Forwarded-Proto'];
+  const forwardedHost = headers['x-forwarded-host'] || headers['X-Forwarded-Host'];
+  const host = forwardedHost || headers.host || headers.Host || '';
+
+  if (host) {
+    const forwarded = String(forwardedProto || '').toLowerCase();
+    const looksLocal = /^localhost(?::\d+)?$/i.test(host) || /^127\.0\.0\.1(?::\d+)?$/i.test(host);
+    const protocol = forwarded === 'http' ? 'http' : forwarded === 'https' ? 'https' : looksLocal ? 'http' : 'https';
+    return `${protocol}://${host}`;
+  }
+
+  const fromEnv =
+    process.env.URL ||
+    process.env.DEPLOY_PRIME_URL ||
+    process.env.DEPLOY_URL ||
+    '';
+  if (fromEnv) {
+    return String(fromEnv).replace(/\/+$/, '');
+  }
+
+  return '';
+}
+
+async function triggerBackgroundAnalyze(url, payload) {
+  const controller = new AbortController();
+  const timeoutId = setTimeout(() => controller.abort(), BACKGROUND_TRIGGER_TIMEOUT_MS);
+
+  try {
+    const response = await fetch(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(payload),
+      signal: controller.signal
+    });
+
+    if (!response.ok) {
+      let body = null;
+      try {
+        body = await response.json();
+      } catch {
+        body = null;
+      }
+      const message = sanitizeText(body?.error || body?.message || `Background trigger failed (${response.status}).`);
+      throw new Error(message);
+    }
+  } finally {
+    clearTimeout(timeoutId);
+  }
+}
+
+/**
+ * Queues an analysis: stores the request body as a new job and triggers analyze-background.
+ * The client polls analyze-status with the returned jobId.
+ */
+exports.handler = async (event, context) => {
+  if (context && typeof context === 'object') {
+    context.callbackWaitsForEmptyEventLoop = false;
+  }
+
+  if (event.httpMethod === 'OPTIONS') {
+    return json(200, { ok: true });
+  }
+
+  if (event.httpMethod !== 'POST') {
+    return json(405, { error: 'Method Not Allowed' });
+  }
+
+  let body = {};
+  try {
+    body = JSON.parse(event.body || '{}');
+  } catch {
+    return json(400, { error: 'Invalid JSON body.' });
+  }
+
+  const jobId = crypto.randomUUID();
+  const pollUrl = `/.netlify/functions/analyze-status?jobId=${encodeURIComponent(jobId)}`;
+
+  try {
+    await saveJob({ jobId, status: 'queued', input: body });
+  } catch (error) {
+    return json(500, {
+      error: {
+        code: 'queue_failed',
+        message: sanitizeText(error?.message || String(error), 'Unable to queue analysis.')
+      }
+    });
+  }
+
+  const baseUrl = resolveBaseUrl(event);
+  try {
+    if (!baseUrl) {
+      throw new Error('Unable to resolve the site URL for the analysis queue.');
+    }
+    await triggerBackgroundAnalyze(`${baseUrl}/.netlify/functions/analyze-background`, { jobId });
+  } catch (queueError) {
+    // An aborted trigger usually means the background function accepted it and is still starting.
+    if (queueError?.name !== 'AbortError') {
+      const message = sanitizeText(queueError?.message || String(queueError), 'Unable to queue analysis.');
+      await updateStatus(jobId, {
+        status: 'failed',
+        progress: { percent: 100, stage: 'failed', message: 'Unable to queue analysis.' },
+        error: { code: 'queue_failed', message },
+        finishedAt: Date.now()
+      }).catch(() => {});
+      return json(200, { jobId, status: 'failed', pollUrl, error: { code: 'queue_failed', message } });
+    }
+  }
+
+  return json(200, { jobId, status: 'queued', pollUrl });
+};
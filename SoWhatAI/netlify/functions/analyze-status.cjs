@@ -0,0 +1,83 @@
+const { getAnalysis } = require('./analysisJobStore.cjs');
+
+const RESPONSE_HEADERS = {
+  'Content-Type': 'application/json',
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Headers': 'Content-Type',
+  'Access-Control-Allow-Methods': 'GET,OPTIONS'
+};
+
+function json(statusCode, body) {
+  return {
+    statusCode,
+    headers: RESPONSE_HEADERS,
+    body: JSON.stringify(body)
+  };
+}
+
+function sanitizeText(value, fallback = '') {
+  return String(value || fallback).replace(/\s+/g, ' ').trim().slice(0, 320);
+}
+
+exports.handler = async (event, context) => {
+  if (context && typeof context === 'object') {
+    context.callbackWaitsForEmptyEventLoop = false;
+  }
+
+  if (event.httpMethod === 'OPTIONS') {
+    return json(200, { ok: true });
+  }
+
+  if (event.httpMethod !== 'GET') {
+    return json(405, { error: 'Method Not Allowed' });
+  }
+
+  const query = event.queryStringParameters || {};
+  const jobId = String(query.jobId || '').trim();
+  if (!jobId) {
+    return json(400, { error: 'jobId is required.' });
+  }
+
+  try {
+    const analysis = await getAnalysis(jobId);
+    if (!analysis) {
+      return json(200, {
+        jobId,
+        status: 'failed',
+        progress: { percent: 100, stage: 'failed', message: 'Analysis job not found or expired.' },
+        result: null,
+        partialResult: null,
+        error: {
+          code: 'job_not_found',
+          message: 'Analysis job not found or expired.'
+        }
+      });
+    }
+
+    return json(200, {
+      jobId,
+      status: analysis.status,
+      progress: analysis.progress,
+      result: analysis.result,
+      partialResult: analysis.partialResult,
+      error: analysis.error,
+      cancelRequested: analysis.cancelRequested
+    });
+  } catch (error) {
+    return json(200, {
+      jobId,
+      status: 'failed',
+      progress: {
+        percent: 100,
+        stage: 'failed',
+        message: 'Unable to load analysis status.'
+      },
+      result: null,
+      partialResult: null,
+      error: {
+        code: 'status_lookup_failed',
+        message: sanitizeText(error?.message || String(error), 'Unable to load analysis status.')
+      }
+    });
+  }
+};
@@ -1,7 +1,38 @@
 // netlify/functions/analyze.js
+const crypto = require('crypto');
+const {
+  estimateTokens,
+  formatSourcesForPrompt,
+  chunkTextSources,
+  mergeChunkAnalyses
+} = require('./analysisChunker.cjs');
+const { createProvider } = require('./llmProviders.cjs');
+const { verifyAnalysisQuotes } = require('./evidenceLocator.cjs');
+const { isTranscriptSource, applyParticipantCoverage } = require('./transcriptSpeakers.cjs');
+const { describeNumericColumn, describeCategoryColumn } = require('./surveyStats.cjs');
+const { buildSegmentComparisons } = require('./segmentStats.cjs');
+const { hasSegments, applySegmentBreakdown } = require('./segmentThemes.cjs');
+const { EMOTION_LABELS, applySentimentBreakdown } = require('./sentimentBreakdown.cjs');
+const {
+  getCodebook,
+  formatCodebookInstruction,
+  constrainToCodebook,
+  buildCodebookCoverage
+} = require('./codebook.cjs');
+const {
+  getJob,
+  updateStatus,
+  saveAnalysis,
+  isCancelRequested
+} = require('./analysisJobStore.cjs');
+
+// Data sets above this estimated size are analysed chunk by chunk (map-reduce).
+const DEFAULT_CHUNK_TOKEN_BUDGET = 120000;
+const MAP_CONCURRENCY = 3;
 
 /**
- * Performs the AI analysis by building a prompt and calling the Gemini API.
+ * Performs the AI analysis by building a prompt and calling the configured LLM provider.
+ * `textSources` are the sources behind dataForPrompt, passed to the provider as structured context.
  */
 async function getAiAnalysis(
   dataForPrompt,
@@ -10,7 +41,8 @@ async function getAiAnalysis(
   instructionText,
   sentimentPrompt,
   soWhatPrompt,
-  apiUrl
+  provider,
+  textSources
 ) {
   // === STEP 3: Update prompt for new structure ===
   const prompt =
@@ -33,7 +65,10 @@ async function getAiAnalysis(
     `- tensions: 1–3 concise bullets (trade-offs/contradictions)\n` +
     `- opportunities: 2–4 actionable bullets (imperative phrasing)\n` +
     `- confidence: number 0–1 based on evidence quality/consistency\n` +
-    `- evidence: 2–3 quotes MAX. Each quote must be meaningful on its own (8–30 words), no filler, no duplicates.\n\n` +
+    `- evidence: 2–3 quotes MAX. Each quote must be meaningful on its own (8–30 words), no filler, no duplicates.\n` +
+    `- participants: for interview transcripts, the IDs (speaker labels) of every participant who expressed this theme; otherwise an empty array.\n` +
+    `- segmentProminence: when the data is tagged with segments, one { attribute, segment, prominence } entry per segment value, where prominence (0–1) is how strongly the theme appears among that segment's data; otherwise an empty array.\n` +
+    `- segmentNarrative: when the data is tagged with segments, 1–3 sentences on how the segments differ for this theme (which segments drive it, which do not); otherwise null.\n\n` +
     `Rules:\n` +
     `- Focus on interpretation over summary. Do NOT regurgitate data.\n` +
     `- Quotes must be trimmed to the most meaningful sentence fragment and anonymised.\n` +
@@ -44,11 +79,22 @@ async function getAiAnalysis(
     `Data:\n"""\n${dataForPrompt || ''}\n"""\n`;
   // === END STEP 3 ===
 
+  const aiJson = await provider.generateJson(prompt, buildResponseSchema(reportConfig), { textSources });
+  return postProcessAnalysis(aiJson);
+}
+
+/**
+ * Builds the response schema for the enabled report components.
+ * Types follow Gemini's format; other providers convert it in llmProviders.cjs.
+ */
+function buildResponseSchema(reportConfig) {
+  // Deductive runs may only name themes after their codebook's codes.
+  const codebook = getCodebook(reportConfig);
   // === STEP 3: Define theme schema once for re-use ===
   const themeProperties = {
     type: "OBJECT",
     properties: {
-      theme: { type: "STRING" },
+      theme: codebook ? { type: "STRING", enum: codebook.map(entry => entry.code) } : { type: "STRING" },
       themeNarrative: { type: "STRING" },
       quantitativeEvidence: { type: "STRING" },
       drivers: { type: "ARRAY", items: { type: "STRING" } },
@@ -57,6 +103,20 @@ async function getAiAnalysis(
       opportunities: { type: "ARRAY", items: { type: "STRING" } },
       confidence: { type: "NUMBER" },
       evidence: { type: "ARRAY", items: { type: "STRING" } },
+      participants: { type: "ARRAY", items: { type: "STRING" } },
+      segmentProminence: {
+        type: "ARRAY",
+        items: {
+          type: "OBJECT",
+          properties: {
+            attribute: { type: "STRING" },
+            segment: { type: "STRING" },
+            prominence: { type: "NUMBER" }
+          },
+          required: ["attribute", "segment", "prominence"]
+        }
+      },
+      segmentNarrative: { type: "STRING" },
       emoji: { type: "STRING" },
       prominence: { type: "NUMBER" }
     },
@@ -64,6 +124,17 @@ async function getAiAnalysis(
   };
   // === END STEP 3 ===
 
+  const sentimentProperties = {
+    positive: { type: "NUMBER" },
+    negative: { type: "NUMBER" },
+    neutral: { type: "NUMBER" }
+  };
+  const emotionsProperty = { type: "ARRAY", items: { type: "STRING", enum: EMOTION_LABELS } };
+  if (reportConfig?.components?.sentiment) {
+    themeProperties.properties.sentiment = { type: "OBJECT", properties: sentimentProperties };
+    themeProperties.properties.emotions = emotionsProperty;
+  }
+
   // === STEP 2: Update response schema for new structure ===
   const properties = {
     narrativeOverview: { type: "STRING" },
@@ -90,10 +161,14 @@ async function getAiAnalysis(
   if (reportConfig?.components?.sentiment) {
     properties.sentimentDistribution = {
       type: "OBJECT",
-      properties: {
-        positive: { type: "NUMBER" },
-        negative: { type: "NUMBER" },
-        neutral: { type: "NUMBER" }
+      properties: sentimentProperties
+    };
+    properties.fileSentiment = {
+      type: "ARRAY",
+      items: {
+        type: "OBJECT",
+        properties: { fileName: { type: "STRING" }, ...sentimentProperties, emotions: emotionsProperty },
+        required: ["fileName", "positive", "negative", "neutral"]
       }
     };
     requiredFields.push("sentimentDistribution");
@@ -108,61 +183,13 @@ async function getAiAnalysis(
   }
   // === END BUG FIX ===
 
-  const generationConfig = {
-    response_mime_type: 'application/json',
-    response_schema: { type: "OBJECT", properties, required: requiredFields }
-  };
-
-  const payload = {
-    contents: [{ role: "user", parts: [{ text: prompt }] }],
-    generationConfig
-  };
-
-  const r = await fetch(apiUrl, {
-    method: 'POST',
-    headers: { 'Content-Type': 'application/json' },
-    body: JSON.stringify(payload)
-  });
-
-  const rawText = await r.text().catch(() => '');
-  if (!r.ok) {
-    let details = rawText;
-    try {
-      const maybeJson = JSON.parse(rawText);
-      details = JSON.stringify(maybeJson, null, 2);
-    } catch {}
-    console.error('Google AI API Error:', r.status, details);
-    // Throw an error to be caught by the main handler
-    throw new Error(`Google AI API Error ${r.status}: ${details.slice(0, 2000)}`);
-  }
-
-  // Parse JSON envelope from API
-  let result;
-  try {
-    result = JSON.parse(rawText);
-  } catch {
-    console.error('Non-JSON response from API:', rawText.slice(0, 1000));
-    throw new Error('Unexpected non-JSON response from Gemini.');
-  }
-
-  const aiResponseText =
-    result?.candidates?.[0]?.content?.parts?.[0]?.text?.trim() ?? '';
-
-  // Strip occasional code fences
-  const cleaned = aiResponseText
-    .replace(/^```json\s*/i, '')
-    .replace(/^```\s*/i, '')
-    .replace(/```$/i, '')
-    .trim();
-
-  let aiJson;
-  try {
-    aiJson = JSON.parse(cleaned);
-  } catch (e) {
-    console.error('Failed to parse AI response as JSON:', cleaned.slice(0, 1500));
-    throw new Error('The AI returned an invalid response that could not be parsed.');
-  }
+  return { type: "OBJECT", properties, required: requiredFields };
+}
 
+/**
+ * Post-processes an AI analysis to enforce narratives and trim quotes.
+ */
+function postProcessAnalysis(aiJson) {
   // --- Post-process to enforce narrative + trim quotes ---
   function dedupeCaseInsensitive(arr = []) {
     const seen = new Set();
@@ -201,78 +228,253 @@ async function getAiAnalysis(
       }
     });
   }
-  
+
   return aiJson;
 }
 
 /**
- * Performs all quantitative calculations locally.
+ * Runs fn over items with at most `limit` calls in flight, preserving order.
+ */
+async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+  const workers = Array.from({ length: Math.min(limit, items.length) }, async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await fn(items[index], index);
+    }
+  });
+  await Promise.all(workers);
+  return results;
+}
+
+/**
+ * Writes the final overview and "So What?" actions from the merged chunk themes.
+ */
+async function getReduceSynthesis(merged, researchQuestion, reportConfig, instructionText, provider) {
+  const themeSummary = (merged.analysisBySource || []).map(source => ({
+    sourceType: source.sourceType,
+    themes: source.themes.map(t => ({
+      theme: t.theme,
+      prominence: t.prominence,
+      themeNarrative: t.themeNarrative,
+      opportunities: t.opportunities
+    }))
+  }));
+
+  const soWhatEnabled = Boolean(reportConfig?.components?.soWhat);
+  const prompt =
+    `You are a senior insights analyst. A large data set was analysed in parts and the themes below were merged from every part.\n` +
+    `Return a valid JSON object with:\n` +
+    `- narrativeOverview: A high-level summary of all findings across the whole data set (not per part).\n` +
+    (soWhatEnabled ? `- soWhatActions: 3-5 actionable bullet-point recommendations based on the analysis.\n` : '') +
+    `Return ONLY valid JSON conforming to the schema.\n` +
+    `${instructionText}\n\n` +
+    `Research Question: "${researchQuestion || ''}"\n\n` +
+    `Summaries of each part:\n"""\n${merged.narrativeOverview || ''}\n"""\n\n` +
+    `Merged themes:\n"""\n${JSON.stringify(themeSummary)}\n"""\n`;
+
+  const properties = { narrativeOverview: { type: "STRING" } };
+  const required = ["narrativeOverview"];
+  if (soWhatEnabled) {
+    properties.soWhatActions = { type: "ARRAY", items: { type: "STRING" } };
+    required.push("soWhatActions");
+  }
+
+  return provider.generateJson(prompt, { type: "OBJECT", properties, required }, { mergedThemes: themeSummary });
+}
+
+/**
+ * Map-reduce analysis for data sets too large for a single prompt: themes are extracted
+ * per chunk, merged and de-duplicated, then summarised in a final synthesis call.
+ */
+async function getMapReduceAnalysis(
+  chunks,
+  researchQuestion,
+  reportConfig,
+  instructionText,
+  sentimentPrompt,
+  provider,
+  hooks = {}
+) {
+  const { checkCancelled = async () => {}, onChunkComplete = () => {}, onMerging = () => {} } = hooks;
+  // "So What?" actions are only written once, from the merged themes.
+  const mapConfig = { ...reportConfig, components: { ...reportConfig?.components, soWhat: false } };
+
+  const settled = [];
+  const chunkResults = await mapWithConcurrency(chunks, MAP_CONCURRENCY, async (chunk, index) => {
+    // Checked outside the try below so a cancellation stops the run instead of failing one chunk.
+    await checkCancelled();
+    const dataForPrompt = formatSourcesForPrompt(chunk);
+    const chunkInstruction =
+      `${instructionText}\n\nThis is part ${index + 1} of ${chunks.length} of a larger data set. ` +
+      `Report only themes supported by the data in this part; they will be merged with the other parts later.`;
+    try {
+      const analysis = await getAiAnalysis(
+        dataForPrompt,
+        researchQuestion,
+        mapConfig,
+        chunkInstruction,
+        sentimentPrompt,
+        '',
+        provider,
+        chunk
+      );
+      const result = {
+        analysis,
+        weight: estimateTokens(dataForPrompt),
+        partLengths: Object.fromEntries(chunk.map(piece => [piece.fileName, String(piece.content || '').length]))
+      };
+      settled.push(result);
+      await onChunkComplete(settled.length, chunks.length, settled.filter(r => r.analysis));
+      return result;
+    } catch (error) {
+      console.error(`Chunk ${index + 1}/${chunks.length} failed:`, error);
+      const result = { analysis: null, weight: 0, error: error.message || String(error) };
+      settled.push(result);
+      await onChunkComplete(settled.length, chunks.length, settled.filter(r => r.analysis));
+      return result;
+    }
+  });
+
+  const succeeded = chunkResults.filter(r => r.analysis);
+  if (succeeded.length === 0) {
+    throw new Error(`All ${chunks.length} analysis chunks failed. ${chunkResults[0]?.error || ''}`.trim());
+  }
+
+  const merged = mergeChunkAnalyses(succeeded, { codebook: getCodebook(reportConfig) });
+  await checkCancelled();
+  await onMerging(merged);
+  const synthesis = await getReduceSynthesis(merged, researchQuestion, reportConfig, instructionText, provider);
+
+  return {
+    ...merged,
+    narrativeOverview: synthesis?.narrativeOverview || merged.narrativeOverview,
+    ...(reportConfig?.components?.soWhat ? { soWhatActions: synthesis?.soWhatActions || [] } : {}),
+    analysisMeta: {
+      provider: provider.name,
+      model: provider.model,
+      mode: 'map-reduce',
+      chunkCount: chunks.length,
+      chunksProcessed: succeeded.length,
+      chunksFailed: chunks.length - succeeded.length
+    }
+  };
+}
+
+/**
+ * Performs all quantitative calculations locally: descriptive statistics, histograms and
+ * NPS/Likert summaries for numeric columns, and counts with percentages for categories.
+ * Files with "segment by" columns also get cross-tabs and per-segment statistics with
+ * chi-square / t-test significance.
  */
 async function getQuantitativeResults(quantitativeData, reportConfig) {
   let quantitativeResults = [];
   if (reportConfig?.components?.quantitative && Array.isArray(quantitativeData) && quantitativeData.length > 0) {
     const byFile = {};
-    quantitativeData.forEach(({ title, values, mapping, sourceFile }) => {
+    const columnsByFile = {};
+    quantitativeData.forEach((column) => {
+      const { title, values, mapping, sourceFile } = column;
       if (!byFile[sourceFile]) byFile[sourceFile] = { sourceFile, stats: [], categories: [] };
-      if (mapping === 'stats' && values?.length > 0) {
-        const numbers = values.map(Number).filter(Number.isFinite);
-        if (numbers.length > 0) {
-          const sum = numbers.reduce((a, b) => a + b, 0);
-          const mean = Number((sum / numbers.length).toFixed(2));
-          const sorted = [...numbers].sort((a, b) => a - b);
-          const median = sorted.length % 2 === 0
-            ? Number(((sorted[sorted.length/2 - 1] + sorted[sorted.length/2]) / 2).toFixed(2))
-            : sorted[Math.floor(sorted.length / 2)];
-          const freq = numbers.reduce((acc, n) => (acc[n] = (acc[n] || 0) + 1, acc), {});
-          const mode = Number(Object.keys(freq).reduce((a, b) => (freq[a] > freq[b] ? a : b)));
-          byFile[sourceFile].stats.push({ title, mean, median, mode });
-        }
+      if (!columnsByFile[sourceFile]) columnsByFile[sourceFile] = [];
+      columnsByFile[sourceFile].push(column);
+      if (mapping === 'segment' && values?.length > 0) {
+        // Segment values are row-aligned (blanks included); summarise the non-blank ones.
+        const category = describeCategoryColumn(title, values);
+        if (category) byFile[sourceFile].categories.push(category);
+      } else if (mapping === 'stats' && values?.length > 0) {
+        const stat = describeNumericColumn(title, values);
+        if (stat) byFile[sourceFile].stats.push(stat);
       } else if (mapping === 'category' && values?.length > 0) {
-        const counts = values.reduce((acc, val) => { acc[val] = (acc[val] || 0) + 1; return acc; }, {});
-        const data = Object.entries(counts).map(([name, count]) => ({ name, count }));
-        byFile[sourceFile].categories.push({ title, data });
+        const category = describeCategoryColumn(title, values);
+        if (category) byFile[sourceFile].categories.push(category);
       }
     });
+    Object.entries(columnsByFile).forEach(([sourceFile, columns]) => {
+      const segmentColumns = columns.filter(column => column.mapping === 'segment' && Array.isArray(column.values));
+      if (segmentColumns.length === 0) return;
+      const { crossTabs, segmentStats } = buildSegmentComparisons(segmentColumns, columns);
+      byFile[sourceFile].crossTabs = crossTabs;
+      byFile[sourceFile].segmentStats = segmentStats;
+    });
     quantitativeResults = Object.values(byFile);
   }
   return quantitativeResults;
 }
 
 
+function createCancelledError() {
+  const error = new Error('Analysis cancelled.');
+  error.code = 'cancelled';
+  return error;
+}
+
+// Themes get a stable ID so edits, reordering and version diffs don't depend on titles.
+function assignThemeIds(aiJson) {
+  (aiJson?.analysisBySource || []).forEach(sourceAnalysis => {
+    (sourceAnalysis?.themes || []).forEach(theme => {
+      if (theme && !theme.id) theme.id = crypto.randomUUID();
+    });
+  });
+}
+
 /**
- * Main handler
+ * Traces quotes and computes participant and segment breakdowns, then assembles the report.
  */
-exports.handler = async (event) => {
-  if (event.httpMethod !== 'POST') {
-    return { statusCode: 405, body: 'Method Not Allowed' };
-  }
+function finalizeReport(aiJson, textSources, quantitativeResults, researchQuestion, codebook) {
+  assignThemeIds(aiJson);
+  const unmatchedThemes = codebook ? constrainToCodebook(aiJson, codebook) : null;
+  const quoteVerification = verifyAnalysisQuotes(aiJson, textSources);
+  // Interview theme counts are computed from transcript speakers rather than taken from the AI.
+  const participantCoverage = applyParticipantCoverage(aiJson, textSources);
+  const segmentation = applySegmentBreakdown(aiJson, textSources);
+  const codebookCoverage = codebook ? buildCodebookCoverage(aiJson, codebook, unmatchedThemes) : null;
+  const sentimentBreakdown = applySentimentBreakdown(aiJson, textSources);
+
+  return {
+    ...aiJson,
+    ...(quoteVerification ? { quoteVerification } : {}),
+    ...(participantCoverage ? { participantCoverage } : {}),
+    ...(segmentation ? { segmentation } : {}),
+    ...(codebookCoverage ? { codebookCoverage } : {}),
+    ...(sentimentBreakdown ? { sentimentBreakdown } : {}),
+    quantitativeResults,
+    researchQuestion
+  };
+}
 
-  try {
-    const body = JSON.parse(event.body || '{}');
-    const {
-      textData, // Kept for fallback
-      textSources, // === STEP 2: Receive new structure ===
-      quantitativeData,
-      researchQuestion,
-      reportConfig = { components: {} }
-    } = body;
-
-    // --- 1. API Key Check ---
-    const apiKey = process.env.GOOGLE_API_KEY || process.env.GEMINI_API_KEY;
-    if (!apiKey) {
-      return {
-        statusCode: 500,
-        body: JSON.stringify({
-          error: 'GOOGLE_API_KEY or GEMINI_API_KEY must be set in Netlify environment variables.'
-        })
-      };
-    }
+/**
+ * Runs the whole analysis pipeline for a request body.
+ *
+ * `onProgress(progress, partialResult)` is called at each stage (parsing, quantitative,
+ * analysing or chunk N of M, merging, verifying) with the report assembled so far, when there
+ * is one. `isCancelled()` is checked between stages and chunks. Errors carry the latest
+ * partial report as `error.partialResult`; cancellation errors have `code: 'cancelled'`.
+ */
+async function runAnalysis(body, { onProgress = async () => {}, isCancelled = async () => false } = {}) {
+  const {
+    textData, // Kept for fallback
+    textSources, // === STEP 2: Receive new structure ===
+    quantitativeData,
+    researchQuestion,
+    reportConfig = { components: {} }
+  } = body || {};
+
+  let partialResult = null;
+  const report = async (progress, partial) => {
+    if (partial) partialResult = { ...partial, partial: true };
+    await onProgress(progress, partial ? partialResult : null);
+  };
+  const checkCancelled = async () => {
+    if (await isCancelled()) throw createCancelledError();
+  };
 
-    // --- 2. Build API / Prompt Inputs ---
-    const MODEL = process.env.GEMINI_MODEL || 'gemini-2.0-flash';
-    const apiVersion = MODEL.startsWith('gemini-2.0') ? 'v1beta' : 'v1';
-    const apiUrl = `https://generativelanguage.googleapis.com/${apiVersion}/models/${MODEL}:generateContent?key=${apiKey}`;
+  try {
+    // --- 1. Provider / API Key Check ---
+    const provider = createProvider(process.env);
 
+    // --- 2. Build Prompt Inputs ---
+    await report({ stage: 'parsing', percent: 5, message: 'Preparing data for analysis...' });
     const instructions = [];
     if (reportConfig.focus) {
       instructions.push(
@@ -280,7 +482,7 @@ exports.handler = async (event) => {
       );
     }
     if (!reportConfig?.components?.sentiment) {
-      instructions.push("Do not include 'sentimentDistribution' field in your response.");
+      instructions.push("Do not include the 'sentimentDistribution' or 'fileSentiment' fields, or theme sentiment and emotions, in your response.");
     }
     if (!reportConfig?.components?.quotes) {
       instructions.push("Do not include the 'verbatimQuotes' field in your response.");
@@ -288,11 +490,31 @@ exports.handler = async (event) => {
     if (!reportConfig?.components?.soWhat) {
       instructions.push("Do not include the 'soWhatActions' field in your response.");
     }
+    if (Array.isArray(textSources) && textSources.some(isTranscriptSource)) {
+      instructions.push(
+        "Transcript files have one 'Speaker: text' line per turn and list their participants and moderators. " +
+        "Moderator turns are context only: never quote them or treat them as evidence. Quote participants without the speaker label."
+      );
+    }
+    if (Array.isArray(textSources) && textSources.some(hasSegments)) {
+      instructions.push(
+        "Some data is tagged with segments: a '[Segments: attribute=value]' line applies to a whole file, and a " +
+        "'[attribute=value]' prefix applies to a single row. Use the tags to compare segments in segmentProminence and " +
+        "segmentNarrative, using the attribute and segment names exactly as tagged. Never include the tags in quotes."
+      );
+    }
+    const codebook = getCodebook(reportConfig);
+    if (codebook) {
+      instructions.push(formatCodebookInstruction(codebook));
+    }
     const instructionText =
       instructions.length > 0 ? `\nInstructions:\n- ${instructions.join('\n- ')}` : '';
 
     const sentimentPrompt = reportConfig?.components?.sentiment
-      ? `\n- sentimentDistribution: An object with { positive: number, negative: number, neutral: number } as 0-1 decimals (e.g., 0.7, 0.2, 0.1).`
+      ? `\n- sentimentDistribution: An object with { positive: number, negative: number, neutral: number } as 0-1 decimals (e.g., 0.7, 0.2, 0.1).` +
+        `\n- fileSentiment: One entry per file in the data: { fileName (exactly as in its [File: ...] header), positive, negative, neutral (0-1 decimals), emotions }.` +
+        `\n- For each theme, also return sentiment { positive, negative, neutral } (0-1 decimals, the tone of that theme's evidence) and ` +
+        `emotions: up to 3 labels from ${EMOTION_LABELS.join(', ')} that the evidence clearly expresses (an empty array when none fits).`
       : '';
 
     const soWhatPrompt = reportConfig?.components?.soWhat
@@ -300,56 +522,187 @@ exports.handler = async (event) => {
       : '';
 
     let dataForPrompt = '';
+    let chunks = null;
     if (Array.isArray(textSources)) {
-      const sourcesByCategory = {};
-      textSources.forEach(source => {
-        const category = source.category || 'general';
-        if (!sourcesByCategory[category]) {
-          sourcesByCategory[category] = [];
-        }
-        sourcesByCategory[category].push(`---\n[File: ${source.fileName}]\n${source.content}\n---`);
-      });
-
-      for (const category in sourcesByCategory) {
-        const categoryName = category.replace(/_/g, ' ').replace(/\b\w/g, l => l.toUpperCase()); // e.g., "Usability Test"
-        dataForPrompt += `\n\n====================\nData from: ${categoryName}\n====================\n`;
-        dataForPrompt += sourcesByCategory[category].join('\n');
+      dataForPrompt = formatSourcesForPrompt(textSources);
+      const chunkBudget = Number(process.env.ANALYZE_CHUNK_TOKEN_BUDGET) || DEFAULT_CHUNK_TOKEN_BUDGET;
+      if (estimateTokens(dataForPrompt) > chunkBudget) {
+        chunks = chunkTextSources(textSources, chunkBudget);
       }
     } else if (textData) { // Fallback
       dataForPrompt = textData;
     }
-    
-    // --- 3. Run AI and Quantitative Analysis in Parallel ---
-    
-    const aiPromise = getAiAnalysis(
-      dataForPrompt,
-      researchQuestion,
-      reportConfig,
-      instructionText,
-      sentimentPrompt,
-      soWhatPrompt,
-      apiUrl
-    );
-    
-    const quantPromise = getQuantitativeResults(quantitativeData, reportConfig);
-
-    // Wait for both to finish
-    const [aiJson, quantitativeResults] = await Promise.all([
-      aiPromise,
-      quantPromise
-    ]);
-
-    // --- 4. Combine and Return ---
-    const finalReport = {
-      ...aiJson,
+
+    // --- 3. Quantitative analysis runs first (locally) so it survives an AI failure ---
+    await checkCancelled();
+    await report({ stage: 'quantitative', percent: 10, message: 'Calculating quantitative results...' });
+    const quantitativeResults = await getQuantitativeResults(quantitativeData, reportConfig);
+    const partialReport = (analysis) => ({
+      ...analysis,
       quantitativeResults,
       researchQuestion
-    };
+    });
+    await report(
+      { stage: 'quantitative', percent: 15, message: 'Quantitative results ready.' },
+      partialReport({ narrativeOverview: '', analysisBySource: [] })
+    );
 
-    return { statusCode: 200, body: JSON.stringify(finalReport) };
+    // --- 4. AI analysis, chunk by chunk for large data sets ---
+    await checkCancelled();
+    let aiJson;
+    if (chunks && chunks.length > 1) {
+      await report({
+        stage: 'chunk',
+        percent: 20,
+        message: `Analysing part 1 of ${chunks.length}...`,
+        chunk: 0,
+        chunks: chunks.length
+      });
+      aiJson = await getMapReduceAnalysis(chunks, researchQuestion, reportConfig, instructionText, sentimentPrompt, provider, {
+        checkCancelled,
+        onChunkComplete: (done, total, succeeded) => report(
+          {
+            stage: 'chunk',
+            percent: 20 + Math.round((done / total) * 60),
+            message: done < total ? `Analysed part ${done} of ${total}...` : `Analysed all ${total} parts.`,
+            chunk: done,
+            chunks: total
+          },
+          succeeded.length > 0 ? partialReport(mergeChunkAnalyses(succeeded, { codebook })) : null
+        ),
+        onMerging: (merged) => report(
+          { stage: 'merging', percent: 85, message: 'Merging themes and writing the overview...' },
+          partialReport(merged)
+        )
+      });
+    } else {
+      await report({ stage: 'analysing', percent: 20, message: 'Synthesizing insights...' });
+      aiJson = await getAiAnalysis(
+        dataForPrompt,
+        researchQuestion,
+        reportConfig,
+        instructionText,
+        sentimentPrompt,
+        soWhatPrompt,
+        provider,
+        Array.isArray(textSources) ? textSources : [{ fileName: 'data', content: textData || '' }]
+      );
+      aiJson = {
+        ...aiJson,
+        analysisMeta: {
+          provider: provider.name,
+          model: provider.model,
+          mode: 'single',
+          chunkCount: 1,
+          chunksProcessed: 1,
+          chunksFailed: 0
+        }
+      };
+    }
+
+    // --- 5. Verify quotes and trace evidence back to the uploaded sources ---
+    await checkCancelled();
+    await report({ stage: 'verifying', percent: 95, message: 'Verifying quotes against the sources...' });
+    return finalizeReport(aiJson, textSources, quantitativeResults, researchQuestion, codebook);
+  } catch (error) {
+    if (partialResult && Array.isArray(partialResult.analysisBySource) && partialResult.analysisBySource.length > 0) {
+      try {
+        // Partial themes are traced like a full report so their evidence can be checked.
+        const { partial, ...partialAnalysis } = partialResult;
+        partialResult = {
+          ...finalizeReport(
+            partialAnalysis,
+            textSources,
+            partialResult.quantitativeResults,
+            researchQuestion,
+            getCodebook(reportConfig)
+          ),
+          partial: true
+        };
+      } catch (finalizeError) {
+        console.error('Unable to finalize partial analysis:', finalizeError);
+      }
+    }
+    error.partialResult = partialResult;
+    throw error;
+  }
+}
+
+/**
+ * Runs an analysis for a job queued by analyze-start, recording progress, partial results
+ * and the final report or error. Only analyze-background calls this; the job must exist.
+ */
+async function runTrackedAnalysis(jobId, body) {
+  const existing = await getJob(jobId);
+  if (!existing) {
+    throw new Error('Analysis job not found or expired.');
+  }
+  // Progress writes are best effort: a store hiccup must not fail the analysis itself. Chunks
+  // finish in parallel, so writes are chained to keep each read-modify-write from overwriting
+  // a newer one with stale progress.
+  let progressWrites = Promise.resolve();
+  const onProgress = (progress, partialResult) => {
+    progressWrites = progressWrites.then(() => updateStatus(jobId, {
+      status: 'running',
+      progress,
+      ...(partialResult ? { partialResult } : {})
+    })).catch(error => console.error('Unable to record analysis progress:', error));
+    return progressWrites;
+  };
+
+  try {
+    const finalReport = await runAnalysis(body, {
+      onProgress,
+      isCancelled: () => isCancelRequested(jobId).catch(() => false)
+    });
+    await progressWrites;
+    await saveAnalysis(jobId, finalReport).catch(error => console.error('Unable to save analysis job:', error));
+    return finalReport;
+  } catch (error) {
+    await progressWrites;
+    const cancelled = error.code === 'cancelled';
+    await updateStatus(jobId, {
+      status: cancelled ? 'cancelled' : 'failed',
+      progress: {
+        percent: 100,
+        stage: cancelled ? 'cancelled' : 'failed',
+        message: cancelled ? 'Analysis cancelled.' : 'Analysis failed.'
+      },
+      error: { code: cancelled ? 'cancelled' : 'analysis_failed', message: error.message || String(error) },
+      partialResult: error.partialResult || null,
+      finishedAt: Date.now()
+    }).catch(storeError => console.error('Unable to record analysis failure:', storeError));
+    throw error;
+  }
+}
+
+/**
+ * Main handler: runs an analysis synchronously and returns the report. Tracked jobs (progress,
+ * partial results, cancel) go through analyze-start and analyze-background instead.
+ */
+exports.handler = async (event) => {
+  if (event.httpMethod !== 'POST') {
+    return { statusCode: 405, body: 'Method Not Allowed' };
+  }
+
+  let body;
+  try {
+    body = JSON.parse(event.body || '{}');
+  } catch {
+    return { statusCode: 400, body: JSON.stringify({ error: 'Invalid JSON body.' }) };
+  }
 
+  try {
+    const finalReport = await runAnalysis(body);
+    return { statusCode: 200, body: JSON.stringify(finalReport) };
   } catch (error) {
     console.error('Analyze function error:', error);
-    return { statusCode: 500, body: JSON.stringify({ error: error.message || String(error) }) };
+    return {
+      statusCode: 500,
+      body: JSON.stringify({ error: error.message || String(error), partialResult: error.partialResult || null })
+    };
   }
 };
+
+exports.runAnalysis = runAnalysis;
+exports.runTrackedAnalysis = runTrackedAnalysis;
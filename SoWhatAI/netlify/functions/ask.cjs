@@ -0,0 +1,221 @@
+const { estimateTokens, formatSourcesForPrompt, chunkTextSources } = require('./analysisChunker.cjs');
+const { createProvider } = require('./llmProviders.cjs');
+const { buildCorpusIndex, traceQuote } = require('./evidenceLocator.cjs');
+const { isTranscriptSource } = require('./transcriptSpeakers.cjs');
+
+// Sources above this estimated size are narrowed to the passages most relevant to the question.
+const DEFAULT_ASK_TOKEN_BUDGET = 60000;
+const PASSAGE_TOKEN_BUDGET = 1500;
+const MAX_QUESTION_LENGTH = 1000;
+const MAX_HISTORY = 4;
+const MAX_THEMES = 60;
+const MAX_CITATIONS = 6;
+
+const RESPONSE_HEADERS = {
+  'Content-Type': 'application/json',
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Headers': 'Content-Type',
+  'Access-Control-Allow-Methods': 'POST,OPTIONS'
+};
+
+const QUESTION_STOPWORDS = new Set((
+  'a an and are about as at be by can could did do does for from how i in is it of on or our so that the ' +
+  'their them they this to was we were what when where which who why will with would you your'
+).split(/\s+/));
+
+function json(statusCode, body) {
+  return {
+    statusCode,
+    headers: RESPONSE_HEADERS,
+    body: JSON.stringify(body)
+  };
+}
+
+function sanitizeText(value, fallback = '') {
+  return String(value || fallback).replace(/\s+/g, ' ').trim().slice(0, 320);
+}
+
+function questionWords(text) {
+  return new Set(
+    (String(text || '').toLowerCase().match(/[\p{L}\p{N}']+/gu) || []).filter(word => word.length > 2 && !QUESTION_STOPWORDS.has(word))
+  );
+}
+
+/**
+ * Keeps the prompt within budget: when the sources are too large, they are cut into passages
+ * and the passages sharing the most words with the question (and earlier questions) are kept.
+ * Returns { sources, truncated }.
+ */
+function selectContext(textSources, question, tokenBudget) {
+  if (estimateTokens(formatSourcesForPrompt(textSources)) <= tokenBudget) {
+    return { sources: textSources, truncated: false };
+  }
+  const words = questionWords(question);
+  const scored = chunkTextSources(textSources, PASSAGE_TOKEN_BUDGET)
+    .flat()
+    .map((passage, order) => {
+      const passageWords = (String(passage.content || '').toLowerCase().match(/[\p{L}\p{N}']+/gu) || []);
+      const score = passageWords.filter(word => words.has(word)).length / Math.sqrt(passageWords.length || 1);
+      return { passage, order, score };
+    })
+    .sort((a, b) => b.score - a.score || a.order - b.order);
+
+  const selected = [];
+  let used = 0;
+  scored.forEach(entry => {
+    const tokens = estimateTokens(entry.passage.content);
+    if (used + tokens > tokenBudget) return;
+    selected.push(entry);
+    used += tokens;
+  });
+  // Passages go back into source order so each file still reads top to bottom.
+  return { sources: selected.sort((a, b) => a.order - b.order).map(entry => entry.passage), truncated: true };
+}
+
+function formatThemes(themes) {
+  return (Array.isArray(themes) ? themes : [])
+    .slice(0, MAX_THEMES)
+    .map(theme => `- [${theme?.sourceType || 'general'}] ${String(theme?.theme || '').trim()} ` +
+      `(prominence ${Number(theme?.prominence) || 0}): ${String(theme?.themeNarrative || '').replace(/\s+/g, ' ').trim()}`)
+    .join('\n');
+}
+
+function formatHistory(history) {
+  return (Array.isArray(history) ? history : [])
+    .slice(-MAX_HISTORY)
+    .map(turn => `Q: ${String(turn?.question || '').trim()}\nA: ${String(turn?.answer || '').trim()}`)
+    .join('\n\n');
+}
+
+function buildAskPrompt({ question, researchQuestion, themes, history, sources }) {
+  const instructions = [
+    'Answer only from the data below. If the data does not answer the question, say so and set insufficientEvidence to true.',
+    'Support the answer with verbatim quotes copied exactly from the data (8–40 words each, no speaker labels).',
+    'Refer to files by name when it helps the reader find the evidence.'
+  ];
+  if (sources.some(isTranscriptSource)) {
+    instructions.push('Moderator turns in transcripts are context only: never quote them as evidence.');
+  }
+  const themeText = formatThemes(themes);
+  const historyText = formatHistory(history);
+  return (
+    `You are a senior insights analyst answering a follow-up question about a completed research analysis.\n` +
+    `Return a valid JSON object with:\n` +
+    `- answer: 2–6 sentences that answer the question directly, grounded in the data.\n` +
+    `- quotes: 1–${MAX_CITATIONS} verbatim quotes from the data that support the answer.\n` +
+    `- insufficientEvidence: true when the data does not contain enough evidence to answer.\n` +
+    `Instructions:\n- ${instructions.join('\n- ')}\n` +
+    `Return ONLY valid JSON conforming to the schema.\n\n` +
+    `Research Question: "${researchQuestion || ''}"\n\n` +
+    (themeText ? `Themes in the current report:\n${themeText}\n\n` : '') +
+    (historyText ? `Earlier questions in this conversation:\n${historyText}\n\n` : '') +
+    `Question: "${question}"\n\n` +
+    `Data:\n"""\n${formatSourcesForPrompt(sources)}\n"""\n`
+  );
+}
+
+const ANSWER_SCHEMA = {
+  type: "OBJECT",
+  properties: {
+    answer: { type: "STRING" },
+    quotes: { type: "ARRAY", items: { type: "STRING" } },
+    insufficientEvidence: { type: "BOOLEAN" }
+  },
+  required: ["answer", "quotes"]
+};
+
+/**
+ * Answers a question about a project's sources and current themes. Quotes in the answer are
+ * traced back to the full (not narrowed) sources, like report evidence. Returns
+ * { question, answer, citations, insufficientEvidence, context: { sources, truncated }, provider, model }.
+ */
+async function answerQuestion(body, env = process.env) {
+  const question = String(body?.question || '').replace(/\s+/g, ' ').trim().slice(0, MAX_QUESTION_LENGTH);
+  const textSources = (Array.isArray(body?.textSources) ? body.textSources : [])
+    .filter(source => source && typeof source.content === 'string' && source.content.trim());
+
+  const provider = createProvider(env);
+  const budget = Number(env.ASK_TOKEN_BUDGET) || DEFAULT_ASK_TOKEN_BUDGET;
+  const history = Array.isArray(body?.history) ? body.history : [];
+  const context = selectContext(textSources, [question, ...history.map(turn => turn?.question)].join(' '), budget);
+  const prompt = buildAskPrompt({
+    question,
+    researchQuestion: body?.researchQuestion,
+    themes: body?.themes,
+    history,
+    sources: context.sources
+  });
+
+  const aiJson = await provider.generateJson(prompt, ANSWER_SCHEMA, { question, textSources: context.sources });
+  const index = buildCorpusIndex(textSources);
+  const seen = new Set();
+  const citations = (Array.isArray(aiJson?.quotes) ? aiJson.quotes : [])
+    .map(quote => String(quote || '').trim())
+    .filter(quote => {
+      const key = quote.toLowerCase();
+      if (!quote || seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    })
+    .slice(0, MAX_CITATIONS)
+    .map(quote => traceQuote(index, quote));
+
+  return {
+    question,
+    answer: String(aiJson?.answer || '').trim(),
+    citations,
+    insufficientEvidence: Boolean(aiJson?.insufficientEvidence),
+    context: { sources: new Set(context.sources.map(source => source.fileName)).size, truncated: context.truncated },
+    provider: provider.name,
+    model: provider.model
+  };
+}
+
+/**
+ * "Ask your data": answers follow-up questions on a completed report, with quotes traced to
+ * the uploaded sources. Expects { question, textSources, themes?, history?, researchQuestion? };
+ * textSources are redacted in the browser exactly as for analyze.
+ */
+exports.handler = async (event, context) => {
+  if (context && typeof context === 'object') {
+    context.callbackWaitsForEmptyEventLoop = false;
+  }
+
+  if (event.httpMethod === 'OPTIONS') {
+    return json(200, { ok: true });
+  }
+
+  if (event.httpMethod !== 'POST') {
+    return json(405, { error: 'Method Not Allowed' });
+  }
+
+  let body = {};
+  try {
+    body = JSON.parse(event.body || '{}');
+  } catch {
+    return json(400, { error: 'Invalid JSON body.' });
+  }
+
+  if (!String(body.question || '').trim()) {
+    return json(400, { error: { code: 'missing_question', message: 'A question is required.' } });
+  }
+  if (!Array.isArray(body.textSources) || !body.textSources.some(source => String(source?.content || '').trim())) {
+    return json(400, {
+      error: { code: 'no_sources', message: 'This project has no stored text sources to answer from.' }
+    });
+  }
+
+  try {
+    return json(200, await answerQuestion(body));
+  } catch (error) {
+    console.error('Ask function error:', error);
+    return json(500, {
+      error: {
+        code: 'ask_failed',
+        message: sanitizeText(error?.message || String(error), 'Unable to answer the question.')
+      }
+    });
+  }
+};
+
+exports.answerQuestion = answerQuestion;
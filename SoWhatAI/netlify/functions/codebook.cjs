@@ -0,0 +1,79 @@
+// A codebook drives deductive analysis: themes are restricted to its codes instead of being
+// discovered from the data. Each entry is { code, definition, include, exclude }.
+// Name matching and coverage are shared with the report page, which recomputes coverage after theme edits.
+const { MAX_CODES, normaliseCode, buildCodebookCoverage } = require('../../src/utils/codebookCoverage.js');
+
+const MAX_FIELD_LENGTH = 600;
+
+function cleanField(value) {
+  return String(value ?? '').replace(/\s+/g, ' ').trim().slice(0, MAX_FIELD_LENGTH);
+}
+
+/**
+ * Returns the usable codes of a deductive report config (trimmed, de-duplicated by name), or
+ * null when the analysis is inductive or the codebook is empty.
+ */
+function getCodebook(reportConfig) {
+  if (reportConfig?.analysisMode !== 'deductive' || !Array.isArray(reportConfig.codebook)) return null;
+  const seen = new Set();
+  const codes = reportConfig.codebook
+    .map(entry => ({
+      code: cleanField(entry?.code),
+      definition: cleanField(entry?.definition),
+      include: cleanField(entry?.include),
+      exclude: cleanField(entry?.exclude)
+    }))
+    .filter(entry => {
+      const key = normaliseCode(entry.code);
+      if (!key || seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    })
+    .slice(0, MAX_CODES);
+  return codes.length > 0 ? codes : null;
+}
+
+function formatCodebookInstruction(codebook) {
+  const lines = codebook.map(entry => [
+    `  * ${entry.code}`,
+    entry.definition ? `: ${entry.definition}` : '',
+    entry.include ? ` Include: ${entry.include}` : '',
+    entry.exclude ? ` Exclude: ${entry.exclude}` : ''
+  ].join(''));
+  return (
+    "This is a deductive analysis against a predefined codebook. Only report themes for these codes, using each code " +
+    "name exactly as the theme name; apply the inclusion and exclusion criteria strictly, and do not create any other " +
+    "themes. Omit a code when the data holds no evidence for it.\n" +
+    `Codebook:\n${lines.join('\n')}`
+  );
+}
+
+/**
+ * Keeps only themes that match a code (by name, case-insensitively), renames them to the exact
+ * code name and tags them with `code`. Returns the titles of the themes that were dropped.
+ */
+function constrainToCodebook(analysis, codebook) {
+  const byName = new Map(codebook.map(entry => [normaliseCode(entry.code), entry]));
+  const unmatchedThemes = [];
+  (analysis?.analysisBySource || []).forEach(sourceAnalysis => {
+    sourceAnalysis.themes = (sourceAnalysis?.themes || []).filter(theme => {
+      const entry = byName.get(normaliseCode(theme?.theme));
+      if (!entry) {
+        unmatchedThemes.push(String(theme?.theme || '').trim());
+        return false;
+      }
+      theme.theme = entry.code;
+      theme.code = entry.code;
+      return true;
+    });
+  });
+  return unmatchedThemes.filter(Boolean);
+}
+
+module.exports = {
+  normaliseCode,
+  getCodebook,
+  formatCodebookInstruction,
+  constrainToCodebook,
+  buildCodebookCoverage
+};
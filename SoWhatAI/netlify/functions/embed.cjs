@@ -0,0 +1,77 @@
+const { createEmbeddingProvider } = require('./embeddingProviders.cjs');
+
+const MAX_TEXTS = 100;
+const MAX_TEXT_LENGTH = 2000;
+
+const RESPONSE_HEADERS = {
+  'Content-Type': 'application/json',
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Headers': 'Content-Type',
+  'Access-Control-Allow-Methods': 'POST,OPTIONS'
+};
+
+function json(statusCode, body) {
+  return {
+    statusCode,
+    headers: RESPONSE_HEADERS,
+    body: JSON.stringify(body)
+  };
+}
+
+function sanitizeText(value, fallback = '') {
+  return String(value || fallback).replace(/\s+/g, ' ').trim().slice(0, 320);
+}
+
+/**
+ * Embeds a batch of passages or search queries with the configured embedding provider.
+ * Responds 501 with code `embeddings_unavailable` when no provider is configured, so the
+ * browser can use its local TF-IDF search instead.
+ */
+exports.handler = async (event, context) => {
+  if (context && typeof context === 'object') {
+    context.callbackWaitsForEmptyEventLoop = false;
+  }
+
+  if (event.httpMethod === 'OPTIONS') {
+    return json(200, { ok: true });
+  }
+
+  if (event.httpMethod !== 'POST') {
+    return json(405, { error: 'Method Not Allowed' });
+  }
+
+  let body = {};
+  try {
+    body = JSON.parse(event.body || '{}');
+  } catch {
+    return json(400, { error: 'Invalid JSON body.' });
+  }
+
+  const texts = Array.isArray(body.texts)
+    ? body.texts.map(text => String(text || '').slice(0, MAX_TEXT_LENGTH))
+    : [];
+  if (texts.length === 0 || texts.length > MAX_TEXTS) {
+    return json(400, { error: `texts must be an array of 1 to ${MAX_TEXTS} strings.` });
+  }
+
+  try {
+    const provider = createEmbeddingProvider(process.env);
+    if (!provider) {
+      return json(501, {
+        error: { code: 'embeddings_unavailable', message: 'No embedding provider is configured.' }
+      });
+    }
+    const vectors = await provider.embed(texts);
+    if (vectors.length !== texts.length || vectors.some(vector => !Array.isArray(vector) || vector.length === 0)) {
+      throw new Error('The embedding provider returned an unexpected number of vectors.');
+    }
+    return json(200, { provider: provider.name, model: provider.model, vectors });
+  } catch (error) {
+    return json(500, {
+      error: {
+        code: 'embedding_failed',
+        message: sanitizeText(error?.message || String(error), 'Unable to embed text.')
+      }
+    });
+  }
+};
@@ -0,0 +1,104 @@
+const { firstEnv, trimTrailingSlash, postJson } = require('./llmProviders.cjs');
+
+const DEFAULT_GEMINI_EMBEDDING_MODEL = 'text-embedding-004';
+const DEFAULT_OPENAI_EMBEDDING_MODEL = 'text-embedding-3-small';
+const DEFAULT_OPENAI_BASE_URL = 'https://api.openai.com/v1';
+const DEFAULT_OLLAMA_EMBEDDING_MODEL = 'nomic-embed-text';
+const DEFAULT_OLLAMA_BASE_URL = 'http://localhost:11434/v1';
+const PROVIDER_ALIASES = { google: 'gemini', local: 'ollama' };
+
+function canonicalProvider(value, fallback) {
+  const name = String(value || fallback).trim().toLowerCase();
+  return PROVIDER_ALIASES[name] || name;
+}
+
+// LLM_API_KEY belongs to LLM_PROVIDER, so it is only reused when embeddings go to the same
+// provider; otherwise a key for one vendor would be sent to another.
+function keyEnvFor(env, name, providerKeyEnv) {
+  const sharesLlmKey = canonicalProvider(env.LLM_PROVIDER, 'gemini') === name;
+  return ['EMBEDDING_API_KEY', ...(sharesLlmKey ? ['LLM_API_KEY'] : []), ...providerKeyEnv];
+}
+
+function createGeminiEmbeddingProvider(env) {
+  const apiKey = firstEnv(env, keyEnvFor(env, 'gemini', ['GOOGLE_API_KEY', 'GEMINI_API_KEY']));
+  if (!apiKey) {
+    throw new Error('EMBEDDING_API_KEY, GOOGLE_API_KEY or GEMINI_API_KEY must be set for gemini embeddings.');
+  }
+  const model = firstEnv(env, ['EMBEDDING_MODEL']) || DEFAULT_GEMINI_EMBEDDING_MODEL;
+  const apiUrl = `https://generativelanguage.googleapis.com/v1beta/models/${model}:batchEmbedContents?key=${apiKey}`;
+
+  return {
+    name: 'gemini',
+    model,
+    async embed(texts) {
+      const result = await postJson(apiUrl, {}, {
+        requests: texts.map(text => ({ model: `models/${model}`, content: { parts: [{ text }] } }))
+      }, 'Google AI embeddings');
+      return (result?.embeddings || []).map(embedding => embedding?.values || []);
+    }
+  };
+}
+
+function createOpenAiCompatibleEmbeddingProvider(env, { name, requireKey, defaultModel, defaultBaseUrl, keyEnv, baseUrlEnv }) {
+  const apiKey = firstEnv(env, keyEnvFor(env, name, keyEnv));
+  if (requireKey && !apiKey) {
+    throw new Error(`EMBEDDING_API_KEY or ${keyEnv.join(' or ')} must be set for ${name} embeddings.`);
+  }
+  const model = firstEnv(env, ['EMBEDDING_MODEL']) || defaultModel;
+  const baseUrl = trimTrailingSlash(firstEnv(env, ['EMBEDDING_BASE_URL', ...baseUrlEnv]) || defaultBaseUrl);
+
+  return {
+    name,
+    model,
+    async embed(texts) {
+      const result = await postJson(`${baseUrl}/embeddings`, apiKey ? { Authorization: `Bearer ${apiKey}` } : {}, {
+        model,
+        input: texts
+      }, `${name} embeddings`);
+      return (result?.data || [])
+        .slice()
+        .sort((a, b) => (a.index ?? 0) - (b.index ?? 0))
+        .map(item => item?.embedding || []);
+    }
+  };
+}
+
+/**
+ * Creates the embedding provider selected by EMBEDDING_PROVIDER (gemini, openai or ollama).
+ * Returns null when none is configured: the browser then falls back to local TF-IDF search.
+ */
+function createEmbeddingProvider(env = process.env) {
+  const providerName = canonicalProvider(env.EMBEDDING_PROVIDER, 'none');
+  switch (providerName) {
+    case 'none':
+    case 'tfidf':
+    case '':
+      return null;
+    case 'gemini':
+      return createGeminiEmbeddingProvider(env);
+    case 'openai':
+      return createOpenAiCompatibleEmbeddingProvider(env, {
+        name: 'openai',
+        requireKey: true,
+        defaultModel: DEFAULT_OPENAI_EMBEDDING_MODEL,
+        defaultBaseUrl: DEFAULT_OPENAI_BASE_URL,
+        keyEnv: ['OPENAI_API_KEY'],
+        baseUrlEnv: ['OPENAI_BASE_URL']
+      });
+    case 'ollama':
+      return createOpenAiCompatibleEmbeddingProvider(env, {
+        name: 'ollama',
+        requireKey: false,
+        defaultModel: DEFAULT_OLLAMA_EMBEDDING_MODEL,
+        defaultBaseUrl: DEFAULT_OLLAMA_BASE_URL,
+        keyEnv: [],
+        baseUrlEnv: ['OLLAMA_BASE_URL']
+      });
+    default:
+      throw new Error(`Unknown EMBEDDING_PROVIDER "${providerName}". Use gemini, openai, ollama or none.`);
+  }
+}
+
+module.exports = {
+  createEmbeddingProvider
+};
@@ -0,0 +1,258 @@
+const { isTranscriptSource, speakerLines, lineAt } = require('./transcriptSpeakers.cjs');
+
+const VERIFIED_THRESHOLD = 0.8;
+// Words must also appear in the quote's order, and very short quotes match almost anywhere.
+const ORDER_THRESHOLD = 0.8;
+const MIN_QUOTE_WORDS = 4;
+const CONTEXT_CHARS = 160;
+const MAX_CANDIDATES = 5;
+const TOKEN_PATTERN = /[\p{L}\p{N}]+(?:['‘’ʼ][\p{L}\p{N}]+)*/gu;
+
+// Tokens keep their character offsets in the original text so matches can be located.
+function tokenizeWithOffsets(text) {
+  const source = String(text || '');
+  const tokens = [];
+  let match;
+  TOKEN_PATTERN.lastIndex = 0;
+  while ((match = TOKEN_PATTERN.exec(source)) !== null) {
+    tokens.push({
+      word: match[0].toLowerCase().replace(/[‘’ʼ]/g, "'"),
+      start: match.index,
+      end: match.index + match[0].length
+    });
+  }
+  return tokens;
+}
+
+// In transcripts only participant speech is quotable: speaker labels and moderator turns
+// are left out of the index, so quotes drawn from them cannot be verified.
+function quotableTokens(source) {
+  const tokens = tokenizeWithOffsets(source.content);
+  if (!isTranscriptSource(source)) return { tokens, lines: null };
+
+  const moderators = new Set((source.moderators || []).map(label => String(label).trim().toLowerCase()));
+  const lines = speakerLines(source.content);
+  return {
+    lines,
+    tokens: tokens.filter(token => {
+      const line = lineAt(lines, token.start);
+      return line && token.start >= line.textStart && !moderators.has(String(line.speaker || '').toLowerCase());
+    })
+  };
+}
+
+/**
+ * Tokenizes every text source once and builds a word → positions index for quote lookup.
+ */
+function buildCorpusIndex(textSources) {
+  const sources = (Array.isArray(textSources) ? textSources : []).map(source => {
+    const { tokens, lines } = quotableTokens(source);
+    return {
+      fileName: source.fileName,
+      category: source.category || 'general',
+      type: source.type || 'text',
+      content: String(source.content || ''),
+      rowNumbers: Array.isArray(source.rowNumbers) ? source.rowNumbers : null,
+      tokens,
+      lines
+    };
+  });
+
+  const positions = new Map();
+  sources.forEach((source, sourceIndex) => {
+    source.tokens.forEach((token, tokenIndex) => {
+      if (!positions.has(token.word)) positions.set(token.word, []);
+      positions.get(token.word).push([sourceIndex, tokenIndex]);
+    });
+  });
+
+  return { sources, positions };
+}
+
+// Length of the longest common subsequence of two word lists.
+function commonSubsequenceLength(left, right) {
+  let previous = new Array(right.length + 1).fill(0);
+  for (let i = 1; i <= left.length; i++) {
+    const current = new Array(right.length + 1).fill(0);
+    for (let j = 1; j <= right.length; j++) {
+      current[j] = left[i - 1] === right[j - 1]
+        ? previous[j - 1] + 1
+        : Math.max(previous[j], current[j - 1]);
+    }
+    previous = current;
+  }
+  return previous[right.length];
+}
+
+// Scores a window by word overlap and reports the first/last matched tokens, so the
+// located span hugs the matched words rather than the window edges. `order` is the share of
+// the quote's words found in the same order, so shuffled or reworded quotes score low.
+function windowOverlap(quoteWords, sourceTokens, start) {
+  const remaining = new Map();
+  quoteWords.forEach(word => remaining.set(word, (remaining.get(word) || 0) + 1));
+  let matched = 0;
+  let first = -1;
+  let last = -1;
+  const end = Math.min(sourceTokens.length, start + quoteWords.length);
+  for (let i = Math.max(0, start); i < end; i++) {
+    const count = remaining.get(sourceTokens[i].word) || 0;
+    if (count > 0) {
+      matched += 1;
+      remaining.set(sourceTokens[i].word, count - 1);
+      if (first === -1) first = i;
+      last = i;
+    }
+  }
+  const windowWords = sourceTokens.slice(Math.max(0, start), end).map(token => token.word);
+  return {
+    score: matched / quoteWords.length,
+    order: commonSubsequenceLength(quoteWords, windowWords) / quoteWords.length,
+    first,
+    last
+  };
+}
+
+/**
+ * Finds the passage that best matches a quote. Candidate windows are found by voting on
+ * aligned start positions, then scored by word overlap so small edits (anonymised names,
+ * dropped filler words, punctuation) still match.
+ */
+function locateQuote(index, quote) {
+  const quoteWords = tokenizeWithOffsets(quote).map(token => token.word);
+  if (quoteWords.length === 0) return null;
+
+  const votes = new Map();
+  quoteWords.forEach((word, offset) => {
+    (index.positions.get(word) || []).forEach(([sourceIndex, tokenIndex]) => {
+      const key = `${sourceIndex}:${tokenIndex - offset}`;
+      votes.set(key, (votes.get(key) || 0) + 1);
+    });
+  });
+  if (votes.size === 0) return null;
+
+  const candidates = [...votes.entries()]
+    .sort((a, b) => b[1] - a[1])
+    .slice(0, MAX_CANDIDATES);
+
+  let best = null;
+  candidates.forEach(([key]) => {
+    const [sourceIndex, start] = key.split(':').map(Number);
+    const source = index.sources[sourceIndex];
+    // Allow the window to shift slightly when words were dropped or inserted.
+    for (const shift of [0, -1, 1, -2, 2]) {
+      const { score, order, first, last } = windowOverlap(quoteWords, source.tokens, start + shift);
+      if (first !== -1 && (!best || score > best.score || (score === best.score && order > best.order))) {
+        best = { sourceIndex, first, last, score, order, words: quoteWords.length };
+      }
+    }
+  });
+  return best;
+}
+
+function lineNumberAt(text, offset) {
+  let line = 0;
+  for (let i = 0; i < offset && i < text.length; i++) {
+    if (text.charCodeAt(i) === 10) line += 1;
+  }
+  return line;
+}
+
+function spreadsheetRow(source, line) {
+  return source.rowNumbers?.[line] ?? line + 2;
+}
+
+function buildContext(content, start, end) {
+  const from = Math.max(0, start - CONTEXT_CHARS);
+  const to = Math.min(content.length, end + CONTEXT_CHARS);
+  return {
+    before: `${from > 0 ? '…' : ''}${content.slice(from, start)}`.replace(/\s+/g, ' ').trimStart(),
+    match: content.slice(start, end).replace(/\s+/g, ' '),
+    after: `${content.slice(end, to)}${to < content.length ? '…' : ''}`.replace(/\s+/g, ' ').trimEnd()
+  };
+}
+
+function round2(value) {
+  return Number(Number(value || 0).toFixed(2));
+}
+
+function isVerifiedMatch(match) {
+  return Boolean(match)
+    && match.words >= MIN_QUOTE_WORDS
+    && match.score >= VERIFIED_THRESHOLD
+    && match.order >= ORDER_THRESHOLD;
+}
+
+/**
+ * Resolves a quote to an evidence object with its source file, location, similarity score
+ * (share of the quote's words found in the matched passage) and a verified flag. Verified
+ * quotes have at least MIN_QUOTE_WORDS words, mostly in the source's word order.
+ * Spreadsheet sources contain one response per line, so a row number is reported instead of
+ * relying on the character offset alone: the line's original row from `rowNumbers` (blank rows
+ * are dropped on upload), or its position after the header row. Transcript quotes also
+ * report the participant who said them.
+ */
+function traceQuote(index, quote) {
+  const text = String(quote || '').replace(/\s+/g, ' ').trim();
+  const match = locateQuote(index, text);
+  const similarity = round2(match ? match.score : 0);
+  if (!isVerifiedMatch(match)) {
+    return { quote: text, verified: false, similarity, fileName: null, category: null, offset: null, row: null, speaker: null, context: null };
+  }
+
+  const source = index.sources[match.sourceIndex];
+  const startOffset = source.tokens[match.first].start;
+  const endOffset = source.tokens[match.last].end;
+
+  return {
+    quote: text,
+    verified: true,
+    similarity,
+    fileName: source.fileName,
+    category: source.category,
+    offset: startOffset,
+    row: source.type === 'spreadsheet' ? spreadsheetRow(source, lineNumberAt(source.content, startOffset)) : null,
+    speaker: source.lines ? lineAt(source.lines, startOffset)?.speaker || null : null,
+    context: buildContext(source.content, startOffset, endOffset)
+  };
+}
+
+/**
+ * Verifies theme evidence and verbatim quotes against the uploaded sources, replacing the
+ * strings with traced evidence objects. Returns a summary of how many quotes were verified.
+ */
+function verifyAnalysisQuotes(analysis, textSources) {
+  if (!analysis || !Array.isArray(textSources) || textSources.length === 0) {
+    return null;
+  }
+  const index = buildCorpusIndex(textSources);
+  const trace = (items) => (Array.isArray(items) ? items : [])
+    .map(item => traceQuote(index, typeof item === 'string' ? item : item?.quote));
+
+  const traced = [];
+  (analysis.analysisBySource || []).forEach(sourceAnalysis => {
+    (sourceAnalysis?.themes || []).forEach(theme => {
+      theme.evidence = trace(theme.evidence);
+      traced.push(...theme.evidence);
+    });
+  });
+  if (Array.isArray(analysis.verbatimQuotes)) {
+    analysis.verbatimQuotes = trace(analysis.verbatimQuotes);
+    traced.push(...analysis.verbatimQuotes);
+  }
+
+  const verified = traced.filter(item => item.verified).length;
+  return {
+    total: traced.length,
+    verified,
+    unverified: traced.length - verified,
+    threshold: VERIFIED_THRESHOLD
+  };
+}
+
+module.exports = {
+  VERIFIED_THRESHOLD,
+  buildCorpusIndex,
+  locateQuote,
+  traceQuote,
+  verifyAnalysisQuotes
+};
@@ -0,0 +1,236 @@
+const { createMockProvider } = require('./mockProvider.cjs');
+
+const DEFAULT_GEMINI_MODEL = 'gemini-2.0-flash';
+const DEFAULT_OPENAI_MODEL = 'gpt-4o-mini';
+const DEFAULT_OPENAI_BASE_URL = 'https://api.openai.com/v1';
+const DEFAULT_ANTHROPIC_MODEL = 'claude-3-5-sonnet-latest';
+const DEFAULT_ANTHROPIC_BASE_URL = 'https://api.anthropic.com';
+const DEFAULT_OLLAMA_MODEL = 'llama3.1';
+const DEFAULT_OLLAMA_BASE_URL = 'http://localhost:11434/v1';
+const ANTHROPIC_VERSION = '2023-06-01';
+const ANTHROPIC_MAX_TOKENS = 8192;
+const ANTHROPIC_TOOL_NAME = 'submit_analysis';
+
+function firstEnv(env, names) {
+  for (const name of names) {
+    const value = String(env[name] || '').trim();
+    if (value) return value;
+  }
+  return '';
+}
+
+function trimTrailingSlash(url) {
+  return String(url || '').replace(/\/+$/, '');
+}
+
+/**
+ * Converts the Gemini-style schema used by analyze.cjs (upper-case types) into standard JSON Schema.
+ */
+function toJsonSchema(schema) {
+  if (!schema || typeof schema !== 'object') return schema;
+  const out = {};
+  if (schema.type) out.type = String(schema.type).toLowerCase();
+  if (schema.description) out.description = schema.description;
+  if (Array.isArray(schema.enum)) out.enum = schema.enum;
+  if (schema.properties) {
+    out.properties = {};
+    Object.entries(schema.properties).forEach(([key, value]) => {
+      out.properties[key] = toJsonSchema(value);
+    });
+  }
+  if (schema.items) out.items = toJsonSchema(schema.items);
+  if (Array.isArray(schema.required)) out.required = schema.required;
+  return out;
+}
+
+function stripCodeFences(text) {
+  return String(text || '')
+    .trim()
+    .replace(/^```json\s*/i, '')
+    .replace(/^```\s*/i, '')
+    .replace(/```$/i, '')
+    .trim();
+}
+
+function parseAiJson(text) {
+  const cleaned = stripCodeFences(text);
+  try {
+    return JSON.parse(cleaned);
+  } catch {
+    console.error('Failed to parse AI response as JSON:', cleaned.slice(0, 1500));
+    throw new Error('The AI returned an invalid response that could not be parsed.');
+  }
+}
+
+async function postJson(url, headers, payload, label) {
+  const r = await fetch(url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', ...headers },
+    body: JSON.stringify(payload)
+  });
+
+  const rawText = await r.text().catch(() => '');
+  if (!r.ok) {
+    let details = rawText;
+    try {
+      const maybeJson = JSON.parse(rawText);
+      details = JSON.stringify(maybeJson, null, 2);
+    } catch {}
+    console.error(`${label} API Error:`, r.status, details);
+    // Throw an error to be caught by the main handler
+    throw new Error(`${label} API Error ${r.status}: ${details.slice(0, 2000)}`);
+  }
+
+  try {
+    return JSON.parse(rawText);
+  } catch {
+    console.error('Non-JSON response from API:', rawText.slice(0, 1000));
+    throw new Error(`Unexpected non-JSON response from ${label}.`);
+  }
+}
+
+function createGeminiProvider(env) {
+  const apiKey = firstEnv(env, ['LLM_API_KEY', 'GOOGLE_API_KEY', 'GEMINI_API_KEY']);
+  if (!apiKey) {
+    throw new Error('GOOGLE_API_KEY or GEMINI_API_KEY must be set in Netlify environment variables.');
+  }
+  const model = firstEnv(env, ['LLM_MODEL', 'GEMINI_MODEL']) || DEFAULT_GEMINI_MODEL;
+  const apiVersion = model.startsWith('gemini-2.0') ? 'v1beta' : 'v1';
+  const apiUrl = `https://generativelanguage.googleapis.com/${apiVersion}/models/${model}:generateContent?key=${apiKey}`;
+
+  return {
+    name: 'gemini',
+    label: 'Google AI',
+    model,
+    async generateJson(prompt, responseSchema) {
+      const result = await postJson(apiUrl, {}, {
+        contents: [{ role: 'user', parts: [{ text: prompt }] }],
+        generationConfig: {
+          response_mime_type: 'application/json',
+          response_schema: responseSchema
+        }
+      }, 'Google AI');
+      return parseAiJson(result?.candidates?.[0]?.content?.parts?.[0]?.text ?? '');
+    }
+  };
+}
+
+function createOpenAiCompatibleProvider(env, { name, label, requireKey, defaultModel, defaultBaseUrl, keyEnv, modelEnv, baseUrlEnv }) {
+  const apiKey = firstEnv(env, ['LLM_API_KEY', ...keyEnv]);
+  if (requireKey && !apiKey) {
+    throw new Error(`LLM_API_KEY or ${keyEnv.join(' or ')} must be set for the ${name} provider.`);
+  }
+  const model = firstEnv(env, ['LLM_MODEL', ...modelEnv]) || defaultModel;
+  const baseUrl = trimTrailingSlash(firstEnv(env, ['LLM_BASE_URL', ...baseUrlEnv]) || defaultBaseUrl);
+  // Some OpenAI-compatible servers only understand plain JSON mode.
+  const responseFormat = String(env.LLM_RESPONSE_FORMAT || 'json_schema').toLowerCase();
+
+  return {
+    name,
+    label,
+    model,
+    async generateJson(prompt, responseSchema) {
+      const result = await postJson(`${baseUrl}/chat/completions`, apiKey ? { Authorization: `Bearer ${apiKey}` } : {}, {
+        model,
+        messages: [{ role: 'user', content: prompt }],
+        response_format: responseFormat === 'json_object'
+          ? { type: 'json_object' }
+          : {
+              type: 'json_schema',
+              json_schema: { name: 'analysis', schema: toJsonSchema(responseSchema), strict: false }
+            }
+      }, label);
+      return parseAiJson(result?.choices?.[0]?.message?.content ?? '');
+    }
+  };
+}
+
+function createAnthropicProvider(env) {
+  const apiKey = firstEnv(env, ['LLM_API_KEY', 'ANTHROPIC_API_KEY']);
+  if (!apiKey) {
+    throw new Error('LLM_API_KEY or ANTHROPIC_API_KEY must be set for the anthropic provider.');
+  }
+  const model = firstEnv(env, ['LLM_MODEL', 'ANTHROPIC_MODEL']) || DEFAULT_ANTHROPIC_MODEL;
+  const baseUrl = trimTrailingSlash(firstEnv(env, ['LLM_BASE_URL', 'ANTHROPIC_BASE_URL']) || DEFAULT_ANTHROPIC_BASE_URL);
+
+  return {
+    name: 'anthropic',
+    label: 'Anthropic',
+    model,
+    async generateJson(prompt, responseSchema) {
+      // Structured output is enforced by forcing a single tool call whose input is the schema.
+      const result = await postJson(`${baseUrl}/v1/messages`, {
+        'x-api-key': apiKey,
+        'anthropic-version': ANTHROPIC_VERSION
+      }, {
+        model,
+        max_tokens: ANTHROPIC_MAX_TOKENS,
+        messages: [{ role: 'user', content: prompt }],
+        tools: [{
+          name: ANTHROPIC_TOOL_NAME,
+          description: 'Submit the analysis as structured JSON.',
+          input_schema: toJsonSchema(responseSchema)
+        }],
+        tool_choice: { type: 'tool', name: ANTHROPIC_TOOL_NAME }
+      }, 'Anthropic');
+
+      const blocks = Array.isArray(result?.content) ? result.content : [];
+      const toolUse = blocks.find(block => block?.type === 'tool_use' && block.input);
+      if (toolUse) return toolUse.input;
+      const text = blocks.filter(block => block?.type === 'text').map(block => block.text).join('');
+      return parseAiJson(text);
+    }
+  };
+}
+
+/**
+ * Creates the LLM provider selected by LLM_PROVIDER (gemini, openai, anthropic, ollama or mock).
+ * Every provider exposes generateJson(prompt, responseSchema, context); `context` holds the
+ * structured inputs the prompt was built from and is only read by the mock provider.
+ * Throws when the selected provider is missing required configuration.
+ */
+function createProvider(env = process.env) {
+  const providerName = String(env.LLM_PROVIDER || 'gemini').trim().toLowerCase();
+  switch (providerName) {
+    case 'gemini':
+    case 'google':
+      return createGeminiProvider(env);
+    case 'openai':
+      return createOpenAiCompatibleProvider(env, {
+        name: 'openai',
+        label: 'OpenAI',
+        requireKey: true,
+        defaultModel: DEFAULT_OPENAI_MODEL,
+        defaultBaseUrl: DEFAULT_OPENAI_BASE_URL,
+        keyEnv: ['OPENAI_API_KEY'],
+        modelEnv: ['OPENAI_MODEL'],
+        baseUrlEnv: ['OPENAI_BASE_URL']
+      });
+    case 'ollama':
+    case 'local':
+      return createOpenAiCompatibleProvider(env, {
+        name: 'ollama',
+        label: 'Local model',
+        requireKey: false,
+        defaultModel: DEFAULT_OLLAMA_MODEL,
+        defaultBaseUrl: DEFAULT_OLLAMA_BASE_URL,
+        keyEnv: [],
+        modelEnv: ['OLLAMA_MODEL'],
+        baseUrlEnv: ['OLLAMA_BASE_URL']
+      });
+    case 'anthropic':
+      return createAnthropicProvider(env);
+    case 'mock':
+      return createMockProvider();
+    default:
+      throw new Error(`Unknown LLM_PROVIDER "${providerName}". Use gemini, openai, anthropic, ollama or mock.`);
+  }
+}
+
+module.exports = {
+  createProvider,
+  toJsonSchema,
+  firstEnv,
+  trimTrailingSlash,
+  postJson
+};
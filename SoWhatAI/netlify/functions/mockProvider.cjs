@@ -0,0 +1,373 @@
+// Deterministic offline provider for local development and automated tests (LLM_PROVIDER=mock).
+// Output is derived from keyword frequency in the text sources the caller passes alongside the
+// prompt, so the same input always produces the same schema-valid analysis without any network calls.
+
+const { cleanSegments } = require('./segmentThemes.cjs');
+const { isTranscriptSource, sourceTypeKey, speakerLines } = require('./transcriptSpeakers.cjs');
+
+const MOCK_MODEL = 'mock-keyword-v1';
+const THEMES_PER_SOURCE = 4;
+const MAX_VERBATIM_QUOTES = 5;
+const EMOJIS = ['💡', '🧭', '⚙️', '💬', '📈', '🧩'];
+
+const STOPWORDS = new Set((
+  'about above after again against also because been before being below between both could did does doing down during ' +
+  'each even ever every from further have having here into just more most much must never only other ought over ' +
+  'really same should some such than that their theirs them then there these they thing things this those through ' +
+  'under until very want were what when where which while will with would your yours actually always anything ' +
+  'going know like make maybe need something sure think time using well yeah okay people kind sort lot lots ' +
+  'interviewer participant data file general interview survey usability test other part'
+).split(/\s+/));
+
+const POSITIVE_WORDS = new Set((
+  'good great love like easy helpful happy fast clear simple enjoy enjoyed excellent nice useful intuitive ' +
+  'reliable smooth quick better best pleased satisfied convenient'
+).split(/\s+/));
+
+const NEGATIVE_WORDS = new Set((
+  'bad hate slow confusing difficult hard frustrating frustrated annoying broken problem problems issue issues ' +
+  'expensive unclear poor worse worst error errors fail failed failing complicated painful stuck bug bugs'
+).split(/\s+/));
+
+// Mock emotion labels are keyed on a few telltale words.
+const EMOTION_WORDS = {
+  frustration: new Set('frustrating frustrated annoying annoyed broken stuck painful hate'.split(' ')),
+  confusion: new Set('confusing confused unclear complicated lost'.split(' ')),
+  delight: new Set('love great excellent enjoy enjoyed pleased amazing'.split(' '))
+};
+
+function round2(value) {
+  return Number(Number(value || 0).toFixed(2));
+}
+
+function titleCase(word) {
+  return word.charAt(0).toUpperCase() + word.slice(1);
+}
+
+function wordCount(text) {
+  return (String(text || '').trim().match(/\S+/g) || []).length;
+}
+
+function tokenize(text) {
+  return String(text || '').toLowerCase().match(/[a-z][a-z'-]+/g) || [];
+}
+
+// The caller passes the structured text sources behind the prompt, so the mock never has to
+// read the prompt's wording. Transcripts keep only participant turns, and every line carries
+// its row or file segments.
+function readSources(textSources) {
+  return (Array.isArray(textSources) ? textSources : [])
+    .filter(source => source && typeof source.content === 'string' && source.content.trim())
+    .map(source => {
+      const content = source.content;
+      const fileSegments = cleanSegments(source.segments);
+      const rowSegments = Array.isArray(source.rowSegments) ? source.rowSegments : [];
+      const segmentLines = content.split('\n')
+        .map((text, index) => ({ text, segments: cleanSegments(rowSegments[index]) || fileSegments }))
+        .filter(line => line.segments && line.text.trim());
+      const base = { fileName: String(source.fileName || 'data'), category: sourceTypeKey(source.category), segmentLines };
+      if (!isTranscriptSource(source)) return { ...base, content, turns: null };
+
+      const participants = new Set(source.participants.map(label => String(label).trim()));
+      const turns = speakerLines(content)
+        .filter(line => line.speaker && participants.has(line.speaker))
+        .map(line => ({ speaker: line.speaker, text: content.slice(line.textStart, line.end).trim() }));
+      return { ...base, content: turns.map(turn => turn.text).join('\n'), turns };
+    });
+}
+
+function splitSentences(text) {
+  return String(text || '')
+    .split(/(?<=[.!?])\s+|\n+/)
+    .map(sentence => sentence.replace(/\s+/g, ' ').trim())
+    .filter(Boolean);
+}
+
+function quoteCandidates(text) {
+  return splitSentences(text).filter(sentence => {
+    const count = wordCount(sentence);
+    return count >= 8 && count <= 30;
+  });
+}
+
+function topKeywords(sources, limit) {
+  const counts = new Map();
+  const fileHits = new Map();
+  sources.forEach(source => {
+    const seen = new Set();
+    tokenize(source.content).forEach(word => {
+      if (word.length < 4 || STOPWORDS.has(word)) return;
+      counts.set(word, (counts.get(word) || 0) + 1);
+      seen.add(word);
+    });
+    seen.forEach(word => fileHits.set(word, (fileHits.get(word) || 0) + 1));
+  });
+  return [...counts.entries()]
+    .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+    .slice(0, limit)
+    .map(([word, count]) => ({ word, count, files: fileHits.get(word) || 0 }));
+}
+
+// Deductive runs: each code is matched on the most frequent of its own words in the sources.
+function codeKeywords(codes, sources) {
+  const counts = new Map();
+  const fileHits = new Map();
+  sources.forEach(source => {
+    const seen = new Set();
+    tokenize(source.content).forEach(word => {
+      counts.set(word, (counts.get(word) || 0) + 1);
+      seen.add(word);
+    });
+    seen.forEach(word => fileHits.set(word, (fileHits.get(word) || 0) + 1));
+  });
+  return codes
+    .map(code => {
+      const word = tokenize(code)
+        .filter(candidate => candidate.length >= 4 && counts.has(candidate))
+        .sort((a, b) => counts.get(b) - counts.get(a))[0];
+      return word ? { code, word, count: counts.get(word), files: fileHits.get(word) || 0 } : null;
+    })
+    .filter(Boolean)
+    .sort((a, b) => b.count - a.count);
+}
+
+function buildTheme(keyword, index, maxCount, sources, { sentiment = false } = {}) {
+  const label = titleCase(keyword.word);
+  const themeSentences = sources
+    .flatMap(source => splitSentences(source.content))
+    .filter(sentence => sentence.toLowerCase().includes(keyword.word));
+  const evidence = sources
+    .flatMap(source => quoteCandidates(source.content))
+    .filter(sentence => sentence.toLowerCase().includes(keyword.word))
+    .slice(0, 3);
+  const participants = [...new Set(sources
+    .flatMap(source => source.turns || [])
+    .filter(turn => turn.text.toLowerCase().includes(keyword.word))
+    .map(turn => turn.speaker))];
+
+  // Share of each segment's lines that mention the keyword.
+  const segmentTotals = new Map();
+  sources.flatMap(source => source.segmentLines || []).forEach(line => {
+    Object.entries(line.segments).forEach(([attribute, segment]) => {
+      const key = `${attribute}=${segment}`;
+      const total = segmentTotals.get(key) || { attribute, segment, lines: 0, hits: 0 };
+      total.lines += 1;
+      if (line.text.toLowerCase().includes(keyword.word)) total.hits += 1;
+      segmentTotals.set(key, total);
+    });
+  });
+  const segmentProminence = [...segmentTotals.values()]
+    .map(({ attribute, segment, lines, hits }) => ({ attribute, segment, prominence: round2(hits / lines) }));
+  const ranked = [...segmentProminence].sort((a, b) => b.prominence - a.prominence);
+
+  return {
+    theme: `${label} Experience`,
+    prominence: round2(keyword.count / maxCount),
+    emoji: EMOJIS[index % EMOJIS.length],
+    themeNarrative:
+      `"${keyword.word}" is mentioned ${keyword.count} times across ${keyword.files} of ${sources.length} sources. ` +
+      `Its frequency suggests ${keyword.word} is a recurring concern for participants. ` +
+      `This mock narrative is generated from keyword counts and is not an AI interpretation.`,
+    quantitativeEvidence: `Mentioned in ${keyword.files}/${sources.length} sources`,
+    drivers: [`Frequent references to ${keyword.word}`, `Repeated context around ${keyword.word}`],
+    barriers: [`Unresolved questions about ${keyword.word}`, `Inconsistent experiences with ${keyword.word}`],
+    tensions: [`Expectations of ${keyword.word} versus current experience`],
+    opportunities: [`Investigate ${keyword.word} with follow-up research`, `Clarify how ${keyword.word} works for users`],
+    confidence: round2(Math.min(0.9, 0.4 + 0.1 * keyword.files)),
+    evidence,
+    participants,
+    segmentProminence,
+    segmentNarrative: ranked.length > 1
+      ? `${keyword.word} is mentioned most in ${ranked[0].attribute}=${ranked[0].segment} ` +
+        `and least in ${ranked[ranked.length - 1].attribute}=${ranked[ranked.length - 1].segment}.`
+      : null,
+    ...(sentiment ? { sentiment: scoreSentences(themeSentences), emotions: scoreEmotions(themeSentences) } : {})
+  };
+}
+
+function scoreSentences(sentences) {
+  let positive = 0;
+  let negative = 0;
+  sentences.forEach(sentence => {
+    const words = tokenize(sentence);
+    const pos = words.filter(word => POSITIVE_WORDS.has(word)).length;
+    const neg = words.filter(word => NEGATIVE_WORDS.has(word)).length;
+    if (pos > neg) positive += 1;
+    else if (neg > pos) negative += 1;
+  });
+  if (sentences.length === 0) return { positive: 0, negative: 0, neutral: 1 };
+  const pos = round2(positive / sentences.length);
+  const neg = round2(negative / sentences.length);
+  return { positive: pos, negative: neg, neutral: round2(Math.max(0, 1 - pos - neg)) };
+}
+
+function scoreSentiment(sources) {
+  return scoreSentences(sources.flatMap(source => splitSentences(source.content)));
+}
+
+// Emotions whose words appear in the sentences, most frequent first.
+function scoreEmotions(sentences) {
+  const words = sentences.flatMap(sentence => tokenize(sentence));
+  return Object.entries(EMOTION_WORDS)
+    .map(([label, lexicon]) => [label, words.filter(word => lexicon.has(word)).length])
+    .filter(([, count]) => count > 0)
+    .sort((a, b) => b[1] - a[1])
+    .map(([label]) => label);
+}
+
+function buildMockSynthesis(mergedThemes) {
+  const themes = mergedThemes
+    .flatMap(entry => entry.themes)
+    .sort((a, b) => (b.prominence || 0) - (a.prominence || 0))
+    .slice(0, 3);
+  const titles = themes.map(theme => theme.theme);
+  return {
+    narrativeOverview:
+      `Mock synthesis of ${mergedThemes.length} source type(s). The most prominent merged themes were ` +
+      `${titles.length > 0 ? titles.join(', ') : 'none'}. Results are generated deterministically for testing.`,
+    soWhatActions: titles.length > 0
+      ? titles.map(title => `Prioritise follow-up on ${title}.`)
+      : ['Add more data to surface recurring topics.']
+  };
+}
+
+function buildMockAnalysis(textSources, { codes, sentiment = false } = {}) {
+  const sources = readSources(textSources);
+  const byCategory = {};
+  sources.forEach(source => {
+    if (!byCategory[source.category]) byCategory[source.category] = [];
+    byCategory[source.category].push(source);
+  });
+
+  const analysisBySource = Object.entries(byCategory).map(([sourceType, categorySources]) => {
+    const keywords = codes ? codeKeywords(codes, categorySources) : topKeywords(categorySources, THEMES_PER_SOURCE);
+    const maxCount = keywords[0]?.count || 1;
+    return {
+      sourceType,
+      themes: keywords.map((keyword, index) => ({
+        ...buildTheme(keyword, index, maxCount, categorySources, { sentiment }),
+        ...(keyword.code ? { theme: keyword.code } : {})
+      }))
+    };
+  });
+
+  const overallKeywords = topKeywords(sources, 3).map(keyword => keyword.word);
+  const keywordList = overallKeywords.length > 0 ? overallKeywords.join(', ') : 'no recurring topics';
+
+  return {
+    narrativeOverview:
+      `Mock analysis of ${sources.length} source(s). The most frequent topics were ${keywordList}. ` +
+      `Results are generated deterministically from keyword frequency for testing.`,
+    analysisBySource,
+    sentimentDistribution: scoreSentiment(sources),
+    fileSentiment: sources.map(source => {
+      const sentences = splitSentences(source.content);
+      return { fileName: source.fileName, ...scoreSentences(sentences), emotions: scoreEmotions(sentences) };
+    }),
+    verbatimQuotes: sources.flatMap(source => quoteCandidates(source.content)).slice(0, MAX_VERBATIM_QUOTES),
+    soWhatActions: overallKeywords.length > 0
+      ? overallKeywords.map(word => `Prioritise follow-up on ${word}, the most discussed topic.`)
+      : ['Add more data to surface recurring topics.']
+  };
+}
+
+// Answers an "ask your data" question with the sentences that share the most words with it.
+function buildMockAnswer(question, textSources) {
+  const words = new Set(tokenize(question).filter(word => word.length > 3 && !STOPWORDS.has(word)));
+  const matches = readSources(textSources)
+    .flatMap(source => quoteCandidates(source.content).map(sentence => ({
+      sentence,
+      fileName: source.fileName,
+      score: tokenize(sentence).filter(word => words.has(word)).length
+    })))
+    .filter(match => match.score > 0)
+    .sort((a, b) => b.score - a.score)
+    .slice(0, 3);
+
+  if (matches.length === 0) {
+    return {
+      answer: `Mock answer: no passages in the data mention ${[...words].join(', ') || 'the question\'s topics'}.`,
+      quotes: [],
+      insufficientEvidence: true
+    };
+  }
+  const files = [...new Set(matches.map(match => match.fileName))];
+  return {
+    answer:
+      `Mock answer to "${question}": ${matches.length} passage(s) in ${files.join(', ')} mention ` +
+      `${[...words].filter(word => matches.some(match => tokenize(match.sentence).includes(word))).join(', ')}. ` +
+      `Answers are generated deterministically from word overlap for testing.`,
+    quotes: matches.map(match => match.sentence),
+    insufficientEvidence: false
+  };
+}
+
+// Groups the themes of a cross-project synthesis by word overlap of their titles and narratives.
+// `themes` are synthesize.cjs entries: { key, projectName, theme, themeNarrative }.
+function buildMockMetaThemes(themes = []) {
+  const words = themes.map(theme => new Set(
+    tokenize(`${theme.theme} ${theme.themeNarrative}`).filter(word => word.length > 3 && !STOPWORDS.has(word))
+  ));
+  const similarity = (a, b) => {
+    const shared = [...a].filter(word => b.has(word)).length;
+    return shared / ((a.size + b.size - shared) || 1);
+  };
+
+  const clusters = [];
+  themes.forEach((theme, i) => {
+    const cluster = clusters.find(candidate => candidate.members.some(j => similarity(words[i], words[j]) >= 0.2));
+    if (cluster) cluster.members.push(i);
+    else clusters.push({ members: [i] });
+  });
+
+  const metaThemes = clusters
+    .filter(cluster => cluster.members.length > 1)
+    .map(cluster => {
+      const counts = new Map();
+      cluster.members.forEach(i => words[i].forEach(word => counts.set(word, (counts.get(word) || 0) + 1)));
+      const keyword = [...counts.entries()].sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))[0]?.[0] || 'shared';
+      const studies = new Set(cluster.members.map(i => themes[i].projectName));
+      return {
+        title: titleCase(keyword),
+        summary: `Mock meta-theme grouping ${cluster.members.length} themes from ${studies.size} stud${studies.size === 1 ? 'y' : 'ies'} that mention ${keyword}.`,
+        themeKeys: cluster.members.map(i => themes[i].key)
+      };
+    });
+  return {
+    overview: `Mock synthesis of ${themes.length} themes into ${metaThemes.length} meta-theme(s) by word overlap.`,
+    metaThemes
+  };
+}
+
+function createMockProvider() {
+  return {
+    name: 'mock',
+    label: 'Mock',
+    model: MOCK_MODEL,
+    // The prompt is ignored: `context` carries the structured inputs it was built from
+    // ({ textSources }, { question, textSources }, { mergedThemes } or { themes }).
+    async generateJson(_prompt, responseSchema, context = {}) {
+      if (responseSchema?.properties?.answer) return buildMockAnswer(context.question, context.textSources);
+      if (responseSchema?.properties?.metaThemes) return buildMockMetaThemes(context.themes);
+      const themeProperties = responseSchema?.properties?.analysisBySource?.items?.properties?.themes?.items?.properties;
+      // A codebook run restricts theme names to an enum of its codes.
+      const codes = themeProperties?.theme?.enum;
+      const analysis = Array.isArray(context.mergedThemes)
+        ? buildMockSynthesis(context.mergedThemes)
+        : buildMockAnalysis(context.textSources, {
+          codes: Array.isArray(codes) ? codes : null,
+          sentiment: Boolean(themeProperties?.sentiment)
+        });
+      // Only return the fields the caller asked for, as a real provider would.
+      const allowed = Object.keys(responseSchema?.properties || analysis);
+      return Object.fromEntries(allowed.filter(key => key in analysis).map(key => [key, analysis[key]]));
+    }
+  };
+}
+
+module.exports = {
+  createMockProvider,
+  buildMockAnalysis,
+  buildMockAnswer,
+  buildMockMetaThemes
+};
@@ -0,0 +1,315 @@
+const SIGNIFICANCE_LEVEL = 0.05;
+const MAX_SEGMENTS = 10;
+const MAX_CROSS_TAB_COLUMNS = 12;
+const OTHER_LABEL = 'Other';
+const EPSILON = 1e-12;
+const MAX_ITERATIONS = 200;
+
+function round2(value) {
+  return Number(Number(value || 0).toFixed(2));
+}
+
+function round4(value) {
+  return Number(Number(value || 0).toFixed(4));
+}
+
+function isBlank(value) {
+  return value === null || value === undefined || String(value).trim() === '';
+}
+
+// Lanczos approximation of ln Γ(x).
+function logGamma(x) {
+  const coefficients = [
+    76.18009172947146, -86.50532032941677, 24.01409824083091,
+    -1.231739572450155, 0.1208650973866179e-2, -0.5395239384953e-5
+  ];
+  let y = x;
+  const tmp = x + 5.5 - (x + 0.5) * Math.log(x + 5.5);
+  let series = 1.000000000190015;
+  coefficients.forEach(c => { series += c / ++y; });
+  return -tmp + Math.log(2.5066282746310005 * series / x);
+}
+
+// Regularized lower incomplete gamma P(a, x): series below a + 1, continued fraction above.
+function regularizedGammaP(a, x) {
+  if (x <= 0) return 0;
+  const gln = logGamma(a);
+  if (x < a + 1) {
+    let sum = 1 / a;
+    let term = sum;
+    for (let n = 1; n < MAX_ITERATIONS; n++) {
+      term *= x / (a + n);
+      sum += term;
+      if (Math.abs(term) < Math.abs(sum) * EPSILON) break;
+    }
+    return sum * Math.exp(-x + a * Math.log(x) - gln);
+  }
+  let b = x + 1 - a;
+  let c = 1 / 1e-300;
+  let d = 1 / b;
+  let h = d;
+  for (let i = 1; i < MAX_ITERATIONS; i++) {
+    const an = -i * (i - a);
+    b += 2;
+    d = an * d + b;
+    if (Math.abs(d) < 1e-300) d = 1e-300;
+    c = b + an / c;
+    if (Math.abs(c) < 1e-300) c = 1e-300;
+    d = 1 / d;
+    const delta = d * c;
+    h *= delta;
+    if (Math.abs(delta - 1) < EPSILON) break;
+  }
+  return 1 - Math.exp(-x + a * Math.log(x) - gln) * h;
+}
+
+// Continued fraction for the regularized incomplete beta function (Numerical Recipes betacf).
+function betaContinuedFraction(a, b, x) {
+  const qab = a + b;
+  const qap = a + 1;
+  const qam = a - 1;
+  let c = 1;
+  let d = 1 - qab * x / qap;
+  if (Math.abs(d) < 1e-300) d = 1e-300;
+  d = 1 / d;
+  let h = d;
+  for (let m = 1; m <= MAX_ITERATIONS; m++) {
+    const m2 = 2 * m;
+    let aa = m * (b - m) * x / ((qam + m2) * (a + m2));
+    d = 1 + aa * d;
+    if (Math.abs(d) < 1e-300) d = 1e-300;
+    c = 1 + aa / c;
+    if (Math.abs(c) < 1e-300) c = 1e-300;
+    d = 1 / d;
+    h *= d * c;
+    aa = -(a + m) * (qab + m) * x / ((a + m2) * (qap + m2));
+    d = 1 + aa * d;
+    if (Math.abs(d) < 1e-300) d = 1e-300;
+    c = 1 + aa / c;
+    if (Math.abs(c) < 1e-300) c = 1e-300;
+    d = 1 / d;
+    const delta = d * c;
+    h *= delta;
+    if (Math.abs(delta - 1) < EPSILON) break;
+  }
+  return h;
+}
+
+function regularizedBeta(x, a, b) {
+  if (x <= 0) return 0;
+  if (x >= 1) return 1;
+  const front = Math.exp(logGamma(a + b) - logGamma(a) - logGamma(b) + a * Math.log(x) + b * Math.log(1 - x));
+  return x < (a + 1) / (a + b + 2)
+    ? front * betaContinuedFraction(a, b, x) / a
+    : 1 - front * betaContinuedFraction(b, a, 1 - x) / b;
+}
+
+function chiSquarePValue(statistic, df) {
+  if (!(df > 0) || !Number.isFinite(statistic)) return null;
+  return Math.min(1, Math.max(0, 1 - regularizedGammaP(df / 2, statistic / 2)));
+}
+
+// Two-sided p-value for Student's t distribution.
+function tTestPValue(t, df) {
+  if (!(df > 0) || !Number.isFinite(t)) return null;
+  return Math.min(1, Math.max(0, regularizedBeta(df / (df + t * t), df / 2, 0.5)));
+}
+
+function summarise(numbers) {
+  const count = numbers.length;
+  const mean = count > 0 ? numbers.reduce((a, b) => a + b, 0) / count : 0;
+  const variance = count > 1 ? numbers.reduce((acc, n) => acc + (n - mean) ** 2, 0) / (count - 1) : 0;
+  const sorted = [...numbers].sort((a, b) => a - b);
+  const median = count === 0
+    ? null
+    : count % 2 === 0 ? (sorted[count / 2 - 1] + sorted[count / 2]) / 2 : sorted[Math.floor(count / 2)];
+  return { count, mean, variance, median };
+}
+
+/**
+ * Welch's unequal-variance t-test between two samples. Returns null when either group has
+ * fewer than two values or both have zero variance.
+ */
+function welchTTest(a, b) {
+  const left = summarise(a);
+  const right = summarise(b);
+  if (left.count < 2 || right.count < 2) return null;
+  const seLeft = left.variance / left.count;
+  const seRight = right.variance / right.count;
+  const se = seLeft + seRight;
+  if (se <= 0) return null;
+  const t = (left.mean - right.mean) / Math.sqrt(se);
+  const df = (se ** 2) / ((seLeft ** 2) / (left.count - 1) + (seRight ** 2) / (right.count - 1));
+  const pValue = tTestPValue(t, df);
+  return { t: round2(t), df: round2(df), pValue: round4(pValue), significant: pValue < SIGNIFICANCE_LEVEL };
+}
+
+/**
+ * Pearson's chi-square test of independence on a contingency table (rows × columns of counts).
+ * `lowExpected` flags tables where more than 20% of expected counts are below 5, in which case
+ * the approximation is unreliable.
+ */
+function chiSquareTest(table) {
+  const rowTotals = table.map(row => row.reduce((a, b) => a + b, 0));
+  const columnTotals = table[0].map((_, j) => table.reduce((acc, row) => acc + row[j], 0));
+  const total = rowTotals.reduce((a, b) => a + b, 0);
+  const rows = rowTotals.filter(t => t > 0).length;
+  const columns = columnTotals.filter(t => t > 0).length;
+  if (total === 0 || rows < 2 || columns < 2) return null;
+
+  let statistic = 0;
+  let lowCells = 0;
+  let cells = 0;
+  table.forEach((row, i) => {
+    if (rowTotals[i] === 0) return;
+    row.forEach((observed, j) => {
+      if (columnTotals[j] === 0) return;
+      const expected = rowTotals[i] * columnTotals[j] / total;
+      statistic += (observed - expected) ** 2 / expected;
+      cells += 1;
+      if (expected < 5) lowCells += 1;
+    });
+  });
+  const df = (rows - 1) * (columns - 1);
+  const pValue = chiSquarePValue(statistic, df);
+  return {
+    statistic: round2(statistic),
+    df,
+    pValue: round4(pValue),
+    significant: pValue < SIGNIFICANCE_LEVEL,
+    lowExpected: lowCells / cells > 0.2
+  };
+}
+
+// Keeps the most frequent labels and folds the rest into "Other" so tables stay readable.
+function topLabels(values, limit) {
+  const counts = new Map();
+  values.forEach(value => counts.set(value, (counts.get(value) || 0) + 1));
+  const ranked = [...counts.entries()].sort((a, b) => b[1] - a[1] || String(a[0]).localeCompare(String(b[0])));
+  if (ranked.length <= limit) return { labels: ranked.map(([label]) => label), fold: () => null };
+  const kept = new Set(ranked.slice(0, limit - 1).map(([label]) => label));
+  return {
+    labels: [...kept, OTHER_LABEL],
+    fold: (value) => (kept.has(value) ? null : OTHER_LABEL)
+  };
+}
+
+/**
+ * Cross-tabulates a category column against a segment column (rows are segments) with row
+ * percentages and a chi-square test.
+ */
+function buildCrossTab(title, segmentBy, segmentValues, categoryValues) {
+  const pairs = [];
+  segmentValues.forEach((segment, i) => {
+    if (!isBlank(segment) && !isBlank(categoryValues[i])) {
+      pairs.push([String(segment).trim(), String(categoryValues[i]).trim()]);
+    }
+  });
+  if (pairs.length === 0) return null;
+
+  const segments = topLabels(pairs.map(([segment]) => segment), MAX_SEGMENTS);
+  const categories = topLabels(pairs.map(([, category]) => category), MAX_CROSS_TAB_COLUMNS);
+  const table = segments.labels.map(() => categories.labels.map(() => 0));
+  pairs.forEach(([segment, category]) => {
+    const row = segments.labels.indexOf(segments.fold(segment) || segment);
+    const column = categories.labels.indexOf(categories.fold(category) || category);
+    table[row][column] += 1;
+  });
+
+  return {
+    title,
+    segmentBy,
+    columns: categories.labels,
+    rows: segments.labels.map((segment, i) => {
+      const total = table[i].reduce((a, b) => a + b, 0);
+      return {
+        segment,
+        total,
+        counts: table[i],
+        percents: table[i].map(count => (total > 0 ? round2((count / total) * 100) : 0))
+      };
+    }),
+    total: pairs.length,
+    chiSquare: chiSquareTest(table)
+  };
+}
+
+/**
+ * Per-segment statistics for a numeric column. With two segments they are compared directly;
+ * with more, each segment is compared against all other respondents.
+ */
+function buildSegmentStats(title, segmentBy, segmentValues, numericValues) {
+  const groups = new Map();
+  segmentValues.forEach((segment, i) => {
+    const raw = numericValues[i];
+    const number = isBlank(raw) ? NaN : Number(raw);
+    if (isBlank(segment) || !Number.isFinite(number)) return;
+    const key = String(segment).trim();
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(number);
+  });
+  if (groups.size === 0) return null;
+
+  const segments = topLabels([...groups.entries()].flatMap(([key, list]) => list.map(() => key)), MAX_SEGMENTS);
+  const folded = new Map(segments.labels.map(label => [label, []]));
+  groups.forEach((list, key) => folded.get(segments.fold(key) || key).push(...list));
+
+  const labels = segments.labels.filter(label => folded.get(label).length > 0);
+  const rows = labels.map(label => {
+    const values = folded.get(label);
+    const summary = summarise(values);
+    const others = labels.filter(other => other !== label).flatMap(other => folded.get(other));
+    const comparison = labels.length === 2
+      ? welchTTest(values, folded.get(labels.find(other => other !== label)))
+      : welchTTest(values, others);
+    return {
+      segment: label,
+      count: summary.count,
+      mean: round2(summary.mean),
+      median: round2(summary.median),
+      stdDev: round2(Math.sqrt(summary.variance)),
+      tTest: comparison ? { ...comparison, against: labels.length === 2 ? labels.find(other => other !== label) : 'rest' } : null
+    };
+  });
+
+  return { title, segmentBy, groups: rows };
+}
+
+/**
+ * Builds cross-tabs and per-segment statistics for every segment column in a source file.
+ * Columns carry `rowValues` aligned with the segment column's values (one entry per row).
+ */
+function buildSegmentComparisons(segmentColumns, columns) {
+  const crossTabs = [];
+  const segmentStats = [];
+  segmentColumns.forEach(segment => {
+    columns.forEach(column => {
+      if (!Array.isArray(column.rowValues) || column.title === segment.title) return;
+      if (column.mapping === 'category') {
+        const crossTab = buildCrossTab(column.title, segment.title, segment.values, column.rowValues);
+        if (crossTab) crossTabs.push(crossTab);
+      } else if (column.mapping === 'stats') {
+        const stats = buildSegmentStats(column.title, segment.title, segment.values, column.rowValues);
+        if (stats) segmentStats.push(stats);
+      }
+    });
+    // Segment columns are compared with each other as well.
+    segmentColumns.forEach(other => {
+      if (other.title <= segment.title) return;
+      const crossTab = buildCrossTab(other.title, segment.title, segment.values, other.values);
+      if (crossTab) crossTabs.push(crossTab);
+    });
+  });
+  return { crossTabs, segmentStats };
+}
+
+module.exports = {
+  SIGNIFICANCE_LEVEL,
+  chiSquarePValue,
+  tTestPValue,
+  chiSquareTest,
+  welchTTest,
+  buildCrossTab,
+  buildSegmentStats,
+  buildSegmentComparisons
+};
@@ -0,0 +1,162 @@
+// Segment attributes travel with text sources in one of two forms:
+//   - `segments`: { attribute: value } for a whole file (e.g. an interview with an enterprise customer)
+//   - `rowSegments`: one { attribute: value } object per content line (spreadsheet rows)
+const MAX_SEGMENT_VALUES = 12;
+
+function normalise(value) {
+  return String(value ?? '').trim().toLowerCase();
+}
+
+function round2(value) {
+  return Number(Number(value || 0).toFixed(2));
+}
+
+function cleanSegments(segments) {
+  if (!segments || typeof segments !== 'object') return null;
+  const entries = Object.entries(segments)
+    .map(([attribute, value]) => [String(attribute).trim(), String(value ?? '').trim()])
+    .filter(([attribute, value]) => attribute && value);
+  return entries.length > 0 ? Object.fromEntries(entries) : null;
+}
+
+function hasSegments(source) {
+  return Boolean(cleanSegments(source?.segments))
+    || (Array.isArray(source?.rowSegments) && source.rowSegments.some(row => cleanSegments(row)));
+}
+
+function formatSegmentTag(segments) {
+  const clean = cleanSegments(segments);
+  return clean ? `[${Object.entries(clean).map(([attribute, value]) => `${attribute}=${value}`).join(' | ')}]` : '';
+}
+
+/**
+ * Prefixes each spreadsheet line with its row's segment tag so the model can attribute themes
+ * to segments. File-level segments are emitted once as a header by formatSourcesForPrompt.
+ */
+function annotateRowSegments(content, rowSegments) {
+  if (!Array.isArray(rowSegments)) return content;
+  return String(content || '').split('\n').map((line, index) => {
+    const tag = formatSegmentTag(rowSegments[index]);
+    return tag && line.trim() ? `${tag} ${line}` : line;
+  }).join('\n');
+}
+
+/**
+ * Counts the units (spreadsheet rows with text, or whole files) in each segment, per attribute.
+ * Returns { attribute: Map(normalisedValue → { segment, base }) }.
+ */
+function collectSegmentBases(textSources) {
+  const bases = {};
+  const add = (segments) => {
+    const clean = cleanSegments(segments);
+    if (!clean) return;
+    Object.entries(clean).forEach(([attribute, value]) => {
+      if (!bases[attribute]) bases[attribute] = new Map();
+      const key = normalise(value);
+      const entry = bases[attribute].get(key) || { segment: value, base: 0 };
+      entry.base += 1;
+      bases[attribute].set(key, entry);
+    });
+  };
+
+  (Array.isArray(textSources) ? textSources : []).forEach(source => {
+    if (Array.isArray(source.rowSegments)) {
+      const lines = String(source.content || '').split('\n');
+      source.rowSegments.forEach((segments, index) => {
+        if (lines[index] && lines[index].trim()) add(segments);
+      });
+    } else {
+      add(source.segments);
+    }
+  });
+  return bases;
+}
+
+// Resolves which segments a traced evidence quote belongs to, via its file and row.
+function evidenceSegments(item, sourcesByName) {
+  if (!item?.verified || !item.fileName) return null;
+  const source = sourcesByName.get(item.fileName);
+  if (!source) return null;
+  if (Array.isArray(source.rowSegments)) {
+    if (item.row == null) return null;
+    // Rows are numbered as in the original file; rowSegments is indexed by content line.
+    const line = Array.isArray(source.rowNumbers) ? source.rowNumbers.indexOf(item.row) : item.row - 2;
+    return line >= 0 ? cleanSegments(source.rowSegments[line]) : null;
+  }
+  return cleanSegments(source.segments);
+}
+
+function findAttribute(bases, name) {
+  const key = normalise(name);
+  return Object.keys(bases).find(attribute => normalise(attribute) === key) || null;
+}
+
+/**
+ * Validates the model's per-theme `segmentProminence` against the segments that exist in the
+ * data (unknown attributes/values are dropped, prominence is clamped to 0–1), and adds each
+ * segment's base size and how many of the theme's verified quotes came from it.
+ */
+function applySegmentBreakdown(analysis, textSources) {
+  const sources = (Array.isArray(textSources) ? textSources : []).filter(hasSegments);
+  if (!analysis || sources.length === 0) return null;
+
+  const bases = collectSegmentBases(sources);
+  const sourcesByName = new Map(sources.map(source => [source.fileName, source]));
+
+  (analysis.analysisBySource || []).forEach(sourceAnalysis => {
+    (sourceAnalysis?.themes || []).forEach(theme => {
+      const reported = new Map();
+      (Array.isArray(theme.segmentProminence) ? theme.segmentProminence : []).forEach(entry => {
+        const attribute = findAttribute(bases, entry?.attribute);
+        const known = attribute ? bases[attribute].get(normalise(entry?.segment)) : null;
+        if (!known) return;
+        const prominence = Math.min(1, Math.max(0, Number(entry.prominence) || 0));
+        reported.set(`${attribute}\u0000${normalise(entry.segment)}`, round2(prominence));
+      });
+
+      const evidenceCounts = new Map();
+      (Array.isArray(theme.evidence) ? theme.evidence : []).forEach(item => {
+        const segments = evidenceSegments(item, sourcesByName);
+        Object.entries(segments || {}).forEach(([attribute, value]) => {
+          const key = `${attribute}\u0000${normalise(value)}`;
+          evidenceCounts.set(key, (evidenceCounts.get(key) || 0) + 1);
+        });
+      });
+
+      const breakdown = [];
+      Object.entries(bases).forEach(([attribute, values]) => {
+        [...values.entries()]
+          .sort((a, b) => b[1].base - a[1].base)
+          .slice(0, MAX_SEGMENT_VALUES)
+          .forEach(([key, { segment, base }]) => {
+            const mapKey = `${attribute}\u0000${key}`;
+            breakdown.push({
+              attribute,
+              segment,
+              base,
+              prominence: reported.has(mapKey) ? reported.get(mapKey) : null,
+              evidenceCount: evidenceCounts.get(mapKey) || 0
+            });
+          });
+      });
+
+      theme.segmentProminence = breakdown;
+      theme.segmentNarrative = String(theme.segmentNarrative || '').trim() || null;
+    });
+  });
+
+  return {
+    attributes: Object.entries(bases).map(([attribute, values]) => ({
+      attribute,
+      segments: [...values.values()].sort((a, b) => b.base - a.base).slice(0, MAX_SEGMENT_VALUES)
+    }))
+  };
+}
+
+module.exports = {
+  cleanSegments,
+  hasSegments,
+  formatSegmentTag,
+  annotateRowSegments,
+  applySegmentBreakdown
+};
@@ -0,0 +1,164 @@
+const { sourceTypeKey } = require('./transcriptSpeakers.cjs');
+
+// Emotion labels the model may attach to themes and files; anything else it returns is dropped.
+const EMOTION_LABELS = [
+  'frustration',
+  'confusion',
+  'anxiety',
+  'disappointment',
+  'delight',
+  'satisfaction',
+  'trust',
+  'excitement'
+];
+const MAX_EMOTIONS = 3;
+const SENTIMENT_KEYS = ['positive', 'negative', 'neutral'];
+
+function round2(value) {
+  return Number(Number(value || 0).toFixed(2));
+}
+
+/**
+ * Returns { positive, negative, neutral } as shares of their total, so 0–1 decimals and
+ * percentages both work. Returns null when the value holds no sentiment.
+ */
+function normaliseSentiment(sentiment) {
+  if (!sentiment || typeof sentiment !== 'object') return null;
+  const values = SENTIMENT_KEYS.map(key => Math.max(0, Number(sentiment[key]) || 0));
+  const total = values.reduce((sum, value) => sum + value, 0);
+  if (total <= 0) return null;
+  return Object.fromEntries(SENTIMENT_KEYS.map((key, index) => [key, round2(values[index] / total)]));
+}
+
+function cleanEmotions(emotions) {
+  const labels = (Array.isArray(emotions) ? emotions : [])
+    .map(emotion => String(emotion || '').trim().toLowerCase())
+    .filter(label => EMOTION_LABELS.includes(label));
+  return [...new Set(labels)].slice(0, MAX_EMOTIONS);
+}
+
+// Weighted mean of [{ sentiment, weight }]; entries without sentiment are skipped.
+function averageSentiment(entries) {
+  const rated = entries
+    .map(entry => ({ sentiment: normaliseSentiment(entry.sentiment), weight: Math.max(0, Number(entry.weight) || 0) }))
+    .filter(entry => entry.sentiment && entry.weight > 0);
+  const totalWeight = rated.reduce((sum, entry) => sum + entry.weight, 0);
+  if (totalWeight <= 0) return null;
+  return normaliseSentiment(Object.fromEntries(SENTIMENT_KEYS.map(key => [
+    key,
+    rated.reduce((sum, entry) => sum + entry.sentiment[key] * entry.weight, 0) / totalWeight
+  ])));
+}
+
+// The emotions of [{ emotions, weight }] ranked by the total weight that carries them.
+function rankEmotions(entries) {
+  const totals = new Map();
+  entries.forEach(entry => {
+    cleanEmotions(entry.emotions).forEach(label => {
+      totals.set(label, (totals.get(label) || 0) + (Number(entry.weight) || 0));
+    });
+  });
+  return [...totals.entries()]
+    .sort((a, b) => b[1] - a[1] || EMOTION_LABELS.indexOf(a[0]) - EMOTION_LABELS.indexOf(b[0]))
+    .slice(0, MAX_EMOTIONS)
+    .map(([label]) => label);
+}
+
+// Chunked files are named "<file> (part N of M)"; their entries belong to the original file.
+function baseFileName(fileName) {
+  return String(fileName || '').replace(/ \(part \d+ of \d+\)$/, '').trim();
+}
+
+/**
+ * Cleans the per-theme sentiment and emotions in place and builds the report's breakdowns from
+ * the model's per-file sentiment (`fileSentiment`, which is removed from the analysis):
+ *   byFile: one entry per source file, with parts of chunked files averaged by part length
+ *   bySourceType: the source type's files weighted by length, or its themes weighted by
+ *     prominence when no file of that type was rated
+ * Returns { bySourceType, byFile }, or null when the analysis carries no sentiment detail.
+ */
+function applySentimentBreakdown(aiJson, textSources) {
+  if (!aiJson || typeof aiJson !== 'object') return null;
+  const sourceAnalyses = Array.isArray(aiJson.analysisBySource) ? aiJson.analysisBySource : [];
+  let themeSentimentCount = 0;
+  sourceAnalyses.forEach(sourceAnalysis => {
+    (sourceAnalysis?.themes || []).forEach(theme => {
+      if (!theme) return;
+      const sentiment = normaliseSentiment(theme.sentiment);
+      if (sentiment) {
+        theme.sentiment = sentiment;
+        themeSentimentCount += 1;
+      } else {
+        delete theme.sentiment;
+      }
+      if ('emotions' in theme) theme.emotions = cleanEmotions(theme.emotions);
+    });
+  });
+
+  const sources = Array.isArray(textSources) ? textSources : [];
+  const sourcesByName = new Map(sources.map(source => [source.fileName, source]));
+  const ratingsByFile = new Map();
+  (Array.isArray(aiJson.fileSentiment) ? aiJson.fileSentiment : []).forEach(entry => {
+    const fileName = baseFileName(entry?.fileName);
+    if (!sourcesByName.has(fileName) || !normaliseSentiment(entry)) return;
+    if (!ratingsByFile.has(fileName)) ratingsByFile.set(fileName, []);
+    // Parts of a chunked file carry their length (see mergeChunkAnalyses); whole files count once.
+    ratingsByFile.get(fileName).push({ sentiment: entry, emotions: entry.emotions, weight: Number(entry.weight) || 1 });
+  });
+  delete aiJson.fileSentiment;
+
+  const byFile = [...ratingsByFile.entries()].map(([fileName, ratings]) => {
+    const source = sourcesByName.get(fileName);
+    return {
+      fileName,
+      category: source.category || 'general',
+      ...averageSentiment(ratings),
+      emotions: rankEmotions(ratings)
+    };
+  });
+
+  const bySourceType = sourceAnalyses
+    .map(sourceAnalysis => {
+      const sourceType = sourceAnalysis?.sourceType || 'general';
+      const files = byFile
+        .filter(file => sourceTypeKey(file.category) === sourceTypeKey(sourceType))
+        .map(file => ({
+          sentiment: file,
+          emotions: file.emotions,
+          weight: String(sourcesByName.get(file.fileName)?.content || '').length || 1
+        }));
+      const ratings = files.length > 0
+        ? files
+        : (sourceAnalysis?.themes || []).filter(Boolean).map(theme => ({
+          sentiment: theme.sentiment,
+          emotions: theme.emotions,
+          weight: Number(theme.prominence) || 0
+        }));
+      const sentiment = averageSentiment(ratings);
+      return sentiment ? { sourceType, ...sentiment, emotions: rankEmotions(ratings) } : null;
+    })
+    .filter(Boolean);
+
+  if (byFile.length === 0 && bySourceType.length === 0 && themeSentimentCount === 0) return null;
+  return { bySourceType, byFile };
+}
+
+/**
+ * Merges the sentiment and emotions of one theme found in several chunks. `group` is
+ * [{ theme, weight }], weighted by chunk size. Returns { sentiment?, emotions? }.
+ */
+function mergeThemeSentiment(group) {
+  const sentiment = averageSentiment(group.map(({ theme, weight }) => ({ sentiment: theme.sentiment, weight })));
+  const hasEmotions = group.some(({ theme }) => Array.isArray(theme.emotions));
+  return {
+    ...(sentiment ? { sentiment } : {}),
+    ...(hasEmotions ? { emotions: rankEmotions(group.map(({ theme, weight }) => ({ emotions: theme.emotions, weight }))) } : {})
+  };
+}
+
+module.exports = {
+  EMOTION_LABELS,
+  normaliseSentiment,
+  applySentimentBreakdown,
+  mergeThemeSentiment
+};
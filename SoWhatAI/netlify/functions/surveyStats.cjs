@@ -0,0 +1,224 @@
+const MAX_HISTOGRAM_BINS = 12;
+const NPS_TITLE_PATTERN = /\b(?:nps|recommend|recommendation|likely)\b/i;
+// Titles of rating questions; a 1–5 count such as "Number of children" is not a Likert item.
+const LIKERT_TITLE_PATTERN = /\b(?:agree\w*|disagree\w*|satisf\w*|dissatisf\w*|rating|rate|rated|scale|likert|score|easy|ease|difficult\w*|likely|likelihood|happy|important|importance|confident|confidence|useful|helpful|trust)\b/i;
+
+// Ordered from least to most favourable; matching ignores case and surrounding whitespace.
+const LIKERT_LABEL_SCALES = [
+  ['strongly disagree', 'disagree', 'neither agree nor disagree', 'agree', 'strongly agree'],
+  ['strongly disagree', 'disagree', 'neutral', 'agree', 'strongly agree'],
+  ['strongly disagree', 'disagree', 'somewhat disagree', 'neither agree nor disagree', 'somewhat agree', 'agree', 'strongly agree'],
+  ['very dissatisfied', 'dissatisfied', 'neutral', 'satisfied', 'very satisfied'],
+  ['very dissatisfied', 'dissatisfied', 'neither satisfied nor dissatisfied', 'satisfied', 'very satisfied'],
+  ['very unlikely', 'unlikely', 'neutral', 'likely', 'very likely'],
+  ['very poor', 'poor', 'fair', 'good', 'excellent'],
+  ['very difficult', 'difficult', 'neutral', 'easy', 'very easy'],
+  ['never', 'rarely', 'sometimes', 'often', 'always']
+];
+
+function round2(value) {
+  return Number(Number(value || 0).toFixed(2));
+}
+
+function percent(count, total) {
+  return total > 0 ? round2((count / total) * 100) : 0;
+}
+
+// Linear interpolation between closest ranks (the same method as Excel's QUARTILE.INC).
+function quantile(sorted, p) {
+  if (sorted.length === 0) return null;
+  const position = (sorted.length - 1) * p;
+  const lower = Math.floor(position);
+  const upper = Math.ceil(position);
+  return sorted[lower] + (sorted[upper] - sorted[lower]) * (position - lower);
+}
+
+function isIntegerScale(numbers, min, max) {
+  return numbers.every(n => Number.isInteger(n) && n >= min && n <= max);
+}
+
+/**
+ * Integer scales with few distinct values get one bin per value; continuous data uses
+ * Sturges' rule for the bin count.
+ */
+function buildHistogram(sorted) {
+  const min = sorted[0];
+  const max = sorted[sorted.length - 1];
+  if (isIntegerScale(sorted, min, max) && max - min + 1 <= MAX_HISTOGRAM_BINS) {
+    const bins = [];
+    for (let value = min; value <= max; value++) {
+      bins.push({ label: String(value), from: value, to: value, count: 0 });
+    }
+    sorted.forEach(n => { bins[n - min].count += 1; });
+    return bins;
+  }
+
+  if (min === max) {
+    return [{ label: String(round2(min)), from: min, to: max, count: sorted.length }];
+  }
+  const binCount = Math.min(MAX_HISTOGRAM_BINS, Math.ceil(Math.log2(sorted.length)) + 1);
+  const width = (max - min) / binCount;
+  const bins = Array.from({ length: binCount }, (_, i) => {
+    const from = min + i * width;
+    const to = i === binCount - 1 ? max : min + (i + 1) * width;
+    return { label: `${round2(from)}–${round2(to)}`, from: round2(from), to: round2(to), count: 0 };
+  });
+  sorted.forEach(n => {
+    const index = Math.min(binCount - 1, Math.floor((n - min) / width));
+    bins[index].count += 1;
+  });
+  return bins;
+}
+
+/**
+ * Net Promoter Score for 0–10 "how likely are you to recommend" columns:
+ * % promoters (9–10) minus % detractors (0–6).
+ */
+function computeNps(numbers) {
+  const total = numbers.length;
+  const promoters = numbers.filter(n => n >= 9).length;
+  const detractors = numbers.filter(n => n <= 6).length;
+  const passives = total - promoters - detractors;
+  return {
+    score: Math.round(percent(promoters, total) - percent(detractors, total)),
+    promoters,
+    passives,
+    detractors,
+    promoterPct: percent(promoters, total),
+    passivePct: percent(passives, total),
+    detractorPct: percent(detractors, total)
+  };
+}
+
+// Both the title and the values must fit: a 1–5 "how likely" question is not an NPS item.
+function looksLikeNps(title, numbers) {
+  if (!isIntegerScale(numbers, 0, 10)) return false;
+  return NPS_TITLE_PATTERN.test(String(title || '')) && Math.max(...numbers) > 7;
+}
+
+/**
+ * Distribution over ordered scale points with top-2-box (two most favourable points) and
+ * bottom-2-box shares.
+ */
+function buildLikert(points, countsByPoint, total) {
+  const distribution = points.map(point => {
+    const count = countsByPoint.get(point) || 0;
+    return { label: String(point), count, percent: percent(count, total) };
+  });
+  const top2 = distribution.slice(-2).reduce((acc, point) => acc + point.count, 0);
+  const bottom2 = distribution.slice(0, 2).reduce((acc, point) => acc + point.count, 0);
+  return {
+    scalePoints: points.length,
+    distribution,
+    top2Box: percent(top2, total),
+    bottom2Box: percent(bottom2, total)
+  };
+}
+
+// As with NPS, both the title and the values must fit.
+function numericLikert(title, numbers) {
+  if (!LIKERT_TITLE_PATTERN.test(String(title || ''))) return null;
+  const min = Math.min(...numbers);
+  const max = Math.max(...numbers);
+  if (min < 1 || !isIntegerScale(numbers, 1, 7) || max === min) return null;
+  const scalePoints = max <= 5 ? 5 : 7;
+  const points = Array.from({ length: scalePoints }, (_, i) => i + 1);
+  const counts = new Map();
+  numbers.forEach(n => counts.set(n, (counts.get(n) || 0) + 1));
+  return buildLikert(points, counts, numbers.length);
+}
+
+function labelLikert(values) {
+  const normalised = values.map(value => String(value).trim().toLowerCase());
+  const used = new Set(normalised);
+  const scale = LIKERT_LABEL_SCALES.find(labels => [...used].every(value => labels.includes(value)));
+  if (!scale || used.size < 2) return null;
+
+  const counts = new Map();
+  normalised.forEach(value => counts.set(value, (counts.get(value) || 0) + 1));
+  const likert = buildLikert(scale, counts, normalised.length);
+  // Report labels as they were written in the data rather than lower-cased.
+  const display = new Map(values.map(value => [String(value).trim().toLowerCase(), String(value).trim()]));
+  const capitalise = (label) => label.charAt(0).toUpperCase() + label.slice(1);
+  likert.distribution = likert.distribution.map(point => ({
+    ...point,
+    label: display.get(point.label) || capitalise(point.label)
+  }));
+  return likert;
+}
+
+/**
+ * Descriptive statistics for a numeric column, plus NPS or Likert summaries when the title and
+ * values look like a 0–10 recommendation scale or a 1–5/1–7 rating scale.
+ */
+function describeNumericColumn(title, values) {
+  // Blank and whitespace-only cells are missing answers, not zeros.
+  const numbers = values
+    .map(value => (typeof value === 'string' ? value.trim() : value))
+    .filter(value => value !== null && value !== undefined && value !== '')
+    .map(Number)
+    .filter(Number.isFinite);
+  if (numbers.length === 0) return null;
+
+  const sorted = [...numbers].sort((a, b) => a - b);
+  const count = numbers.length;
+  const sum = numbers.reduce((a, b) => a + b, 0);
+  const mean = sum / count;
+  const median = count % 2 === 0
+    ? (sorted[count / 2 - 1] + sorted[count / 2]) / 2
+    : sorted[Math.floor(count / 2)];
+  const freq = numbers.reduce((acc, n) => (acc[n] = (acc[n] || 0) + 1, acc), {});
+  const mode = Number(Object.keys(freq).reduce((a, b) => (freq[a] > freq[b] ? a : b)));
+  // Sample standard deviation (n - 1), as survey data is a sample of the population.
+  const variance = count > 1 ? numbers.reduce((acc, n) => acc + (n - mean) ** 2, 0) / (count - 1) : 0;
+  const q1 = quantile(sorted, 0.25);
+  const q3 = quantile(sorted, 0.75);
+
+  const result = {
+    title,
+    count,
+    mean: round2(mean),
+    median: round2(median),
+    mode,
+    stdDev: round2(Math.sqrt(variance)),
+    min: sorted[0],
+    max: sorted[count - 1],
+    q1: round2(q1),
+    q3: round2(q3),
+    iqr: round2(q3 - q1),
+    histogram: buildHistogram(sorted)
+  };
+
+  if (looksLikeNps(title, numbers)) {
+    result.nps = computeNps(numbers);
+  } else {
+    const likert = numericLikert(title, numbers);
+    if (likert) result.likert = likert;
+  }
+  return result;
+}
+
+/**
+ * Counts and percentages for a categorical column, with a Likert summary when every value
+ * belongs to a known agreement/satisfaction label scale.
+ */
+function describeCategoryColumn(title, values) {
+  const present = values.filter(value => value !== null && value !== undefined && String(value).trim() !== '');
+  if (present.length === 0) return null;
+  const counts = present.reduce((acc, val) => { acc[val] = (acc[val] || 0) + 1; return acc; }, {});
+  const total = present.length;
+  const data = Object.entries(counts).map(([name, count]) => ({ name, count, percent: percent(count, total) }));
+
+  const result = { title, total, data };
+  const likert = labelLikert(present);
+  if (likert) result.likert = likert;
+  return result;
+}
+
+module.exports = {
+  quantile,
+  buildHistogram,
+  computeNps,
+  describeNumericColumn,
+  describeCategoryColumn
+};
@@ -0,0 +1,217 @@
+const { createProvider } = require('./llmProviders.cjs');
+
+const MIN_PROJECTS = 2;
+const MAX_PROJECTS = 20;
+const MAX_THEMES = 400;
+const MAX_NARRATIVE_LENGTH = 400;
+
+const RESPONSE_HEADERS = {
+  'Content-Type': 'application/json',
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Headers': 'Content-Type',
+  'Access-Control-Allow-Methods': 'POST,OPTIONS'
+};
+
+function json(statusCode, body) {
+  return {
+    statusCode,
+    headers: RESPONSE_HEADERS,
+    body: JSON.stringify(body)
+  };
+}
+
+function sanitizeText(value, fallback = '') {
+  return String(value || fallback).replace(/\s+/g, ' ').trim().slice(0, 320);
+}
+
+function cleanText(value, maxLength) {
+  return String(value ?? '').replace(/\s+/g, ' ').trim().slice(0, maxLength);
+}
+
+function round2(value) {
+  return Number(Number(value || 0).toFixed(2));
+}
+
+/**
+ * Flattens the selected projects' themes into prompt entries with short keys ("T1", "T2", …)
+ * that the model refers to, keeping each theme's link back to its project.
+ */
+function collectThemes(projects) {
+  const entries = [];
+  projects.forEach(project => {
+    (Array.isArray(project?.themes) ? project.themes : []).forEach(theme => {
+      const title = cleanText(theme?.theme, 200);
+      if (!title || entries.length >= MAX_THEMES) return;
+      entries.push({
+        key: `T${entries.length + 1}`,
+        projectId: String(project.projectId),
+        projectName: cleanText(project.projectName, 200) || 'Untitled Project',
+        themeId: theme?.themeId ? String(theme.themeId) : null,
+        sourceType: cleanText(theme?.sourceType, 60) || 'general',
+        theme: title,
+        themeNarrative: cleanText(theme?.themeNarrative, MAX_NARRATIVE_LENGTH),
+        prominence: round2(Math.min(1, Math.max(0, Number(theme?.prominence) || 0))),
+        evidenceCount: Math.max(0, Math.floor(Number(theme?.evidenceCount) || 0))
+      });
+    });
+  });
+  return entries;
+}
+
+function buildSynthesisPrompt(entries, projectCount, focus) {
+  const themes = entries.map(entry => ({
+    key: entry.key,
+    study: entry.projectName,
+    sourceType: entry.sourceType,
+    theme: entry.theme,
+    narrative: entry.themeNarrative,
+    prominence: entry.prominence
+  }));
+  return (
+    `You are a senior research lead running a meta-analysis across ${projectCount} separate studies.\n` +
+    `Group the themes below into cross-study meta-themes: themes that describe the same underlying need, problem or ` +
+    `behaviour belong together even when they are worded differently. Return a valid JSON object with:\n` +
+    `- metaThemes: an array of meta-themes. For each one return:\n` +
+    `  - title: concise name (title case)\n` +
+    `  - summary: 2–4 sentences on what the studies agree on and where they differ\n` +
+    `  - themeKeys: the keys (e.g. "T3") of every theme that belongs to it\n` +
+    `- overview: 2–4 sentences on the patterns that recur across the studies.\n` +
+    `Rules:\n` +
+    `- Every key may appear in at most one meta-theme. Use only the keys listed below.\n` +
+    `- Prefer meta-themes that recur in two or more studies; a theme found in one study only may stay ungrouped.\n` +
+    (focus ? `- Pay special attention to: "${focus}".\n` : '') +
+    `Return ONLY valid JSON conforming to the schema.\n\n` +
+    `Themes:\n"""\n${JSON.stringify(themes)}\n"""\n`
+  );
+}
+
+const SYNTHESIS_SCHEMA = {
+  type: "OBJECT",
+  properties: {
+    overview: { type: "STRING" },
+    metaThemes: {
+      type: "ARRAY",
+      items: {
+        type: "OBJECT",
+        properties: {
+          title: { type: "STRING" },
+          summary: { type: "STRING" },
+          themeKeys: { type: "ARRAY", items: { type: "STRING" } }
+        },
+        required: ["title", "summary", "themeKeys"]
+      }
+    }
+  },
+  required: ["metaThemes"]
+};
+
+/**
+ * Resolves the model's meta-themes to the original themes, dropping unknown and repeated keys.
+ * Meta-themes are ranked by how many studies they recur in, then by mean prominence.
+ */
+function buildMetaThemes(aiJson, entries) {
+  const byKey = new Map(entries.map(entry => [entry.key, entry]));
+  const assigned = new Set();
+  const metaThemes = (Array.isArray(aiJson?.metaThemes) ? aiJson.metaThemes : [])
+    .map(metaTheme => {
+      const members = (Array.isArray(metaTheme?.themeKeys) ? metaTheme.themeKeys : [])
+        .map(key => String(key || '').trim().toUpperCase())
+        .filter(key => byKey.has(key) && !assigned.has(key))
+        .map(key => {
+          assigned.add(key);
+          const { key: _key, ...theme } = byKey.get(key);
+          return theme;
+        });
+      const projectIds = [...new Set(members.map(member => member.projectId))];
+      return {
+        title: cleanText(metaTheme?.title, 200) || 'Untitled Meta-Theme',
+        summary: String(metaTheme?.summary || '').trim(),
+        projectCount: projectIds.length,
+        prominence: round2(members.reduce((sum, member) => sum + member.prominence, 0) / (members.length || 1)),
+        themes: members
+      };
+    })
+    .filter(metaTheme => metaTheme.themes.length > 0)
+    .sort((a, b) => b.projectCount - a.projectCount || b.prominence - a.prominence);
+
+  const ungrouped = entries
+    .filter(entry => !assigned.has(entry.key))
+    .map(({ key: _key, ...theme }) => theme);
+  return { metaThemes, ungrouped };
+}
+
+/**
+ * Clusters the themes of several projects into cross-study meta-themes. `projects` is
+ * [{ projectId, projectName, themes: [{ themeId, sourceType, theme, themeNarrative, prominence, evidenceCount }] }].
+ * Returns { overview, metaThemes, ungrouped, projectCount, themeCount, generatedAt, provider, model }.
+ */
+async function synthesizeProjects(body, env = process.env) {
+  const projects = (Array.isArray(body?.projects) ? body.projects : []).slice(0, MAX_PROJECTS);
+  const entries = collectThemes(projects);
+  const provider = createProvider(env);
+  const aiJson = await provider.generateJson(
+    buildSynthesisPrompt(entries, projects.length, cleanText(body?.focus, 500)),
+    SYNTHESIS_SCHEMA,
+    { themes: entries }
+  );
+  const { metaThemes, ungrouped } = buildMetaThemes(aiJson, entries);
+  return {
+    overview: String(aiJson?.overview || '').trim(),
+    metaThemes,
+    ungrouped,
+    projectCount: projects.length,
+    themeCount: entries.length,
+    generatedAt: new Date().toISOString(),
+    provider: provider.name,
+    model: provider.model
+  };
+}
+
+/**
+ * Cross-project synthesis: groups the stored themes of several projects into meta-themes,
+ * each linking back to its originating projects and themes.
+ */
+exports.handler = async (event, context) => {
+  if (context && typeof context === 'object') {
+    context.callbackWaitsForEmptyEventLoop = false;
+  }
+
+  if (event.httpMethod === 'OPTIONS') {
+    return json(200, { ok: true });
+  }
+
+  if (event.httpMethod !== 'POST') {
+    return json(405, { error: 'Method Not Allowed' });
+  }
+
+  let body = {};
+  try {
+    body = JSON.parse(event.body || '{}');
+  } catch {
+    return json(400, { error: 'Invalid JSON body.' });
+  }
+
+  const projects = Array.isArray(body.projects) ? body.projects : [];
+  if (projects.length < MIN_PROJECTS || projects.length > MAX_PROJECTS) {
+    return json(400, {
+      error: { code: 'invalid_projects', message: `Select between ${MIN_PROJECTS} and ${MAX_PROJECTS} projects to synthesize.` }
+    });
+  }
+  if (collectThemes(projects).length === 0) {
+    return json(400, { error: { code: 'no_themes', message: 'The selected projects have no themes to synthesize.' } });
+  }
+
+  try {
+    return json(200, await synthesizeProjects(body));
+  } catch (error) {
+    console.error('Synthesize function error:', error);
+    return json(500, {
+      error: {
+        code: 'synthesis_failed',
+        message: sanitizeText(error?.message || String(error), 'Unable to synthesize the projects.')
+      }
+    });
+  }
+};
+
+exports.synthesizeProjects = synthesizeProjects;
@@ -0,0 +1,72 @@
+// Transcript sources arrive as one "Speaker: text" line per turn, with the participant IDs and
+// moderator labels listed on the source. They are built, and their lines read, by
+// src/utils/transcriptSpeakers.js, which the browser shares with these functions.
+const {
+  isTranscriptSource,
+  speakerLines,
+  lineAt,
+  transcriptSourceLabel
+} = require('../../src/utils/transcriptSpeakers.js');
+
+function normaliseLabel(label) {
+  return String(label || '').trim().toLowerCase();
+}
+
+// Source types and file categories match without case and with spaces as underscores, so a
+// "user interview" file belongs to the "user_interview" source type.
+function sourceTypeKey(value) {
+  return normaliseLabel(value || 'general').replace(/\s+/g, '_');
+}
+
+/**
+ * Replaces each transcript theme's quantitativeEvidence with a computed participant count.
+ * Participants are the IDs the model attributed to the theme (only those that exist in the
+ * transcripts) plus the speakers of its verified evidence quotes.
+ */
+function applyParticipantCoverage(analysis, textSources) {
+  const transcripts = (Array.isArray(textSources) ? textSources : []).filter(isTranscriptSource);
+  if (!analysis || transcripts.length === 0) return null;
+
+  const participantsByCategory = {};
+  transcripts.forEach(source => {
+    const category = sourceTypeKey(source.category);
+    if (!participantsByCategory[category]) participantsByCategory[category] = new Map();
+    source.participants.forEach(id => participantsByCategory[category].set(normaliseLabel(id), id));
+  });
+
+  let themesCounted = 0;
+  (analysis.analysisBySource || []).forEach(sourceAnalysis => {
+    const known = participantsByCategory[sourceTypeKey(sourceAnalysis?.sourceType)];
+    if (!known) return;
+
+    (sourceAnalysis.themes || []).forEach(theme => {
+      const ids = new Set();
+      (Array.isArray(theme.participants) ? theme.participants : []).forEach(id => {
+        const match = known.get(normaliseLabel(id));
+        if (match) ids.add(match);
+      });
+      (Array.isArray(theme.evidence) ? theme.evidence : []).forEach(item => {
+        const match = item?.verified && item.speaker ? known.get(normaliseLabel(item.speaker)) : null;
+        if (match) ids.add(match);
+      });
+
+      theme.participants = [...ids];
+      theme.quantitativeEvidence = ids.size > 0
+        ? `Mentioned by ${ids.size} of ${known.size} interviewee${known.size === 1 ? '' : 's'}`
+        : null;
+      themesCounted += 1;
+    });
+  });
+
+  const totalParticipants = Object.values(participantsByCategory).reduce((acc, map) => acc + map.size, 0);
+  return { transcripts: transcripts.length, participants: totalParticipants, themesCounted };
+}
+
+module.exports = {
+  isTranscriptSource,
+  sourceTypeKey,
+  speakerLines,
+  lineAt,
+  transcriptSourceLabel,
+  applyParticipantCoverage
+};
@@ -10,6 +10,7 @@ import HomePage from './pages/HomePage.jsx';
 import LoginPage from './pages/LoginPage.jsx';
 import DashboardPage from './pages/DashboardPage.jsx';
 import AnalysisToolPage from './pages/AnalysisToolPage.jsx';
+import SynthesisPage from './pages/SynthesisPage.jsx';
 
 export default function App() {
   const [user, setUser] = useState(null);
@@ -57,6 +58,9 @@ export default function App() {
             <Route path="/app/:projectId" element={
               <ProtectedRoute user={user}><AnalysisToolPage /></ProtectedRoute>
             } />
+            <Route path="/synthesis" element={
+              <ProtectedRoute user={user}><SynthesisPage /></ProtectedRoute>
+            } />
             <Route path="*" element={<Navigate to="/" replace />} />
           </Routes>
         </main>
@@ -0,0 +1,40 @@
+import React from 'react';
+
+const ANALYSIS_STAGE_LABELS = {
+  queued: 'Queued',
+  parsing: 'Preparing data',
+  quantitative: 'Quantitative analysis',
+  analysing: 'Synthesizing insights',
+  chunk: 'Analysing in parts',
+  merging: 'Merging themes',
+  verifying: 'Verifying quotes'
+};
+
+const AnalysisProgressPanel = ({ progress, onCancel, isCancelling }) => {
+  const percent = Math.max(0, Math.min(100, Number(progress?.percent) || 0));
+  const stageLabel = ANALYSIS_STAGE_LABELS[progress?.stage] || 'Working';
+  return (
+    <div className="w-full p-6 flex flex-col items-center justify-center bg-gray-900/50 backdrop-blur-lg border border-gray-700/50 rounded-lg mt-8 shadow-2xl">
+      <div className="animate-pulse rounded-full h-16 w-16 bg-teal-500/50"></div>
+      <p className="mt-4 text-gray-200 font-semibold">
+        {stageLabel}
+        {progress?.chunks ? ` (part ${Math.min(progress.chunk + 1, progress.chunks)} of ${progress.chunks})` : ''}
+      </p>
+      <div className="w-full max-w-md mt-3 h-2 rounded-full bg-gray-700 overflow-hidden">
+        <div className="h-full bg-teal-500 transition-all duration-500" style={{ width: `${percent}%` }}></div>
+      </div>
+      <p className="mt-2 text-sm text-gray-400">{progress?.message || 'Synthesizing insights...'}</p>
+      {onCancel && (
+        <button
+          onClick={onCancel}
+          disabled={isCancelling}
+          className="mt-4 px-4 py-2 text-sm rounded-md border border-gray-600 text-gray-300 hover:bg-gray-700 disabled:opacity-50"
+        >
+          {isCancelling ? 'Cancelling after the current step...' : 'Cancel analysis'}
+        </button>
+      )}
+    </div>
+  );
+};
+
+export default AnalysisProgressPanel;
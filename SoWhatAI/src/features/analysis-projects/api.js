@@ -0,0 +1,199 @@
+import { supabase } from '../../supabaseClient.js';
+
+async function getUser() {
+  const { data: { user } } = await supabase.auth.getUser();
+  return user;
+}
+export async function getProject(id) {
+  const { data, error } = await supabase
+    .from('projects')
+    .select('id, project_name, created_at, analysis_report')
+    .eq('id', id)
+    .single();
+  if (error) throw error;
+  return data;
+}
+export async function createProject({ name, analysis_report }) {
+  const user = await getUser();
+  if (!user) throw new Error('Not signed in');
+  const { data, error } = await supabase
+    .from('projects')
+    .insert({ user_id: user.id, project_name: name, analysis_report })
+    .select('id, project_name, created_at')
+    .single();
+  if (error) throw error;
+  return data;
+}
+export async function updateProject({ id, patch }) {
+  const { data, error } = await supabase
+    .from('projects')
+    .update(patch)
+    .eq('id', id)
+    .select('id')
+    .single();
+  if (error) throw error;
+  return data;
+}
+/*
+ * Every analysis run, theme edit and restore is snapshotted in `project_versions` with its
+ * author, so earlier reports can be viewed, compared and restored.
+ */
+export async function recordProjectVersion({ projectId, report, kind, label }) {
+  const user = await getUser();
+  if (!user) throw new Error('Not signed in');
+  const { data, error } = await supabase
+    .from('project_versions')
+    .insert({
+      project_id: projectId,
+      user_id: user.id,
+      author_email: user.email || null,
+      kind,
+      label: label || null,
+      analysis_report: report
+    })
+    .select('id, created_at')
+    .single();
+  if (error) throw error;
+  return data;
+}
+export async function listProjectVersions(projectId) {
+  const { data, error } = await supabase
+    .from('project_versions')
+    .select('id, kind, label, author_email, created_at')
+    .eq('project_id', projectId)
+    .order('created_at', { ascending: false });
+  if (error) throw error;
+  return data || [];
+}
+export async function getProjectVersion(versionId) {
+  const { data, error } = await supabase
+    .from('project_versions')
+    .select('id, kind, label, author_email, created_at, analysis_report')
+    .eq('id', versionId)
+    .single();
+  if (error) throw error;
+  return data;
+}
+// Saves the project's current report and snapshots it; a failed snapshot does not fail the save.
+export async function saveProjectReport({ id, report, kind, label }) {
+  const data = await updateProject({ id, patch: { analysis_report: report } });
+  await recordProjectVersion({ projectId: id, report, kind, label }).catch(versionError => {
+    console.error('Recording project version failed:', versionError);
+  });
+  return data;
+}
+/*
+ * Source files are stored per project in `project_files` so a saved project can be re-run.
+ * `payload` holds what the analysis needs: text content (plus moderators and segment
+ * attributes), or spreadsheet headers, rows and column mappings (per sheet for workbooks).
+ */
+export function projectFilePayload(file) {
+  if (file.type === 'text') {
+    return {
+      content: file.content || '',
+      ...(Array.isArray(file.moderators) ? { moderators: file.moderators } : {}),
+      ...(file.segmentText ? { segmentText: file.segmentText } : {})
+    };
+  }
+  if (Array.isArray(file.sheets)) {
+    return {
+      sheets: file.sheets.map(({ name, headers, rows, rowNumbers, mappings }) => ({
+        name,
+        headers,
+        rows,
+        mappings,
+        ...(Array.isArray(rowNumbers) ? { rowNumbers } : {})
+      }))
+    };
+  }
+  return {
+    headers: file.headers || [],
+    rows: file.rows || [],
+    mappings: file.mappings || {},
+    ...(Array.isArray(file.rowNumbers) ? { rowNumbers: file.rowNumbers } : {})
+  };
+}
+// A file as stored, in the shape the data set uses (as returned by getProjectFiles).
+export function storedProjectFile({ id, name, type, category, payload }) {
+  return { id, name, type, category: category || 'general', mappings: {}, ...(payload || {}) };
+}
+export async function getProjectFiles(projectId) {
+  const { data, error } = await supabase
+    .from('project_files')
+    .select('id, name, type, category, position, payload')
+    .eq('project_id', projectId)
+    .order('position', { ascending: true });
+  if (error) throw error;
+  return (data || []).map(storedProjectFile);
+}
+// The new rows are inserted before the old ones are deleted, so a failed insert (payload too
+// large, network, RLS) leaves the project's previous files in place.
+export async function saveProjectFiles(projectId, files) {
+  const user = await getUser();
+  if (!user) throw new Error('Not signed in');
+  const { data: previous, error: listError } = await supabase.from('project_files').select('id').eq('project_id', projectId);
+  if (listError) throw listError;
+  if (files.length > 0) {
+    const { error } = await supabase.from('project_files').insert(files.map((file, position) => ({
+      project_id: projectId,
+      user_id: user.id,
+      name: file.name,
+      type: file.type,
+      category: file.category || 'general',
+      position,
+      payload: projectFilePayload(file)
+    })));
+    if (error) throw error;
+  }
+  const previousIds = (previous || []).map(row => row.id);
+  if (previousIds.length === 0) return;
+  const { error: deleteError } = await supabase.from('project_files').delete().in('id', previousIds);
+  if (deleteError) throw deleteError;
+}
+/*
+ * A project's embedding index is kept in `project_search_index` (one row per project) so
+ * passages are embedded once, not on every visit. TF-IDF indexes are cheap and never stored.
+ */
+export async function getProjectSearchIndex(projectId) {
+  const { data, error } = await supabase
+    .from('project_search_index')
+    .select('provider, model, source_hash, vectors')
+    .eq('project_id', projectId)
+    .maybeSingle();
+  if (error) throw error;
+  return data;
+}
+export async function saveProjectSearchIndex(projectId, { provider, model, sourceHash, vectors }) {
+  const user = await getUser();
+  if (!user) throw new Error('Not signed in');
+  const { error } = await supabase.from('project_search_index').upsert({
+    project_id: projectId,
+    user_id: user.id,
+    provider,
+    model: model || null,
+    source_hash: sourceHash,
+    vectors,
+    built_at: new Date().toISOString()
+  }, { onConflict: 'project_id' });
+  if (error) throw error;
+}
+/*
+ * Projects can be linked as follow-up waves (`previous_wave_id`) so themes can be tracked over
+ * time. The link list is small, so the whole chain is worked out from one query.
+ */
+export async function listWaveProjects() {
+  const { data, error } = await supabase
+    .from('projects')
+    .select('id, project_name, created_at, previous_wave_id')
+    .order('created_at', { ascending: true });
+  if (error) throw error;
+  return data || [];
+}
+export async function getProjectReports(ids) {
+  const { data, error } = await supabase
+    .from('projects')
+    .select('id, analysis_report')
+    .in('id', ids);
+  if (error) throw error;
+  return new Map((data || []).map(row => [row.id, row.analysis_report]));
+}
@@ -0,0 +1,439 @@
+import React, { useState, useEffect, useRef, useMemo } from 'react';
+import PptxGenJS from 'pptxgenjs';
+import { restoreRedactionSession, reidentifyText } from '../../utils/piiRedaction.js';
+import { summariseCodebookCoverage } from '../../utils/codebook.js';
+import { excerptsByTheme, codedQuantitativeEvidence } from '../../utils/manualCoding.js';
+import { getSavedAnswers, removeSavedAnswer } from '../../utils/askData.js';
+import AskYourData from '../ask-your-data/AskYourData.jsx';
+import SavedAnswersDisplay from '../ask-your-data/SavedAnswersDisplay.jsx';
+import CodebookCoverageDisplay from '../codebook/CodebookCoverageDisplay.jsx';
+import CodingWorkspace from '../manual-coding/CodingWorkspace.jsx';
+import { SentimentSection, SentimentBreakdown } from '../sentiment/SentimentCharts.jsx';
+import {
+  sentimentPercents,
+  SENTIMENT_SEGMENTS,
+  SENTIMENT_ROWS_PER_SLIDE,
+  formatSentiment,
+  sentimentGroups
+} from '../sentiment/sentiment.js';
+import QuantitativeAnalysisDisplay from '../survey-stats/QuantitativeAnalysisDisplay.jsx';
+import ThemeTools from '../theme-editing/ThemeTools.jsx';
+import TranscriptSearch from '../transcript-search/TranscriptSearch.jsx';
+import VersionHistory from '../version-history/VersionHistory.jsx';
+import { formatVersion } from '../version-history/versionLabels.js';
+import WaveTracking from '../wave-tracking/WaveTracking.jsx';
+import {
+  DataSetOverview,
+  ResearchQuestionDisplay,
+  NarrativeOverviewDisplay,
+  SoWhatDisplay,
+  VerbatimQuotesDisplay
+} from './ReportSections.jsx';
+import ReportSidebar from './ReportSidebar.jsx';
+import ThematicAnalysisDisplay from './ThematicAnalysisDisplay.jsx';
+import { applyReportEdit } from './applyReportEdit.js';
+import { formatSourceType, evidenceText, formatEvidenceLocation, visibleQuotes } from './reportFormat.js';
+
+const AnalysisReportPage = ({ dataSet, onBack, results: currentResults, onDownload, onUpdateResults, projectId, redactionMap, redactionSettings, notice, onRestoreVersion }) => {
+  const reportRef = useRef(null);
+  // An earlier version picked from the history is shown read-only until restored or closed.
+  const [viewedVersion, setViewedVersion] = useState(null);
+  const results = viewedVersion?.analysis_report || currentResults;
+  const editableProjectId = viewedVersion ? null : projectId;
+  const [hideUnverified, setHideUnverified] = useState(true);
+  const [showOriginals, setShowOriginals] = useState(false);
+  const canReidentify = Boolean(redactionMap && Object.keys(redactionMap).length > 0);
+  const reidentify = (text) => (showOriginals && canReidentify ? reidentifyText(text, redactionMap) : text);
+  // Search embeddings and "ask your data" send sources out again; null when names cannot be redacted.
+  const sharingRedaction = useMemo(
+    () => restoreRedactionSession({ enabled: results.redaction?.enabled, config: redactionSettings, mapping: redactionMap }),
+    [results.redaction?.enabled, redactionSettings, redactionMap]
+  );
+
+  // Links from a cross-project synthesis point at a theme (#theme-<id>) or a findings section.
+  useEffect(() => {
+    const target = window.location.hash ? document.getElementById(decodeURIComponent(window.location.hash.slice(1))) : null;
+    target?.scrollIntoView({ behavior: 'smooth', block: 'start' });
+  }, []);
+
+  const {
+    narrativeOverview,
+    themes = [],
+    analysisBySource = [],
+    sentimentDistribution,
+    verbatimQuotes, quantitativeResults, researchQuestion, soWhatActions, analysisMeta, quoteVerification
+  } = results;
+  const codebookCoverage = summariseCodebookCoverage(results);
+
+  const handleDownloadDeck = async () => {
+    const pres = new PptxGenJS();
+
+    let slide = pres.addSlide();
+    slide.background = { color: "FFFFFF" };
+    slide.addText("SoWhatAI Analysis Report", { x: 0.5, y: 2, w: "90%", fontSize: 36, bold: true, color: "363636" });
+    if (researchQuestion) {
+      slide.addText(researchQuestion, { x: 0.5, y: 3, w: "90%", fontSize: 18, color: "7d7d7d" });
+    }
+    slide.addText(`Generated: ${new Date().toLocaleDateString()}`, { x: 0.5, y: 5, fontSize: 12, color: "D3D3D3" });
+
+    if (narrativeOverview) {
+      slide = pres.addSlide();
+      slide.background = { color: "FFFFFF" };
+      slide.addText("Executive Summary", { x: 0.5, y: 0.5, fontSize: 24, bold: true, color: "363636" });
+      slide.addText(narrativeOverview, { x: 0.5, y: 1.2, w: "90%", fontSize: 14, color: "4a4a4a" });
+    }
+
+    if (soWhatActions && soWhatActions.length > 0) {
+      slide = pres.addSlide();
+      slide.background = { color: "FFFFFF" };
+      slide.addText("So What? & Recommendations", { x: 0.5, y: 0.5, fontSize: 24, bold: true, color: "363636" });
+      const bullets = soWhatActions.map(action => ({ text: action, options: { fontSize: 14, color: "4a4a4a", bullet: true } }));
+      slide.addText(bullets, { x: 0.5, y: 1.2, w: "90%", h: 4 });
+    }
+
+    if (sentimentDistribution) {
+      slide = pres.addSlide();
+      slide.background = { color: "FFFFFF" };
+      slide.addText("Sentiment Overview", { x: 0.5, y: 0.5, fontSize: 24, bold: true, color: "363636" });
+      const valPos = Number(sentimentDistribution.positive || 0);
+      const valNeg = Number(sentimentDistribution.negative || 0);
+      const valNeu = Number(sentimentDistribution.neutral || 0);
+      const chartData = [{ name: "Sentiment", labels: ["Positive", "Negative", "Neutral"], values: [valPos, valNeg, valNeu] }];
+      slide.addChart(pres.ChartType.doughnut, chartData, {
+        x: 3, y: 1.5, w: 4, h: 3,
+        showLabel: true, showPercent: true,
+        chartColors: ['84cc16', 'ef4444', '9ca3af']
+      });
+    }
+
+    // One stacked bar per theme, source type or file.
+    sentimentGroups(results).forEach(group => {
+      for (let start = 0; start < group.rows.length; start += SENTIMENT_ROWS_PER_SLIDE) {
+        const rows = group.rows.slice(start, start + SENTIMENT_ROWS_PER_SLIDE);
+        const percents = rows.map(row => sentimentPercents(row.sentiment));
+        const labels = rows.map(row => {
+          const label = row.label.length > 40 ? `${row.label.slice(0, 39)}…` : row.label;
+          return row.emotions.length > 0 ? `${label} (${row.emotions.join(', ')})` : label;
+        });
+        slide = pres.addSlide();
+        slide.background = { color: "FFFFFF" };
+        const page = group.rows.length > SENTIMENT_ROWS_PER_SLIDE ? ` (${start / SENTIMENT_ROWS_PER_SLIDE + 1})` : '';
+        slide.addText(`Sentiment ${group.title.toLowerCase()}${page}`, { x: 0.5, y: 0.4, fontSize: 24, bold: true, color: "363636" });
+        const chartData = SENTIMENT_SEGMENTS.map(segment => ({
+          name: segment.label,
+          labels,
+          values: percents.map(percent => percent[segment.key])
+        }));
+        slide.addChart(pres.ChartType.bar, chartData, {
+          x: 0.5, y: 1.0, w: 9, h: 4.3,
+          barDir: 'bar', barGrouping: 'percentStacked',
+          chartColors: SENTIMENT_SEGMENTS.map(segment => segment.color),
+          catAxisOrientation: 'maxMin', catAxisLabelFontSize: 10, valAxisLabelFontSize: 9,
+          showLegend: true, legendPos: 'b', legendFontSize: 10
+        });
+      }
+    });
+
+    if (codebookCoverage) {
+      slide = pres.addSlide();
+      slide.background = { color: "FFFFFF" };
+      slide.addText("Codebook Coverage", { x: 0.5, y: 0.4, fontSize: 24, bold: true, color: "363636" });
+      slide.addText(`${codebookCoverage.codesWithEvidence} of ${codebookCoverage.totalCodes} codes were found in the data.`, {
+        x: 0.5, y: 0.9, w: "90%", fontSize: 12, color: "7d7d7d"
+      });
+      const header = ["Code", "Found in", "Prominence", "Quotes (verified)"]
+        .map(text => ({ text, options: { bold: true, color: "FFFFFF", fill: { color: "13BBAF" } } }));
+      const rows = codebookCoverage.codes.map(entry => [
+        entry.code,
+        entry.sourceTypes.length > 0 ? entry.sourceTypes.map(formatSourceType).join(', ') : 'No evidence',
+        `${Math.round(entry.prominence * 100)}%`,
+        `${entry.evidenceCount} (${entry.verifiedCount})`
+      ].map(text => ({ text })));
+      slide.addTable([header, ...rows], {
+        x: 0.5, y: 1.3, w: 9, colW: [3.2, 2.6, 1.4, 1.8],
+        fontSize: 10, color: "4a4a4a", border: { type: "solid", pt: 0.5, color: "D3D3D3" },
+        autoPage: true
+      });
+    }
+
+    const createThemeSlides = (sourceThemes, sectionTitle) => {
+      if (!sourceThemes || sourceThemes.length === 0) return;
+      slide = pres.addSlide();
+      slide.background = { color: "13BBAF" };
+      slide.addText(sectionTitle, { x: 0, y: 2.5, w: "100%", align: 'center', fontSize: 36, bold: true, color: "FFFFFF" });
+
+      const codedByTheme = excerptsByTheme(results);
+      sourceThemes.forEach(t => {
+        const coded = codedByTheme.get(t.id) || [];
+        const quantitativeEvidence = codedQuantitativeEvidence(t, coded);
+        slide = pres.addSlide();
+        slide.background = { color: "FFFFFF" };
+        slide.addText(`${t.emoji || ''} ${t.theme}`, { x: 0.5, y: 0.4, w: "90%", fontSize: 24, bold: true, color: "363636" });
+        slide.addText(t.themeNarrative || "", { x: 0.5, y: 1.2, w: 4.5, fontSize: 12, color: "4a4a4a" });
+        if (quantitativeEvidence) {
+          slide.addText(quantitativeEvidence, {
+            x: 0.5, y: 3.5, w: 4.5, h: 0.5,
+            fontSize: 11, color: "13BBAF", bold: true,
+            shape: pres.ShapeType.roundRect, fill: { color: "F0FDFA" }, line: { color: "13BBAF" }
+          });
+        }
+        const evidence = [
+          ...visibleQuotes(t.evidence, hideUnverified),
+          ...coded.map(excerpt => ({ quote: excerpt.text, fileName: `${excerpt.fileName} (coded)` }))
+        ];
+        if (evidence.length > 0) {
+          slide.addText("Key Evidence:", { x: 5.2, y: 1.2, fontSize: 12, bold: true, color: "363636" });
+          const quotes = evidence.flatMap(q => {
+            const location = formatEvidenceLocation(q);
+            const quoteRun = { text: `"${reidentify(evidenceText(q))}"`, options: { fontSize: 11, color: "666666", italic: true, breakLine: true } };
+            return location
+              ? [quoteRun, { text: `— ${location}`, options: { fontSize: 9, color: "13BBAF", breakLine: true } }]
+              : [quoteRun];
+          });
+          slide.addText(quotes, { x: 5.2, y: 1.5, w: 4.5, h: 3 });
+        }
+        const drivers = (t.drivers || []).slice(0, 4).join(", ");
+        const barriers = (t.barriers || []).slice(0, 4).join(", ");
+        if (drivers || barriers) {
+          slide.addText(`Drivers: ${drivers} | Barriers: ${barriers}`, { x: 0.5, y: 4.2, w: "90%", fontSize: 10, color: "888888" });
+        }
+        if (sentimentPercents(t.sentiment)) {
+          const emotions = Array.isArray(t.emotions) && t.emotions.length > 0 ? ` | Emotions: ${t.emotions.join(', ')}` : '';
+          slide.addText(`Sentiment: ${formatSentiment(t.sentiment)}${emotions}`, { x: 0.5, y: 4.6, w: "90%", fontSize: 10, color: "888888" });
+        }
+      });
+    };
+
+    if (analysisBySource && analysisBySource.length > 0) {
+      analysisBySource.forEach(source => {
+        const title = (source.sourceType || 'General').replace(/_/g, ' ').replace(/\b\w/g, l => l.toUpperCase()) + " Findings";
+        createThemeSlides(source.themes, title);
+      });
+    } else if (themes && themes.length > 0) {
+      createThemeSlides(themes, "Key Themes");
+    }
+
+    getSavedAnswers(results).forEach(saved => {
+      slide = pres.addSlide();
+      slide.background = { color: "FFFFFF" };
+      slide.addText(saved.question, { x: 0.5, y: 0.4, w: "90%", fontSize: 20, bold: true, color: "363636" });
+      slide.addText(reidentify(saved.answer), { x: 0.5, y: 1.2, w: 4.5, fontSize: 12, color: "4a4a4a" });
+      const citations = visibleQuotes(saved.citations, hideUnverified);
+      if (citations.length > 0) {
+        slide.addText("Evidence:", { x: 5.2, y: 1.2, fontSize: 12, bold: true, color: "363636" });
+        slide.addText(citations.flatMap(q => {
+          const location = formatEvidenceLocation(q);
+          const quoteRun = { text: `"${reidentify(evidenceText(q))}"`, options: { fontSize: 11, color: "666666", italic: true, breakLine: true } };
+          return location
+            ? [quoteRun, { text: `— ${location}`, options: { fontSize: 9, color: "13BBAF", breakLine: true } }]
+            : [quoteRun];
+        }), { x: 5.2, y: 1.5, w: 4.5, h: 3 });
+      }
+    });
+
+    pres.writeFile({ fileName: `SoWhatAI-Report-${new Date().toISOString().split('T')[0]}.pptx` });
+  };
+
+  return (
+    <div className="grid grid-cols-1 md:grid-cols-4 gap-6">
+      <div className="md:col-span-1 sticky top-24 self-start">
+        <ReportSidebar results={results} />
+      </div>
+
+      <div className="md:col-span-3">
+        <div ref={reportRef} id="analysis-report-container" className="w-full bg-gray-900/50 backdrop-blur-lg border border-gray-700/50 rounded-lg shadow-2xl p-6">
+          <div className="flex justify-between items-center mb-6">
+            <button onClick={onBack} className="inline-flex items-center px-4 py-2 text-sm rounded-md text-gray-300 bg-gray-700 hover:bg-gray-600 border border-gray-600">
+              <svg xmlns="http://www.w3.org/2000/svg" className="h-5 w-5 mr-2" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M10 19l-7-7m0 0l7-7m-7 7h18" />
+              </svg>
+              Back to Data Set
+            </button>
+            <h2 className="text-2xl font-semibold text-white">Analysis Report</h2>
+            <div className="flex space-x-3">
+              <button onClick={handleDownloadDeck} className="inline-flex items-center px-4 py-2 text-sm rounded-md text-white bg-green-600 hover:bg-green-700 font-medium transition-colors">
+                <svg xmlns="http://www.w3.org/2000/svg" className="h-5 w-5 mr-2" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+                  <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M7 12l3-3 3 3 4-4M8 21l4-4 4 4M3 4h18M4 4h16v12a1 1 0 01-1 1H5a1 1 0 01-1-1V4z" />
+                </svg>
+                Download PPTX
+              </button>
+              <button onClick={() => onDownload(reportRef)} className="inline-flex items-center px-4 py-2 text-sm rounded-md text-white bg-green-600 hover:bg-green-700">
+                <svg xmlns="http://www.w3.org/2000/svg" className="h-5 w-5 mr-2" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+                  <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M4 16v1a3 3 0 003 3h10a3 3 0 003-3v-1m-4-4l-4 4m0 0l-4-4m4 4V4" />
+                </svg>
+                Download PDF
+              </button>
+            </div>
+          </div>
+
+          <div className="space-y-6">
+            {projectId && (
+              <VersionHistory projectId={projectId} viewedVersionId={viewedVersion?.id} onView={setViewedVersion} />
+            )}
+            {projectId && <WaveTracking projectId={projectId} />}
+            {!viewedVersion && analysisBySource.length > 0 && (
+              <ThemeTools
+                results={results}
+                onApply={(newResults, label) => applyReportEdit({ newResults, projectId, onUpdateResults, label })}
+              />
+            )}
+            {!viewedVersion && (
+              <TranscriptSearch
+                results={results}
+                dataSet={dataSet}
+                redactionMap={redactionMap}
+                redaction={sharingRedaction}
+                projectId={projectId}
+                onApply={(newResults, label) => applyReportEdit({ newResults, projectId, onUpdateResults, label })}
+              />
+            )}
+            {!viewedVersion && (
+              <AskYourData
+                results={results}
+                dataSet={dataSet}
+                redaction={sharingRedaction}
+                reidentify={reidentify}
+                onSave={(newResults, label) => applyReportEdit({ newResults, projectId, onUpdateResults, label })}
+              />
+            )}
+            {!viewedVersion && (
+              <CodingWorkspace
+                results={results}
+                dataSet={dataSet}
+                redactionMap={redactionMap}
+                onApply={(newResults, label) => applyReportEdit({ newResults, projectId, onUpdateResults, label })}
+              />
+            )}
+            {viewedVersion && (
+              <div className="flex flex-wrap items-center justify-between gap-3 p-3 rounded-lg border border-yellow-700/40 bg-yellow-900/10 text-sm">
+                <span className="text-yellow-300">
+                  Viewing an earlier version: {formatVersion(viewedVersion)}
+                  {viewedVersion.author_email ? ` by ${viewedVersion.author_email}` : ''}.
+                </span>
+                <div className="flex gap-2">
+                  <button
+                    onClick={() => { onRestoreVersion(viewedVersion); setViewedVersion(null); }}
+                    className="px-3 py-1 rounded-md text-white bg-[#13BBAF] hover:bg-teal-600"
+                  >
+                    Restore this version
+                  </button>
+                  <button onClick={() => setViewedVersion(null)} className="px-3 py-1 rounded-md text-gray-300 bg-gray-700 hover:bg-gray-600">
+                    Back to current
+                  </button>
+                </div>
+              </div>
+            )}
+            <DataSetOverview dataSet={dataSet} analysisMeta={analysisMeta} />
+            {results.partial && (
+              <div className="p-3 rounded-lg border border-yellow-700/40 bg-yellow-900/10 text-sm text-yellow-300">
+                Partial results: {results.partialReason || 'the analysis did not finish.'} Only the parts that completed are
+                shown, and they have not been saved to the project.
+              </div>
+            )}
+            {notice && !viewedVersion && (
+              <div className="p-3 rounded-lg border border-yellow-700/40 bg-yellow-900/10 text-sm text-yellow-300">{notice}</div>
+            )}
+            <ResearchQuestionDisplay question={researchQuestion} />
+            <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+              <NarrativeOverviewDisplay narrative={narrativeOverview} />
+              <SoWhatDisplay actions={soWhatActions} />
+            </div>
+            <SentimentSection distribution={sentimentDistribution} />
+            <SentimentBreakdown results={results} />
+
+            {quoteVerification && quoteVerification.total > 0 && (
+              <div className="flex flex-wrap items-center justify-between gap-3 p-3 rounded-lg border border-gray-700 bg-gray-800/50 text-sm">
+                <span className="text-gray-300">
+                  Quote verification: {quoteVerification.verified} of {quoteVerification.total} quotes were found in the uploaded data.
+                  {quoteVerification.unverified > 0 && (
+                    <span className="text-yellow-400"> {quoteVerification.unverified} could not be matched.</span>
+                  )}
+                </span>
+                <label className="inline-flex items-center text-gray-300">
+                  <input
+                    type="checkbox"
+                    checked={hideUnverified}
+                    onChange={(e) => setHideUnverified(e.target.checked)}
+                    className="h-4 w-4 mr-2 text-teal-600 bg-gray-700 border-gray-600 rounded focus:ring-teal-500"
+                  />
+                  Hide unverified quotes
+                </label>
+              </div>
+            )}
+
+            {canReidentify && (
+              <div className="flex flex-wrap items-center justify-between gap-3 p-3 rounded-lg border border-yellow-700/40 bg-yellow-900/10 text-sm">
+                <span className="text-gray-300">
+                  Personal data was redacted before analysis. Originals are stored only in this browser.
+                </span>
+                <label className="inline-flex items-center text-gray-300">
+                  <input
+                    type="checkbox"
+                    checked={showOriginals}
+                    onChange={(e) => setShowOriginals(e.target.checked)}
+                    className="h-4 w-4 mr-2 text-teal-600 bg-gray-700 border-gray-600 rounded focus:ring-teal-500"
+                  />
+                  Re-identify quotes (internal use only)
+                </label>
+              </div>
+            )}
+
+            <CodebookCoverageDisplay coverage={codebookCoverage} />
+
+            {themes && themes.length > 0 && (
+              <div id="report-themes-legacy" className="scroll-mt-24">
+                <ThematicAnalysisDisplay
+                  themes={themes}
+                  allResults={results}
+                  onUpdateResults={onUpdateResults}
+                  projectId={editableProjectId}
+                  sourceType="legacy"
+                  hideUnverified={hideUnverified}
+                  reidentify={reidentify}
+                  readOnly={Boolean(viewedVersion)}
+                />
+              </div>
+            )}
+
+            {analysisBySource && analysisBySource.length > 0 && (
+              <div className="space-y-6">
+                {analysisBySource.map((sourceAnalysis, index) => (
+                  <div key={index} id={`report-findings-${sourceAnalysis.sourceType}`} className="scroll-mt-24">
+                    <h2 className="text-2xl font-semibold text-white mb-4 border-b border-gray-700 pb-2 capitalize">
+                      Findings from: {formatSourceType(sourceAnalysis.sourceType)}
+                    </h2>
+                    <ThematicAnalysisDisplay
+                      themes={sourceAnalysis.themes}
+                      allResults={results}
+                      onUpdateResults={onUpdateResults}
+                      projectId={editableProjectId}
+                      sourceType={sourceAnalysis.sourceType}
+                      hideUnverified={hideUnverified}
+                      reidentify={reidentify}
+                      readOnly={Boolean(viewedVersion)}
+                    />
+                  </div>
+                ))}
+              </div>
+            )}
+
+            <VerbatimQuotesDisplay quotes={verbatimQuotes} hideUnverified={hideUnverified} reidentify={reidentify} />
+            <SavedAnswersDisplay
+              answers={getSavedAnswers(results)}
+              reidentify={reidentify}
+              onRemove={viewedVersion ? null : (saved) => applyReportEdit({
+                newResults: removeSavedAnswer(results, saved.id),
+                projectId,
+                onUpdateResults,
+                label: `Removed answer to "${saved.question.slice(0, 80)}"`
+              })}
+            />
+            <QuantitativeAnalysisDisplay quantData={quantitativeResults} />
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default AnalysisReportPage;
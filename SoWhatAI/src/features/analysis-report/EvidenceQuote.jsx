@@ -0,0 +1,53 @@
+import React, { useState } from 'react';
+import { formatSourceType, evidenceText, formatEvidenceLocation } from './reportFormat.js';
+
+const QuoteBadge = ({ item }) => {
+  if (typeof item !== 'object' || item === null || typeof item.verified !== 'boolean') return null;
+  const match = Number.isFinite(Number(item.similarity)) ? ` · ${Math.round(Number(item.similarity) * 100)}% match` : '';
+  return item.verified ? (
+    <span className="inline-block text-xs px-2 py-0.5 rounded-full bg-green-900/50 text-green-300 border border-green-700/50" title="Found in the uploaded data">
+      Verified{match}
+    </span>
+  ) : (
+    <span className="inline-block text-xs px-2 py-0.5 rounded-full bg-yellow-900/50 text-yellow-300 border border-yellow-700/50" title="Could not be matched to the uploaded data; may be paraphrased or fabricated">
+      Unverified{match}
+    </span>
+  );
+};
+
+const EvidenceQuote = ({ item, reidentify = (text) => text }) => {
+  const [showSource, setShowSource] = useState(false);
+  const text = reidentify(evidenceText(item));
+  const location = formatEvidenceLocation(item);
+  const isTraced = typeof item === 'object' && item !== null;
+
+  return (
+    <blockquote className="border-l-4 border-[#13BBAF] pl-4">
+      <p className="text-gray-400 italic">"{text}"</p>
+      {isTraced && (
+        <div className="mt-1 flex flex-wrap items-center gap-2">
+          <QuoteBadge item={item} />
+          {location && (
+            <button
+              onClick={() => setShowSource(v => !v)}
+              className="text-xs text-teal-300 hover:text-teal-200 underline decoration-dotted"
+              title="Show where this quote appears in the source"
+            >
+              {location} ({formatSourceType(item.category)})
+            </button>
+          )}
+        </div>
+      )}
+      {showSource && item.context && (
+        <div className="mt-2 p-3 text-sm not-italic bg-gray-800 border border-gray-700 rounded-md text-gray-400">
+          {reidentify(item.context.before)}
+          <mark className="bg-teal-700/60 text-white px-0.5 rounded">{reidentify(item.context.match)}</mark>
+          {reidentify(item.context.after)}
+        </div>
+      )}
+    </blockquote>
+  );
+};
+
+export { QuoteBadge };
+export default EvidenceQuote;
@@ -0,0 +1,111 @@
+import React from 'react';
+import { spreadsheetSheets } from '../analysis-setup/dataSet.js';
+import { QuoteBadge } from './EvidenceQuote.jsx';
+import { evidenceText, formatEvidenceLocation, visibleQuotes } from './reportFormat.js';
+
+const DataSetOverview = ({ dataSet: ds, analysisMeta }) => {
+  const textFilesCount = ds.filter(f => f.type === 'text').length;
+  const spreadsheets = ds.filter(f => f.type === 'spreadsheet');
+  const spreadsheetRowsCount = spreadsheets.reduce(
+    (acc, file) => acc + spreadsheetSheets(file).reduce((sum, sheet) => sum + (sheet.rows?.length || 0), 0),
+    0
+  );
+
+  return (
+    <div className="p-4 rounded-lg border border-gray-700 bg-gray-800/50 backdrop-blur-sm mb-6">
+      <h3 className="text-lg font-semibold text-white mb-3">Data Set Overview</h3>
+      <div className="flex space-x-8">
+        {textFilesCount > 0 && (
+          <div className="flex items-center">
+            <svg xmlns="http://www.w3.org/2000/svg" className="h-8 w-8 text-[#13BBAF] mr-3" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M9 12h6m-6 4h6m2 5H7a2 2 0 01-2-2V5a2 2 0 012-2h5.586a1 1 0 01.707.293l5.414 5.414a1 1 0 01.293.707V19a2 2 0 01-2 2z" />
+            </svg>
+            <div>
+              <p className="text-2xl font-bold text-white">{textFilesCount}</p>
+              <p className="text-sm text-gray-400">Text Documents</p>
+            </div>
+          </div>
+        )}
+        {spreadsheets.length > 0 && (
+          <div className="flex items-center">
+            <svg xmlns="http://www.w3.org/2000/svg" className="h-8 w-8 text-[#13BBAF] mr-3" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M3 10h18M3 14h18m-9-4v8m-7 0h14a2 2 0 002-2V8a2 2 0 00-2-2H5a2 2 0 00-2 2v8a2 2 0 002 2z" />
+            </svg>
+            <div>
+              <p className="text-2xl font-bold text-white">{spreadsheetRowsCount}</p>
+              <p className="text-sm text-gray-400">Survey Responses</p>
+            </div>
+          </div>
+        )}
+      </div>
+      {analysisMeta?.mode === 'map-reduce' && (
+        <p className="mt-3 text-sm text-gray-400">
+          Large data set: analysed in {analysisMeta.chunksProcessed} of {analysisMeta.chunkCount} chunks, then merged.
+          {analysisMeta.chunksFailed > 0 && (
+            <span className="text-yellow-400"> {analysisMeta.chunksFailed} chunk(s) could not be analysed and are not reflected in the findings.</span>
+          )}
+        </p>
+      )}
+    </div>
+  );
+};
+
+const ResearchQuestionDisplay = ({ question }) => (
+  <div className="p-4 rounded-lg border border-gray-700 bg-gray-800/50 backdrop-blur-sm mb-6">
+    <h3 className="text-lg font-semibold text-white">Research Question</h3>
+    <p className="mt-2 text-gray-300 italic">"{question}"</p>
+  </div>
+);
+
+const NarrativeOverviewDisplay = ({ narrative }) => (
+  <div id="report-overview" className="p-5 rounded-lg border border-purple-500/20 bg-purple-900/20 backdrop-blur-sm scroll-mt-24">
+    <h3 className="text-xl font-semibold text-white mb-2">Overview</h3>
+    <p className="text-gray-300 leading-relaxed text-base">{narrative}</p>
+  </div>
+);
+
+const SoWhatDisplay = ({ actions }) => (
+  actions && actions.length > 0 ? (
+    <div id="report-sowhat" className="p-5 rounded-lg border border-teal-500/20 bg-teal-900/20 backdrop-blur-sm scroll-mt-24">
+      <h3 className="text-xl font-semibold text-white mb-3">So What? (Actions)</h3>
+      <ul className="list-disc list-inside space-y-2 text-gray-300">
+        {actions.map((action, index) => (<li key={index}>{action}</li>))}
+      </ul>
+    </div>
+  ) : null
+);
+
+const VerbatimQuotesDisplay = ({ quotes, hideUnverified, reidentify = (text) => text }) => {
+  const shown = visibleQuotes(quotes, hideUnverified);
+  return shown.length > 0 ? (
+    <div id="report-quotes" className="p-4 rounded-lg border border-gray-700 bg-gray-800/50 backdrop-blur-sm scroll-mt-24">
+      <h3 className="text-lg font-semibold text-white mb-3">Key Verbatim Quotes</h3>
+      <ul className="space-y-4">
+        {shown.map((quote, index) => (
+          <li key={index}>
+            <blockquote className="relative p-4 text-lg italic border-l-4 bg-gray-900/70 text-gray-300 border-gray-600 quote">
+              <span className="text-3xl text-gray-500 absolute top-2 left-2 opacity-50">"</span>
+              <p className="pl-6 mb-0">{reidentify(evidenceText(quote))}</p>
+              {typeof quote === 'object' && (
+                <div className="pl-6 mt-2 flex flex-wrap items-center gap-2 not-italic">
+                  <QuoteBadge item={quote} />
+                  {formatEvidenceLocation(quote) && (
+                    <span className="text-xs text-gray-500">{formatEvidenceLocation(quote)}</span>
+                  )}
+                </div>
+              )}
+            </blockquote>
+          </li>
+        ))}
+      </ul>
+    </div>
+  ) : null;
+};
+
+export {
+  DataSetOverview,
+  ResearchQuestionDisplay,
+  NarrativeOverviewDisplay,
+  SoWhatDisplay,
+  VerbatimQuotesDisplay
+};
@@ -0,0 +1,60 @@
+import React from 'react';
+import { getSavedAnswers } from '../../utils/askData.js';
+import { sentimentGroups } from '../sentiment/sentiment.js';
+import { formatSourceType } from './reportFormat.js';
+
+const ReportSidebar = ({ results }) => {
+  const {
+    narrativeOverview, themes = [], analysisBySource = [],
+    sentimentDistribution, verbatimQuotes, quantitativeResults,
+    soWhatActions
+  } = results;
+
+  return (
+    <nav className="self-start">
+      <h3 className="text-sm font-semibold uppercase text-gray-500 tracking-wider mb-3">On this page</h3>
+      <ul className="space-y-2">
+        {narrativeOverview && (
+          <li><a href="#report-overview" className="text-gray-400 hover:text-white transition-colors">Overview</a></li>
+        )}
+        {soWhatActions && soWhatActions.length > 0 && (
+          <li><a href="#report-sowhat" className="text-gray-400 hover:text-white transition-colors">So What?</a></li>
+        )}
+        {sentimentDistribution && (
+          <li><a href="#report-sentiment" className="text-gray-400 hover:text-white transition-colors">Sentiment</a></li>
+        )}
+        {sentimentGroups(results).length > 0 && (
+          <li><a href="#report-sentiment-breakdown" className="text-gray-400 hover:text-white transition-colors">Sentiment Breakdown</a></li>
+        )}
+        {results.codebookCoverage && (
+          <li><a href="#report-codebook" className="text-gray-400 hover:text-white transition-colors">Codebook Coverage</a></li>
+        )}
+        {themes && themes.length > 0 && (
+          <li><a href="#report-themes-legacy" className="text-gray-400 hover:text-white transition-colors">Thematic Analysis</a></li>
+        )}
+        {analysisBySource && analysisBySource.length > 0 && (
+          <ul className="pl-3 space-y-2 border-l border-gray-700">
+            {analysisBySource.map((source, index) => (
+              <li key={index}>
+                <a href={`#report-findings-${source.sourceType}`} className="text-gray-400 hover:text-white transition-colors">
+                  {formatSourceType(source.sourceType)} Findings
+                </a>
+              </li>
+            ))}
+          </ul>
+        )}
+        {verbatimQuotes && verbatimQuotes.length > 0 && (
+          <li><a href="#report-quotes" className="text-gray-400 hover:text-white transition-colors">Key Quotes</a></li>
+        )}
+        {getSavedAnswers(results).length > 0 && (
+          <li><a href="#report-answers" className="text-gray-400 hover:text-white transition-colors">Questions &amp; Answers</a></li>
+        )}
+        {quantitativeResults && quantitativeResults.length > 0 && (
+          <li><a href="#report-quantitative" className="text-gray-400 hover:text-white transition-colors">Quantitative</a></li>
+        )}
+      </ul>
+    </nav>
+  );
+};
+
+export default ReportSidebar;
@@ -0,0 +1,43 @@
+import React from 'react';
+
+const SegmentBreakdown = ({ entries, narrative }) => {
+  const byAttribute = entries.reduce((acc, entry) => {
+    (acc[entry.attribute] = acc[entry.attribute] || []).push(entry);
+    return acc;
+  }, {});
+
+  return (
+    <div className="mt-3 mb-2">
+      <div className="text-gray-300 text-sm font-semibold mb-1">By segment</div>
+      {narrative && <p className="text-gray-300 text-sm mb-2">{narrative}</p>}
+      <div className="grid gap-3 md:grid-cols-2">
+        {Object.entries(byAttribute).map(([attribute, segments]) => (
+          <div key={attribute} className="space-y-1">
+            <p className="text-xs uppercase text-gray-500">{attribute}</p>
+            {segments.map(entry => (
+              <div key={entry.segment} className="flex items-center text-xs">
+                <span className="w-28 text-gray-300 truncate" title={entry.segment}>{entry.segment}</span>
+                <div className="flex-1 bg-gray-700 rounded-full h-2.5 mx-2">
+                  <div
+                    className="bg-teal-400 h-2.5 rounded-full"
+                    style={{ width: `${Math.min((entry.prominence || 0) * 100, 100)}%` }}
+                  ></div>
+                </div>
+                <span className="w-10 text-right text-gray-200">
+                  {entry.prominence == null ? '–' : `${Math.round(entry.prominence * 100)}%`}
+                </span>
+                {entry.base != null && (
+                  <span className="w-24 text-right text-gray-500" title="Units in this segment · verified quotes from it">
+                    n={entry.base} · {entry.evidenceCount || 0} quote{entry.evidenceCount === 1 ? '' : 's'}
+                  </span>
+                )}
+              </div>
+            ))}
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+export default SegmentBreakdown;
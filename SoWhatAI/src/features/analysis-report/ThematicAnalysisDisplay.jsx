@@ -0,0 +1,295 @@
+import React, { useState } from 'react';
+import {
+  THEME_LIST_FIELDS,
+  setSourceThemes,
+  createBlankTheme,
+  normaliseEditedTheme,
+  moveItem
+} from '../../utils/themeEditing.js';
+import { excerptsByTheme, codedQuantitativeEvidence } from '../../utils/manualCoding.js';
+import { SentimentBar, EmotionChips } from '../sentiment/SentimentCharts.jsx';
+import { sentimentPercents, formatSentiment } from '../sentiment/sentiment.js';
+import ThemeEditor from '../theme-editing/ThemeEditor.jsx';
+import EvidenceQuote from './EvidenceQuote.jsx';
+import SegmentBreakdown from './SegmentBreakdown.jsx';
+import { applyReportEdit } from './applyReportEdit.js';
+import { evidenceText, visibleQuotes } from './reportFormat.js';
+
+// The editor works on plain strings; normaliseEditedTheme maps unchanged quotes back to their traced objects.
+const toThemeDraft = (theme) => ({
+  ...theme,
+  emoji: theme.emoji || '',
+  theme: theme.theme || '',
+  themeNarrative: theme.themeNarrative || '',
+  prominence: Number(theme.prominence) || 0,
+  confidence: Number(theme.confidence) || 0,
+  ...Object.fromEntries(THEME_LIST_FIELDS.map(field => [field, Array.isArray(theme[field]) ? [...theme[field]] : []])),
+  evidence: (Array.isArray(theme.evidence) ? theme.evidence : []).map(evidenceText)
+});
+
+const ThematicAnalysisDisplay = ({ themes = [], allResults, onUpdateResults, projectId, sourceType, hideUnverified, reidentify, readOnly = false }) => {
+  // `draft.isNew` marks a theme being created; it is only added to the report on save.
+  const [draft, setDraft] = useState(null);
+  const [dragIndex, setDragIndex] = useState(null);
+  const [dropIndex, setDropIndex] = useState(null);
+
+  const Pill = ({ children }) => (
+    <span className="inline-block bg-gray-800/70 text-gray-200 text-xs px-2 py-1 rounded-md mr-2 mb-2 border border-gray-700">
+      {children}
+    </span>
+  );
+
+  const persistThemes = (nextThemes, label) => {
+    applyReportEdit({ newResults: setSourceThemes(allResults, sourceType, nextThemes), projectId, onUpdateResults, label });
+  };
+
+  const handleStartEdit = (theme) => setDraft(toThemeDraft(theme));
+  const handleStartCreate = () => setDraft({ ...toThemeDraft(createBlankTheme()), isNew: true });
+  const handleCancelEdit = () => setDraft(null);
+
+  const handleSaveEdit = () => {
+    if (!draft) return;
+    const { isNew, ...edited } = draft;
+    if (isNew) {
+      const created = normaliseEditedTheme(edited, { id: edited.id, manual: true });
+      persistThemes([...themes, created], `Added theme "${created.theme}"`);
+    } else {
+      const original = themes.find(t => t.id === edited.id);
+      if (!original) return;
+      const updated = normaliseEditedTheme(edited, original);
+      persistThemes(themes.map(t => (t.id === edited.id ? updated : t)), `Edited theme "${updated.theme}"`);
+    }
+    setDraft(null);
+  };
+
+  const handleDelete = (theme) => {
+    if (!window.confirm(`Delete the theme "${theme.theme}"? Earlier versions keep a copy.`)) return;
+    persistThemes(themes.filter(t => t.id !== theme.id), `Deleted theme "${theme.theme}"`);
+  };
+
+  const handleDrop = (index) => {
+    if (dragIndex !== null && dragIndex !== index) {
+      persistThemes(moveItem(themes, dragIndex, index), `Moved theme "${themes[dragIndex].theme}"`);
+    }
+    setDragIndex(null);
+    setDropIndex(null);
+  };
+
+  const canEdit = !readOnly && typeof onUpdateResults === 'function';
+  const codedByTheme = excerptsByTheme(allResults);
+
+  // An editable source keeps its panel when every theme was deleted, so themes can be added back.
+  if ((!themes || themes.length === 0) && !canEdit) return null;
+
+  return (
+    <div className="p-4 rounded-lg border border-gray-700 bg-gray-800/50 backdrop-blur-sm">
+      <h3 className="text-lg font-semibold text-white mb-3">Thematic Analysis</h3>
+
+      {themes.length === 0 && !draft && <p className="text-sm text-gray-500">No themes for this source.</p>}
+
+      {themes.length > 0 && (
+        <div className="space-y-4 mb-6">
+          <h4 className="font-semibold text-gray-300">Theme Prominence</h4>
+          {themes.map((t, idx) => (
+            <div key={t.id || idx} className="w-full">
+              <div className="flex items-center mb-1">
+                <span className="text-lg mr-2">{t.emoji}</span>
+                <span className="text-sm font-medium text-gray-300">{t.theme}</span>
+              </div>
+              <div className="w-full bg-gray-700 rounded-full h-4">
+                <div
+                  className="bg-green-500 h-4 rounded-full"
+                  style={{ width: `${Math.min((t.prominence || 0) * 100, 100)}%` }}
+                ></div>
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+
+      {themes.length > 0 && <hr className="my-6 border-gray-700" />}
+
+      <ul className="space-y-6">
+        {themes.map((t, idx) => {
+          const quotes = visibleQuotes(t.evidence, hideUnverified).slice(0, 3);
+          const hasDrivers = Array.isArray(t.drivers) && t.drivers.length > 0;
+          const hasBarriers = Array.isArray(t.barriers) && t.barriers.length > 0;
+          const hasTensions = Array.isArray(t.tensions) && t.tensions.length > 0;
+          const hasOpps = Array.isArray(t.opportunities) && t.opportunities.length > 0;
+          const coded = codedByTheme.get(t.id) || [];
+          const quantitativeEvidence = codedQuantitativeEvidence(t, coded);
+          const isEditing = Boolean(draft && !draft.isNew && t.id && draft.id === t.id);
+          const isDraggable = canEdit && !draft && Boolean(t.id);
+
+          return (
+            <li
+              key={t.id || idx}
+              id={t.id ? `theme-${t.id}` : undefined}
+              draggable={isDraggable}
+              onDragStart={isDraggable ? () => setDragIndex(idx) : undefined}
+              onDragOver={isDraggable ? (e) => { e.preventDefault(); setDropIndex(idx); } : undefined}
+              onDragEnd={() => { setDragIndex(null); setDropIndex(null); }}
+              onDrop={isDraggable ? (e) => { e.preventDefault(); handleDrop(idx); } : undefined}
+              className={`flex flex-col p-4 bg-gray-900/70 rounded-md shadow-sm scroll-mt-24 ${
+                dropIndex === idx && dragIndex !== null && dragIndex !== idx ? 'ring-2 ring-[#13BBAF]' : ''
+              } ${dragIndex === idx ? 'opacity-50' : ''}`}
+            >
+              {isEditing ? (
+                <ThemeEditor draft={draft} setDraft={setDraft} onSave={handleSaveEdit} onCancel={handleCancelEdit} />
+              ) : (
+                <>
+                  <div className="flex items-center justify-between mb-3">
+                    <div className="flex items-center">
+                      {isDraggable && (
+                        <span className="mr-3 text-gray-600 cursor-grab select-none" title="Drag to reorder">⋮⋮</span>
+                      )}
+                      <span className="text-2xl mr-4">{t.emoji}</span>
+                      <span className="text-white font-bold text-lg">{t.theme}</span>
+                      {t.confidence != null && (
+                        <span className="ml-3 text-xs text-gray-500" title="Confidence in this theme">
+                          {Math.round((Number(t.confidence) || 0) * 100)}% confidence
+                        </span>
+                      )}
+                    </div>
+                    {canEdit && t.id && (
+                      <div className="flex items-center gap-3">
+                        <button
+                          onClick={() => handleStartEdit(t)}
+                          className="text-gray-500 hover:text-white transition-colors"
+                          title="Edit theme"
+                        >
+                          <svg xmlns="http://www.w3.org/2000/svg" className="h-5 w-5" fill="none" viewBox="0 0 24 24" stroke="currentColor" strokeWidth={2}>
+                            <path strokeLinecap="round" strokeLinejoin="round" d="M11 5H6a2 2 0 00-2 2v11a2 2 0 002 2h11a2 2 0 002-2v-5m-1.414-9.414a2 2 0 112.828 2.828L11.828 15H9v-2.828l8.586-8.586z" />
+                          </svg>
+                        </button>
+                        <button
+                          onClick={() => handleDelete(t)}
+                          className="text-gray-500 hover:text-red-400 transition-colors"
+                          title="Delete theme"
+                        >
+                          <svg xmlns="http://www.w3.org/2000/svg" className="h-5 w-5" fill="none" viewBox="0 0 24 24" stroke="currentColor" strokeWidth={2}>
+                            <path strokeLinecap="round" strokeLinejoin="round" d="M19 7l-.867 12.142A2 2 0 0116.138 21H7.862a2 2 0 01-1.995-1.858L5 7m5 4v6m4-6v6m1-10V4a1 1 0 00-1-1h-4a1 1 0 00-1 1v3M4 7h16" />
+                          </svg>
+                        </button>
+                      </div>
+                    )}
+                  </div>
+
+                  {t.themeNarrative && (
+                    <div className="mb-2">
+                      <div className="text-gray-300 text-sm font-semibold mb-1">Theme narrative</div>
+                      <p className="text-gray-200 leading-relaxed">{t.themeNarrative}</p>
+                    </div>
+                  )}
+
+                  {quantitativeEvidence && (
+                    <div className="mt-2 mb-2">
+                      <span className="inline-flex items-center bg-teal-900/70 text-teal-200 text-xs px-3 py-1 rounded-full border border-teal-700">
+                        <svg xmlns="http://www.w3.org/2000/svg" className="h-4 w-4 mr-1.5" fill="none" viewBox="0 0 24 24" stroke="currentColor" strokeWidth={2}>
+                          <path strokeLinecap="round" strokeLinejoin="round" d="M7 20l4-16m2 16l4-16M6 9h14M4 15h14" />
+                        </svg>
+                        {quantitativeEvidence}
+                      </span>
+                    </div>
+                  )}
+
+                  {sentimentPercents(t.sentiment) && (
+                    <div className="mt-3 mb-2">
+                      <div className="text-gray-300 text-sm font-semibold mb-1">Sentiment</div>
+                      <div className="flex flex-wrap md:flex-nowrap items-center gap-3">
+                        <div className="flex-1 min-w-[8rem]">
+                          <SentimentBar sentiment={t.sentiment} />
+                        </div>
+                        <span className="text-xs text-gray-400">{formatSentiment(t.sentiment)}</span>
+                        <EmotionChips emotions={t.emotions} />
+                      </div>
+                    </div>
+                  )}
+
+                  {Array.isArray(t.segmentProminence) && t.segmentProminence.length > 0 && (
+                    <SegmentBreakdown entries={t.segmentProminence} narrative={t.segmentNarrative} />
+                  )}
+
+                  {(hasDrivers || hasBarriers) && (
+                    <div className="grid md:grid-cols-2 gap-3 mt-2">
+                      {hasDrivers && (
+                        <div>
+                          <div className="text-gray-300 text-sm font-semibold mb-1">Key drivers</div>
+                          <div className="flex flex-wrap">
+                            {t.drivers.slice(0, 6).map((d, i) => <Pill key={i}>{d}</Pill>)}
+                          </div>
+                        </div>
+                      )}
+                      {hasBarriers && (
+                        <div>
+                          <div className="text-gray-300 text-sm font-semibold mb-1">Barriers / frictions</div>
+                          <div className="flex flex-wrap">
+                            {t.barriers.slice(0, 6).map((b, i) => <Pill key={i}>{b}</Pill>)}
+                          </div>
+                        </div>
+                      )}
+                    </div>
+                  )}
+
+                  {hasTensions && (
+                    <div className="mt-3">
+                      <div className="text-gray-300 text-sm font-semibold mb-1">Tensions & trade-offs</div>
+                      <ul className="list-disc list-inside text-gray-200 space-y-1">
+                        {t.tensions.slice(0, 4).map((x, i) => <li key={i}>{x}</li>)}
+                      </ul>
+                    </div>
+                  )}
+
+                  {hasOpps && (
+                    <div className="mt-3">
+                      <div className="text-gray-300 text-sm font-semibold mb-1">Opportunities</div>
+                      <ul className="list-disc list-inside text-gray-200 space-y-1">
+                        {t.opportunities.slice(0, 6).map((o, i) => <li key={i}>{o}</li>)}
+                      </ul>
+                    </div>
+                  )}
+
+                  {quotes.length > 0 && (
+                    <div className="mt-3">
+                      <div className="text-gray-300 text-sm font-semibold mb-1">Supporting quotes</div>
+                      <div className="space-y-2">
+                        {quotes.map((q, i) => <EvidenceQuote key={i} item={q} reidentify={reidentify} />)}
+                      </div>
+                    </div>
+                  )}
+
+                  {coded.length > 0 && (
+                    <div className="mt-3">
+                      <div className="text-gray-300 text-sm font-semibold mb-1">Coded excerpts</div>
+                      <div className="space-y-2">
+                        {coded.map(excerpt => (
+                          <blockquote key={excerpt.id} className="border-l-4 border-teal-700 pl-4">
+                            <p className="text-gray-400 italic">"{reidentify(excerpt.text)}"</p>
+                            <span className="text-xs text-teal-300">{excerpt.fileName} · coded manually</span>
+                          </blockquote>
+                        ))}
+                      </div>
+                    </div>
+                  )}
+                </>
+              )}
+            </li>
+          );
+        })}
+        {draft?.isNew && (
+          <li className="flex flex-col p-4 bg-gray-900/70 rounded-md shadow-sm border border-[#13BBAF]/40">
+            <ThemeEditor draft={draft} setDraft={setDraft} onSave={handleSaveEdit} onCancel={handleCancelEdit} />
+          </li>
+        )}
+      </ul>
+
+      {canEdit && !draft && (
+        <button onClick={handleStartCreate} className="mt-4 text-sm text-[#13BBAF] hover:text-teal-400">
+          + Add theme
+        </button>
+      )}
+    </div>
+  );
+};
+
+export default ThematicAnalysisDisplay;
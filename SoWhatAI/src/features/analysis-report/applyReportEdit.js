@@ -0,0 +1,22 @@
+import { saveProjectReport } from '../analysis-projects/api.js';
+
+// Shows an edited report and saves it to the project (when there is one) as an `edit` version.
+const applyReportEdit = ({ newResults, projectId, onUpdateResults, label }) => {
+  onUpdateResults(newResults);
+  if (!projectId) return;
+  const dataSetForSaving = (newResults.dataSet || []).map(f => ({
+    name: f.name,
+    type: f.type,
+    category: f.category || 'general'
+  }));
+  saveProjectReport({
+    id: projectId,
+    report: { ...newResults, dataSet: dataSetForSaving },
+    kind: 'edit',
+    label
+  }).catch(err => {
+    console.error("Failed to persist theme edit:", err);
+  });
+};
+
+export { applyReportEdit };
@@ -0,0 +1,31 @@
+const formatSourceType = (type) =>
+  (type || 'general').replace(/_/g, ' ').replace(/\b\w/g, l => l.toUpperCase());
+
+// Evidence is a traced object ({ quote, fileName, row, ... }); older saved reports store bare strings.
+const evidenceText = (item) => (typeof item === 'string' ? item : item?.quote || '');
+
+const formatEvidenceLocation = (item) => {
+  if (!item || typeof item === 'string' || !item.fileName) return '';
+  if (item.speaker) return `${item.fileName} · ${item.speaker}`;
+  if (item.row != null) return `${item.fileName} · row ${item.row}`;
+  if (item.offset != null) return `${item.fileName} · char ${item.offset}`;
+  return item.fileName;
+};
+
+const isUnverifiedQuote = (item) => typeof item === 'object' && item !== null && item.verified === false;
+
+const visibleQuotes = (items, hideUnverified) =>
+  (Array.isArray(items) ? items : []).filter(item => evidenceText(item) && !(hideUnverified && isUnverifiedQuote(item)));
+
+const themeInputClass = 'shadow-sm focus:ring-[#13BBAF] focus:border-[#13BBAF] block w-full sm:text-sm border-gray-600 bg-gray-800 text-white rounded-md p-2';
+
+const formatProminence = (value) => `${Math.round((Number(value) || 0) * 100)}%`;
+
+export {
+  formatSourceType,
+  evidenceText,
+  formatEvidenceLocation,
+  visibleQuotes,
+  themeInputClass,
+  formatProminence
+};
@@ -0,0 +1,260 @@
+import React, { useState, useEffect } from 'react';
+import Papa from 'papaparse';
+import * as XLSX from 'xlsx';
+import * as mammoth from 'mammoth/mammoth.browser';
+import { DEFAULT_REDACTION_CONFIG } from '../../utils/piiRedaction.js';
+import { createCodebookEntry, usableCodebook } from '../../utils/codebook.js';
+import CodebookEditor from '../codebook/CodebookEditor.jsx';
+import MappingModal from '../multi-sheet-mapping/MappingModal.jsx';
+import TranscriptSpeakers from '../transcript-speakers/TranscriptSpeakers.jsx';
+
+const ConfigurationPage = ({ dataSet, setDataSet, onAnalyze, onBack, error, initialConfig }) => {
+  const [modalFileId, setModalFileId] = useState(null);
+  // Re-runs of a saved project start from the question and settings of its last analysis.
+  const [researchQuestion, setResearchQuestion] = useState(initialConfig?.researchQuestion || '');
+  const [reportConfig, setReportConfig] = useState({
+    focus: initialConfig?.reportConfig?.focus || '',
+    components: {
+      sentiment: true, quotes: true, quantitative: true, soWhat: true,
+      ...initialConfig?.reportConfig?.components
+    }
+  });
+  const [analysisMode, setAnalysisMode] = useState(initialConfig?.reportConfig?.analysisMode || 'inductive');
+  const [codebook, setCodebook] = useState(() => (
+    Array.isArray(initialConfig?.reportConfig?.codebook) && initialConfig.reportConfig.codebook.length > 0
+      ? initialConfig.reportConfig.codebook
+      : [createCodebookEntry()]
+  ));
+  const [codebookError, setCodebookError] = useState(null);
+  const [isDataReady, setIsDataReady] = useState(false);
+  const [redactionConfig, setRedactionConfig] = useState(DEFAULT_REDACTION_CONFIG);
+
+  const handleMappingsUpdate = (fileId, patch) => {
+    setDataSet(prev =>
+      prev.map(file => file.id === fileId ? { ...file, ...patch } : file)
+    );
+  };
+  const modalFile = dataSet.find(f => f.id === modalFileId);
+
+  useEffect(() => {
+    const needsCSV = dataSet.some(f => /\.csv$/i.test(f.name));
+    const needsXLS = dataSet.some(f => /\.(xls|xlsx)$/i.test(f.name));
+    const needsDocx = dataSet.some(f => /\.docx?$/i.test(f.name));
+
+    const papaReady = !needsCSV || (Papa && typeof Papa.parse === 'function');
+    const xlsxReady = !needsXLS || (XLSX && typeof XLSX.read === 'function');
+    const mammothReady = !needsDocx || (mammoth && typeof mammoth.extractRawText === 'function');
+    setIsDataReady(Boolean(papaReady && xlsxReady && mammothReady));
+  }, [dataSet]);
+
+  const handleAnalyzeClick = () => {
+    if (analysisMode !== 'deductive') {
+      onAnalyze(researchQuestion, reportConfig, redactionConfig);
+      return;
+    }
+    const codes = usableCodebook(codebook);
+    if (codes.length === 0) {
+      setCodebookError('Add at least one named code, or switch to inductive analysis.');
+      return;
+    }
+    setCodebookError(null);
+    onAnalyze(researchQuestion, { ...reportConfig, analysisMode, codebook: codes }, redactionConfig);
+  };
+
+  const handleComponentChange = (e) => {
+    const { name, checked } = e.target;
+    setReportConfig(prev => ({ ...prev, components: { ...prev.components, [name]: checked } }));
+  };
+
+  return (
+    <div className="bg-gray-900/50 backdrop-blur-lg border border-gray-700/50 rounded-lg shadow-2xl p-6 space-y-6">
+      <button onClick={onBack} className="text-sm font-medium text-[#13BBAF] hover:text-teal-400">&larr; Back to upload</button>
+      <div>
+        <h2 className="text-2xl font-semibold text-white">Step 2: Configure Your Analysis</h2>
+        <p className="text-sm text-gray-400">Provide your research goals to guide the AI analysis.</p>
+      </div>
+
+      <div>
+        <label htmlFor="research-question" className="block text-lg font-semibold text-white">1. Research Question</label>
+        <p className="text-sm text-gray-400 mb-2">What is the primary question you want this analysis to answer?</p>
+        <textarea
+          id="research-question" rows={3} value={researchQuestion}
+          onChange={(e) => setResearchQuestion(e.target.value)}
+          className="shadow-sm focus:ring-[#13BBAF] focus:border-[#13BBAF] block w-full sm:text-sm border-gray-600 bg-gray-800 text-white rounded-md p-2"
+          placeholder="e.g., How do our power-users feel about the new interface performance?"
+        />
+      </div>
+
+      <div>
+        <label htmlFor="report-focus" className="block text-lg font-semibold text-white">2. Report Focus & Context (Optional)</label>
+        <p className="text-sm text-gray-400 mb-2">Provide any specific context or areas for the AI to focus on.</p>
+        <textarea
+          id="report-focus" rows={3} value={reportConfig.focus}
+          onChange={(e) => setReportConfig(p => ({ ...p, focus: e.target.value }))}
+          className="shadow-sm focus:ring-[#13BBAF] focus:border-[#13BBAF] block w-full sm:text-sm border-gray-600 bg-gray-800 text-white rounded-md p-2"
+          placeholder="e.g., Focus on all mentions of cyber security. or This data is from support tickets; summarise the main issues."
+        />
+      </div>
+
+      <div>
+        <h3 className="text-lg font-semibold text-white">3. Analysis Mode</h3>
+        <p className="text-sm text-gray-400 mb-2">Discover themes from the data, or code the data against a predefined codebook.</p>
+        <div className="flex flex-wrap gap-x-6 gap-y-2">
+          {[
+            ['inductive', 'Inductive: discover themes'],
+            ['deductive', 'Deductive: use a codebook']
+          ].map(([value, label]) => (
+            <div key={value} className="flex items-center">
+              <input
+                id={`mode-${value}`} type="radio" name="analysis-mode" value={value}
+                checked={analysisMode === value}
+                onChange={() => { setAnalysisMode(value); setCodebookError(null); }}
+                className="h-4 w-4 text-teal-600 bg-gray-700 border-gray-600 focus:ring-teal-500"
+              />
+              <label htmlFor={`mode-${value}`} className="ml-2 block text-sm text-gray-300">{label}</label>
+            </div>
+          ))}
+        </div>
+        {analysisMode === 'deductive' && <CodebookEditor codebook={codebook} onChange={setCodebook} />}
+      </div>
+
+      {isDataReady ? (
+        <div className="space-y-4">
+          <div>
+            <h3 className="text-lg font-semibold text-white">4. Configure Data Files</h3>
+            <p className="text-sm text-gray-400 mb-2">Map columns for each uploaded spreadsheet.</p>
+            <div className="space-y-2">
+              {dataSet.map(file => (
+                <div key={file.id} className="p-3 bg-gray-800/70 rounded-md">
+                  <div className="flex items-center justify-between">
+                    <span className="font-medium text-gray-300 truncate">{file.name}</span>
+                    {file.type === 'spreadsheet' && (
+                      <button
+                        onClick={() => setModalFileId(file.id)}
+                        className="px-3 py-1 text-sm rounded-md text-white bg-[#13BBAF] hover:bg-teal-600"
+                      >
+                        Map Columns
+                      </button>
+                    )}
+                    {file.type === 'text' && (typeof file.content === 'string'
+                      ? <span className="text-sm text-green-400">Ready to Analyse</span>
+                      : <span className="text-sm text-yellow-400">Not saved with project: re-upload</span>)}
+                  </div>
+                  {file.type === 'text' && (
+                    <input
+                      type="text"
+                      value={file.segmentText || ''}
+                      onChange={(e) => {
+                        const segmentText = e.target.value;
+                        setDataSet(prev => prev.map(f => f.id === file.id ? { ...f, segmentText } : f));
+                      }}
+                      aria-label={`Segment attributes for ${file.name}`}
+                      placeholder="Segment attributes (optional), e.g. Tier: Enterprise; Region: EMEA"
+                      className="mt-2 block w-full text-xs border-gray-600 bg-gray-800 text-white rounded-md p-1.5 focus:ring-[#13BBAF] focus:border-[#13BBAF]"
+                    />
+                  )}
+                  {file.type === 'text' && file.category === 'interview' && (
+                    <TranscriptSpeakers
+                      file={file}
+                      onChangeModerators={(moderators) =>
+                        setDataSet(prev => prev.map(f => f.id === file.id ? { ...f, moderators } : f))
+                      }
+                    />
+                  )}
+                </div>
+              ))}
+            </div>
+          </div>
+
+          <div>
+            <h3 className="text-lg font-semibold text-white">5. Report Components</h3>
+            <p className="text-sm text-gray-400 mb-2">Select the sections you want to include in the final report.</p>
+            <div className="flex flex-wrap gap-x-6 gap-y-2">
+              {Object.keys(reportConfig.components).map(key => (
+                <div key={key} className="flex items-center">
+                  <input
+                    id={key} name={key} type="checkbox"
+                    checked={reportConfig.components[key]}
+                    onChange={handleComponentChange}
+                    className="h-4 w-4 text-teal-600 bg-gray-700 border-gray-600 rounded focus:ring-teal-500"
+                  />
+                  <label htmlFor={key} className="ml-2 block text-sm text-gray-300 capitalize">
+                    {key === 'soWhat' ? 'So What?' : key}
+                  </label>
+                </div>
+              ))}
+            </div>
+          </div>
+
+          <div>
+            <h3 className="text-lg font-semibold text-white">6. Privacy &amp; Redaction</h3>
+            <p className="text-sm text-gray-400 mb-2">
+              Personal data is replaced with placeholders (e.g. [PERSON_1]) in your browser before it is sent for AI analysis.
+              The mapping back to the original values stays on this device.
+            </p>
+            <div className="flex flex-wrap gap-x-6 gap-y-2">
+              {[
+                ['enabled', 'Redact before analysis'],
+                ['email', 'Email addresses'],
+                ['phone', 'Phone numbers'],
+                ['address', 'Street addresses & postcodes']
+              ].map(([key, label]) => (
+                <div key={key} className="flex items-center">
+                  <input
+                    id={`redact-${key}`} type="checkbox"
+                    checked={redactionConfig[key]}
+                    disabled={key !== 'enabled' && !redactionConfig.enabled}
+                    onChange={(e) => setRedactionConfig(prev => ({ ...prev, [key]: e.target.checked }))}
+                    className="h-4 w-4 text-teal-600 bg-gray-700 border-gray-600 rounded focus:ring-teal-500"
+                  />
+                  <label htmlFor={`redact-${key}`} className="ml-2 block text-sm text-gray-300">{label}</label>
+                </div>
+              ))}
+            </div>
+            <label htmlFor="redact-names" className="block text-sm text-gray-400 mt-3 mb-1">Participant names to redact (one per line or comma-separated)</label>
+            <textarea
+              id="redact-names" rows={2} value={redactionConfig.names}
+              disabled={!redactionConfig.enabled}
+              onChange={(e) => setRedactionConfig(prev => ({ ...prev, names: e.target.value }))}
+              className="shadow-sm focus:ring-[#13BBAF] focus:border-[#13BBAF] block w-full sm:text-sm border-gray-600 bg-gray-800 text-white rounded-md p-2 disabled:opacity-50"
+              placeholder="e.g., Jane Smith, Tom O'Neil"
+            />
+          </div>
+        </div>
+      ) : (
+        <div className="text-center text-gray-400 p-8 bg-gray-800/50 rounded-md">
+          <div className="flex justify-center items-center">
+            <svg className="animate-spin -ml-1 mr-3 h-5 w-5 text-white" xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 24 24">
+              <circle className="opacity-25" cx="12" cy="12" r="10" stroke="currentColor" strokeWidth="4"></circle>
+              <path className="opacity-75" fill="currentColor" d="M4 12a8 8 0 018-8V0C5.373 0 0 5.373 0 12h4zm2 5.291A7.962 7.962 0 014 12H0c0 3.042 1.135 5.824 3 7.938l3-2.647z"></path>
+            </svg>
+            <span>Preparing Data Set...</span>
+          </div>
+        </div>
+      )}
+
+      <div className="pt-5">
+        <div className="flex justify-end">
+          <button
+            onClick={handleAnalyzeClick}
+            className="w-full md:w-auto inline-flex items-center justify-center px-8 py-3 rounded-md text-white bg-green-600 hover:bg-green-700 transform hover:scale-105"
+          >
+            Analyse Full Data Set
+          </button>
+        </div>
+        {codebookError && <p className="text-red-400 text-sm mt-4 text-right">{codebookError}</p>}
+        {error && <p className="text-red-400 text-sm mt-4 text-right">{error}</p>}
+      </div>
+
+      {modalFile && (
+        <MappingModal
+          file={modalFile}
+          onClose={() => setModalFileId(null)}
+          onSave={handleMappingsUpdate}
+        />
+      )}
+    </div>
+  );
+};
+
+export default ConfigurationPage;
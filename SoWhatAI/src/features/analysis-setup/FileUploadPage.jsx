@@ -0,0 +1,127 @@
+import React, { useState, useRef } from 'react';
+import { ACCEPT_ATTRIBUTE, parseUploadedFile } from '../../utils/fileParsers.js';
+
+const FileUploadPage = ({ dataSet, setDataSet, onNext, onDashboardNavigate }) => {
+  const fileInputRef = useRef(null);
+  const [uploadErrors, setUploadErrors] = useState([]);
+
+  const handleFileChange = (event) => {
+    const files = event.target.files;
+    if (!files || files.length === 0) return;
+
+    const filePromises = Array.from(files).map((file, index) => {
+      const fileId = `${Date.now()}-${index}-${file.name}`;
+      return parseUploadedFile(file)
+        .then(parsed => ({
+          file: { id: fileId, name: file.name, mappings: {}, category: 'general', ...parsed }
+        }))
+        .catch(err => ({ error: { id: fileId, name: file.name, message: err?.message || 'The file could not be read.' } }));
+    });
+
+    Promise.all(filePromises).then(outcomes => {
+      setDataSet(prev => [...prev, ...outcomes.filter(o => o.file).map(o => o.file)]);
+      setUploadErrors(prev => [...prev, ...outcomes.filter(o => o.error).map(o => o.error)]);
+    });
+
+    event.target.value = null;
+  };
+
+  return (
+    <div className="bg-gray-900/50 backdrop-blur-lg border border-gray-700/50 rounded-lg shadow-2xl p-6 space-y-6">
+      <button onClick={onDashboardNavigate} className="text-sm font-medium text-[#13BBAF] hover:text-teal-400">
+        &larr; Back to Dashboard
+      </button>
+
+      <div className="flex justify-between items-center">
+        <div>
+          <h2 className="text-2xl font-semibold text-white">Step 1: Build Your Data Set</h2>
+          <p className="text-sm text-gray-400">Add all your project files (.txt, .md, .docx, .pdf, .vtt, .srt, .json, .csv, .xlsx) and categorize them.</p>
+        </div>
+        {dataSet.length > 0 && (
+          <button
+            onClick={() => setDataSet([])}
+            className="inline-flex items-center px-3 py-2 text-sm rounded-md text-red-400 bg-gray-800 hover:bg-gray-700 border border-red-500/50"
+          >
+            Clear Data Set
+          </button>
+        )}
+      </div>
+
+      <div className="bg-gray-800/50 border-2 border-dashed border-gray-600 rounded-lg p-8 text-center">
+        <input
+          type="file"
+          ref={fileInputRef}
+          onChange={handleFileChange}
+          accept={ACCEPT_ATTRIBUTE}
+          className="hidden"
+          multiple
+        />
+        <button
+          onClick={() => fileInputRef.current.click()}
+          className="inline-flex items-center px-4 py-2 text-sm rounded-md text-gray-300 bg-gray-700 hover:bg-gray-600 border border-gray-600"
+        >
+          <svg xmlns="http://www.w3.org/2000/svg" className="h-5 w-5 mr-2" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M4 16v1a3 3 0 003 3h10a3 3 0 003-3v-1m-4-4l-4 4m0 0l-4-4m4 4V4" />
+          </svg>
+          Add File(s)
+        </button>
+      </div>
+
+      {uploadErrors.length > 0 && (
+        <div role="alert" className="p-3 rounded-lg border border-red-500/50 bg-red-900/20 text-sm space-y-1">
+          <div className="flex items-center justify-between">
+            <span className="font-semibold text-red-300">
+              {uploadErrors.length} file{uploadErrors.length === 1 ? '' : 's'} could not be added
+            </span>
+            <button onClick={() => setUploadErrors([])} className="text-xs text-gray-400 hover:text-white">Dismiss</button>
+          </div>
+          {uploadErrors.map(err => (
+            <p key={err.id} className="text-red-200">
+              <span className="font-medium">{err.name}:</span> {err.message}
+            </p>
+          ))}
+        </div>
+      )}
+
+      <div>
+        <h3 className="font-semibold text-lg text-white">Files in Your Data Set:</h3>
+        <div className="mt-2 space-y-2">
+          {dataSet.map((file) => (
+            <div key={file.id} className="flex items-center justify-between p-2 bg-gray-800/70 rounded-md space-x-4">
+              <span className="text-gray-300 truncate flex-1">{file.name}</span>
+              <select
+                value={file.category}
+                onChange={(e) => {
+                  const newCategory = e.target.value;
+                  setDataSet(prev => prev.map(f => f.id === file.id ? { ...f, category: newCategory } : f));
+                }}
+                className="rounded-md border-gray-600 bg-gray-700 text-white text-sm focus:ring-[#13BBAF] focus:border-[#13BBAF]"
+              >
+                <option value="general">General</option>
+                <option value="interview">Interview</option>
+                <option value="survey">Survey</option>
+                <option value="usability_test">Usability Test</option>
+                <option value="other">Other</option>
+              </select>
+            </div>
+          ))}
+          {dataSet.length === 0 && <p className="text-gray-500">No files uploaded.</p>}
+        </div>
+      </div>
+
+      <div className="pt-5">
+        <div className="flex justify-end">
+          <button
+            onClick={onNext}
+            disabled={dataSet.length === 0}
+            className="w-full md:w-auto inline-flex items-center justify-center px-8 py-3 rounded-md text-white bg-gradient-to-r from-[#13BBAF] to-teal-500 hover:from-teal-500 hover:to-teal-400 disabled:from-gray-600 disabled:to-gray-700 disabled:cursor-not-allowed transition-all duration-300 transform hover:scale-105"
+          >
+            Next: Configure Data
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default FileUploadPage;
@@ -0,0 +1,127 @@
+import { buildTranscriptSource } from '../../utils/transcriptSpeakers.js';
+
+// "Tier: Enterprise; Region: EMEA" (or "Tier=Enterprise, Region=EMEA") → { Tier: 'Enterprise', Region: 'EMEA' }
+const parseSegmentAttributes = (text) => {
+  const entries = String(text || '')
+    .split(/[;,\n]+/)
+    .map(pair => pair.split(/[:=]/))
+    .filter(parts => parts.length === 2 && parts[0].trim() && parts[1].trim())
+    .map(([attribute, value]) => [attribute.trim(), value.trim()]);
+  return entries.length > 0 ? Object.fromEntries(entries) : null;
+};
+
+// Workbooks keep one { name, headers, rows, rowNumbers, mappings } entry per sheet; CSV and JSON
+// files are a single unnamed sheet stored directly on the file. `rowNumbers` holds each row's
+// number in the original file, since blank rows are dropped when it is parsed.
+const spreadsheetSheets = (file) => (
+  Array.isArray(file.sheets) && file.sheets.length > 0
+    ? file.sheets
+    : [{ name: null, headers: file.headers || [], rows: file.rows || [], rowNumbers: file.rowNumbers, mappings: file.mappings || {} }]
+);
+
+const sheetSourceName = (file, sheet) => (sheet.name ? `${file.name} › ${sheet.name}` : file.name);
+
+// The text sources sent for analysis (and to "ask your data"), before redaction: text files and
+// transcripts, then one source per spreadsheet sheet with its text columns.
+const buildTextSources = (dataSet) => {
+  const textSources = dataSet
+    // Files listed on an older saved project without their content are skipped.
+    .filter(f => f.type === 'text' && typeof f.content === 'string')
+    .map(f => {
+      const transcript = f.category === 'interview' ? buildTranscriptSource(f) : null;
+      const segments = parseSegmentAttributes(f.segmentText);
+      const source = transcript
+        ? { fileName: f.name, category: f.category, ...transcript }
+        : { fileName: f.name, category: f.category || 'general', type: 'text', content: f.content };
+      return segments ? { ...source, segments } : source;
+    });
+
+  dataSet.filter(f => f.type === 'spreadsheet').forEach(file => {
+    spreadsheetSheets(file).forEach(sheet => {
+      if (!sheet.rows || !sheet.headers) return;
+      const mappings = sheet.mappings || {};
+      const textColumns = sheet.headers.filter(header => mappings[header] === 'text');
+      // One line per row (cell line breaks flattened) so quotes can be traced back to a row number.
+      const sheetText = sheet.rows
+        .map(row => textColumns.map(header => String(row[header] ?? '').replace(/\s+/g, ' ')).join(' '))
+        .join('\n');
+      if (!sheetText.trim()) return;
+      const segmentColumns = sheet.headers.filter(header => mappings[header] === 'segment');
+      textSources.push({
+        fileName: sheetSourceName(file, sheet),
+        category: file.category || 'survey',
+        type: 'spreadsheet',
+        content: sheetText,
+        ...(Array.isArray(sheet.rowNumbers) ? { rowNumbers: sheet.rowNumbers } : {}),
+        // One segment object per content line, so themes can be broken down by segment.
+        ...(segmentColumns.length > 0 ? {
+          rowSegments: sheet.rows.map(row => Object.fromEntries(
+            segmentColumns.map(header => [header, String(row[header] ?? '').trim()])
+          ))
+        } : {})
+      });
+    });
+  });
+  return textSources;
+};
+
+const redactValues = (values, redact) => Object.fromEntries(
+  Object.entries(values).map(([attribute, value]) => [attribute, redact(value)])
+);
+
+// Everything in a text source that reaches the model goes through the redaction session: the
+// file name (often the participant's name), content, speaker labels and segment values.
+const redactTextSource = (source, redact) => ({
+  ...source,
+  fileName: redact(source.fileName),
+  content: redact(source.content),
+  // Speaker labels can be names, so they go through the same session to keep placeholders aligned.
+  ...(source.type === 'transcript' ? {
+    participants: source.participants.map(label => redact(label)),
+    moderators: source.moderators.map(label => redact(label))
+  } : {}),
+  ...(source.segments ? { segments: redactValues(source.segments, redact) } : {}),
+  ...(Array.isArray(source.rowSegments) ? { rowSegments: source.rowSegments.map(row => redactValues(row, redact)) } : {})
+});
+
+/**
+ * Puts the original file names back on a result produced from redacted sources. `fileNames` maps
+ * each redacted name to the original; `fileName` and `sourceFile` fields anywhere in the result
+ * are restored, including chunk names such as "[PERSON_1].txt (part 2 of 3)".
+ */
+const restoreFileNames = (value, fileNames) => {
+  if (!fileNames || Object.keys(fileNames).length === 0) return value;
+  const restore = (name) => {
+    if (typeof name !== 'string') return name;
+    if (fileNames[name]) return fileNames[name];
+    const part = name.match(/^(.*)( \(part \d+ of \d+\))$/);
+    return part && fileNames[part[1]] ? `${fileNames[part[1]]}${part[2]}` : name;
+  };
+  const walk = (node) => {
+    if (Array.isArray(node)) return node.map(walk);
+    if (!node || typeof node !== 'object') return node;
+    return Object.fromEntries(Object.entries(node).map(([key, item]) => [
+      key,
+      key === 'fileName' || key === 'sourceFile' ? restore(item) : walk(item)
+    ]));
+  };
+  return walk(value);
+};
+
+// Redacted → original file names for restoreFileNames. The session gives a name the same
+// placeholders each time it is redacted.
+const redactedFileNames = (names, redact) => Object.fromEntries(
+  [...new Set(names)]
+    .map(name => [redact(name), name])
+    .filter(([redacted, name]) => redacted !== name)
+);
+
+export {
+  parseSegmentAttributes,
+  spreadsheetSheets,
+  sheetSourceName,
+  buildTextSources,
+  redactTextSource,
+  restoreFileNames,
+  redactedFileNames
+};
@@ -0,0 +1,12 @@
+import React from 'react';
+import EvidenceQuote from '../analysis-report/EvidenceQuote.jsx';
+
+const AnswerCitations = ({ citations, reidentify }) => (
+  Array.isArray(citations) && citations.length > 0 ? (
+    <div className="mt-3 space-y-3">
+      {citations.map((item, index) => <EvidenceQuote key={index} item={item} reidentify={reidentify} />)}
+    </div>
+  ) : null
+);
+
+export default AnswerCitations;
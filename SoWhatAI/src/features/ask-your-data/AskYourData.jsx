@@ -0,0 +1,115 @@
+import React, { useState, useMemo } from 'react';
+import { createThemeId } from '../../utils/themeEditing.js';
+import { askQuestion, createSavedAnswer, addSavedAnswer } from '../../utils/askData.js';
+import { themeInputClass } from '../analysis-report/reportFormat.js';
+import { buildTextSources, redactTextSource, restoreFileNames, redactedFileNames } from '../analysis-setup/dataSet.js';
+import AnswerCitations from './AnswerCitations.jsx';
+
+const AskYourData = ({ results, dataSet, redaction, reidentify, onSave }) => {
+  const [isOpen, setIsOpen] = useState(false);
+  const [question, setQuestion] = useState('');
+  const [turns, setTurns] = useState([]);
+  const [isAsking, setIsAsking] = useState(false);
+  const [error, setError] = useState('');
+
+  const textSources = useMemo(() => buildTextSources(dataSet || []), [dataSet]);
+
+  const handleAsk = async (e) => {
+    e.preventDefault();
+    const text = question.trim();
+    if (!text || isAsking || !redaction) return;
+    setIsAsking(true);
+    setError('');
+    try {
+      // Sources leave the browser through the same redaction session as the analysis, with the
+      // project's placeholders; cited file names are shown as the originals.
+      const answer = await askQuestion({
+        question: text,
+        textSources: textSources.map(source => redactTextSource(source, redaction.redact)),
+        report: results,
+        history: turns
+      });
+      const fileNames = redactedFileNames(textSources.map(source => source.fileName), redaction.redact);
+      setTurns(current => [...current, { ...restoreFileNames(answer, fileNames), id: createThemeId(), savedId: null }]);
+      setQuestion('');
+    } catch (askError) {
+      setError(askError.message || 'Unable to answer the question.');
+    } finally {
+      setIsAsking(false);
+    }
+  };
+
+  const handleSave = (turn) => {
+    const saved = createSavedAnswer(turn);
+    onSave(addSavedAnswer(results, saved), `Saved answer to "${saved.question.slice(0, 80)}"`);
+    setTurns(current => current.map(t => (t.id === turn.id ? { ...t, savedId: saved.id } : t)));
+  };
+
+  return (
+    <div className="p-3 rounded-lg border border-gray-700 bg-gray-800/50 text-sm">
+      <button onClick={() => setIsOpen(open => !open)} className="font-semibold text-gray-200 hover:text-white">
+        {isOpen ? '▾' : '▸'} Ask your data
+      </button>
+      {isOpen && (
+        <div className="mt-3 space-y-3">
+          {textSources.length === 0 ? (
+            <p className="text-gray-500">No text sources to ask about. Source files are available once they are saved with the project or uploaded again.</p>
+          ) : !redaction ? (
+            <p className="text-gray-500">
+              Asking is unavailable here: this project&apos;s redaction settings, including the participant names to remove, are not stored in this browser, so the sources cannot be sent without personal data. Open the project in the browser it was analysed in, or re-run the analysis.
+            </p>
+          ) : (
+            <>
+              {turns.map(turn => (
+                <div key={turn.id} className="p-3 rounded-md bg-gray-900/70 border border-gray-700">
+                  <p className="font-semibold text-white">Q: {turn.question}</p>
+                  <p className="mt-2 text-gray-300 whitespace-pre-line">{reidentify(turn.answer)}</p>
+                  {turn.insufficientEvidence && (
+                    <p className="mt-2 text-xs text-yellow-400">The data may not contain enough evidence to answer this fully.</p>
+                  )}
+                  {turn.context?.truncated && (
+                    <p className="mt-2 text-xs text-gray-500">The data set is large, so only the passages most relevant to the question were read.</p>
+                  )}
+                  <AnswerCitations citations={turn.citations} reidentify={reidentify} />
+                  <div className="mt-3 flex justify-end">
+                    {turn.savedId ? (
+                      <span className="text-xs text-teal-300">Saved to report</span>
+                    ) : (
+                      <button onClick={() => handleSave(turn)} className="px-3 py-1 rounded-md text-white bg-[#13BBAF] hover:bg-teal-600">
+                        Save to report
+                      </button>
+                    )}
+                  </div>
+                </div>
+              ))}
+              <form onSubmit={handleAsk} className="flex flex-wrap items-center gap-2">
+                <input
+                  type="text"
+                  value={question}
+                  onChange={(e) => setQuestion(e.target.value)}
+                  placeholder={turns.length > 0 ? 'Ask a follow-up question…' : 'e.g. What do participants say about pricing?'}
+                  className={`${themeInputClass} flex-1 min-w-[12rem]`}
+                />
+                <button
+                  type="submit"
+                  disabled={isAsking || !question.trim()}
+                  className="px-4 py-2 rounded-md text-white bg-[#13BBAF] hover:bg-teal-600 disabled:bg-gray-600 disabled:cursor-not-allowed"
+                >
+                  {isAsking ? 'Answering…' : 'Ask'}
+                </button>
+                {turns.length > 0 && (
+                  <button type="button" onClick={() => setTurns([])} className="px-3 py-2 rounded-md text-gray-300 bg-gray-700 hover:bg-gray-600">
+                    New conversation
+                  </button>
+                )}
+              </form>
+              {error && <p className="text-red-400">{error}</p>}
+            </>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default AskYourData;
@@ -0,0 +1,30 @@
+import React from 'react';
+import AnswerCitations from './AnswerCitations.jsx';
+
+const SavedAnswersDisplay = ({ answers, reidentify, onRemove }) => {
+  if (!answers || answers.length === 0) return null;
+  return (
+    <div id="report-answers" className="p-4 rounded-lg border border-gray-700 bg-gray-800/50 backdrop-blur-sm scroll-mt-24">
+      <h3 className="text-lg font-semibold text-white mb-3">Questions &amp; Answers</h3>
+      <div className="space-y-6">
+        {answers.map(saved => (
+          <div key={saved.id}>
+            <div className="flex items-start justify-between gap-3">
+              <p className="font-semibold text-gray-200">{saved.question}</p>
+              {onRemove && (
+                <button onClick={() => onRemove(saved)} className="text-gray-500 hover:text-red-400" title="Remove from report">✕</button>
+              )}
+            </div>
+            <p className="mt-2 text-gray-300 whitespace-pre-line">{reidentify(saved.answer)}</p>
+            {saved.insufficientEvidence && (
+              <p className="mt-2 text-xs text-yellow-400">The data may not contain enough evidence to answer this fully.</p>
+            )}
+            <AnswerCitations citations={saved.citations} reidentify={reidentify} />
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+export default SavedAnswersDisplay;
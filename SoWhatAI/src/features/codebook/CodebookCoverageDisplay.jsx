@@ -0,0 +1,60 @@
+import React from 'react';
+import { formatSourceType } from '../analysis-report/reportFormat.js';
+
+const CodebookCoverageDisplay = ({ coverage }) => {
+  if (!coverage || coverage.codes.length === 0) return null;
+  return (
+    <div id="report-codebook" className="p-4 rounded-lg border border-gray-700 bg-gray-800/50 backdrop-blur-sm scroll-mt-24">
+      <h3 className="text-lg font-semibold text-white mb-1">Codebook Coverage</h3>
+      <p className="text-sm text-gray-400 mb-4">
+        {coverage.codesWithEvidence} of {coverage.totalCodes} codes were found in the data.
+      </p>
+      <div className="overflow-x-auto">
+        <table className="min-w-full text-sm">
+          <thead>
+            <tr className="text-left text-xs uppercase text-gray-500 border-b border-gray-700">
+              <th className="py-2 pr-4">Code</th>
+              <th className="py-2 pr-4">Found in</th>
+              <th className="py-2 pr-4 w-40">Prominence</th>
+              <th className="py-2 text-right">Quotes (verified)</th>
+            </tr>
+          </thead>
+          <tbody>
+            {coverage.codes.map(entry => {
+              const found = entry.sourceTypes.length > 0;
+              return (
+                <tr key={entry.code} className="border-b border-gray-800 align-top">
+                  <td className="py-2 pr-4">
+                    <span className={found ? 'text-white font-medium' : 'text-gray-400'}>{entry.code}</span>
+                    {entry.definition && <p className="text-xs text-gray-500">{entry.definition}</p>}
+                  </td>
+                  <td className="py-2 pr-4 text-gray-300">
+                    {found
+                      ? entry.sourceTypes.map(formatSourceType).join(', ')
+                      : <span className="text-yellow-400">No evidence</span>}
+                  </td>
+                  <td className="py-2 pr-4">
+                    <div className="flex items-center">
+                      <div className="flex-1 bg-gray-700 rounded-full h-2.5 mr-2">
+                        <div className="bg-green-500 h-2.5 rounded-full" style={{ width: `${Math.min(entry.prominence * 100, 100)}%` }}></div>
+                      </div>
+                      <span className="w-10 text-right text-gray-300">{Math.round(entry.prominence * 100)}%</span>
+                    </div>
+                  </td>
+                  <td className="py-2 text-right text-gray-300">{entry.evidenceCount} ({entry.verifiedCount})</td>
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+      </div>
+      {coverage.unmatchedThemes.length > 0 && (
+        <p className="mt-3 text-xs text-gray-500">
+          Themes outside the codebook were left out: {coverage.unmatchedThemes.join(', ')}.
+        </p>
+      )}
+    </div>
+  );
+};
+
+export default CodebookCoverageDisplay;
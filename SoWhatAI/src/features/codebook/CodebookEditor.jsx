@@ -0,0 +1,97 @@
+import React, { useState, useRef } from 'react';
+import { createCodebookEntry, parseCodebook, usableCodebook } from '../../utils/codebook.js';
+import { MAX_CODES } from '../../utils/codebookCoverage.js';
+
+const CodebookEditor = ({ codebook, onChange }) => {
+  const fileInputRef = useRef(null);
+  const [importError, setImportError] = useState(null);
+  const inputClass = 'block w-full text-sm border-gray-600 bg-gray-800 text-white rounded-md p-1.5 focus:ring-[#13BBAF] focus:border-[#13BBAF]';
+
+  const codeCount = usableCodebook(codebook).length;
+
+  const updateEntry = (index, patch) => onChange(codebook.map((entry, i) => (i === index ? { ...entry, ...patch } : entry)));
+
+  const handleImport = async (event) => {
+    const file = event.target.files?.[0];
+    event.target.value = '';
+    if (!file) return;
+    try {
+      const entries = parseCodebook(await file.text(), file.name);
+      onChange(entries);
+      setImportError(null);
+    } catch (e) {
+      setImportError(e.message);
+    }
+  };
+
+  return (
+    <div className="mt-3 space-y-3">
+      <div className="flex flex-wrap items-center gap-3">
+        <button
+          type="button"
+          onClick={() => fileInputRef.current?.click()}
+          className="px-3 py-1 text-sm rounded-md text-white bg-[#13BBAF] hover:bg-teal-600"
+        >
+          Import codebook (CSV or JSON)
+        </button>
+        <span className="text-xs text-gray-500">Columns: Code, Definition, Inclusion, Exclusion. Importing replaces the codes below.</span>
+        <input ref={fileInputRef} type="file" accept=".csv,.json" onChange={handleImport} className="hidden" />
+      </div>
+      {importError && <p className="text-sm text-red-400">{importError}</p>}
+      {codeCount > MAX_CODES && (
+        <p className="text-sm text-yellow-400">
+          This codebook has {codeCount} codes. Only the first {MAX_CODES} are used in the analysis; remove or merge codes to keep the rest.
+        </p>
+      )}
+      <div className="space-y-2">
+        {codebook.map((entry, index) => (
+          <div key={index} className="p-3 bg-gray-800/70 rounded-md grid md:grid-cols-2 gap-2">
+            <input
+              type="text" value={entry.code} placeholder="Code name"
+              aria-label={`Code ${index + 1} name`}
+              onChange={(e) => updateEntry(index, { code: e.target.value })}
+              className={inputClass}
+            />
+            <div className="flex gap-2">
+              <input
+                type="text" value={entry.definition} placeholder="Definition"
+                aria-label={`Code ${index + 1} definition`}
+                onChange={(e) => updateEntry(index, { definition: e.target.value })}
+                className={inputClass}
+              />
+              <button
+                type="button"
+                onClick={() => onChange(codebook.filter((_, i) => i !== index))}
+                className="text-gray-500 hover:text-red-400"
+                title="Remove code"
+              >
+                ✕
+              </button>
+            </div>
+            <input
+              type="text" value={entry.include} placeholder="Inclusion criteria (optional)"
+              aria-label={`Code ${index + 1} inclusion criteria`}
+              onChange={(e) => updateEntry(index, { include: e.target.value })}
+              className={inputClass}
+            />
+            <input
+              type="text" value={entry.exclude} placeholder="Exclusion criteria (optional)"
+              aria-label={`Code ${index + 1} exclusion criteria`}
+              onChange={(e) => updateEntry(index, { exclude: e.target.value })}
+              className={inputClass}
+            />
+          </div>
+        ))}
+      </div>
+      <button
+        type="button"
+        onClick={() => onChange([...codebook, createCodebookEntry()])}
+        className="text-sm text-[#13BBAF] hover:text-teal-400"
+      >
+        + Add code
+      </button>
+    </div>
+  );
+};
+
+export default CodebookEditor;
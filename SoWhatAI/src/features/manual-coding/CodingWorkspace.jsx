@@ -0,0 +1,207 @@
+import React, { useState, useRef } from 'react';
+import { redactWithMap } from '../../utils/piiRedaction.js';
+import { setSourceThemes, createBlankTheme, getSourceThemes } from '../../utils/themeEditing.js';
+import {
+  getCodedExcerpts,
+  createExcerpt,
+  addCodedExcerpt,
+  removeCodedExcerpt,
+  describeCodedEvidence,
+  segmentContent
+} from '../../utils/manualCoding.js';
+import { formatSourceType, themeInputClass } from '../analysis-report/reportFormat.js';
+
+const NEW_CODE_OPTION = '__new__';
+
+// Character offsets of the current selection within `container`'s text, or null.
+const getSelectionOffsets = (container) => {
+  const selection = window.getSelection();
+  if (!container || !selection || selection.rangeCount === 0 || selection.isCollapsed) return null;
+  const range = selection.getRangeAt(0);
+  if (!container.contains(range.startContainer) || !container.contains(range.endContainer)) return null;
+  const before = document.createRange();
+  before.selectNodeContents(container);
+  before.setEnd(range.startContainer, range.startOffset);
+  const start = before.toString().length;
+  return { start, end: start + range.toString().length };
+};
+
+const CodingWorkspace = ({ results, dataSet, redactionMap, onApply }) => {
+  const [isOpen, setIsOpen] = useState(false);
+  const [activeFile, setActiveFile] = useState('');
+  const [pending, setPending] = useState(null);
+  const [code, setCode] = useState('');
+  const [newCode, setNewCode] = useState({ title: '', sourceType: '' });
+  const textRef = useRef(null);
+
+  const files = (dataSet || []).filter(file => file.type === 'text' && typeof file.content === 'string' && file.content.trim());
+  const file = files.find(f => f.name === activeFile) || files[0] || null;
+  const isLegacy = (results.analysisBySource || []).length === 0;
+  const sources = isLegacy
+    ? [{ sourceType: 'legacy', themes: results.themes || [] }]
+    : results.analysisBySource;
+  const themeById = new Map(sources.flatMap(source => (source.themes || []).map(theme => [theme.id, theme])));
+  const excerpts = getCodedExcerpts(results);
+  const fileExcerpts = file ? excerpts.filter(excerpt => excerpt.fileName === file.name) : [];
+
+  const handleSelect = () => {
+    const offsets = getSelectionOffsets(textRef.current);
+    if (!offsets || !file) return;
+    // Leading and trailing whitespace is not part of the coded passage.
+    const raw = file.content.slice(offsets.start, offsets.end);
+    const start = offsets.start + (raw.length - raw.trimStart().length);
+    const end = offsets.end - (raw.length - raw.trimEnd().length);
+    if (end > start) setPending({ start, end });
+  };
+
+  const handleCode = () => {
+    if (!pending || !file || !code) return;
+    let next = results;
+    let themeId = code;
+    let themeName = themeById.get(code)?.theme;
+    if (code === NEW_CODE_OPTION) {
+      const title = newCode.title.trim();
+      const sourceType = newCode.sourceType || sources[0]?.sourceType;
+      if (!title || !sourceType) return;
+      const theme = { ...createBlankTheme(), theme: title, prominence: 0, confidence: 0 };
+      next = setSourceThemes(next, sourceType, [...getSourceThemes(next, sourceType), theme]);
+      themeId = theme.id;
+      themeName = title;
+    }
+    const excerpt = createExcerpt({
+      themeId,
+      fileName: file.name,
+      start: pending.start,
+      end: pending.end,
+      // Source files are stored unredacted; coded text is stored with the project's placeholders.
+      text: redactWithMap(file.content.slice(pending.start, pending.end), redactionMap)
+    });
+    onApply(addCodedExcerpt(next, excerpt), `Coded an excerpt from ${file.name} to "${themeName}"`);
+    setPending(null);
+    setNewCode({ title: '', sourceType: '' });
+    window.getSelection()?.removeAllRanges();
+  };
+
+  const handleRemove = (excerpt) => {
+    onApply(removeCodedExcerpt(results, excerpt.id), `Removed a coded excerpt from ${excerpt.fileName}`);
+  };
+
+  const selectClass = 'rounded-md border-gray-600 bg-gray-700 text-white text-sm focus:ring-[#13BBAF] focus:border-[#13BBAF] max-w-full';
+
+  return (
+    <div className="p-3 rounded-lg border border-gray-700 bg-gray-800/50 text-sm">
+      <button onClick={() => setIsOpen(open => !open)} className="font-semibold text-gray-200 hover:text-white">
+        {isOpen ? '▾' : '▸'} Coding workspace
+        {excerpts.length > 0 && <span className="ml-2 text-xs font-normal text-gray-400">{describeCodedEvidence(excerpts)}</span>}
+      </button>
+      {isOpen && (
+        <div className="mt-3 space-y-3">
+          {files.length === 0 ? (
+            <p className="text-gray-500">No transcripts to code. Text files are available once they are saved with the project or uploaded again.</p>
+          ) : (
+            <>
+              <div className="flex flex-wrap gap-2">
+                {files.map(f => (
+                  <button
+                    key={f.name}
+                    onClick={() => { setActiveFile(f.name); setPending(null); }}
+                    className={`px-3 py-1 rounded-md ${f === file ? 'bg-[#13BBAF] text-white' : 'bg-gray-700 text-gray-300 hover:bg-gray-600'}`}
+                  >
+                    {f.name}
+                  </button>
+                ))}
+              </div>
+              <p className="text-gray-400">Highlight a passage, then assign it to a theme or a new code.</p>
+              <div className="grid lg:grid-cols-3 gap-3">
+                <div
+                  ref={textRef}
+                  onMouseUp={handleSelect}
+                  className="lg:col-span-2 max-h-96 overflow-y-auto whitespace-pre-wrap p-3 rounded-md bg-gray-900/70 border border-gray-700 text-gray-200 leading-relaxed"
+                >
+                  {segmentContent(file.content, fileExcerpts).map(run => (run.excerpts.length > 0 ? (
+                    <mark
+                      key={run.start}
+                      className="bg-teal-700/50 text-white rounded-sm"
+                      title={run.excerpts.map(excerpt => themeById.get(excerpt.themeId)?.theme || 'Deleted theme').join(', ')}
+                    >
+                      {run.text}
+                    </mark>
+                  ) : (
+                    <React.Fragment key={run.start}>{run.text}</React.Fragment>
+                  )))}
+                </div>
+                <div className="space-y-3">
+                  {pending ? (
+                    <div className="p-3 rounded-md border border-[#13BBAF]/40 bg-gray-900/70 space-y-2">
+                      <p className="text-gray-300 italic line-clamp-4">"{file.content.slice(pending.start, pending.end)}"</p>
+                      <select value={code} onChange={(e) => setCode(e.target.value)} className={`${selectClass} w-full`}>
+                        <option value="">Assign to…</option>
+                        {sources.map(source => (
+                          <optgroup key={source.sourceType} label={formatSourceType(source.sourceType)}>
+                            {(source.themes || []).filter(theme => theme.id).map(theme => (
+                              <option key={theme.id} value={theme.id}>{theme.theme}</option>
+                            ))}
+                          </optgroup>
+                        ))}
+                        <option value={NEW_CODE_OPTION}>New code…</option>
+                      </select>
+                      {code === NEW_CODE_OPTION && (
+                        <div className="space-y-2">
+                          <input
+                            type="text"
+                            value={newCode.title}
+                            onChange={(e) => setNewCode(c => ({ ...c, title: e.target.value }))}
+                            placeholder="Code name"
+                            className={themeInputClass}
+                          />
+                          {!isLegacy && (
+                            <select
+                              value={newCode.sourceType}
+                              onChange={(e) => setNewCode(c => ({ ...c, sourceType: e.target.value }))}
+                              className={`${selectClass} w-full`}
+                            >
+                              {sources.map(source => (
+                                <option key={source.sourceType} value={source.sourceType}>{formatSourceType(source.sourceType)}</option>
+                              ))}
+                            </select>
+                          )}
+                        </div>
+                      )}
+                      <div className="flex justify-end gap-2">
+                        <button onClick={() => setPending(null)} className="px-3 py-1 rounded-md text-gray-300 bg-gray-700 hover:bg-gray-600">Cancel</button>
+                        <button
+                          onClick={handleCode}
+                          disabled={!code || (code === NEW_CODE_OPTION && !newCode.title.trim())}
+                          className="px-3 py-1 rounded-md text-white bg-[#13BBAF] hover:bg-teal-600 disabled:bg-gray-600 disabled:cursor-not-allowed"
+                        >
+                          Code excerpt
+                        </button>
+                      </div>
+                    </div>
+                  ) : (
+                    <p className="text-gray-500">No passage selected.</p>
+                  )}
+                  <div>
+                    <p className="text-xs uppercase text-gray-500 mb-1">Coded in this file ({fileExcerpts.length})</p>
+                    <ul className="max-h-64 overflow-y-auto space-y-2">
+                      {fileExcerpts.map(excerpt => (
+                        <li key={excerpt.id} className="flex items-start justify-between gap-2">
+                          <span className="text-gray-300">
+                            <span className="text-teal-300">{themeById.get(excerpt.themeId)?.theme || 'Deleted theme'}</span>: "{excerpt.text}"
+                          </span>
+                          <button onClick={() => handleRemove(excerpt)} className="text-gray-500 hover:text-red-400" title="Remove coding">✕</button>
+                        </li>
+                      ))}
+                    </ul>
+                  </div>
+                </div>
+              </div>
+            </>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default CodingWorkspace;
@@ -0,0 +1,207 @@
+import React, { useState, useEffect } from 'react';
+import Papa from 'papaparse';
+import * as XLSX from 'xlsx';
+import { spreadsheetSheets } from '../analysis-setup/dataSet.js';
+
+const MappingModal = ({ file, onClose, onSave }) => {
+  const [sheets, setSheets] = useState([]);
+  const [activeSheet, setActiveSheet] = useState(0);
+  const [isLoading, setIsLoading] = useState(true);
+  const [loadError, setLoadError] = useState(null);
+  const isWorkbook = Boolean(file.fileObject && /\.(xls|xlsx)$/i.test(file.fileObject.name)) || Array.isArray(file.sheets);
+
+  const detectColumnType = (header, rows) => {
+    const values = rows.map(r => r[header]).filter(Boolean).slice(0, 10);
+    if (values.length === 0) return 'ignore';
+    const allAreNumbers = values.every(v => !isNaN(Number(v)));
+    if (allAreNumbers) return 'stats';
+    const uniqueValues = new Set(values);
+    if (uniqueValues.size <= 5 || uniqueValues.size / values.length < 0.5) return 'category';
+    const averageLength = values.reduce((acc, v) => acc + String(v).length, 0) / values.length;
+    if (averageLength > 30) return 'text';
+    return 'ignore';
+  };
+
+  useEffect(() => {
+    setIsLoading(true);
+    setLoadError(null);
+
+    const buildSheet = (name, data, savedMappings, rowNumbers) => {
+      const headers = [...new Set(data.flatMap(row => Object.keys(row)))];
+      const mappings = { ...savedMappings };
+      if (Object.keys(mappings).length === 0) {
+        headers.forEach(header => {
+          mappings[header] = detectColumnType(header, data);
+        });
+      }
+      return { name, headers, rows: data, mappings, ...(Array.isArray(rowNumbers) ? { rowNumbers } : {}) };
+    };
+    const isBlankRow = (row) => Object.values(row).every(value => value === null || value === undefined || String(value).trim() === '');
+    const savedSheets = spreadsheetSheets(file);
+    const savedMappingsFor = (name) => savedSheets.find(sheet => sheet.name === name)?.mappings || {};
+    const processSheets = (parsed) => {
+      setSheets(parsed);
+      setActiveSheet(0);
+      setIsLoading(false);
+    };
+    const failLoading = (message) => {
+      setSheets([]);
+      setLoadError(message);
+      setIsLoading(false);
+    };
+
+    if (!file.fileObject && Array.isArray(file.sheets)) {
+      // Workbooks restored from a saved project keep their parsed sheets.
+      processSheets(file.sheets.map(sheet => buildSheet(sheet.name, sheet.rows || [], sheet.mappings, sheet.rowNumbers)));
+    } else if (!file.fileObject) {
+      // Formats such as JSON exports are parsed on upload and arrive with rows already.
+      processSheets([buildSheet(null, file.rows || [], file.mappings, file.rowNumbers)]);
+    } else if (/\.csv$/i.test(file.fileObject.name)) {
+      // Blank lines are dropped here rather than by Papa, so each row keeps its line number
+      // (record 1 is the header).
+      Papa.parse(file.fileObject, {
+        header: true,
+        skipEmptyLines: false,
+        complete: (results) => {
+          const kept = results.data
+            .map((row, index) => ({ row, number: index + 2 }))
+            .filter(({ row }) => !isBlankRow(row));
+          processSheets([buildSheet(null, kept.map(({ row }) => row), file.mappings, kept.map(({ number }) => number))]);
+        },
+        error: () => failLoading('The CSV file could not be read.')
+      });
+    } else if (isWorkbook) {
+      const reader = new FileReader();
+      reader.onload = (e) => {
+        let workbook;
+        try {
+          workbook = XLSX.read(new Uint8Array(e.target.result), { type: 'array' });
+        } catch (err) {
+          failLoading(/password/i.test(err?.message || '')
+            ? 'The workbook is password protected.'
+            : 'The workbook could not be opened.');
+          return;
+        }
+        const parsed = workbook.SheetNames
+          .map(sheetName => {
+            // SheetJS skips blank rows and records each row's 0-based sheet index as __rowNum__.
+            const rows = XLSX.utils.sheet_to_json(workbook.Sheets[sheetName], { defval: '' });
+            return buildSheet(sheetName, rows, savedMappingsFor(sheetName), rows.map(row => row.__rowNum__ + 1));
+          })
+          .filter(sheet => sheet.rows.length > 0);
+        processSheets(parsed);
+      };
+      reader.onerror = () => failLoading('The file could not be read.');
+      reader.readAsArrayBuffer(file.fileObject);
+    }
+  }, [file]);
+
+  const current = sheets[activeSheet];
+  const setMapping = (header, value) => {
+    setSheets(prev => prev.map((sheet, index) => (
+      index === activeSheet ? { ...sheet, mappings: { ...sheet.mappings, [header]: value } } : sheet
+    )));
+  };
+  const setAllMappings = (value) => {
+    setSheets(prev => prev.map((sheet, index) => (
+      index === activeSheet
+        ? { ...sheet, mappings: Object.fromEntries(sheet.headers.map(header => [header, value])) }
+        : sheet
+    )));
+  };
+  const mappedCount = (sheet) => Object.values(sheet.mappings).filter(value => value && value !== 'ignore').length;
+
+  const handleSave = () => {
+    if (isWorkbook) {
+      onSave(file.id, { sheets });
+    } else {
+      const [sheet] = sheets;
+      onSave(file.id, {
+        mappings: sheet?.mappings || {},
+        headers: sheet?.headers || [],
+        rows: sheet?.rows || [],
+        ...(Array.isArray(sheet?.rowNumbers) ? { rowNumbers: sheet.rowNumbers } : {})
+      });
+    }
+    onClose();
+  };
+
+  return (
+    <div className="fixed inset-0 bg-gray-900 bg-opacity-75 flex items-center justify-center z-50 p-4">
+      <div className="bg-gray-800 text-white rounded-lg shadow-xl p-6 space-y-4 w-full max-w-lg">
+        <h3 className="text-lg font-semibold">Map Columns for: {file.name}</h3>
+        {isLoading ? (
+          <div className="flex items-center justify-center p-8">
+            <svg className="animate-spin h-5 w-5 text-white" xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 24 24">
+              <circle className="opacity-25" cx="12" cy="12" r="10" stroke="currentColor" strokeWidth="4"></circle>
+              <path className="opacity-75" fill="currentColor" d="M4 12a8 8 0 018-8V0C5.373 0 0 5.373 0 12h4zm2 5.291A7.962 7.962 0 014 12H0c0 3.042 1.135 5.824 3 7.938l3-2.647z"></path>
+            </svg>
+            <span className="ml-3">Loading spreadsheet...</span>
+          </div>
+        ) : loadError ? (
+          <p className="text-sm text-red-400">{loadError}</p>
+        ) : !current ? (
+          <p className="text-sm text-gray-400">No rows were found in this file.</p>
+        ) : (
+          <>
+            {sheets.length > 1 && (
+              <div>
+                <p className="text-xs text-gray-400 mb-1">
+                  This workbook has {sheets.length} sheets. Each sheet is analysed as its own source; leave a sheet&apos;s columns on Ignore to skip it.
+                </p>
+                <div className="flex flex-wrap gap-1" role="tablist">
+                  {sheets.map((sheet, index) => (
+                    <button
+                      key={sheet.name}
+                      role="tab"
+                      aria-selected={index === activeSheet}
+                      onClick={() => setActiveSheet(index)}
+                      className={`px-2 py-1 text-xs rounded ${index === activeSheet ? 'bg-teal-500 text-white' : 'bg-gray-700 text-gray-300 hover:bg-gray-600'}`}
+                    >
+                      {sheet.name}
+                      <span className="ml-1 opacity-75">({mappedCount(sheet)}/{sheet.headers.length})</span>
+                    </button>
+                  ))}
+                </div>
+              </div>
+            )}
+            <div className="flex items-center justify-between text-xs text-gray-400">
+              <span>{current.rows.length} rows{current.name ? ` in "${current.name}"` : ''}</span>
+              <button onClick={() => setAllMappings('ignore')} className="hover:text-white">Ignore all columns</button>
+            </div>
+            <div className="space-y-2 max-h-96 overflow-y-auto p-1">
+              {current.headers.map(header => (
+                <div key={header} className="grid grid-cols-2 gap-4 items-center">
+                  <label className="font-medium truncate">{header}</label>
+                  <select
+                    value={current.mappings[header] || 'ignore'}
+                    onChange={(e) => setMapping(header, e.target.value)}
+                    className="rounded-md border-gray-600 bg-gray-700 text-white focus:ring-[#13BBAF] focus:border-[#13BBAF]"
+                  >
+                    <option value="ignore">Ignore</option>
+                    <option value="text">Analyse for Themes</option>
+                    <option value="stats">Calculate Statistics</option>
+                    <option value="category">Categorise</option>
+                    <option value="segment">Segment By</option>
+                  </select>
+                </div>
+              ))}
+            </div>
+          </>
+        )}
+        <div className="flex justify-end space-x-3 pt-4">
+          <button onClick={onClose} className="px-4 py-2 bg-gray-600 rounded-md">Cancel</button>
+          <button
+            onClick={handleSave}
+            disabled={isLoading || Boolean(loadError)}
+            className="px-4 py-2 bg-[#13BBAF] text-white rounded-md disabled:bg-gray-600 disabled:cursor-not-allowed"
+          >
+            Save Mappings
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default MappingModal;
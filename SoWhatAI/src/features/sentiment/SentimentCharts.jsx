@@ -0,0 +1,119 @@
+import React from 'react';
+import { sentimentPercents, SENTIMENT_SEGMENTS, formatSentiment, sentimentGroups } from './sentiment.js';
+
+const SentimentDonutChart = ({ distribution }) => {
+  const percents = sentimentPercents(distribution);
+  if (!percents) return null;
+  const { positive, negative, neutral } = percents;
+  const conicGradient = `conic-gradient(#ef4444 0% ${negative}%, #84cc16 ${negative}% ${negative + positive}%, #9ca3af ${negative + positive}% 100%)`;
+
+  return (
+    <div className="flex flex-col items-center">
+      <div style={{ background: conicGradient }} className="w-32 h-32 rounded-full flex items-center justify-center">
+        <div className="w-20 h-20 bg-[#1f2937] rounded-full"></div>
+      </div>
+      <div className="flex justify-center space-x-4 mt-4 text-sm text-gray-300">
+        <div className="flex items-center"><span className="w-3 h-3 rounded-full bg-red-500 mr-2"></span>Neg ({negative}%)</div>
+        <div className="flex items-center"><span className="w-3 h-3 rounded-full bg-lime-500 mr-2"></span>Pos ({positive}%)</div>
+        <div className="flex items-center"><span className="w-3 h-3 rounded-full bg-gray-400 mr-2"></span>Neu ({neutral}%)</div>
+      </div>
+    </div>
+  );
+};
+
+const SentimentSection = ({ distribution }) => {
+  if (!distribution) return null;
+  const { positive, negative, neutral } = distribution;
+  let label = 'Neutral';
+  let emoji = '😐';
+  let colorClass = 'text-gray-300';
+  let bgClass = 'bg-gray-700';
+  let borderClass = 'border-gray-600';
+
+  if (positive > negative && positive > neutral) {
+    label = 'Positive'; emoji = '🙂'; colorClass = 'text-green-400'; bgClass = 'bg-green-900/30'; borderClass = 'border-green-500/30';
+  } else if (negative > positive && negative > neutral) {
+    label = 'Negative'; emoji = '😞'; colorClass = 'text-red-400'; bgClass = 'bg-red-900/30'; borderClass = 'border-red-500/30';
+  }
+
+  return (
+    <div id="report-sentiment" className="p-4 rounded-lg border border-gray-700 bg-gray-800/50 backdrop-blur-sm scroll-mt-24">
+      <h3 className="text-lg font-semibold text-white mb-4 text-center">Overall Sentiment</h3>
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-6 items-center">
+        <div className={`p-6 rounded-lg border ${borderClass} ${bgClass} flex flex-col items-center justify-center`}>
+          <span className="text-6xl mb-2">{emoji}</span>
+          <span className={`text-3xl font-bold ${colorClass}`}>{label}</span>
+        </div>
+        <SentimentDonutChart distribution={distribution} />
+      </div>
+    </div>
+  );
+};
+
+const SentimentBar = ({ sentiment }) => {
+  const percents = sentimentPercents(sentiment);
+  if (!percents) return null;
+  return (
+    <div className="flex h-2.5 w-full rounded-full overflow-hidden bg-gray-700" title={formatSentiment(sentiment)}>
+      {SENTIMENT_SEGMENTS.filter(segment => percents[segment.key] > 0).map(segment => (
+        <div key={segment.key} className={segment.className} style={{ width: `${percents[segment.key]}%` }}></div>
+      ))}
+    </div>
+  );
+};
+
+const EmotionChips = ({ emotions }) => {
+  if (!Array.isArray(emotions) || emotions.length === 0) return null;
+  return (
+    <span className="flex flex-wrap gap-1">
+      {emotions.map(emotion => (
+        <span key={emotion} className="text-xs px-2 py-0.5 rounded-full bg-gray-800 text-gray-300 border border-gray-700 capitalize">
+          {emotion}
+        </span>
+      ))}
+    </span>
+  );
+};
+
+const SentimentBreakdown = ({ results }) => {
+  const groups = sentimentGroups(results);
+  if (groups.length === 0) return null;
+
+  return (
+    <div id="report-sentiment-breakdown" className="p-4 rounded-lg border border-gray-700 bg-gray-800/50 backdrop-blur-sm scroll-mt-24">
+      <div className="flex flex-wrap items-center justify-between gap-2 mb-4">
+        <h3 className="text-lg font-semibold text-white">Sentiment Breakdown</h3>
+        <div className="flex space-x-4 text-xs text-gray-300">
+          {SENTIMENT_SEGMENTS.map(segment => (
+            <div key={segment.key} className="flex items-center">
+              <span className={`w-3 h-3 rounded-full ${segment.className} mr-2`}></span>{segment.label}
+            </div>
+          ))}
+        </div>
+      </div>
+      <div className="space-y-5">
+        {groups.map(group => (
+          <div key={group.title}>
+            <p className="text-xs uppercase text-gray-500 mb-2">{group.title}</p>
+            <div className="space-y-2">
+              {group.rows.map(row => (
+                <div key={row.key} className="flex flex-wrap md:flex-nowrap items-center gap-x-3 gap-y-1 text-sm">
+                  <span className="w-full md:w-56 shrink-0 truncate text-gray-200" title={row.label}>
+                    {row.label}
+                    {row.detail && <span className="text-gray-500"> · {row.detail}</span>}
+                  </span>
+                  <div className="flex-1 min-w-[8rem]">
+                    <SentimentBar sentiment={row.sentiment} />
+                  </div>
+                  <EmotionChips emotions={row.emotions} />
+                </div>
+              ))}
+            </div>
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+export { SentimentSection, SentimentBar, EmotionChips, SentimentBreakdown };
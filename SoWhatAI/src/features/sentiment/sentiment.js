@@ -0,0 +1,78 @@
+import { formatSourceType } from '../analysis-report/reportFormat.js';
+
+// Whole percentages of a { positive, negative, neutral } split, whether stored as 0–1 decimals or percentages.
+const sentimentPercents = (sentiment) => {
+  if (!sentiment || typeof sentiment !== 'object') return null;
+  const [negative, neutral, positive] = ['negative', 'neutral', 'positive'].map(key => Math.max(0, Number(sentiment[key]) || 0));
+  const total = negative + neutral + positive;
+  if (total <= 0) return null;
+  const negativePercent = Math.round((negative / total) * 100);
+  const neutralPercent = Math.round((neutral / total) * 100);
+  return { negative: negativePercent, neutral: neutralPercent, positive: Math.max(0, 100 - negativePercent - neutralPercent) };
+};
+
+const SENTIMENT_SEGMENTS = [
+  { key: 'negative', label: 'Negative', className: 'bg-red-500', color: 'ef4444' },
+  { key: 'neutral', label: 'Neutral', className: 'bg-gray-400', color: '9ca3af' },
+  { key: 'positive', label: 'Positive', className: 'bg-lime-500', color: '84cc16' }
+];
+
+// Rows per stacked bar chart slide in the PPTX deck.
+const SENTIMENT_ROWS_PER_SLIDE = 12;
+
+const formatSentiment = (sentiment) => {
+  const percents = sentimentPercents(sentiment);
+  return percents
+    ? SENTIMENT_SEGMENTS.map(segment => `${percents[segment.key]}% ${segment.label.toLowerCase()}`).join(' · ')
+    : '';
+};
+
+/**
+ * Groups the report's sentiment into rows per theme, per source type and per file, for the
+ * breakdown chart and its slides. Groups without rows are left out.
+ */
+const sentimentGroups = (results) => {
+  const sources = (results?.analysisBySource || []).length > 0
+    ? results.analysisBySource
+    : [{ sourceType: 'legacy', themes: results?.themes || [] }];
+  const themeRows = sources.flatMap(source => (source.themes || [])
+    .filter(theme => sentimentPercents(theme?.sentiment))
+    .map((theme, index) => ({
+      key: `${source.sourceType}-${theme.id || index}`,
+      label: theme.theme,
+      detail: sources.length > 1 ? formatSourceType(source.sourceType) : null,
+      sentiment: theme.sentiment,
+      emotions: theme.emotions || []
+    })));
+  const { bySourceType = [], byFile = [] } = results?.sentimentBreakdown || {};
+  return [
+    { title: 'By theme', rows: themeRows },
+    {
+      title: 'By source type',
+      rows: bySourceType.map(entry => ({
+        key: entry.sourceType,
+        label: formatSourceType(entry.sourceType),
+        sentiment: entry,
+        emotions: entry.emotions || []
+      }))
+    },
+    {
+      title: 'By file',
+      rows: byFile.map(entry => ({
+        key: entry.fileName,
+        label: entry.fileName,
+        detail: formatSourceType(entry.category),
+        sentiment: entry,
+        emotions: entry.emotions || []
+      }))
+    }
+  ].filter(group => group.rows.length > 0);
+};
+
+export {
+  sentimentPercents,
+  SENTIMENT_SEGMENTS,
+  SENTIMENT_ROWS_PER_SLIDE,
+  formatSentiment,
+  sentimentGroups
+};
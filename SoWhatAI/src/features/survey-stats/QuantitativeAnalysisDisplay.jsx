@@ -0,0 +1,333 @@
+import React, { useState } from 'react';
+
+const formatPercent = (value) => `${Number(value || 0).toFixed(value % 1 === 0 ? 0 : 1)}%`;
+
+const HistogramChart = ({ bins = [] }) => {
+  const maxCount = Math.max(1, ...bins.map(bin => bin.count));
+  return (
+    <div className="mt-3">
+      <div className="flex items-end h-24 gap-1">
+        {bins.map(bin => (
+          <div key={bin.label} className="flex-1 flex flex-col items-center justify-end h-full" title={`${bin.label}: ${bin.count}`}>
+            <span className="text-[10px] text-gray-400">{bin.count > 0 ? bin.count : ''}</span>
+            <div className="w-full bg-[#13BBAF] rounded-t" style={{ height: `${(bin.count / maxCount) * 100}%` }}></div>
+          </div>
+        ))}
+      </div>
+      <div className="flex gap-1 mt-1">
+        {bins.map(bin => (
+          <span key={bin.label} className="flex-1 text-[10px] text-gray-500 text-center truncate">{bin.label}</span>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+const NpsSummary = ({ nps }) => (
+  <div className="mt-3 p-3 rounded-md bg-gray-700/50">
+    <div className="flex items-baseline justify-between">
+      <span className="text-xs text-gray-400 uppercase">Net Promoter Score</span>
+      <span className={`text-2xl font-bold ${nps.score >= 0 ? 'text-green-400' : 'text-red-400'}`}>{nps.score > 0 ? `+${nps.score}` : nps.score}</span>
+    </div>
+    <div className="flex h-3 mt-2 rounded-full overflow-hidden bg-gray-700">
+      <div className="bg-red-500" style={{ width: `${nps.detractorPct}%` }}></div>
+      <div className="bg-gray-400" style={{ width: `${nps.passivePct}%` }}></div>
+      <div className="bg-green-500" style={{ width: `${nps.promoterPct}%` }}></div>
+    </div>
+    <div className="flex justify-between text-xs text-gray-400 mt-1">
+      <span>Detractors (0–6): {nps.detractors} · {formatPercent(nps.detractorPct)}</span>
+      <span>Passives (7–8): {nps.passives} · {formatPercent(nps.passivePct)}</span>
+      <span>Promoters (9–10): {nps.promoters} · {formatPercent(nps.promoterPct)}</span>
+    </div>
+  </div>
+);
+
+const LikertSummary = ({ likert }) => {
+  // Red through grey to green, from least to most favourable.
+  const palette = likert.scalePoints === 7
+    ? ['#b91c1c', '#ef4444', '#fca5a5', '#9ca3af', '#86efac', '#22c55e', '#15803d']
+    : ['#b91c1c', '#f87171', '#9ca3af', '#4ade80', '#15803d'];
+  return (
+    <div className="mt-3 p-3 rounded-md bg-gray-700/50">
+      <div className="flex items-baseline justify-between text-xs text-gray-400 uppercase">
+        <span>{likert.scalePoints}-point scale</span>
+        <span>
+          Top-2-box <span className="text-lg font-bold text-green-400 normal-case">{formatPercent(likert.top2Box)}</span>
+          <span className="ml-3">Bottom-2-box <span className="text-lg font-bold text-red-400 normal-case">{formatPercent(likert.bottom2Box)}</span></span>
+        </span>
+      </div>
+      <div className="flex h-3 mt-2 rounded-full overflow-hidden bg-gray-700">
+        {likert.distribution.map((point, index) => (
+          <div key={point.label} title={`${point.label}: ${point.count}`} style={{ width: `${point.percent}%`, backgroundColor: palette[index % palette.length] }}></div>
+        ))}
+      </div>
+      <div className="flex flex-wrap gap-x-4 gap-y-1 mt-2 text-xs text-gray-400">
+        {likert.distribution.map((point, index) => (
+          <span key={point.label} className="flex items-center">
+            <span className="w-2 h-2 rounded-full mr-1" style={{ backgroundColor: palette[index % palette.length] }}></span>
+            {point.label}: {point.count} ({formatPercent(point.percent)})
+          </span>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+const StatSummary = ({ stat }) => {
+  // Reports saved before the extended statistics only carry mean/median/mode.
+  const extended = [
+    ['Std Dev', stat.stdDev], ['Min', stat.min], ['Q1', stat.q1], ['Q3', stat.q3], ['Max', stat.max]
+  ].filter(([, value]) => value !== undefined);
+
+  return (
+    <div>
+      <h5 className="font-semibold text-gray-300">
+        {stat.title}
+        {stat.count != null && <span className="ml-2 text-xs font-normal text-gray-500">n = {stat.count}</span>}
+      </h5>
+      <div className="grid grid-cols-3 gap-4 mt-2 text-center">
+        <div className="bg-gray-700 p-2 rounded-md">
+          <p className="text-xs text-gray-400 uppercase">Mean</p>
+          <p className="text-xl font-bold text-white">{stat.mean ?? '-'}</p>
+        </div>
+        <div className="bg-gray-700 p-2 rounded-md">
+          <p className="text-xs text-gray-400 uppercase">Median</p>
+          <p className="text-xl font-bold text-white">{stat.median ?? '-'}</p>
+        </div>
+        <div className="bg-gray-700 p-2 rounded-md">
+          <p className="text-xs text-gray-400 uppercase">Mode</p>
+          <p className="text-xl font-bold text-white">{stat.mode ?? '-'}</p>
+        </div>
+      </div>
+      {extended.length > 0 && (
+        <div className="grid grid-cols-5 gap-2 mt-2 text-center">
+          {extended.map(([label, value]) => (
+            <div key={label} className="bg-gray-700/60 p-1.5 rounded-md">
+              <p className="text-[10px] text-gray-400 uppercase">{label}</p>
+              <p className="text-sm font-semibold text-white">{value ?? '-'}</p>
+            </div>
+          ))}
+        </div>
+      )}
+      {stat.nps && <NpsSummary nps={stat.nps} />}
+      {stat.likert && <LikertSummary likert={stat.likert} />}
+      {Array.isArray(stat.histogram) && stat.histogram.length > 1 && <HistogramChart bins={stat.histogram} />}
+    </div>
+  );
+};
+
+const formatPValue = (p) => (p < 0.001 ? 'p < 0.001' : `p = ${Number(p).toFixed(3)}`);
+
+const SignificanceBadge = ({ test }) => {
+  if (!test) return <span className="text-xs text-gray-500">n/a</span>;
+  return (
+    <span
+      className={`inline-flex items-center px-2 py-0.5 rounded-full text-xs font-medium ${test.significant ? 'bg-teal-900/60 text-teal-300' : 'bg-gray-700 text-gray-400'}`}
+      title={test.significant ? 'Statistically significant at the 5% level' : 'Not statistically significant at the 5% level'}
+    >
+      {test.significant ? 'Significant' : 'Not significant'} · {formatPValue(test.pValue)}
+    </span>
+  );
+};
+
+const SegmentStatsTable = ({ stats }) => (
+  <div>
+    <h5 className="font-semibold text-gray-300">{stats.title} <span className="font-normal text-gray-400">by {stats.segmentBy}</span></h5>
+    <div className="overflow-x-auto">
+      <table className="w-full mt-2 text-sm text-left">
+        <thead className="text-xs text-gray-400 uppercase bg-gray-700/50">
+          <tr>
+            <th className="px-3 py-2">{stats.segmentBy}</th>
+            <th className="px-3 py-2">n</th>
+            <th className="px-3 py-2">Mean</th>
+            <th className="px-3 py-2">Median</th>
+            <th className="px-3 py-2">Std Dev</th>
+            <th className="px-3 py-2">t-test</th>
+          </tr>
+        </thead>
+        <tbody>
+          {stats.groups.map(group => (
+            <tr key={group.segment} className="border-b border-gray-700">
+              <td className="px-3 py-2 font-medium">{group.segment}</td>
+              <td className="px-3 py-2">{group.count}</td>
+              <td className="px-3 py-2">{group.mean}</td>
+              <td className="px-3 py-2">{group.median}</td>
+              <td className="px-3 py-2">{group.stdDev}</td>
+              <td className="px-3 py-2">
+                <SignificanceBadge test={group.tTest} />
+                {group.tTest && <span className="ml-1 text-xs text-gray-500">vs {group.tTest.against}</span>}
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  </div>
+);
+
+const CrossTabTable = ({ crossTab }) => (
+  <div>
+    <div className="flex flex-wrap items-center justify-between gap-2">
+      <h5 className="font-semibold text-gray-300">{crossTab.title} <span className="font-normal text-gray-400">by {crossTab.segmentBy}</span></h5>
+      <span className="text-xs text-gray-400">
+        Chi-square <SignificanceBadge test={crossTab.chiSquare} />
+        {crossTab.chiSquare?.lowExpected && <span className="ml-1 text-yellow-400" title="More than 20% of expected counts are below 5">(small cells, interpret with care)</span>}
+      </span>
+    </div>
+    <div className="overflow-x-auto">
+      <table className="w-full mt-2 text-sm text-left">
+        <thead className="text-xs text-gray-400 uppercase bg-gray-700/50">
+          <tr>
+            <th className="px-3 py-2">{crossTab.segmentBy}</th>
+            {crossTab.columns.map(column => <th key={column} className="px-3 py-2">{column}</th>)}
+            <th className="px-3 py-2">Total</th>
+          </tr>
+        </thead>
+        <tbody>
+          {crossTab.rows.map(row => (
+            <tr key={row.segment} className="border-b border-gray-700">
+              <td className="px-3 py-2 font-medium">{row.segment}</td>
+              {row.counts.map((count, index) => (
+                <td key={crossTab.columns[index]} className="px-3 py-2">
+                  {count} <span className="text-xs text-gray-500">({formatPercent(row.percents[index])})</span>
+                </td>
+              ))}
+              <td className="px-3 py-2">{row.total}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  </div>
+);
+
+const CategoryChart = ({ category }) => {
+  const [chartType, setChartType] = useState('donut');
+  const total = category.data.reduce((sum, item) => sum + item.count, 0);
+  const percentOf = (item) => (item.percent ?? (total > 0 ? (item.count / total) * 100 : 0));
+  const colors = ['#13BBAF', '#EDC8FF', '#84cc16', '#f97316', '#3b82f6'];
+
+  const renderChart = () => {
+    switch (chartType) {
+      case 'bar': {
+        const maxCount = Math.max(...category.data.map(i => i.count));
+        return (
+          <div className="mt-2 space-y-2">
+            {category.data.map((item, index) => (
+              <div key={item.name} className="flex items-center">
+                <span className="w-24 text-sm text-gray-400 truncate">{item.name}</span>
+                <div className="flex-1 bg-gray-700 rounded-full h-5">
+                  <div className="h-5 rounded-full" style={{ width: `${(item.count / maxCount) * 100}%`, backgroundColor: colors[index % colors.length] }}></div>
+                </div>
+                <span className="ml-2 text-sm font-semibold">{item.count}</span>
+                <span className="ml-1 w-14 text-right text-xs text-gray-400">{formatPercent(percentOf(item))}</span>
+              </div>
+            ))}
+          </div>
+        );
+      }
+      case 'table':
+        return (
+          <table className="w-full mt-2 text-sm text-left">
+            <thead className="text-xs text-gray-400 uppercase bg-gray-700/50">
+              <tr><th className="px-4 py-2">Category</th><th className="px-4 py-2">Count</th><th className="px-4 py-2">Percentage</th></tr>
+            </thead>
+            <tbody>
+              {category.data.map((item) => (
+                <tr key={item.name} className="border-b border-gray-700">
+                  <td className="px-4 py-2">{item.name}</td>
+                  <td className="px-4 py-2">{item.count}</td>
+                  <td className="px-4 py-2">{percentOf(item).toFixed(1)}%</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        );
+      case 'donut':
+      default: {
+        let accumulated = 0;
+        const conicGradient = category.data.map((item, index) => {
+          const percentage = (item.count / total) * 100;
+          const color = colors[index % colors.length];
+          const start = accumulated;
+          accumulated += percentage;
+          const end = accumulated;
+          return `${color} ${start}% ${end}%`;
+        }).join(', ');
+        return (
+          <div className="flex flex-col items-center">
+            <div style={{ background: `conic-gradient(${conicGradient})` }} className="w-32 h-32 rounded-full flex items-center justify-center">
+              <div className="w-20 h-20 bg-gray-800 rounded-full"></div>
+            </div>
+            <div className="flex flex-wrap justify-center gap-x-4 gap-y-2 mt-4 text-sm">
+              {category.data.map((item, index) => (
+                <div key={item.name} className="flex items-center">
+                  <span className="w-3 h-3 rounded-full mr-2" style={{ backgroundColor: colors[index % colors.length] }}></span>
+                  {item.name} ({item.count} · {formatPercent(percentOf(item))})
+                </div>
+              ))}
+            </div>
+          </div>
+        );
+      }
+    }
+  };
+
+  return (
+    <div>
+      <div className="flex justify-between items-center">
+        <h5 className="font-semibold text-gray-300">{category.title}</h5>
+        <div className="flex space-x-1 bg-gray-700 p-1 rounded-md">
+          <button onClick={() => setChartType('donut')} className={`px-2 py-1 text-xs rounded ${chartType === 'donut' ? 'bg-teal-500 text-white' : 'text-gray-400'}`}>Donut</button>
+          <button onClick={() => setChartType('bar')} className={`px-2 py-1 text-xs rounded ${chartType === 'bar' ? 'bg-teal-500 text-white' : 'text-gray-400'}`}>Bar</button>
+          <button onClick={() => setChartType('table')} className={`px-2 py-1 text-xs rounded ${chartType === 'table' ? 'bg-teal-500 text-white' : 'text-gray-400'}`}>Table</button>
+        </div>
+      </div>
+      {renderChart()}
+      {category.likert && <LikertSummary likert={category.likert} />}
+    </div>
+  );
+};
+
+const QuantitativeAnalysisDisplay = ({ quantData }) => {
+  const [isOpen, setIsOpen] = useState(true);
+  if (!quantData || quantData.length === 0) return null;
+
+  return (
+    <div id="report-quantitative" className="p-4 rounded-lg border border-gray-700 bg-gray-800/50 backdrop-blur-sm scroll-mt-24">
+      <button onClick={() => setIsOpen(!isOpen)} className="w-full flex justify-between items-center">
+        <h3 className="text-lg font-semibold text-white">Quantitative Analysis</h3>
+        <svg xmlns="http://www.w3.org/2000/svg" className={`h-6 w-6 transition-transform duration-300 ${isOpen ? 'rotate-180' : ''}`} fill="none" viewBox="0 0 24 24" stroke="currentColor">
+          <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M19 9l-7 7-7-7" />
+        </svg>
+      </button>
+      {isOpen && (
+        <div className="mt-4 space-y-8">
+          {quantData.map((fileResult, idx) => (
+            <div key={idx}>
+              <h4 className="font-semibold text-gray-200 text-md border-b border-gray-700 pb-2 mb-4">
+                Source: {fileResult.sourceFile}
+              </h4>
+              <div className="space-y-6">
+                {fileResult.stats && fileResult.stats.map(stat => (
+                  <StatSummary key={stat.title} stat={stat} />
+                ))}
+                {fileResult.categories && fileResult.categories.map(cat => (
+                  <CategoryChart key={cat.title} category={cat} />
+                ))}
+                {fileResult.segmentStats && fileResult.segmentStats.map(stats => (
+                  <SegmentStatsTable key={`${stats.segmentBy}-${stats.title}`} stats={stats} />
+                ))}
+                {fileResult.crossTabs && fileResult.crossTabs.map(crossTab => (
+                  <CrossTabTable key={`${crossTab.segmentBy}-${crossTab.title}`} crossTab={crossTab} />
+                ))}
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default QuantitativeAnalysisDisplay;
@@ -0,0 +1,96 @@
+import React from 'react';
+import { THEME_LIST_FIELDS } from '../../utils/themeEditing.js';
+import { themeInputClass } from '../analysis-report/reportFormat.js';
+import { THEME_LIST_LABELS } from './themeRefs.js';
+
+const EditableList = ({ label, items, onChange, addLabel, multiline = false }) => {
+  const update = (index, value) => onChange(items.map((item, i) => (i === index ? value : item)));
+  const remove = (index) => onChange(items.filter((_, i) => i !== index));
+
+  return (
+    <div>
+      <label className="text-sm font-medium text-gray-400 block mb-1">{label}</label>
+      <div className="space-y-2">
+        {items.map((item, index) => (
+          <div key={index} className="flex items-start gap-2">
+            {multiline ? (
+              <textarea rows={2} value={item} onChange={(e) => update(index, e.target.value)} className={themeInputClass} />
+            ) : (
+              <input type="text" value={item} onChange={(e) => update(index, e.target.value)} className={themeInputClass} />
+            )}
+            <button onClick={() => remove(index)} className="mt-1.5 text-gray-500 hover:text-red-400" title="Remove">✕</button>
+          </div>
+        ))}
+      </div>
+      <button onClick={() => onChange([...items, ''])} className="mt-2 text-xs text-[#13BBAF] hover:text-teal-400">
+        + {addLabel}
+      </button>
+    </div>
+  );
+};
+
+const ThemeEditor = ({ draft, setDraft, onSave, onCancel }) => {
+  const setField = (field) => (value) => setDraft(d => ({ ...d, [field]: value }));
+
+  return (
+    <div className="space-y-3">
+      <div className="grid grid-cols-[4rem_1fr] gap-3">
+        <div>
+          <label className="text-sm font-medium text-gray-400 block mb-1">Emoji</label>
+          <input type="text" value={draft.emoji} onChange={(e) => setField('emoji')(e.target.value)} className={themeInputClass} />
+        </div>
+        <div>
+          <label className="text-sm font-medium text-gray-400 block mb-1">Theme Title</label>
+          <input type="text" value={draft.theme} onChange={(e) => setField('theme')(e.target.value)} className={themeInputClass} />
+        </div>
+      </div>
+      <div>
+        <label className="text-sm font-medium text-gray-400 block mb-1">Theme Narrative</label>
+        <textarea rows={4} value={draft.themeNarrative} onChange={(e) => setField('themeNarrative')(e.target.value)} className={themeInputClass} />
+      </div>
+      <div className="grid md:grid-cols-2 gap-3">
+        {['prominence', 'confidence'].map(field => (
+          <div key={field}>
+            <label className="text-sm font-medium text-gray-400 block mb-1">
+              {field === 'prominence' ? 'Prominence' : 'Confidence'}: {Math.round(draft[field] * 100)}%
+            </label>
+            <input
+              type="range"
+              min="0"
+              max="1"
+              step="0.01"
+              value={draft[field]}
+              onChange={(e) => setField(field)(Number(e.target.value))}
+              className="w-full accent-[#13BBAF]"
+            />
+          </div>
+        ))}
+      </div>
+      <div className="grid md:grid-cols-2 gap-3">
+        {THEME_LIST_FIELDS.map(field => (
+          <EditableList
+            key={field}
+            label={THEME_LIST_LABELS[field]}
+            items={draft[field]}
+            onChange={setField(field)}
+            addLabel="Add item"
+          />
+        ))}
+      </div>
+      <EditableList
+        label="Supporting quotes"
+        items={draft.evidence}
+        onChange={setField('evidence')}
+        addLabel="Add quote"
+        multiline
+      />
+      <p className="text-xs text-gray-500">Edited or added quotes are kept as plain text and lose their verified source location.</p>
+      <div className="flex justify-end space-x-3">
+        <button onClick={onCancel} className="px-3 py-1 text-sm rounded-md text-gray-300 bg-gray-700 hover:bg-gray-600">Cancel</button>
+        <button onClick={onSave} className="px-3 py-1 text-sm rounded-md text-white bg-green-600 hover:bg-green-700">Save</button>
+      </div>
+    </div>
+  );
+};
+
+export default ThemeEditor;
@@ -0,0 +1,235 @@
+import React, { useState } from 'react';
+import {
+  THEME_LIST_FIELDS,
+  mergeThemes,
+  splitTheme,
+  moveThemeToSource,
+  suggestMerges
+} from '../../utils/themeEditing.js';
+import { getCodedExcerpts } from '../../utils/manualCoding.js';
+import { formatSourceType, evidenceText, themeInputClass } from '../analysis-report/reportFormat.js';
+import { THEME_LIST_LABELS, themeRefKey, parseThemeRefKey } from './themeRefs.js';
+
+const ThemeTools = ({ results, onApply }) => {
+  const [isOpen, setIsOpen] = useState(false);
+  const [mode, setMode] = useState('merge');
+  const [first, setFirst] = useState('');
+  const [second, setSecond] = useState('');
+  const [title, setTitle] = useState('');
+  const [narrative, setNarrative] = useState('');
+  const [targetSource, setTargetSource] = useState('');
+  const [selection, setSelection] = useState({});
+  const [suggestions, setSuggestions] = useState(null);
+
+  const sources = results.analysisBySource || [];
+  const options = sources.flatMap(source => (source.themes || [])
+    .filter(theme => theme.id)
+    .map(theme => ({ key: themeRefKey({ sourceType: source.sourceType, id: theme.id }), source, theme })));
+  const selected = options.find(option => option.key === first) || null;
+
+  const reset = () => {
+    setFirst('');
+    setSecond('');
+    setTitle('');
+    setNarrative('');
+    setTargetSource('');
+    setSelection({});
+  };
+
+  const themeName = (ref) => options.find(option => option.key === themeRefKey(ref))?.theme.theme || '';
+
+  const handleMerge = (intoRef, fromRef, mergedTitle) => {
+    onApply(
+      mergeThemes(results, intoRef, fromRef, { title: mergedTitle }),
+      `Merged theme "${themeName(fromRef)}" into "${mergedTitle || themeName(intoRef)}"`
+    );
+    setSuggestions(current => current && current.filter(s => (
+      ![s.a, s.b].some(ref => themeRefKey(ref) === themeRefKey(fromRef))
+    )));
+  };
+
+  const handleApply = () => {
+    const ref = parseThemeRefKey(first);
+    if (!ref || !selected) return;
+    if (mode === 'merge') {
+      const other = parseThemeRefKey(second);
+      if (other) handleMerge(ref, other, title);
+    } else if (mode === 'split') {
+      onApply(splitTheme(results, ref, { title, narrative, selection }), `Split theme "${selected.theme.theme}"`);
+    } else if (mode === 'move' && targetSource) {
+      onApply(
+        moveThemeToSource(results, ref, targetSource),
+        `Moved theme "${selected.theme.theme}" to ${formatSourceType(targetSource)}`
+      );
+    }
+    reset();
+  };
+
+  const toggleSelection = (field, value) => setSelection(current => {
+    const picked = new Set(current[field] || []);
+    if (picked.has(value)) picked.delete(value); else picked.add(value);
+    return { ...current, [field]: [...picked] };
+  });
+
+  const selectClass = 'rounded-md border-gray-600 bg-gray-700 text-white text-sm focus:ring-[#13BBAF] focus:border-[#13BBAF] max-w-full';
+  const ThemeSelect = ({ value, onChange, exclude, placeholder }) => (
+    <select value={value} onChange={(e) => onChange(e.target.value)} className={selectClass}>
+      <option value="">{placeholder}</option>
+      {sources.map(source => (
+        <optgroup key={source.sourceType} label={formatSourceType(source.sourceType)}>
+          {options.filter(option => option.source === source && option.key !== exclude).map(option => (
+            <option key={option.key} value={option.key}>{option.theme.theme}</option>
+          ))}
+        </optgroup>
+      ))}
+    </select>
+  );
+
+  const splitFields = selected
+    ? [...THEME_LIST_FIELDS, 'evidence'].filter(field => (selected.theme[field] || []).length > 0)
+    : [];
+  const splitExcerpts = selected ? getCodedExcerpts(results).filter(excerpt => excerpt.themeId === selected.theme.id) : [];
+  const canApply = Boolean(selected) && (
+    (mode === 'merge' && second) ||
+    (mode === 'split' && Object.values(selection).some(picked => picked.length > 0)) ||
+    (mode === 'move' && targetSource)
+  );
+
+  return (
+    <div className="p-3 rounded-lg border border-gray-700 bg-gray-800/50 text-sm">
+      <button onClick={() => setIsOpen(open => !open)} className="font-semibold text-gray-200 hover:text-white">
+        {isOpen ? '▾' : '▸'} Theme tools
+      </button>
+      {isOpen && (
+        <div className="mt-3 space-y-4">
+          <div className="flex gap-2">
+            {[['merge', 'Merge'], ['split', 'Split'], ['move', 'Move']].map(([value, label]) => (
+              <button
+                key={value}
+                onClick={() => { setMode(value); reset(); }}
+                className={`px-3 py-1 rounded-md ${mode === value ? 'bg-[#13BBAF] text-white' : 'bg-gray-700 text-gray-300 hover:bg-gray-600'}`}
+              >
+                {label}
+              </button>
+            ))}
+          </div>
+
+          <div className="flex flex-wrap items-center gap-2">
+            <ThemeSelect value={first} onChange={(value) => { setFirst(value); setSelection({}); }} placeholder="Choose a theme" />
+            {mode === 'merge' && (
+              <>
+                <span className="text-gray-400">absorbs</span>
+                <ThemeSelect value={second} onChange={setSecond} exclude={first} placeholder="Choose a theme to merge in" />
+              </>
+            )}
+            {mode === 'move' && selected && (
+              <>
+                <span className="text-gray-400">to</span>
+                <select value={targetSource} onChange={(e) => setTargetSource(e.target.value)} className={selectClass}>
+                  <option value="">Choose a source type</option>
+                  {sources.filter(source => source !== selected.source).map(source => (
+                    <option key={source.sourceType} value={source.sourceType}>{formatSourceType(source.sourceType)}</option>
+                  ))}
+                </select>
+              </>
+            )}
+          </div>
+
+          {(mode === 'merge' || mode === 'split') && selected && (
+            <div className="grid md:grid-cols-2 gap-2">
+              <input
+                type="text"
+                value={title}
+                onChange={(e) => setTitle(e.target.value)}
+                placeholder={mode === 'merge' ? `Merged title (default: ${selected.theme.theme})` : 'Title of the new theme'}
+                className={themeInputClass}
+              />
+              {mode === 'split' && (
+                <input
+                  type="text"
+                  value={narrative}
+                  onChange={(e) => setNarrative(e.target.value)}
+                  placeholder="Narrative of the new theme (optional)"
+                  className={themeInputClass}
+                />
+              )}
+            </div>
+          )}
+
+          {mode === 'split' && selected && (
+            <div className="space-y-3">
+              <p className="text-gray-400">Tick the bullets, quotes and coded excerpts that move to the new theme. Prominence is shared between the two themes by their quotes and excerpts.</p>
+              {splitFields.length === 0 && splitExcerpts.length === 0 && <p className="text-gray-500">This theme has no bullets or quotes to split.</p>}
+              {splitFields.map(field => (
+                <div key={field}>
+                  <p className="text-xs uppercase text-gray-500 mb-1">{THEME_LIST_LABELS[field] || 'Supporting quotes'}</p>
+                  {selected.theme[field].map((item, index) => (
+                    <label key={index} className="flex items-start gap-2 text-gray-300">
+                      <input
+                        type="checkbox"
+                        checked={(selection[field] || []).includes(index)}
+                        onChange={() => toggleSelection(field, index)}
+                        className="mt-1 h-4 w-4 rounded border-gray-500 bg-gray-700 text-[#13BBAF] focus:ring-[#13BBAF]"
+                      />
+                      <span>{field === 'evidence' ? `"${evidenceText(item)}"` : item}</span>
+                    </label>
+                  ))}
+                </div>
+              ))}
+              {splitExcerpts.length > 0 && (
+                <div>
+                  <p className="text-xs uppercase text-gray-500 mb-1">Coded excerpts</p>
+                  {splitExcerpts.map(excerpt => (
+                    <label key={excerpt.id} className="flex items-start gap-2 text-gray-300">
+                      <input
+                        type="checkbox"
+                        checked={(selection.codedExcerpts || []).includes(excerpt.id)}
+                        onChange={() => toggleSelection('codedExcerpts', excerpt.id)}
+                        className="mt-1 h-4 w-4 rounded border-gray-500 bg-gray-700 text-[#13BBAF] focus:ring-[#13BBAF]"
+                      />
+                      <span>"{excerpt.text}" <span className="text-gray-500">({excerpt.fileName})</span></span>
+                    </label>
+                  ))}
+                </div>
+              )}
+            </div>
+          )}
+
+          <button
+            onClick={handleApply}
+            disabled={!canApply}
+            className="px-3 py-1 rounded-md text-white bg-[#13BBAF] hover:bg-teal-600 disabled:bg-gray-600 disabled:cursor-not-allowed"
+          >
+            {mode === 'merge' ? 'Merge themes' : mode === 'split' ? 'Split theme' : 'Move theme'}
+          </button>
+
+          <div className="pt-3 border-t border-gray-700">
+            <button onClick={() => setSuggestions(suggestMerges(results))} className="text-[#13BBAF] hover:text-teal-400">
+              Suggest merges
+            </button>
+            {suggestions && suggestions.length === 0 && (
+              <p className="mt-2 text-gray-500">No near-duplicate themes found.</p>
+            )}
+            {suggestions && suggestions.length > 0 && (
+              <ul className="mt-2 space-y-2">
+                {suggestions.map(suggestion => (
+                  <li key={`${themeRefKey(suggestion.a)}-${themeRefKey(suggestion.b)}`} className="flex flex-wrap items-center justify-between gap-2">
+                    <span className="text-gray-300">
+                      "{suggestion.a.theme}" ({formatSourceType(suggestion.a.sourceType)}) and "{suggestion.b.theme}" ({formatSourceType(suggestion.b.sourceType)})
+                      <span className="text-gray-500"> · {Math.round(suggestion.score * 100)}% similar</span>
+                    </span>
+                    <button onClick={() => handleMerge(suggestion.a, suggestion.b)} className="text-xs text-[#13BBAF] hover:text-teal-400">
+                      Merge
+                    </button>
+                  </li>
+                ))}
+              </ul>
+            )}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ThemeTools;
@@ -0,0 +1,15 @@
+const THEME_LIST_LABELS = {
+  drivers: 'Key drivers',
+  barriers: 'Barriers / frictions',
+  tensions: 'Tensions & trade-offs',
+  opportunities: 'Opportunities'
+};
+
+const themeRefKey = (ref) => `${ref.sourceType}\u0000${ref.id}`;
+
+const parseThemeRefKey = (key) => {
+  const [sourceType, id] = String(key || '').split('\u0000');
+  return id ? { sourceType, id } : null;
+};
+
+export { THEME_LIST_LABELS, themeRefKey, parseThemeRefKey };
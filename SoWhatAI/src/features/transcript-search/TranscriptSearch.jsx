@@ -0,0 +1,195 @@
+import React, { useState, useMemo } from 'react';
+import { redactWithMap } from '../../utils/piiRedaction.js';
+import { setSourceThemes, getSourceThemes } from '../../utils/themeEditing.js';
+import {
+  buildPassages,
+  passagesFingerprint,
+  buildTfIdfIndex,
+  buildSearchIndex,
+  searchPassages
+} from '../../utils/semanticSearch.js';
+import { getProjectSearchIndex, saveProjectSearchIndex } from '../analysis-projects/api.js';
+import {
+  formatSourceType,
+  evidenceText,
+  formatEvidenceLocation,
+  themeInputClass
+} from '../analysis-report/reportFormat.js';
+import { themeRefKey, parseThemeRefKey } from '../theme-editing/themeRefs.js';
+
+const SEARCH_CONTEXT_CHARS = 120;
+
+// A search hit as a traced evidence quote, with the project's placeholders applied.
+const searchHitEvidence = (passage, dataSet, redactionMap) => {
+  const redact = (text) => redactWithMap(text, redactionMap);
+  const file = (dataSet || []).find(f => f.name === passage.fileName);
+  const context = passage.offset != null && typeof file?.content === 'string'
+    ? {
+      before: redact(file.content.slice(Math.max(0, passage.offset - SEARCH_CONTEXT_CHARS), passage.offset)),
+      match: redact(passage.text),
+      after: redact(file.content.slice(passage.offset + passage.text.length, passage.offset + passage.text.length + SEARCH_CONTEXT_CHARS))
+    }
+    : null;
+  return {
+    quote: redact(passage.text),
+    fileName: passage.fileName,
+    category: passage.category,
+    ...(passage.row != null ? { row: passage.row } : { offset: passage.offset }),
+    ...(passage.speaker ? { speaker: passage.speaker } : {}),
+    ...(context ? { context } : {}),
+    verified: true,
+    similarity: 1,
+    pinned: true
+  };
+};
+
+// Without the project's redaction settings, passages would leave the browser with names in them,
+// so search stays on the local keyword index.
+const LOCAL_SEARCH_REASON = "this project's redaction settings are not stored in this browser, so passages are not sent for embedding";
+
+const TranscriptSearch = ({ results, dataSet, redactionMap, redaction, projectId, onApply }) => {
+  const [query, setQuery] = useState('');
+  const [index, setIndex] = useState(null);
+  const [hits, setHits] = useState(null);
+  const [status, setStatus] = useState('idle');
+  const [error, setError] = useState('');
+
+  const passages = useMemo(() => buildPassages(dataSet), [dataSet]);
+  const fingerprint = useMemo(() => passagesFingerprint(passages), [passages]);
+  const prepareText = redaction ? redaction.redact : null;
+  const isLegacy = (results.analysisBySource || []).length === 0;
+  const sources = isLegacy
+    ? [{ sourceType: 'legacy', themes: results.themes || [] }]
+    : results.analysisBySource;
+
+  // Reuses the stored embedding index while the sources are unchanged; otherwise builds a new one.
+  const loadIndex = async () => {
+    if (index?.fingerprint === fingerprint) return index;
+    if (!prepareText) {
+      const local = { ...buildTfIdfIndex(passages), fingerprint, fallbackReason: LOCAL_SEARCH_REASON };
+      setIndex(local);
+      return local;
+    }
+    if (projectId) {
+      const stored = await getProjectSearchIndex(projectId).catch(loadError => {
+        console.error('Loading search index failed:', loadError);
+        return null;
+      });
+      if (stored && stored.source_hash === fingerprint && Array.isArray(stored.vectors) && stored.vectors.length === passages.length) {
+        const storedIndex = { kind: 'embedding', provider: stored.provider, model: stored.model, vectors: stored.vectors, fingerprint };
+        setIndex(storedIndex);
+        return storedIndex;
+      }
+    }
+    setStatus('indexing');
+    const built = { ...(await buildSearchIndex(passages, { prepareText })), fingerprint };
+    if (built.kind === 'embedding' && projectId) {
+      await saveProjectSearchIndex(projectId, { ...built, sourceHash: fingerprint }).catch(saveError => {
+        console.error('Saving search index failed:', saveError);
+      });
+    }
+    setIndex(built);
+    return built;
+  };
+
+  const handleSearch = async (e) => {
+    e.preventDefault();
+    if (!query.trim()) return;
+    setError('');
+    setStatus('searching');
+    try {
+      const searchable = await loadIndex();
+      setStatus('searching');
+      try {
+        setHits(await searchPassages(searchable, passages, query, { prepareText }));
+      } catch (searchError) {
+        // The embedding provider may be unreachable now; keyword search still works.
+        const fallback = { ...buildTfIdfIndex(passages), fingerprint, fallbackReason: searchError.message };
+        setIndex(fallback);
+        setHits(await searchPassages(fallback, passages, query));
+      }
+    } catch (searchError) {
+      setError(searchError.message || 'Search failed.');
+    } finally {
+      setStatus('idle');
+    }
+  };
+
+  const handlePin = (hit, themeKey) => {
+    const ref = parseThemeRefKey(themeKey);
+    const themes = getSourceThemes(results, ref.sourceType);
+    const theme = themes.find(t => t.id === ref.id);
+    if (!theme) return;
+    const evidence = searchHitEvidence(hit.passage, dataSet, redactionMap);
+    if ((theme.evidence || []).some(item => evidenceText(item) === evidence.quote)) return;
+    const next = setSourceThemes(results, ref.sourceType, themes.map(t => (
+      t.id === ref.id ? { ...t, evidence: [...(t.evidence || []), evidence] } : t
+    )));
+    onApply(next, `Pinned a search result from ${hit.passage.fileName} to "${theme.theme}"`);
+  };
+
+  const modeLabel = index?.kind === 'embedding'
+    ? `Semantic search (${index.provider}${index.model ? ` · ${index.model}` : ''})`
+    : 'Keyword search (TF-IDF)';
+  const selectClass = 'rounded-md border-gray-600 bg-gray-700 text-white text-xs focus:ring-[#13BBAF] focus:border-[#13BBAF] max-w-[14rem]';
+
+  return (
+    <div className="p-3 rounded-lg border border-gray-700 bg-gray-800/50 text-sm space-y-3">
+      <form onSubmit={handleSearch} className="flex flex-wrap items-center gap-2">
+        <input
+          type="search"
+          value={query}
+          onChange={(e) => setQuery(e.target.value)}
+          placeholder="Search the transcripts and responses…"
+          className={`${themeInputClass} flex-1 min-w-[12rem]`}
+        />
+        <button
+          type="submit"
+          disabled={status !== 'idle' || !query.trim() || passages.length === 0}
+          className="px-4 py-2 rounded-md text-white bg-[#13BBAF] hover:bg-teal-600 disabled:bg-gray-600 disabled:cursor-not-allowed"
+        >
+          {status === 'indexing' ? 'Indexing…' : status === 'searching' ? 'Searching…' : 'Search'}
+        </button>
+      </form>
+      {passages.length === 0 && (
+        <p className="text-gray-500">No sources to search. Source files are available once they are saved with the project or uploaded again.</p>
+      )}
+      {index && (
+        <p className="text-xs text-gray-500">
+          {modeLabel} over {passages.length} passage{passages.length === 1 ? '' : 's'}
+          {index.fallbackReason ? ` — embeddings unavailable: ${index.fallbackReason}` : ''}
+        </p>
+      )}
+      {error && <p className="text-red-400">{error}</p>}
+      {hits && (hits.length === 0 ? (
+        <p className="text-gray-500">No matching passages.</p>
+      ) : (
+        <ol className="space-y-3 max-h-[32rem] overflow-y-auto">
+          {hits.map(hit => (
+            <li key={hit.passage.id} className="p-3 rounded-md bg-gray-900/70 border border-gray-700">
+              <div className="flex flex-wrap items-center justify-between gap-2 mb-1">
+                <span className="text-xs text-teal-300">
+                  {formatEvidenceLocation(hit.passage)} ({formatSourceType(hit.passage.category)})
+                  <span className="ml-2 text-gray-500">score {hit.score.toFixed(2)}</span>
+                </span>
+                <select value="" onChange={(e) => e.target.value && handlePin(hit, e.target.value)} className={selectClass}>
+                  <option value="">Pin to theme…</option>
+                  {sources.map(source => (
+                    <optgroup key={source.sourceType} label={formatSourceType(source.sourceType)}>
+                      {(source.themes || []).filter(theme => theme.id).map(theme => (
+                        <option key={theme.id} value={themeRefKey({ sourceType: source.sourceType, id: theme.id })}>{theme.theme}</option>
+                      ))}
+                    </optgroup>
+                  ))}
+                </select>
+              </div>
+              <p className="text-gray-300 whitespace-pre-wrap line-clamp-6">{hit.passage.text}</p>
+            </li>
+          ))}
+        </ol>
+      ))}
+    </div>
+  );
+};
+
+export default TranscriptSearch;
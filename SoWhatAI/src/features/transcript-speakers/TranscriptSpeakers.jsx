@@ -0,0 +1,36 @@
+import React, { useMemo } from 'react';
+import { parseTranscriptTurns, guessModerators } from '../../utils/transcriptSpeakers.js';
+
+const TranscriptSpeakers = ({ file, onChangeModerators }) => {
+  const parsed = useMemo(() => parseTranscriptTurns(file.content), [file.content]);
+  if (!parsed) {
+    return <p className="text-xs text-gray-500 mt-2">No speaker labels detected; this file will be analysed as plain text.</p>;
+  }
+  const moderators = Array.isArray(file.moderators) ? file.moderators : guessModerators(parsed.speakers);
+  const toggle = (label) => {
+    const next = moderators.includes(label) ? moderators.filter(m => m !== label) : [...moderators, label];
+    onChangeModerators(next);
+  };
+
+  return (
+    <div className="mt-2">
+      <p className="text-xs text-gray-400 mb-1">Speakers detected. Tick moderators; their turns are given to the AI as context but never used as evidence.</p>
+      <div className="flex flex-wrap gap-2">
+        {parsed.speakers.map(speaker => (
+          <label key={speaker.label} className="inline-flex items-center px-2 py-1 rounded bg-gray-700/70 text-xs text-gray-200">
+            <input
+              type="checkbox"
+              checked={moderators.includes(speaker.label)}
+              onChange={() => toggle(speaker.label)}
+              className="h-3 w-3 mr-1.5 text-teal-600 bg-gray-700 border-gray-600 rounded focus:ring-teal-500"
+            />
+            {speaker.label}
+            <span className="ml-1 text-gray-400">({speaker.turns} turns{moderators.includes(speaker.label) ? ', moderator' : ''})</span>
+          </label>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+export default TranscriptSpeakers;
@@ -0,0 +1,61 @@
+import React from 'react';
+import { formatSourceType, formatProminence } from '../analysis-report/reportFormat.js';
+
+const ReportDiffView = ({ diff, beforeLabel, afterLabel }) => {
+  const { sources, totals } = diff;
+  const Cell = ({ children, className = '' }) => (
+    <div className={`px-3 py-1.5 rounded-md text-sm ${className}`}>{children}</div>
+  );
+  const Empty = () => <Cell className="text-gray-600">—</Cell>;
+
+  return (
+    <div className="space-y-4">
+      <p className="text-sm text-gray-300">
+        {totals.added} added, {totals.removed} removed, {totals.renamed} renamed, {totals.prominenceChanges} prominence change{totals.prominenceChanges === 1 ? '' : 's'}.
+      </p>
+      <div className="grid grid-cols-2 gap-2 text-xs uppercase tracking-wide text-gray-400">
+        <div className="px-3">{beforeLabel}</div>
+        <div className="px-3">{afterLabel}</div>
+      </div>
+      {sources.map(source => {
+        const hasChanges = source.added.length + source.removed.length + source.renamed.length + source.prominenceChanges.length > 0;
+        return (
+          <div key={source.sourceType}>
+            <h5 className="text-sm font-semibold text-white mb-2">{formatSourceType(source.sourceType)}</h5>
+            {!hasChanges && <p className="text-sm text-gray-500">No theme changes ({source.unchanged} unchanged).</p>}
+            <div className="grid grid-cols-2 gap-2">
+              {source.removed.map((theme, index) => (
+                <React.Fragment key={`removed-${index}`}>
+                  <Cell className="bg-red-900/20 text-red-300 line-through">{theme.theme} ({formatProminence(theme.prominence)})</Cell>
+                  <Empty />
+                </React.Fragment>
+              ))}
+              {source.added.map((theme, index) => (
+                <React.Fragment key={`added-${index}`}>
+                  <Empty />
+                  <Cell className="bg-green-900/20 text-green-300">{theme.theme} ({formatProminence(theme.prominence)})</Cell>
+                </React.Fragment>
+              ))}
+              {source.renamed.map((change, index) => (
+                <React.Fragment key={`renamed-${index}`}>
+                  <Cell className="bg-yellow-900/20 text-yellow-200">{change.from.theme}</Cell>
+                  <Cell className="bg-yellow-900/20 text-yellow-200">{change.to.theme} <span className="text-xs text-yellow-400">(renamed)</span></Cell>
+                </React.Fragment>
+              ))}
+              {source.prominenceChanges.map((change, index) => (
+                <React.Fragment key={`prominence-${index}`}>
+                  <Cell className="bg-gray-800/70 text-gray-300">{change.theme}: {formatProminence(change.from)}</Cell>
+                  <Cell className={`bg-gray-800/70 ${change.delta > 0 ? 'text-green-300' : 'text-red-300'}`}>
+                    {change.theme}: {formatProminence(change.to)} ({change.delta > 0 ? '▲' : '▼'} {formatProminence(Math.abs(change.delta))})
+                  </Cell>
+                </React.Fragment>
+              ))}
+            </div>
+          </div>
+        );
+      })}
+    </div>
+  );
+};
+
+export default ReportDiffView;
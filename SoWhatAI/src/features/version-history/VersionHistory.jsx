@@ -0,0 +1,118 @@
+import React, { useState, useEffect } from 'react';
+import { diffReports } from '../../utils/reportDiff.js';
+import { listProjectVersions, getProjectVersion } from '../analysis-projects/api.js';
+import ReportDiffView from './ReportDiffView.jsx';
+import { formatVersion } from './versionLabels.js';
+
+const VersionHistory = ({ projectId, viewedVersionId, onView }) => {
+  const [isOpen, setIsOpen] = useState(false);
+  const [versions, setVersions] = useState([]);
+  const [isLoadingVersions, setIsLoadingVersions] = useState(false);
+  const [versionError, setVersionError] = useState(null);
+  const [compare, setCompare] = useState({ before: '', after: '' });
+  const [diffState, setDiffState] = useState(null);
+
+  const loadVersions = async () => {
+    setIsLoadingVersions(true);
+    setVersionError(null);
+    try {
+      const list = await listProjectVersions(projectId);
+      setVersions(list);
+      setCompare({ before: list[1]?.id || '', after: list[0]?.id || '' });
+    } catch (e) {
+      setVersionError(e.message);
+    } finally {
+      setIsLoadingVersions(false);
+    }
+  };
+
+  useEffect(() => {
+    if (isOpen) loadVersions();
+  }, [isOpen, projectId]);
+
+  const handleView = async (versionId) => {
+    try {
+      onView(await getProjectVersion(versionId));
+    } catch (e) {
+      setVersionError(e.message);
+    }
+  };
+
+  const handleCompare = async () => {
+    if (!compare.before || !compare.after) return;
+    setDiffState({ isLoading: true });
+    try {
+      const [before, after] = await Promise.all([getProjectVersion(compare.before), getProjectVersion(compare.after)]);
+      setDiffState({
+        diff: diffReports(before.analysis_report, after.analysis_report),
+        beforeLabel: formatVersion(before),
+        afterLabel: formatVersion(after)
+      });
+    } catch (e) {
+      setDiffState(null);
+      setVersionError(e.message);
+    }
+  };
+
+  const selectClass = 'rounded-md border-gray-600 bg-gray-700 text-white text-sm focus:ring-[#13BBAF] focus:border-[#13BBAF]';
+
+  return (
+    <div className="p-3 rounded-lg border border-gray-700 bg-gray-800/50 text-sm">
+      <div className="flex items-center justify-between">
+        <button onClick={() => setIsOpen(open => !open)} className="font-semibold text-gray-200 hover:text-white">
+          {isOpen ? '▾' : '▸'} Version history
+        </button>
+        {isOpen && (
+          <button onClick={loadVersions} className="text-xs text-[#13BBAF] hover:text-teal-400">Refresh</button>
+        )}
+      </div>
+      {isOpen && (
+        <div className="mt-3 space-y-4">
+          {versionError && <p className="text-red-400">{versionError}</p>}
+          {isLoadingVersions && <p className="text-gray-400">Loading versions...</p>}
+          {!isLoadingVersions && versions.length === 0 && !versionError && (
+            <p className="text-gray-500">No saved versions yet. Versions are recorded for each analysis run and edit.</p>
+          )}
+          {versions.length > 0 && (
+            <>
+              <ul className="max-h-56 overflow-y-auto divide-y divide-gray-700">
+                {versions.map(version => (
+                  <li key={version.id} className="flex items-center justify-between py-1.5 gap-3">
+                    <span className="text-gray-300">
+                      {formatVersion(version)}
+                      {version.author_email && <span className="text-gray-500"> · {version.author_email}</span>}
+                    </span>
+                    {version.id === viewedVersionId ? (
+                      <span className="text-xs text-yellow-400">Viewing</span>
+                    ) : (
+                      <button onClick={() => handleView(version.id)} className="text-xs text-[#13BBAF] hover:text-teal-400">View</button>
+                    )}
+                  </li>
+                ))}
+              </ul>
+              {versions.length > 1 && (
+                <div className="flex flex-wrap items-center gap-2">
+                  <span className="text-gray-400">Compare</span>
+                  <select value={compare.before} onChange={(e) => setCompare(c => ({ ...c, before: e.target.value }))} className={selectClass}>
+                    {versions.map(version => <option key={version.id} value={version.id}>{formatVersion(version)}</option>)}
+                  </select>
+                  <span className="text-gray-400">with</span>
+                  <select value={compare.after} onChange={(e) => setCompare(c => ({ ...c, after: e.target.value }))} className={selectClass}>
+                    {versions.map(version => <option key={version.id} value={version.id}>{formatVersion(version)}</option>)}
+                  </select>
+                  <button onClick={handleCompare} className="px-3 py-1 rounded-md text-white bg-[#13BBAF] hover:bg-teal-600">Show diff</button>
+                </div>
+              )}
+              {diffState?.isLoading && <p className="text-gray-400">Comparing versions...</p>}
+              {diffState?.diff && (
+                <ReportDiffView diff={diffState.diff} beforeLabel={diffState.beforeLabel} afterLabel={diffState.afterLabel} />
+              )}
+            </>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default VersionHistory;
@@ -0,0 +1,9 @@
+const VERSION_KIND_LABELS = { analysis: 'Analysis run', edit: 'Manual edit', restore: 'Restored' };
+
+const formatVersion = (version) => {
+  if (!version) return '';
+  const when = new Date(version.created_at).toLocaleString();
+  return `${when} · ${version.label || VERSION_KIND_LABELS[version.kind] || version.kind}`;
+};
+
+export { formatVersion };
@@ -0,0 +1,194 @@
+import React, { useState, useEffect } from 'react';
+import { waveChain, laterWaveIds, buildWaveTrends } from '../../utils/waveTracking.js';
+import { updateProject, listWaveProjects, getProjectReports } from '../analysis-projects/api.js';
+import { formatProminence } from '../analysis-report/reportFormat.js';
+
+const formatPoints = (delta) => `${delta > 0 ? '+' : ''}${Math.round(delta * 100)} pts`;
+
+// Net sentiment (positive minus negative share) as a coloured dot with its value.
+const NetSentiment = ({ net }) => {
+  if (net == null) return null;
+  const color = net > 0.1 ? 'bg-lime-500' : net < -0.1 ? 'bg-red-500' : 'bg-gray-400';
+  return (
+    <span className="inline-flex items-center text-xs text-gray-400" title="Net sentiment (positive minus negative)">
+      <span className={`w-2 h-2 rounded-full mr-1 ${color}`}></span>
+      {net > 0 ? '+' : ''}{Math.round(net * 100)}
+    </span>
+  );
+};
+
+const ProminenceSparkline = ({ points }) => {
+  const width = 80;
+  const height = 24;
+  const step = points.length > 1 ? width / (points.length - 1) : 0;
+  const coords = points
+    .map((point, index) => (point ? `${(index * step).toFixed(1)},${(height - point.prominence * height).toFixed(1)}` : null))
+    .filter(Boolean);
+  if (coords.length < 2) return null;
+  return (
+    <svg width={width} height={height} className="overflow-visible" aria-hidden="true">
+      <polyline points={coords.join(' ')} fill="none" stroke="#13BBAF" strokeWidth="2" />
+    </svg>
+  );
+};
+
+const WaveTracking = ({ projectId }) => {
+  const [isOpen, setIsOpen] = useState(false);
+  const [projects, setProjects] = useState([]);
+  const [trends, setTrends] = useState(null);
+  const [isLoadingWaves, setIsLoadingWaves] = useState(false);
+  const [waveError, setWaveError] = useState(null);
+
+  const loadWaves = async () => {
+    setIsLoadingWaves(true);
+    setWaveError(null);
+    try {
+      const list = await listWaveProjects();
+      setProjects(list);
+      const chain = waveChain(list, projectId);
+      if (chain.length < 2) {
+        setTrends(null);
+        return;
+      }
+      const reports = await getProjectReports(chain);
+      const byId = new Map(list.map(project => [project.id, project]));
+      setTrends(await buildWaveTrends(chain.filter(id => reports.get(id)).map(id => ({
+        projectId: id,
+        name: byId.get(id)?.project_name || 'Untitled Project',
+        createdAt: byId.get(id)?.created_at,
+        report: reports.get(id)
+      }))));
+    } catch (e) {
+      setWaveError(e.message);
+    } finally {
+      setIsLoadingWaves(false);
+    }
+  };
+
+  useEffect(() => {
+    if (isOpen) loadWaves();
+  }, [isOpen, projectId]);
+
+  const handleLink = async (previousWaveId) => {
+    setWaveError(null);
+    try {
+      await updateProject({ id: projectId, patch: { previous_wave_id: previousWaveId || null } });
+      await loadWaves();
+    } catch (e) {
+      setWaveError(e.message);
+    }
+  };
+
+  const current = projects.find(project => project.id === projectId);
+  const excluded = laterWaveIds(projects, projectId);
+  const candidates = projects.filter(project => !excluded.has(project.id));
+  const hasThemeSentiment = Boolean(trends?.tracks.some(track => track.points.some(point => point?.net != null)));
+  const selectClass = 'rounded-md border-gray-600 bg-gray-700 text-white text-sm focus:ring-[#13BBAF] focus:border-[#13BBAF] max-w-full';
+
+  return (
+    <div className="p-3 rounded-lg border border-gray-700 bg-gray-800/50 text-sm">
+      <div className="flex items-center justify-between">
+        <button onClick={() => setIsOpen(open => !open)} className="font-semibold text-gray-200 hover:text-white">
+          {isOpen ? '▾' : '▸'} Wave tracking
+        </button>
+        {isOpen && (
+          <button onClick={loadWaves} className="text-xs text-[#13BBAF] hover:text-teal-400">Refresh</button>
+        )}
+      </div>
+      {isOpen && (
+        <div className="mt-3 space-y-3">
+          <label className="flex flex-wrap items-center gap-2 text-gray-300">
+            This project is a follow-up wave of
+            <select
+              value={current?.previous_wave_id || ''}
+              onChange={(e) => handleLink(e.target.value)}
+              disabled={isLoadingWaves || !current}
+              className={selectClass}
+            >
+              <option value="">No earlier wave</option>
+              {candidates.map(project => (
+                <option key={project.id} value={project.id}>
+                  {project.project_name || 'Untitled Project'} ({new Date(project.created_at).toLocaleDateString()})
+                </option>
+              ))}
+            </select>
+          </label>
+          {waveError && <p className="text-red-400">{waveError}</p>}
+          {isLoadingWaves ? (
+            <p className="text-gray-400">Matching themes across waves…</p>
+          ) : !trends ? (
+            <p className="text-gray-500">Link this project to an earlier wave (or link a later project to this one) to see how its themes trend.</p>
+          ) : (
+            <div className="overflow-x-auto">
+              <p className="text-xs text-gray-500 mb-2">
+                Themes matched across {trends.waves.length} waves by {trends.kind === 'embedding' ? 'semantic (embedding)' : 'keyword (TF-IDF)'} similarity.
+                Prominence is shown per wave{hasThemeSentiment ? ', with net sentiment where the report has it' : ''}.
+              </p>
+              <table className="min-w-full text-left">
+                <thead>
+                  <tr className="text-xs uppercase text-gray-500 border-b border-gray-700">
+                    <th className="py-2 pr-4">Theme</th>
+                    {trends.waves.map(wave => (
+                      <th key={wave.projectId} className={`py-2 pr-4 ${wave.projectId === projectId ? 'text-teal-300' : ''}`}>
+                        {wave.name}
+                        <span className="block normal-case font-normal text-gray-600">{wave.createdAt ? new Date(wave.createdAt).toLocaleDateString() : ''}</span>
+                      </th>
+                    ))}
+                    <th className="py-2">Trend</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  <tr className="border-b border-gray-800">
+                    <td className="py-2 pr-4 text-gray-400">Overall sentiment</td>
+                    {trends.waves.map(wave => (
+                      <td key={wave.projectId} className="py-2 pr-4">
+                        {wave.sentiment ? <NetSentiment net={wave.net} /> : <span className="text-gray-600">—</span>}
+                      </td>
+                    ))}
+                    <td></td>
+                  </tr>
+                  {trends.tracks.map((track, index) => (
+                    <tr key={index} className="border-b border-gray-800 align-top">
+                      <td className="py-2 pr-4 text-gray-200">{track.title}</td>
+                      {track.points.map((point, waveIndex) => (
+                        <td key={waveIndex} className="py-2 pr-4">
+                          {point ? (
+                            <div className="space-y-1" title={point.theme}>
+                              <div className="w-20 bg-gray-700 rounded-full h-2">
+                                <div className="bg-green-500 h-2 rounded-full" style={{ width: `${Math.round(point.prominence * 100)}%` }}></div>
+                              </div>
+                              <div className="flex items-center gap-2">
+                                <span className="text-xs text-gray-300">{formatProminence(point.prominence)}</span>
+                                <NetSentiment net={point.net} />
+                              </div>
+                            </div>
+                          ) : (
+                            <span className="text-gray-600">—</span>
+                          )}
+                        </td>
+                      ))}
+                      <td className="py-2">
+                        <div className="flex items-center gap-2">
+                          <ProminenceSparkline points={track.points} />
+                          {track.change != null ? (
+                            <span className={`text-xs ${track.change > 0 ? 'text-green-400' : track.change < 0 ? 'text-red-400' : 'text-gray-400'}`}>
+                              {formatPoints(track.change)}
+                            </span>
+                          ) : (
+                            <span className="text-xs text-gray-500">{track.points[track.points.length - 1] ? 'New' : 'Not in latest wave'}</span>
+                          )}
+                        </div>
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default WaveTracking;
@@ -1,1133 +1,50 @@
 import React, { useState, useEffect, useRef } from 'react';
 import { useNavigate, useParams } from 'react-router-dom';
-import { supabase } from '../supabaseClient.js';
 import jsPDF from 'jspdf';
 import html2canvas from 'html2canvas';
-import PptxGenJS from 'pptxgenjs';
-import Papa from 'papaparse';
-import * as XLSX from 'xlsx';
-import * as mammoth from 'mammoth/mammoth.browser';
+import {
+  DEFAULT_REDACTION_CONFIG,
+  createRedactionSession,
+  saveRedactionMap,
+  loadRedactionMap,
+  saveRedactionConfig,
+  loadRedactionConfig
+} from '../utils/piiRedaction.js';
+import {
+  runAnalysisJob,
+  watchAnalysisJob,
+  cancelAnalysisJob,
+  savePendingAnalysis,
+  loadPendingAnalysis,
+  savePendingAnalysisFiles,
+  loadPendingAnalysisFiles,
+  clearPendingAnalysis
+} from '../utils/analysisJob.js';
+import { ensureThemeIds } from '../utils/themeEditing.js';
+import AnalysisProgressPanel from '../components/AnalysisProgressPanel.jsx';
+import {
+  getProject,
+  createProject,
+  recordProjectVersion,
+  saveProjectReport,
+  projectFilePayload,
+  storedProjectFile,
+  getProjectFiles,
+  saveProjectFiles
+} from '../features/analysis-projects/api.js';
+import AnalysisReportPage from '../features/analysis-report/AnalysisReportPage.jsx';
+import ConfigurationPage from '../features/analysis-setup/ConfigurationPage.jsx';
+import FileUploadPage from '../features/analysis-setup/FileUploadPage.jsx';
+import {
+  parseSegmentAttributes,
+  spreadsheetSheets,
+  sheetSourceName,
+  buildTextSources,
+  redactTextSource,
+  restoreFileNames,
+  redactedFileNames
+} from '../features/analysis-setup/dataSet.js';
 
-/* ── Supabase helpers ── */
-async function getUser() {
-  const { data: { user } } = await supabase.auth.getUser();
-  return user;
-}
-async function getProject(id) {
-  const { data, error } = await supabase
-    .from('projects')
-    .select('id, project_name, created_at, analysis_report')
-    .eq('id', id)
-    .single();
-  if (error) throw error;
-  return data;
-}
-async function createProject({ name, analysis_report }) {
-  const user = await getUser();
-  if (!user) throw new Error('Not signed in');
-  const { data, error } = await supabase
-    .from('projects')
-    .insert({ user_id: user.id, project_name: name, analysis_report })
-    .select('id, project_name, created_at')
-    .single();
-  if (error) throw error;
-  return data;
-}
-async function updateProject({ id, patch }) {
-  const { data, error } = await supabase
-    .from('projects')
-    .update(patch)
-    .eq('id', id)
-    .select('id')
-    .single();
-  if (error) throw error;
-  return data;
-}
-async function callAnalyze({ textSources, quantitativeData, researchQuestion, reportConfig }) {
-  const res = await fetch('/.netlify/functions/analyze', {
-    method: 'POST',
-    headers: { 'Content-Type': 'application/json' },
-    body: JSON.stringify({ textSources, quantitativeData, researchQuestion, reportConfig })
-  });
-  if (!res.ok) {
-    let msg = `Analyze failed (${res.status})`;
-    try { const j = await res.json(); msg = j.error || msg; } catch {}
-    throw new Error(msg);
-  }
-  return res.json();
-}
-const formatSourceType = (type) =>
-  (type || 'general').replace(/_/g, ' ').replace(/\b\w/g, l => l.toUpperCase());
-
-/* ---------------- Upload Step ---------------- */
-const FileUploadPage = ({ dataSet, setDataSet, onNext, onDashboardNavigate }) => {
-  const fileInputRef = useRef(null);
-
-  const handleFileChange = (event) => {
-    const files = event.target.files;
-    if (!files || files.length === 0) return;
-
-    const filePromises = Array.from(files).map(file => {
-      return new Promise((resolve) => {
-        const fileId = Date.now() + file.name;
-        if (/\.txt$/i.test(file.name)) {
-          const reader = new FileReader();
-          reader.onload = (e) => resolve({ id: fileId, name: file.name, type: 'text', content: e.target.result, category: 'general' });
-          reader.readAsText(file);
-        } else if (/\.docx?$/i.test(file.name)) {
-          if (mammoth && typeof mammoth.extractRawText === 'function') {
-            const reader = new FileReader();
-            reader.onload = (e) => {
-              mammoth.extractRawText({ arrayBuffer: e.target.result })
-                .then(result => resolve({ id: fileId, name: file.name, type: 'text', content: result.value, category: 'general' }))
-                .catch(() => resolve(null));
-            };
-            reader.readAsArrayBuffer(file);
-          } else { resolve(null); }
-        } else if (/\.(csv|xls|xlsx)$/i.test(file.name)) {
-          resolve({ id: fileId, name: file.name, type: 'spreadsheet', fileObject: file, mappings: {}, rows: [], headers: [], category: 'general' });
-        } else {
-          resolve(null);
-        }
-      });
-    });
-
-    Promise.all(filePromises).then(newFiles => {
-      setDataSet(prev => [...prev, ...newFiles.filter(Boolean)]);
-    });
-
-    event.target.value = null;
-  };
-
-  return (
-    <div className="bg-gray-900/50 backdrop-blur-lg border border-gray-700/50 rounded-lg shadow-2xl p-6 space-y-6">
-      <button onClick={onDashboardNavigate} className="text-sm font-medium text-[#13BBAF] hover:text-teal-400">
-        &larr; Back to Dashboard
-      </button>
-
-      <div className="flex justify-between items-center">
-        <div>
-          <h2 className="text-2xl font-semibold text-white">Step 1: Build Your Data Set</h2>
-          <p className="text-sm text-gray-400">Add all your project files (.txt, .docx, .csv, .xlsx) and categorize them.</p>
-        </div>
-        {dataSet.length > 0 && (
-          <button
-            onClick={() => setDataSet([])}
-            className="inline-flex items-center px-3 py-2 text-sm rounded-md text-red-400 bg-gray-800 hover:bg-gray-700 border border-red-500/50"
-          >
-            Clear Data Set
-          </button>
-        )}
-      </div>
-
-      <div className="bg-gray-800/50 border-2 border-dashed border-gray-600 rounded-lg p-8 text-center">
-        <input
-          type="file"
-          ref={fileInputRef}
-          onChange={handleFileChange}
-          accept=".txt,.csv,.xlsx,.doc,.docx"
-          className="hidden"
-          multiple
-        />
-        <button
-          onClick={() => fileInputRef.current.click()}
-          className="inline-flex items-center px-4 py-2 text-sm rounded-md text-gray-300 bg-gray-700 hover:bg-gray-600 border border-gray-600"
-        >
-          <svg xmlns="http://www.w3.org/2000/svg" className="h-5 w-5 mr-2" fill="none" viewBox="0 0 24 24" stroke="currentColor">
-            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M4 16v1a3 3 0 003 3h10a3 3 0 003-3v-1m-4-4l-4 4m0 0l-4-4m4 4V4" />
-          </svg>
-          Add File(s)
-        </button>
-      </div>
-
-      <div>
-        <h3 className="font-semibold text-lg text-white">Files in Your Data Set:</h3>
-        <div className="mt-2 space-y-2">
-          {dataSet.map((file) => (
-            <div key={file.id} className="flex items-center justify-between p-2 bg-gray-800/70 rounded-md space-x-4">
-              <span className="text-gray-300 truncate flex-1">{file.name}</span>
-              <select
-                value={file.category}
-                onChange={(e) => {
-                  const newCategory = e.target.value;
-                  setDataSet(prev => prev.map(f => f.id === file.id ? { ...f, category: newCategory } : f));
-                }}
-                className="rounded-md border-gray-600 bg-gray-700 text-white text-sm focus:ring-[#13BBAF] focus:border-[#13BBAF]"
-              >
-                <option value="general">General</option>
-                <option value="interview">Interview</option>
-                <option value="survey">Survey</option>
-                <option value="usability_test">Usability Test</option>
-                <option value="other">Other</option>
-              </select>
-            </div>
-          ))}
-          {dataSet.length === 0 && <p className="text-gray-500">No files uploaded.</p>}
-        </div>
-      </div>
-
-      <div className="pt-5">
-        <div className="flex justify-end">
-          <button
-            onClick={onNext}
-            disabled={dataSet.length === 0}
-            className="w-full md:w-auto inline-flex items-center justify-center px-8 py-3 rounded-md text-white bg-gradient-to-r from-[#13BBAF] to-teal-500 hover:from-teal-500 hover:to-teal-400 disabled:from-gray-600 disabled:to-gray-700 disabled:cursor-not-allowed transition-all duration-300 transform hover:scale-105"
-          >
-            Next: Configure Data
-          </button>
-        </div>
-      </div>
-    </div>
-  );
-};
-
-/* ---------------- Mapping Modal ---------------- */
-const MappingModal = ({ file, onClose, onSave }) => {
-  const [parsedData, setParsedData] = useState({ headers: [], rows: [] });
-  const [columnMappings, setColumnMappings] = useState(file.mappings || {});
-  const [isLoading, setIsLoading] = useState(true);
-
-  const detectColumnType = (header, rows) => {
-    const values = rows.map(r => r[header]).filter(Boolean).slice(0, 10);
-    if (values.length === 0) return 'ignore';
-    const allAreNumbers = values.every(v => !isNaN(Number(v)));
-    if (allAreNumbers) return 'stats';
-    const uniqueValues = new Set(values);
-    if (uniqueValues.size <= 5 || uniqueValues.size / values.length < 0.5) return 'category';
-    const averageLength = values.reduce((acc, v) => acc + String(v).length, 0) / values.length;
-    if (averageLength > 30) return 'text';
-    return 'ignore';
-  };
-
-  useEffect(() => {
-    setIsLoading(true);
-
-    const processData = (data) => {
-      const headers = Object.keys(data[0] || {});
-      setParsedData({ headers, rows: data });
-
-      const initial = { ...file.mappings };
-      if (Object.keys(initial).length === 0) {
-        headers.forEach(header => {
-          initial[header] = detectColumnType(header, data);
-        });
-      }
-      setColumnMappings(initial);
-      setIsLoading(false);
-    };
-
-    if (/\.csv$/i.test(file.fileObject.name)) {
-      Papa.parse(file.fileObject, { header: true, skipEmptyLines: true, complete: (results) => processData(results.data) });
-    } else if (/\.(xls|xlsx)$/i.test(file.fileObject.name)) {
-      const reader = new FileReader();
-      reader.onload = (e) => {
-        const data = new Uint8Array(e.target.result);
-        const workbook = XLSX.read(data, { type: 'array' });
-        const sheetName = workbook.SheetNames[0];
-        const worksheet = workbook.Sheets[sheetName];
-        const json = XLSX.utils.sheet_to_json(worksheet);
-        processData(json);
-      };
-      reader.readAsArrayBuffer(file.fileObject);
-    }
-  }, [file]);
-
-  const handleSave = () => {
-    onSave(file.id, columnMappings, parsedData);
-    onClose();
-  };
-
-  return (
-    <div className="fixed inset-0 bg-gray-900 bg-opacity-75 flex items-center justify-center z-50 p-4">
-      <div className="bg-gray-800 text-white rounded-lg shadow-xl p-6 space-y-4 w-full max-w-lg">
-        <h3 className="text-lg font-semibold">Map Columns for: {file.name}</h3>
-        {isLoading ? (
-          <div className="flex items-center justify-center p-8">
-            <svg className="animate-spin h-5 w-5 text-white" xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 24 24">
-              <circle className="opacity-25" cx="12" cy="12" r="10" stroke="currentColor" strokeWidth="4"></circle>
-              <path className="opacity-75" fill="currentColor" d="M4 12a8 8 0 018-8V0C5.373 0 0 5.373 0 12h4zm2 5.291A7.962 7.962 0 014 12H0c0 3.042 1.135 5.824 3 7.938l3-2.647z"></path>
-            </svg>
-            <span className="ml-3">Loading spreadsheet...</span>
-          </div>
-        ) : (
-          <div className="space-y-2 max-h-96 overflow-y-auto p-1">
-            {parsedData.headers.map(header => (
-              <div key={header} className="grid grid-cols-2 gap-4 items-center">
-                <label className="font-medium truncate">{header}</label>
-                <select
-                  value={columnMappings[header]}
-                  onChange={(e) => setColumnMappings(prev => ({ ...prev, [header]: e.target.value }))}
-                  className="rounded-md border-gray-600 bg-gray-700 text-white focus:ring-[#13BBAF] focus:border-[#13BBAF]"
-                >
-                  <option value="ignore">Ignore</option>
-                  <option value="text">Analyse for Themes</option>
-                  <option value="stats">Calculate Statistics</option>
-                  <option value="category">Categorise</option>
-                </select>
-              </div>
-            ))}
-          </div>
-        )}
-        <div className="flex justify-end space-x-3 pt-4">
-          <button onClick={onClose} className="px-4 py-2 bg-gray-600 rounded-md">Cancel</button>
-          <button onClick={handleSave} className="px-4 py-2 bg-[#13BBAF] text-white rounded-md">Save Mappings</button>
-        </div>
-      </div>
-    </div>
-  );
-};
-
-/* ---------------- Configure Step ---------------- */
-const ConfigurationPage = ({ dataSet, setDataSet, onAnalyze, onBack, error }) => {
-  const [modalFileId, setModalFileId] = useState(null);
-  const [researchQuestion, setResearchQuestion] = useState('');
-  const [reportConfig, setReportConfig] = useState({
-    focus: '',
-    components: { sentiment: true, quotes: true, quantitative: true, soWhat: true }
-  });
-  const [isDataReady, setIsDataReady] = useState(false);
-
-  const handleMappingsUpdate = (fileId, newMappings, parsedData) => {
-    setDataSet(prev =>
-      prev.map(file => file.id === fileId ? { ...file, mappings: newMappings, ...parsedData } : file)
-    );
-  };
-  const modalFile = dataSet.find(f => f.id === modalFileId);
-
-  useEffect(() => {
-    const needsCSV = dataSet.some(f => /\.csv$/i.test(f.name));
-    const needsXLS = dataSet.some(f => /\.(xls|xlsx)$/i.test(f.name));
-    const needsDocx = dataSet.some(f => /\.docx?$/i.test(f.name));
-
-    const papaReady = !needsCSV || (Papa && typeof Papa.parse === 'function');
-    const xlsxReady = !needsXLS || (XLSX && typeof XLSX.read === 'function');
-    const mammothReady = !needsDocx || (mammoth && typeof mammoth.extractRawText === 'function');
-    setIsDataReady(Boolean(papaReady && xlsxReady && mammothReady));
-  }, [dataSet]);
-
-  const handleComponentChange = (e) => {
-    const { name, checked } = e.target;
-    setReportConfig(prev => ({ ...prev, components: { ...prev.components, [name]: checked } }));
-  };
-
-  return (
-    <div className="bg-gray-900/50 backdrop-blur-lg border border-gray-700/50 rounded-lg shadow-2xl p-6 space-y-6">
-      <button onClick={onBack} className="text-sm font-medium text-[#13BBAF] hover:text-teal-400">&larr; Back to upload</button>
-      <div>
-        <h2 className="text-2xl font-semibold text-white">Step 2: Configure Your Analysis</h2>
-        <p className="text-sm text-gray-400">Provide your research goals to guide the AI analysis.</p>
-      </div>
-
-      <div>
-        <label htmlFor="research-question" className="block text-lg font-semibold text-white">1. Research Question</label>
-        <p className="text-sm text-gray-400 mb-2">What is the primary question you want this analysis to answer?</p>
-        <textarea
-          id="research-question" rows={3} value={researchQuestion}
-          onChange={(e) => setResearchQuestion(e.target.value)}
-          className="shadow-sm focus:ring-[#13BBAF] focus:border-[#13BBAF] block w-full sm:text-sm border-gray-600 bg-gray-800 text-white rounded-md p-2"
-          placeholder="e.g., How do our power-users feel about the new interface performance?"
-        />
-      </div>
-
-      <div>
-        <label htmlFor="report-focus" className="block text-lg font-semibold text-white">2. Report Focus & Context (Optional)</label>
-        <p className="text-sm text-gray-400 mb-2">Provide any specific context or areas for the AI to focus on.</p>
-        <textarea
-          id="report-focus" rows={3} value={reportConfig.focus}
-          onChange={(e) => setReportConfig(p => ({ ...p, focus: e.target.value }))}
-          className="shadow-sm focus:ring-[#13BBAF] focus:border-[#13BBAF] block w-full sm:text-sm border-gray-600 bg-gray-800 text-white rounded-md p-2"
-          placeholder="e.g., Focus on all mentions of cyber security. or This data is from support tickets; summarise the main issues."
-        />
-      </div>
-
-      {isDataReady ? (
-        <div className="space-y-4">
-          <div>
-            <h3 className="text-lg font-semibold text-white">3. Configure Data Files</h3>
-            <p className="text-sm text-gray-400 mb-2">Map columns for each uploaded spreadsheet.</p>
-            <div className="space-y-2">
-              {dataSet.map(file => (
-                <div key={file.id} className="flex items-center justify-between p-3 bg-gray-800/70 rounded-md">
-                  <span className="font-medium text-gray-300 truncate">{file.name}</span>
-                  {file.type === 'spreadsheet' && (
-                    <button
-                      onClick={() => setModalFileId(file.id)}
-                      className="px-3 py-1 text-sm rounded-md text-white bg-[#13BBAF] hover:bg-teal-600"
-                    >
-                      Map Columns
-                    </button>
-                  )}
-                  {file.type === 'text' && <span className="text-sm text-green-400">Ready to Analyse</span>}
-                </div>
-              ))}
-            </div>
-          </div>
-
-          <div>
-            <h3 className="text-lg font-semibold text-white">4. Report Components</h3>
-            <p className="text-sm text-gray-400 mb-2">Select the sections you want to include in the final report.</p>
-            <div className="flex flex-wrap gap-x-6 gap-y-2">
-              {Object.keys(reportConfig.components).map(key => (
-                <div key={key} className="flex items-center">
-                  <input
-                    id={key} name={key} type="checkbox"
-                    checked={reportConfig.components[key]}
-                    onChange={handleComponentChange}
-                    className="h-4 w-4 text-teal-600 bg-gray-700 border-gray-600 rounded focus:ring-teal-500"
-                  />
-                  <label htmlFor={key} className="ml-2 block text-sm text-gray-300 capitalize">
-                    {key === 'soWhat' ? 'So What?' : key}
-                  </label>
-                </div>
-              ))}
-            </div>
-          </div>
-        </div>
-      ) : (
-        <div className="text-center text-gray-400 p-8 bg-gray-800/50 rounded-md">
-          <div className="flex justify-center items-center">
-            <svg className="animate-spin -ml-1 mr-3 h-5 w-5 text-white" xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 24 24">
-              <circle className="opacity-25" cx="12" cy="12" r="10" stroke="currentColor" strokeWidth="4"></circle>
-              <path className="opacity-75" fill="currentColor" d="M4 12a8 8 0 018-8V0C5.373 0 0 5.373 0 12h4zm2 5.291A7.962 7.962 0 014 12H0c0 3.042 1.135 5.824 3 7.938l3-2.647z"></path>
-            </svg>
-            <span>Preparing Data Set...</span>
-          </div>
-        </div>
-      )}
-
-      <div className="pt-5">
-        <div className="flex justify-end">
-          <button
-            onClick={() => onAnalyze(researchQuestion, reportConfig)}
-            className="w-full md:w-auto inline-flex items-center justify-center px-8 py-3 rounded-md text-white bg-green-600 hover:bg-green-700 transform hover:scale-105"
-          >
-            Analyse Full Data Set
-          </button>
-        </div>
-        {error && <p className="text-red-400 text-sm mt-4 text-right">{error}</p>}
-      </div>
-
-      {modalFile && (
-        <MappingModal
-          file={modalFile}
-          onClose={() => setModalFileId(null)}
-          onSave={handleMappingsUpdate}
-        />
-      )}
-    </div>
-  );
-};
-
-/* ---------------- Category Chart ---------------- */
-const CategoryChart = ({ category }) => {
-  const [chartType, setChartType] = useState('donut');
-  const total = category.data.reduce((sum, item) => sum + item.count, 0);
-  const colors = ['#13BBAF', '#EDC8FF', '#84cc16', '#f97316', '#3b82f6'];
-
-  const renderChart = () => {
-    switch (chartType) {
-      case 'bar': {
-        const maxCount = Math.max(...category.data.map(i => i.count));
-        return (
-          <div className="mt-2 space-y-2">
-            {category.data.map((item, index) => (
-              <div key={item.name} className="flex items-center">
-                <span className="w-24 text-sm text-gray-400 truncate">{item.name}</span>
-                <div className="flex-1 bg-gray-700 rounded-full h-5">
-                  <div className="h-5 rounded-full" style={{ width: `${(item.count / maxCount) * 100}%`, backgroundColor: colors[index % colors.length] }}></div>
-                </div>
-                <span className="ml-2 text-sm font-semibold">{item.count}</span>
-              </div>
-            ))}
-          </div>
-        );
-      }
-      case 'table':
-        return (
-          <table className="w-full mt-2 text-sm text-left">
-            <thead className="text-xs text-gray-400 uppercase bg-gray-700/50">
-              <tr><th className="px-4 py-2">Category</th><th className="px-4 py-2">Count</th><th className="px-4 py-2">Percentage</th></tr>
-            </thead>
-            <tbody>
-              {category.data.map((item) => (
-                <tr key={item.name} className="border-b border-gray-700">
-                  <td className="px-4 py-2">{item.name}</td>
-                  <td className="px-4 py-2">{item.count}</td>
-                  <td className="px-4 py-2">{((item.count / total) * 100).toFixed(1)}%</td>
-                </tr>
-              ))}
-            </tbody>
-          </table>
-        );
-      case 'donut':
-      default: {
-        let accumulated = 0;
-        const conicGradient = category.data.map((item, index) => {
-          const percentage = (item.count / total) * 100;
-          const color = colors[index % colors.length];
-          const start = accumulated;
-          accumulated += percentage;
-          const end = accumulated;
-          return `${color} ${start}% ${end}%`;
-        }).join(', ');
-        return (
-          <div className="flex flex-col items-center">
-            <div style={{ background: `conic-gradient(${conicGradient})` }} className="w-32 h-32 rounded-full flex items-center justify-center">
-              <div className="w-20 h-20 bg-gray-800 rounded-full"></div>
-            </div>
-            <div className="flex flex-wrap justify-center gap-x-4 gap-y-2 mt-4 text-sm">
-              {category.data.map((item, index) => (
-                <div key={item.name} className="flex items-center">
-                  <span className="w-3 h-3 rounded-full mr-2" style={{ backgroundColor: colors[index % colors.length] }}></span>
-                  {item.name} ({item.count})
-                </div>
-              ))}
-            </div>
-          </div>
-        );
-      }
-    }
-  };
-
-  return (
-    <div>
-      <div className="flex justify-between items-center">
-        <h5 className="font-semibold text-gray-300">{category.title}</h5>
-        <div className="flex space-x-1 bg-gray-700 p-1 rounded-md">
-          <button onClick={() => setChartType('donut')} className={`px-2 py-1 text-xs rounded ${chartType === 'donut' ? 'bg-teal-500 text-white' : 'text-gray-400'}`}>Donut</button>
-          <button onClick={() => setChartType('bar')} className={`px-2 py-1 text-xs rounded ${chartType === 'bar' ? 'bg-teal-500 text-white' : 'text-gray-400'}`}>Bar</button>
-          <button onClick={() => setChartType('table')} className={`px-2 py-1 text-xs rounded ${chartType === 'table' ? 'bg-teal-500 text-white' : 'text-gray-400'}`}>Table</button>
-        </div>
-      </div>
-      {renderChart()}
-    </div>
-  );
-};
-
-/* ---------------- Report Components ---------------- */
-
-const DataSetOverview = ({ dataSet: ds }) => {
-  const textFilesCount = ds.filter(f => f.type === 'text').length;
-  const spreadsheets = ds.filter(f => f.type === 'spreadsheet');
-  const spreadsheetRowsCount = spreadsheets.reduce((acc, file) => acc + (file.rows?.length || 0), 0);
-
-  return (
-    <div className="p-4 rounded-lg border border-gray-700 bg-gray-800/50 backdrop-blur-sm mb-6">
-      <h3 className="text-lg font-semibold text-white mb-3">Data Set Overview</h3>
-      <div className="flex space-x-8">
-        {textFilesCount > 0 && (
-          <div className="flex items-center">
-            <svg xmlns="http://www.w3.org/2000/svg" className="h-8 w-8 text-[#13BBAF] mr-3" fill="none" viewBox="0 0 24 24" stroke="currentColor">
-              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M9 12h6m-6 4h6m2 5H7a2 2 0 01-2-2V5a2 2 0 012-2h5.586a1 1 0 01.707.293l5.414 5.414a1 1 0 01.293.707V19a2 2 0 01-2 2z" />
-            </svg>
-            <div>
-              <p className="text-2xl font-bold text-white">{textFilesCount}</p>
-              <p className="text-sm text-gray-400">Text Documents</p>
-            </div>
-          </div>
-        )}
-        {spreadsheets.length > 0 && (
-          <div className="flex items-center">
-            <svg xmlns="http://www.w3.org/2000/svg" className="h-8 w-8 text-[#13BBAF] mr-3" fill="none" viewBox="0 0 24 24" stroke="currentColor">
-              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M3 10h18M3 14h18m-9-4v8m-7 0h14a2 2 0 002-2V8a2 2 0 00-2-2H5a2 2 0 00-2 2v8a2 2 0 002 2z" />
-            </svg>
-            <div>
-              <p className="text-2xl font-bold text-white">{spreadsheetRowsCount}</p>
-              <p className="text-sm text-gray-400">Survey Responses</p>
-            </div>
-          </div>
-        )}
-      </div>
-    </div>
-  );
-};
-
-const ResearchQuestionDisplay = ({ question }) => (
-  <div className="p-4 rounded-lg border border-gray-700 bg-gray-800/50 backdrop-blur-sm mb-6">
-    <h3 className="text-lg font-semibold text-white">Research Question</h3>
-    <p className="mt-2 text-gray-300 italic">"{question}"</p>
-  </div>
-);
-
-const SentimentDonutChart = ({ distribution }) => {
-  if (!distribution) return null;
-  const { positive, negative, neutral } = distribution;
-  const conicGradient = `conic-gradient(#ef4444 0% ${negative}%, #84cc16 ${negative}% ${negative + positive}%, #9ca3af ${negative + positive}% 100%)`;
-
-  return (
-    <div className="flex flex-col items-center">
-      <div style={{ background: conicGradient }} className="w-32 h-32 rounded-full flex items-center justify-center">
-        <div className="w-20 h-20 bg-[#1f2937] rounded-full"></div>
-      </div>
-      <div className="flex justify-center space-x-4 mt-4 text-sm text-gray-300">
-        <div className="flex items-center"><span className="w-3 h-3 rounded-full bg-red-500 mr-2"></span>Neg ({negative}%)</div>
-        <div className="flex items-center"><span className="w-3 h-3 rounded-full bg-lime-500 mr-2"></span>Pos ({positive}%)</div>
-        <div className="flex items-center"><span className="w-3 h-3 rounded-full bg-gray-400 mr-2"></span>Neu ({neutral}%)</div>
-      </div>
-    </div>
-  );
-};
-
-const SentimentSection = ({ distribution }) => {
-  if (!distribution) return null;
-  const { positive, negative, neutral } = distribution;
-  let label = 'Neutral';
-  let emoji = '😐';
-  let colorClass = 'text-gray-300';
-  let bgClass = 'bg-gray-700';
-  let borderClass = 'border-gray-600';
-
-  if (positive > negative && positive > neutral) {
-    label = 'Positive'; emoji = '🙂'; colorClass = 'text-green-400'; bgClass = 'bg-green-900/30'; borderClass = 'border-green-500/30';
-  } else if (negative > positive && negative > neutral) {
-    label = 'Negative'; emoji = '😞'; colorClass = 'text-red-400'; bgClass = 'bg-red-900/30'; borderClass = 'border-red-500/30';
-  }
-
-  return (
-    <div id="report-sentiment" className="p-4 rounded-lg border border-gray-700 bg-gray-800/50 backdrop-blur-sm scroll-mt-24">
-      <h3 className="text-lg font-semibold text-white mb-4 text-center">Overall Sentiment</h3>
-      <div className="grid grid-cols-1 md:grid-cols-2 gap-6 items-center">
-        <div className={`p-6 rounded-lg border ${borderClass} ${bgClass} flex flex-col items-center justify-center`}>
-          <span className="text-6xl mb-2">{emoji}</span>
-          <span className={`text-3xl font-bold ${colorClass}`}>{label}</span>
-        </div>
-        <SentimentDonutChart distribution={distribution} />
-      </div>
-    </div>
-  );
-};
-
-const NarrativeOverviewDisplay = ({ narrative }) => (
-  <div id="report-overview" className="p-5 rounded-lg border border-purple-500/20 bg-purple-900/20 backdrop-blur-sm scroll-mt-24">
-    <h3 className="text-xl font-semibold text-white mb-2">Overview</h3>
-    <p className="text-gray-300 leading-relaxed text-base">{narrative}</p>
-  </div>
-);
-
-const SoWhatDisplay = ({ actions }) => (
-  actions && actions.length > 0 ? (
-    <div id="report-sowhat" className="p-5 rounded-lg border border-teal-500/20 bg-teal-900/20 backdrop-blur-sm scroll-mt-24">
-      <h3 className="text-xl font-semibold text-white mb-3">So What? (Actions)</h3>
-      <ul className="list-disc list-inside space-y-2 text-gray-300">
-        {actions.map((action, index) => (<li key={index}>{action}</li>))}
-      </ul>
-    </div>
-  ) : null
-);
-
-const VerbatimQuotesDisplay = ({ quotes }) => (
-  quotes && quotes.length > 0 ? (
-    <div id="report-quotes" className="p-4 rounded-lg border border-gray-700 bg-gray-800/50 backdrop-blur-sm scroll-mt-24">
-      <h3 className="text-lg font-semibold text-white mb-3">Key Verbatim Quotes</h3>
-      <ul className="space-y-4">
-        {quotes.map((quote, index) => (
-          <li key={index}>
-            <blockquote className="relative p-4 text-lg italic border-l-4 bg-gray-900/70 text-gray-300 border-gray-600 quote">
-              <span className="text-3xl text-gray-500 absolute top-2 left-2 opacity-50">"</span>
-              <p className="pl-6 mb-0">{quote}</p>
-            </blockquote>
-          </li>
-        ))}
-      </ul>
-    </div>
-  ) : null
-);
-
-const QuantitativeAnalysisDisplay = ({ quantData }) => {
-  const [isOpen, setIsOpen] = useState(true);
-  if (!quantData || quantData.length === 0) return null;
-
-  return (
-    <div id="report-quantitative" className="p-4 rounded-lg border border-gray-700 bg-gray-800/50 backdrop-blur-sm scroll-mt-24">
-      <button onClick={() => setIsOpen(!isOpen)} className="w-full flex justify-between items-center">
-        <h3 className="text-lg font-semibold text-white">Quantitative Analysis</h3>
-        <svg xmlns="http://www.w3.org/2000/svg" className={`h-6 w-6 transition-transform duration-300 ${isOpen ? 'rotate-180' : ''}`} fill="none" viewBox="0 0 24 24" stroke="currentColor">
-          <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M19 9l-7 7-7-7" />
-        </svg>
-      </button>
-      {isOpen && (
-        <div className="mt-4 space-y-8">
-          {quantData.map((fileResult, idx) => (
-            <div key={idx}>
-              <h4 className="font-semibold text-gray-200 text-md border-b border-gray-700 pb-2 mb-4">
-                Source: {fileResult.sourceFile}
-              </h4>
-              <div className="space-y-6">
-                {fileResult.stats && fileResult.stats.map(stat => (
-                  <div key={stat.title}>
-                    <h5 className="font-semibold text-gray-300">{stat.title}</h5>
-                    <div className="grid grid-cols-3 gap-4 mt-2 text-center">
-                      <div className="bg-gray-700 p-2 rounded-md">
-                        <p className="text-xs text-gray-400 uppercase">Mean</p>
-                        <p className="text-xl font-bold text-white">{stat.mean ?? '-'}</p>
-                      </div>
-                      <div className="bg-gray-700 p-2 rounded-md">
-                        <p className="text-xs text-gray-400 uppercase">Median</p>
-                        <p className="text-xl font-bold text-white">{stat.median ?? '-'}</p>
-                      </div>
-                      <div className="bg-gray-700 p-2 rounded-md">
-                        <p className="text-xs text-gray-400 uppercase">Mode</p>
-                        <p className="text-xl font-bold text-white">{stat.mode ?? '-'}</p>
-                      </div>
-                    </div>
-                  </div>
-                ))}
-                {fileResult.categories && fileResult.categories.map(cat => (
-                  <CategoryChart key={cat.title} category={cat} />
-                ))}
-              </div>
-            </div>
-          ))}
-        </div>
-      )}
-    </div>
-  );
-};
-
-/* ---------------- Thematic Analysis ---------------- */
-const ThematicAnalysisDisplay = ({ themes = [], allResults, onUpdateResults, projectId, sourceType }) => {
-  const [editingTheme, setEditingTheme] = useState(null);
-  const [editText, setEditText] = useState({ title: '', narrative: '' });
-
-  const Pill = ({ children }) => (
-    <span className="inline-block bg-gray-800/70 text-gray-200 text-xs px-2 py-1 rounded-md mr-2 mb-2 border border-gray-700">
-      {children}
-    </span>
-  );
-
-  const handleStartEdit = (theme) => {
-    setEditingTheme(theme.theme);
-    setEditText({ title: theme.theme, narrative: theme.themeNarrative });
-  };
-
-  const handleCancelEdit = () => {
-    setEditingTheme(null);
-    setEditText({ title: '', narrative: '' });
-  };
-
-  const handleSaveEdit = () => {
-    if (!editingTheme) return;
-
-    const newResults = JSON.parse(JSON.stringify(allResults));
-
-    if (sourceType === 'legacy') {
-      const themeIndex = newResults.themes.findIndex(t => t.theme === editingTheme);
-      if (themeIndex > -1) {
-        newResults.themes[themeIndex].theme = editText.title;
-        newResults.themes[themeIndex].themeNarrative = editText.narrative;
-      }
-    } else {
-      const sourceIndex = newResults.analysisBySource.findIndex(s => s.sourceType === sourceType);
-      if (sourceIndex > -1) {
-        const themeIndex = newResults.analysisBySource[sourceIndex].themes.findIndex(t => t.theme === editingTheme);
-        if (themeIndex > -1) {
-          newResults.analysisBySource[sourceIndex].themes[themeIndex].theme = editText.title;
-          newResults.analysisBySource[sourceIndex].themes[themeIndex].themeNarrative = editText.narrative;
-        }
-      }
-    }
-
-    onUpdateResults(newResults);
-
-    if (projectId) {
-      const dataSetForSaving = (allResults.dataSet || []).map(f => ({
-        name: f.name,
-        type: f.type,
-        category: f.category || 'general'
-      }));
-      updateProject({
-        id: projectId,
-        patch: { analysis_report: { ...newResults, dataSet: dataSetForSaving } }
-      }).catch(err => {
-        console.error("Failed to persist theme edit:", err);
-      });
-    }
-
-    handleCancelEdit();
-  };
-
-  if (!themes || themes.length === 0) return null;
-
-  return (
-    <div className="p-4 rounded-lg border border-gray-700 bg-gray-800/50 backdrop-blur-sm">
-      <h3 className="text-lg font-semibold text-white mb-3">Thematic Analysis</h3>
-
-      <div className="space-y-4 mb-6">
-        <h4 className="font-semibold text-gray-300">Theme Prominence</h4>
-        {themes.map((t, idx) => (
-          <div key={`${t.theme}-${idx}`} className="w-full">
-            <div className="flex items-center mb-1">
-              <span className="text-lg mr-2">{t.emoji}</span>
-              <span className="text-sm font-medium text-gray-300">{t.theme}</span>
-            </div>
-            <div className="w-full bg-gray-700 rounded-full h-4">
-              <div
-                className="bg-green-500 h-4 rounded-full"
-                style={{ width: `${Math.min((t.prominence || 0) * 100, 100)}%` }}
-              ></div>
-            </div>
-          </div>
-        ))}
-      </div>
-
-      <hr className="my-6 border-gray-700" />
-
-      <ul className="space-y-6">
-        {themes.map((t, idx) => {
-          const quotes = Array.isArray(t.evidence) ? t.evidence.filter(Boolean).slice(0, 3) : [];
-          const hasDrivers = Array.isArray(t.drivers) && t.drivers.length > 0;
-          const hasBarriers = Array.isArray(t.barriers) && t.barriers.length > 0;
-          const hasTensions = Array.isArray(t.tensions) && t.tensions.length > 0;
-          const hasOpps = Array.isArray(t.opportunities) && t.opportunities.length > 0;
-          const isEditing = editingTheme === t.theme;
-
-          return (
-            <li key={`${t.theme}-${idx}`} className="flex flex-col p-4 bg-gray-900/70 rounded-md shadow-sm">
-              {isEditing ? (
-                <div className="space-y-3">
-                  <div>
-                    <label className="text-sm font-medium text-gray-400 block mb-1">Theme Title</label>
-                    <input
-                      type="text"
-                      value={editText.title}
-                      onChange={(e) => setEditText(p => ({ ...p, title: e.target.value }))}
-                      className="shadow-sm focus:ring-[#13BBAF] focus:border-[#13BBAF] block w-full sm:text-sm border-gray-600 bg-gray-800 text-white rounded-md p-2"
-                    />
-                  </div>
-                  <div>
-                    <label className="text-sm font-medium text-gray-400 block mb-1">Theme Narrative</label>
-                    <textarea
-                      rows={4}
-                      value={editText.narrative}
-                      onChange={(e) => setEditText(p => ({ ...p, narrative: e.target.value }))}
-                      className="shadow-sm focus:ring-[#13BBAF] focus:border-[#13BBAF] block w-full sm:text-sm border-gray-600 bg-gray-800 text-white rounded-md p-2"
-                    />
-                  </div>
-                  <div className="flex justify-end space-x-3">
-                    <button onClick={handleCancelEdit} className="px-3 py-1 text-sm rounded-md text-gray-300 bg-gray-700 hover:bg-gray-600">Cancel</button>
-                    <button onClick={handleSaveEdit} className="px-3 py-1 text-sm rounded-md text-white bg-green-600 hover:bg-green-700">Save</button>
-                  </div>
-                </div>
-              ) : (
-                <>
-                  <div className="flex items-center justify-between mb-3">
-                    <div className="flex items-center">
-                      <span className="text-2xl mr-4">{t.emoji}</span>
-                      <span className="text-white font-bold text-lg">{t.theme}</span>
-                    </div>
-                    <button
-                      onClick={() => handleStartEdit(t)}
-                      className="text-gray-500 hover:text-white transition-colors"
-                      title="Edit theme"
-                    >
-                      <svg xmlns="http://www.w3.org/2000/svg" className="h-5 w-5" fill="none" viewBox="0 0 24 24" stroke="currentColor" strokeWidth={2}>
-                        <path strokeLinecap="round" strokeLinejoin="round" d="M11 5H6a2 2 0 00-2 2v11a2 2 0 002 2h11a2 2 0 002-2v-5m-1.414-9.414a2 2 0 112.828 2.828L11.828 15H9v-2.828l8.586-8.586z" />
-                      </svg>
-                    </button>
-                  </div>
-
-                  {t.themeNarrative && (
-                    <div className="mb-2">
-                      <div className="text-gray-300 text-sm font-semibold mb-1">Theme narrative</div>
-                      <p className="text-gray-200 leading-relaxed">{t.themeNarrative}</p>
-                    </div>
-                  )}
-
-                  {t.quantitativeEvidence && (
-                    <div className="mt-2 mb-2">
-                      <span className="inline-flex items-center bg-teal-900/70 text-teal-200 text-xs px-3 py-1 rounded-full border border-teal-700">
-                        <svg xmlns="http://www.w3.org/2000/svg" className="h-4 w-4 mr-1.5" fill="none" viewBox="0 0 24 24" stroke="currentColor" strokeWidth={2}>
-                          <path strokeLinecap="round" strokeLinejoin="round" d="M7 20l4-16m2 16l4-16M6 9h14M4 15h14" />
-                        </svg>
-                        {t.quantitativeEvidence}
-                      </span>
-                    </div>
-                  )}
-
-                  {(hasDrivers || hasBarriers) && (
-                    <div className="grid md:grid-cols-2 gap-3 mt-2">
-                      {hasDrivers && (
-                        <div>
-                          <div className="text-gray-300 text-sm font-semibold mb-1">Key drivers</div>
-                          <div className="flex flex-wrap">
-                            {t.drivers.slice(0, 6).map((d, i) => <Pill key={i}>{d}</Pill>)}
-                          </div>
-                        </div>
-                      )}
-                      {hasBarriers && (
-                        <div>
-                          <div className="text-gray-300 text-sm font-semibold mb-1">Barriers / frictions</div>
-                          <div className="flex flex-wrap">
-                            {t.barriers.slice(0, 6).map((b, i) => <Pill key={i}>{b}</Pill>)}
-                          </div>
-                        </div>
-                      )}
-                    </div>
-                  )}
-
-                  {hasTensions && (
-                    <div className="mt-3">
-                      <div className="text-gray-300 text-sm font-semibold mb-1">Tensions & trade-offs</div>
-                      <ul className="list-disc list-inside text-gray-200 space-y-1">
-                        {t.tensions.slice(0, 4).map((x, i) => <li key={i}>{x}</li>)}
-                      </ul>
-                    </div>
-                  )}
-
-                  {hasOpps && (
-                    <div className="mt-3">
-                      <div className="text-gray-300 text-sm font-semibold mb-1">Opportunities</div>
-                      <ul className="list-disc list-inside text-gray-200 space-y-1">
-                        {t.opportunities.slice(0, 6).map((o, i) => <li key={i}>{o}</li>)}
-                      </ul>
-                    </div>
-                  )}
-
-                  {quotes.length > 0 && (
-                    <div className="mt-3">
-                      <div className="text-gray-300 text-sm font-semibold mb-1">Supporting quotes</div>
-                      <div className="space-y-2">
-                        {quotes.map((q, i) => (
-                          <blockquote key={i} className="border-l-4 border-[#13BBAF] pl-4">
-                            <p className="text-gray-400 italic">"{q}"</p>
-                          </blockquote>
-                        ))}
-                      </div>
-                    </div>
-                  )}
-                </>
-              )}
-            </li>
-          );
-        })}
-      </ul>
-    </div>
-  );
-};
-
-/* ---------------- Report Sidebar ---------------- */
-const ReportSidebar = ({ results }) => {
-  const {
-    narrativeOverview, themes = [], analysisBySource = [],
-    sentimentDistribution, verbatimQuotes, quantitativeResults,
-    soWhatActions
-  } = results;
-
-  return (
-    <nav className="self-start">
-      <h3 className="text-sm font-semibold uppercase text-gray-500 tracking-wider mb-3">On this page</h3>
-      <ul className="space-y-2">
-        {narrativeOverview && (
-          <li><a href="#report-overview" className="text-gray-400 hover:text-white transition-colors">Overview</a></li>
-        )}
-        {soWhatActions && soWhatActions.length > 0 && (
-          <li><a href="#report-sowhat" className="text-gray-400 hover:text-white transition-colors">So What?</a></li>
-        )}
-        {sentimentDistribution && (
-          <li><a href="#report-sentiment" className="text-gray-400 hover:text-white transition-colors">Sentiment</a></li>
-        )}
-        {themes && themes.length > 0 && (
-          <li><a href="#report-themes-legacy" className="text-gray-400 hover:text-white transition-colors">Thematic Analysis</a></li>
-        )}
-        {analysisBySource && analysisBySource.length > 0 && (
-          <ul className="pl-3 space-y-2 border-l border-gray-700">
-            {analysisBySource.map((source, index) => (
-              <li key={index}>
-                <a href={`#report-findings-${source.sourceType}`} className="text-gray-400 hover:text-white transition-colors">
-                  {formatSourceType(source.sourceType)} Findings
-                </a>
-              </li>
-            ))}
-          </ul>
-        )}
-        {verbatimQuotes && verbatimQuotes.length > 0 && (
-          <li><a href="#report-quotes" className="text-gray-400 hover:text-white transition-colors">Key Quotes</a></li>
-        )}
-        {quantitativeResults && quantitativeResults.length > 0 && (
-          <li><a href="#report-quantitative" className="text-gray-400 hover:text-white transition-colors">Quantitative</a></li>
-        )}
-      </ul>
-    </nav>
-  );
-};
-
-/* ---------------- Analysis Report Page ---------------- */
-const AnalysisReportPage = ({ dataSet, onBack, results, onDownload, onUpdateResults, projectId }) => {
-  const reportRef = useRef(null);
-  const {
-    narrativeOverview,
-    themes = [],
-    analysisBySource = [],
-    sentimentDistribution,
-    verbatimQuotes, quantitativeResults, researchQuestion, soWhatActions
-  } = results;
-
-  const handleDownloadDeck = async () => {
-    const pres = new PptxGenJS();
-
-    let slide = pres.addSlide();
-    slide.background = { color: "FFFFFF" };
-    slide.addText("SoWhatAI Analysis Report", { x: 0.5, y: 2, w: "90%", fontSize: 36, bold: true, color: "363636" });
-    if (researchQuestion) {
-      slide.addText(researchQuestion, { x: 0.5, y: 3, w: "90%", fontSize: 18, color: "7d7d7d" });
-    }
-    slide.addText(`Generated: ${new Date().toLocaleDateString()}`, { x: 0.5, y: 5, fontSize: 12, color: "D3D3D3" });
-
-    if (narrativeOverview) {
-      slide = pres.addSlide();
-      slide.background = { color: "FFFFFF" };
-      slide.addText("Executive Summary", { x: 0.5, y: 0.5, fontSize: 24, bold: true, color: "363636" });
-      slide.addText(narrativeOverview, { x: 0.5, y: 1.2, w: "90%", fontSize: 14, color: "4a4a4a" });
-    }
-
-    if (soWhatActions && soWhatActions.length > 0) {
-      slide = pres.addSlide();
-      slide.background = { color: "FFFFFF" };
-      slide.addText("So What? & Recommendations", { x: 0.5, y: 0.5, fontSize: 24, bold: true, color: "363636" });
-      const bullets = soWhatActions.map(action => ({ text: action, options: { fontSize: 14, color: "4a4a4a", bullet: true } }));
-      slide.addText(bullets, { x: 0.5, y: 1.2, w: "90%", h: 4 });
-    }
-
-    if (sentimentDistribution) {
-      slide = pres.addSlide();
-      slide.background = { color: "FFFFFF" };
-      slide.addText("Sentiment Overview", { x: 0.5, y: 0.5, fontSize: 24, bold: true, color: "363636" });
-      const valPos = Number(sentimentDistribution.positive || 0);
-      const valNeg = Number(sentimentDistribution.negative || 0);
-      const valNeu = Number(sentimentDistribution.neutral || 0);
-      const chartData = [{ name: "Sentiment", labels: ["Positive", "Negative", "Neutral"], values: [valPos, valNeg, valNeu] }];
-      slide.addChart(pres.ChartType.doughnut, chartData, {
-        x: 3, y: 1.5, w: 4, h: 3,
-        showLabel: true, showPercent: true,
-        chartColors: ['84cc16', 'ef4444', '9ca3af']
-      });
-    }
-
-    const createThemeSlides = (sourceThemes, sectionTitle) => {
-      if (!sourceThemes || sourceThemes.length === 0) return;
-      slide = pres.addSlide();
-      slide.background = { color: "13BBAF" };
-      slide.addText(sectionTitle, { x: 0, y: 2.5, w: "100%", align: 'center', fontSize: 36, bold: true, color: "FFFFFF" });
-
-      sourceThemes.forEach(t => {
-        slide = pres.addSlide();
-        slide.background = { color: "FFFFFF" };
-        slide.addText(`${t.emoji || ''} ${t.theme}`, { x: 0.5, y: 0.4, w: "90%", fontSize: 24, bold: true, color: "363636" });
-        slide.addText(t.themeNarrative || "", { x: 0.5, y: 1.2, w: 4.5, fontSize: 12, color: "4a4a4a" });
-        if (t.quantitativeEvidence) {
-          slide.addText(t.quantitativeEvidence, {
-            x: 0.5, y: 3.5, w: 4.5, h: 0.5,
-            fontSize: 11, color: "13BBAF", bold: true,
-            shape: pres.ShapeType.roundRect, fill: { color: "F0FDFA" }, line: { color: "13BBAF" }
-          });
-        }
-        if (t.evidence && t.evidence.length > 0) {
-          slide.addText("Key Evidence:", { x: 5.2, y: 1.2, fontSize: 12, bold: true, color: "363636" });
-          const quotes = t.evidence.map(q => ({ text: `"${q}"`, options: { fontSize: 11, color: "666666", italic: true, breakLine: true } }));
-          slide.addText(quotes, { x: 5.2, y: 1.5, w: 4.5, h: 3 });
-        }
-        const drivers = (t.drivers || []).slice(0, 4).join(", ");
-        const barriers = (t.barriers || []).slice(0, 4).join(", ");
-        if (drivers || barriers) {
-          slide.addText(`Drivers: ${drivers} | Barriers: ${barriers}`, { x: 0.5, y: 4.2, w: "90%", fontSize: 10, color: "888888" });
-        }
-      });
-    };
-
-    if (analysisBySource && analysisBySource.length > 0) {
-      analysisBySource.forEach(source => {
-        const title = (source.sourceType || 'General').replace(/_/g, ' ').replace(/\b\w/g, l => l.toUpperCase()) + " Findings";
-        createThemeSlides(source.themes, title);
-      });
-    } else if (themes && themes.length > 0) {
-      createThemeSlides(themes, "Key Themes");
-    }
-
-    pres.writeFile({ fileName: `SoWhatAI-Report-${new Date().toISOString().split('T')[0]}.pptx` });
-  };
-
-  return (
-    <div className="grid grid-cols-1 md:grid-cols-4 gap-6">
-      <div className="md:col-span-1 sticky top-24 self-start">
-        <ReportSidebar results={results} />
-      </div>
-
-      <div className="md:col-span-3">
-        <div ref={reportRef} id="analysis-report-container" className="w-full bg-gray-900/50 backdrop-blur-lg border border-gray-700/50 rounded-lg shadow-2xl p-6">
-          <div className="flex justify-between items-center mb-6">
-            <button onClick={onBack} className="inline-flex items-center px-4 py-2 text-sm rounded-md text-gray-300 bg-gray-700 hover:bg-gray-600 border border-gray-600">
-              <svg xmlns="http://www.w3.org/2000/svg" className="h-5 w-5 mr-2" fill="none" viewBox="0 0 24 24" stroke="currentColor">
-                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M10 19l-7-7m0 0l7-7m-7 7h18" />
-              </svg>
-              Back to Data Set
-            </button>
-            <h2 className="text-2xl font-semibold text-white">Analysis Report</h2>
-            <div className="flex space-x-3">
-              <button onClick={handleDownloadDeck} className="inline-flex items-center px-4 py-2 text-sm rounded-md text-white bg-green-600 hover:bg-green-700 font-medium transition-colors">
-                <svg xmlns="http://www.w3.org/2000/svg" className="h-5 w-5 mr-2" fill="none" viewBox="0 0 24 24" stroke="currentColor">
-                  <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M7 12l3-3 3 3 4-4M8 21l4-4 4 4M3 4h18M4 4h16v12a1 1 0 01-1 1H5a1 1 0 01-1-1V4z" />
-                </svg>
-                Download PPTX
-              </button>
-              <button onClick={() => onDownload(reportRef)} className="inline-flex items-center px-4 py-2 text-sm rounded-md text-white bg-green-600 hover:bg-green-700">
-                <svg xmlns="http://www.w3.org/2000/svg" className="h-5 w-5 mr-2" fill="none" viewBox="0 0 24 24" stroke="currentColor">
-                  <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M4 16v1a3 3 0 003 3h10a3 3 0 003-3v-1m-4-4l-4 4m0 0l-4-4m4 4V4" />
-                </svg>
-                Download PDF
-              </button>
-            </div>
-          </div>
-
-          <div className="space-y-6">
-            <DataSetOverview dataSet={dataSet} />
-            <ResearchQuestionDisplay question={researchQuestion} />
-            <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
-              <NarrativeOverviewDisplay narrative={narrativeOverview} />
-              <SoWhatDisplay actions={soWhatActions} />
-            </div>
-            <SentimentSection distribution={sentimentDistribution} />
-
-            {themes && themes.length > 0 && (
-              <div id="report-themes-legacy" className="scroll-mt-24">
-                <ThematicAnalysisDisplay
-                  themes={themes}
-                  allResults={results}
-                  onUpdateResults={onUpdateResults}
-                  projectId={projectId}
-                  sourceType="legacy"
-                />
-              </div>
-            )}
-
-            {analysisBySource && analysisBySource.length > 0 && (
-              <div className="space-y-6">
-                {analysisBySource.map((sourceAnalysis, index) => (
-                  <div key={index} id={`report-findings-${sourceAnalysis.sourceType}`} className="scroll-mt-24">
-                    <h2 className="text-2xl font-semibold text-white mb-4 border-b border-gray-700 pb-2 capitalize">
-                      Findings from: {formatSourceType(sourceAnalysis.sourceType)}
-                    </h2>
-                    <ThematicAnalysisDisplay
-                      themes={sourceAnalysis.themes}
-                      allResults={results}
-                      onUpdateResults={onUpdateResults}
-                      projectId={projectId}
-                      sourceType={sourceAnalysis.sourceType}
-                    />
-                  </div>
-                ))}
-              </div>
-            )}
-
-            <VerbatimQuotesDisplay quotes={verbatimQuotes} />
-            <QuantitativeAnalysisDisplay quantData={quantitativeResults} />
-          </div>
-        </div>
-      </div>
-    </div>
-  );
-};
-
-/* ---------------- Analysis Tool (orchestrator) ---------------- */
 const AnalysisToolPage = () => {
   const navigate = useNavigate();
   const { projectId } = useParams();
@@ -1137,6 +54,14 @@ const AnalysisToolPage = () => {
   const [isLoading, setIsLoading] = useState(false);
   const [error, setError] = useState(null);
   const [currentProjectId, setCurrentProjectId] = useState(null);
+  const [redactionMap, setRedactionMap] = useState(null);
+  const [redactionSettings, setRedactionSettings] = useState(null);
+  const [analysisJobId, setAnalysisJobId] = useState(null);
+  const [analysisProgress, setAnalysisProgress] = useState(null);
+  const [isCancelling, setIsCancelling] = useState(false);
+  const [lastRunConfig, setLastRunConfig] = useState(null);
+  const [reportNotice, setReportNotice] = useState(null);
+  const jobWatchRef = useRef(null);
 
   useEffect(() => {
     if (projectId) {
@@ -1144,7 +69,16 @@ const AnalysisToolPage = () => {
     }
   }, [projectId]);
 
+  // Stop polling when leaving the page; the job keeps running and is resumed on the next visit.
+  useEffect(() => () => jobWatchRef.current?.abort(), []);
+
   useEffect(() => {
+    // An analysis started before a reload is resumed on a new analysis or its own project.
+    const pending = loadPendingAnalysis();
+    if (pending && (!projectId || pending.projectId === projectId)) {
+      resumeAnalysis(pending);
+      return;
+    }
     (async () => {
       if (!projectId) return;
       try {
@@ -1152,10 +86,23 @@ const AnalysisToolPage = () => {
         const row = await getProject(projectId);
         const report = row?.analysis_report || null;
         if (report) {
-          setAnalysisResults(report);
-          const savedDS = Array.isArray(report.dataSet)
-            ? report.dataSet.map(f => ({ name: f.name, type: f.type, category: f.category || 'general' }))
-            : [];
+          setAnalysisResults(ensureThemeIds(report));
+          setRedactionMap(loadRedactionMap(projectId));
+          setRedactionSettings(loadRedactionConfig(projectId));
+          setLastRunConfig({ researchQuestion: report.researchQuestion, reportConfig: report.reportConfig });
+          // Stored source files make the project re-runnable; older projects only kept file names.
+          const files = await getProjectFiles(projectId).catch(filesError => {
+            console.error('Loading project files failed:', filesError);
+            return [];
+          });
+          const savedDS = files.length > 0
+            ? files
+            : (Array.isArray(report.dataSet) ? report.dataSet : []).map((f, index) => ({
+                id: `saved-${index}`,
+                name: f.name,
+                type: f.type,
+                category: f.category || 'general'
+              }));
           setDataSet(savedDS);
           setWorkflowStep('report');
         } else {
@@ -1171,68 +118,246 @@ const AnalysisToolPage = () => {
 
   const handleNextStep = () => setWorkflowStep('configure');
 
-  const handleAnalysis = async (researchQuestion, reportConfig) => {
+  const startJobWatch = () => {
+    jobWatchRef.current?.abort();
+    jobWatchRef.current = new AbortController();
+    return jobWatchRef.current.signal;
+  };
+
+  const resetJobState = () => {
+    setIsLoading(false);
+    setAnalysisJobId(null);
+    setAnalysisProgress(null);
+    setIsCancelling(false);
+  };
+
+  /**
+   * Shows a finished job's report and attaches it to the project it was started for
+   * (creating the project for a new analysis).
+   */
+  const finishAnalysis = async (results, pending, files) => {
+    const fullResults = {
+      ...restoreFileNames(results, pending.fileNames),
+      dataSet: pending.dataSet,
+      redaction: pending.redaction,
+      ...(pending.reportConfig ? { reportConfig: pending.reportConfig } : {})
+    };
+    setAnalysisResults(fullResults);
+    setLastRunConfig({ researchQuestion: fullResults.researchQuestion, reportConfig: fullResults.reportConfig });
+    setRedactionMap(pending.redactionMap || null);
+    setRedactionSettings(pending.redactionConfig || null);
+    setWorkflowStep('report');
+    clearPendingAnalysis();
+
+    try {
+      let savedProjectId = pending.projectId;
+      if (savedProjectId) {
+        await saveProjectReport({ id: savedProjectId, report: fullResults, kind: 'analysis' });
+      } else {
+        const created = await createProject({ name: pending.projectName, analysis_report: fullResults });
+        savedProjectId = created.id;
+        await recordProjectVersion({ projectId: savedProjectId, report: fullResults, kind: 'analysis' }).catch(versionError => {
+          console.error('Recording project version failed:', versionError);
+        });
+      }
+      setCurrentProjectId(savedProjectId);
+      saveRedactionMap(savedProjectId, pending.redactionMap);
+      saveRedactionConfig(savedProjectId, pending.redactionConfig);
+      // The files are only in memory in the tab that started the run, not after a reload.
+      if (files) await saveProjectFiles(savedProjectId, files);
+    } catch (persistErr) {
+      console.error('Project save failed:', persistErr);
+    }
+  };
+
+  const handleAnalysisFailure = (error, pending) => {
+    // Polling was stopped by leaving the page; the pending job is resumed on the next visit.
+    if (error?.name === 'AbortError') return;
+    console.error('Analysis failed:', error);
+    if (pending?.jobId) clearPendingAnalysis();
+
+    const partial = error.partialResult;
+    const hasPartial = partial && (
+      (partial.analysisBySource || []).some(source => (source.themes || []).length > 0) ||
+      (partial.quantitativeResults || []).length > 0
+    );
+    if (hasPartial && pending) {
+      // Partial results are shown for review but never saved over the project.
+      setAnalysisResults({
+        ...restoreFileNames(partial, pending.fileNames),
+        dataSet: pending.dataSet,
+        redaction: pending.redaction,
+        partial: true,
+        partialReason: error.message
+      });
+      setRedactionMap(pending.redactionMap || null);
+      setRedactionSettings(pending.redactionConfig || null);
+      setWorkflowStep('report');
+    } else {
+      setError(error.message);
+      setWorkflowStep('configure');
+    }
+  };
+
+  const resumeAnalysis = async (pending) => {
     setIsLoading(true);
     setError(null);
+    setAnalysisJobId(pending.jobId);
+    setAnalysisProgress({ percent: 0, stage: 'queued', message: 'Reconnecting to the running analysis...' });
+    // The run's files are kept in local storage when they fit; without them only names are known.
+    const files = loadPendingAnalysisFiles();
+    setDataSet(files || (pending.dataSet || []).map(f => ({ name: f.name, type: f.type, category: f.category || 'general' })));
+    if (pending.projectId) setCurrentProjectId(pending.projectId);
+    const signal = startJobWatch();
     try {
-      const textSources = dataSet
-        .filter(f => f.type === 'text')
-        .map(f => ({ fileName: f.name, category: f.category || 'general', content: f.content }));
+      const results = await watchAnalysisJob(pending.jobId, {
+        onProgress: (status) => setAnalysisProgress(status.progress),
+        signal
+      });
+      if (!files) {
+        setReportNotice(pending.projectId
+          ? "This run's source files could not be kept when the page reloaded, so the files stored with the project are from an earlier run and may not match this report. Upload the files and run the analysis again to bring them in step."
+          : "This run's source files could not be kept when the page reloaded, so they were not saved with the project and it cannot be re-run. Upload the files and run the analysis again to make it re-runnable.");
+      }
+      await finishAnalysis(results, pending, files);
+    } catch (error) {
+      handleAnalysisFailure(error, pending);
+    } finally {
+      // A newer watch (or leaving the page) owns the loading state once this one is aborted.
+      if (!signal.aborted) resetJobState();
+    }
+  };
 
+  const handleAnalysis = async (researchQuestion, reportConfig, redactionConfig) => {
+    setIsLoading(true);
+    setError(null);
+    setReportNotice(null);
+    setAnalysisProgress({ percent: 0, stage: 'queued', message: 'Starting analysis...' });
+    const signal = startJobWatch();
+    let pending = null;
+    try {
+      const textSources = buildTextSources(dataSet);
       const spreadsheets = dataSet.filter(f => f.type === 'spreadsheet');
       const quantitativePayload = [];
-
-      spreadsheets.forEach(sheet => {
-        if (sheet.rows && sheet.headers) {
-          const textColumns = sheet.headers.filter(header => sheet.mappings[header] === 'text');
-          const sheetText = sheet.rows.map(row => textColumns.map(header => row[header]).join(' ')).join('\n');
-          if (sheetText.trim()) {
-            textSources.push({ fileName: sheet.name, category: sheet.category || 'survey', content: sheetText });
-          }
+      // Redact personal data before anything leaves the browser; the mapping stays client-side.
+      // Category and segment values (and the file names) can be names too, so they share the session.
+      const redaction = createRedactionSession(redactionConfig || DEFAULT_REDACTION_CONFIG);
+      const redactCell = (value) => redaction.redact(String(value ?? ''));
+
+      spreadsheets.forEach(file => {
+        // Each workbook sheet is its own source, named "file.xlsx › Sheet".
+        spreadsheetSheets(file).forEach(sheet => {
+          if (!sheet.rows || !sheet.headers) return;
+          const sourceName = redaction.redact(sheetSourceName(file, sheet));
+          const mappings = sheet.mappings || {};
+          // With a "segment by" column, values are also sent row-aligned so groups can be compared.
+          const hasSegments = sheet.headers.some(header => mappings[header] === 'segment');
           sheet.headers.forEach(header => {
-            const mapping = sheet.mappings[header];
+            const mapping = mappings[header];
             if (mapping === 'stats' || mapping === 'category') {
+              // XLSX cells arrive as numbers, so only empty cells are dropped (not zeros).
+              const values = sheet.rows.map(row => row[header]).filter(value => value !== null && value !== undefined && value !== '');
+              const rowValues = sheet.rows.map(row => row[header] ?? '');
+              quantitativePayload.push({
+                title: header,
+                values: mapping === 'category' ? values.map(redactCell) : values,
+                mapping,
+                sourceFile: sourceName,
+                ...(hasSegments ? { rowValues: mapping === 'category' ? rowValues.map(redactCell) : rowValues } : {})
+              });
+            } else if (mapping === 'segment') {
               quantitativePayload.push({
                 title: header,
-                values: sheet.rows.map(row => row[header]).filter(Boolean),
+                values: sheet.rows.map(row => redactCell(row[header])),
                 mapping,
-                sourceFile: sheet.name
+                sourceFile: sourceName
               });
             }
           });
-        }
+        });
       });
 
-      const results = await callAnalyze({ textSources, quantitativeData: quantitativePayload, researchQuestion, reportConfig });
-      const dataSetForSaving = dataSet.map(f => ({ name: f.name, type: f.type, category: f.category || 'general' }));
-      const fullResults = { ...results, dataSet: dataSetForSaving };
-
-      setAnalysisResults(fullResults);
-      setWorkflowStep('report');
-
-      try {
-        if (currentProjectId) {
-          await updateProject({ id: currentProjectId, patch: { analysis_report: fullResults } });
-        } else {
-          const created = await createProject({
-            name: researchQuestion?.slice(0, 60) || `Project ${new Date().toLocaleString()}`,
-            analysis_report: fullResults
-          });
-          setCurrentProjectId(created.id);
+      const redactedSources = textSources.map(source => redactTextSource(source, redaction.redact));
+      const fileNames = redactedFileNames([
+        ...textSources.map(source => source.fileName),
+        ...spreadsheets.flatMap(file => spreadsheetSheets(file).map(sheet => sheetSourceName(file, sheet)))
+      ], redaction.redact);
+      // Everything needed to attach the report to a project, kept so a reload can resume the job.
+      const pendingDetails = {
+        projectId: currentProjectId,
+        projectName: researchQuestion?.slice(0, 60) || `Project ${new Date().toLocaleString()}`,
+        dataSet: dataSet.map(f => ({
+          name: f.name,
+          type: f.type,
+          category: f.category || 'general',
+          ...(parseSegmentAttributes(f.segmentText) ? { segments: parseSegmentAttributes(f.segmentText) } : {}),
+          ...(Array.isArray(f.sheets) ? { sheets: f.sheets.map(sheet => ({ name: sheet.name, mappings: sheet.mappings })) } : {})
+        })),
+        redaction: { enabled: Boolean(redactionConfig?.enabled ?? true), counts: redaction.getCounts() },
+        redactionMap: redaction.getMapping(),
+        // Kept with the mapping so search and "ask your data" can redact the same way later.
+        redactionConfig: { ...DEFAULT_REDACTION_CONFIG, ...redactionConfig },
+        // Redacted → original file names, restored on the finished report.
+        fileNames,
+        reportConfig
+      };
+      pending = pendingDetails;
+
+      const results = await runAnalysisJob(
+        { textSources: redactedSources, quantitativeData: quantitativePayload, researchQuestion, reportConfig },
+        {
+          onStart: (jobId) => {
+            pending = { ...pendingDetails, jobId };
+            savePendingAnalysis(pending);
+            // Stored like project files, so a reload can still save them with the project.
+            savePendingAnalysisFiles(dataSet.map((file, index) => storedProjectFile({
+              id: file.id || `pending-${index}`,
+              name: file.name,
+              type: file.type,
+              category: file.category,
+              payload: projectFilePayload(file)
+            })));
+            setAnalysisJobId(jobId);
+          },
+          onProgress: (status) => setAnalysisProgress(status.progress),
+          signal
         }
-      } catch (persistErr) {
-        console.error('Project save failed:', persistErr);
-      }
+      );
+      await finishAnalysis(results, pending, dataSet);
     } catch (error) {
-      console.error('Analysis failed:', error);
-      setError(error.message);
-      setWorkflowStep('configure');
+      handleAnalysisFailure(error, pending);
     } finally {
-      setIsLoading(false);
+      if (!signal.aborted) resetJobState();
+    }
+  };
+
+  const handleCancelAnalysis = async () => {
+    if (!analysisJobId || isCancelling) return;
+    setIsCancelling(true);
+    try {
+      await cancelAnalysisJob(analysisJobId);
+    } catch (cancelError) {
+      console.error('Cancel failed:', cancelError);
+      setIsCancelling(false);
     }
   };
 
-  const handleBackToUpload = () => { setWorkflowStep('upload'); setAnalysisResults(null); setDataSet([]); };
+  const handleBackToUpload = () => { setWorkflowStep('upload'); setAnalysisResults(null); setDataSet([]); setLastRunConfig(null); };
+  const handleRestoreVersion = (version) => {
+    const report = ensureThemeIds(version.analysis_report);
+    setAnalysisResults(report);
+    if (!currentProjectId) return;
+    saveProjectReport({
+      id: currentProjectId,
+      report,
+      kind: 'restore',
+      label: `Restored version from ${new Date(version.created_at).toLocaleString()}`
+    }).catch(err => {
+      console.error('Failed to restore version:', err);
+      setError(err.message);
+    });
+  };
+
   const handleBackToConfig = () => { setWorkflowStep('configure'); setAnalysisResults(null); };
 
   const handleDownloadReport = (reportRef) => {
@@ -1273,6 +398,16 @@ const AnalysisToolPage = () => {
     });
   };
 
+  if (isLoading && analysisProgress) {
+    return (
+      <AnalysisProgressPanel
+        progress={analysisProgress}
+        onCancel={analysisJobId ? handleCancelAnalysis : null}
+        isCancelling={isCancelling}
+      />
+    );
+  }
+
   if (isLoading) {
     return (
       <div className="w-full p-6 flex flex-col items-center justify-center bg-gray-900/50 backdrop-blur-lg border border-gray-700/50 rounded-lg mt-8 shadow-2xl">
@@ -1291,6 +426,7 @@ const AnalysisToolPage = () => {
           onAnalyze={handleAnalysis}
           onBack={handleBackToUpload}
           error={error}
+          initialConfig={lastRunConfig}
         />
       );
     case 'report':
@@ -1301,7 +437,11 @@ const AnalysisToolPage = () => {
           onBack={handleBackToConfig}
           onDownload={handleDownloadReport}
           onUpdateResults={setAnalysisResults}
-          projectId={currentProjectId}
+          projectId={analysisResults?.partial ? null : currentProjectId}
+          redactionMap={redactionMap}
+          redactionSettings={redactionSettings}
+          notice={reportNotice}
+          onRestoreVersion={handleRestoreVersion}
         />
       );
     case 'upload':
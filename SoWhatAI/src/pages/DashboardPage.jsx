@@ -17,6 +17,8 @@ const DashboardPage = ({ user }) => {
   const [projects, setProjects] = useState([]);
   const [loading, setLoading] = useState(true);
   const [err, setErr] = useState(null);
+  // Projects picked for a cross-project synthesis; null when not selecting.
+  const [selected, setSelected] = useState(null);
 
   useEffect(() => {
     (async () => {
@@ -32,6 +34,10 @@ const DashboardPage = ({ user }) => {
     })();
   }, []);
 
+  const toggleSelected = (id) => {
+    setSelected(current => (current.includes(id) ? current.filter(x => x !== id) : [...current, id]));
+  };
+
   return (
     <div className="space-y-8">
       <div>
@@ -49,7 +55,28 @@ const DashboardPage = ({ user }) => {
       <hr className="border-gray-700/50" />
 
       <div>
-        <h3 className="text-2xl font-semibold text-white mb-4">Your Projects</h3>
+        <div className="flex flex-wrap items-center justify-between gap-3 mb-4">
+          <h3 className="text-2xl font-semibold text-white">Your Projects</h3>
+          {projects.length > 1 && (selected ? (
+            <div className="flex items-center gap-2">
+              <span className="text-sm text-gray-400">{selected.length} selected</span>
+              <button
+                onClick={() => navigate(`/synthesis?projects=${selected.map(encodeURIComponent).join(',')}`)}
+                disabled={selected.length < 2}
+                className="px-3 py-1 bg-teal-600 hover:bg-teal-500 rounded text-white text-sm disabled:bg-gray-600 disabled:cursor-not-allowed"
+              >
+                Synthesize {selected.length} projects
+              </button>
+              <button onClick={() => setSelected(null)} className="px-3 py-1 bg-gray-700 hover:bg-gray-600 rounded text-gray-300 text-sm">
+                Cancel
+              </button>
+            </div>
+          ) : (
+            <button onClick={() => setSelected([])} className="px-3 py-1 bg-gray-700 hover:bg-gray-600 rounded text-gray-300 text-sm">
+              Synthesize projects
+            </button>
+          ))}
+        </div>
         {err && <p className="text-red-400 text-sm mb-3">{err}</p>}
         {loading ? (
           <div className="text-gray-400">Loading…</div>
@@ -61,8 +88,22 @@ const DashboardPage = ({ user }) => {
         ) : (
           <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-6">
             {projects.map(p => (
-              <div key={p.id} className="p-4 bg-gray-800/60 border border-gray-700 rounded-lg">
-                <div className="text-white font-semibold">{p.project_name || 'Untitled Project'}</div>
+              <div
+                key={p.id}
+                className={`p-4 bg-gray-800/60 border rounded-lg ${selected?.includes(p.id) ? 'border-teal-500' : 'border-gray-700'}`}
+              >
+                <div className="flex items-start justify-between gap-2">
+                  <div className="text-white font-semibold">{p.project_name || 'Untitled Project'}</div>
+                  {selected && (
+                    <input
+                      type="checkbox"
+                      checked={selected.includes(p.id)}
+                      onChange={() => toggleSelected(p.id)}
+                      aria-label={`Select ${p.project_name || 'Untitled Project'} for synthesis`}
+                      className="h-4 w-4 mt-1 text-teal-600 bg-gray-700 border-gray-600 rounded focus:ring-teal-500"
+                    />
+                  )}
+                </div>
                 <div className="text-gray-500 text-sm">{new Date(p.created_at).toLocaleString()}</div>
                 <div className="mt-3 flex gap-2">
                   <button
@@ -0,0 +1,182 @@
+import React, { useState, useEffect } from 'react';
+import { Link, useNavigate, useSearchParams } from 'react-router-dom';
+import { supabase } from '../supabaseClient.js';
+import { synthesizeProjects, themeLink } from '../utils/projectSynthesis.js';
+
+async function getProjects(ids) {
+  const { data, error } = await supabase
+    .from('projects')
+    .select('id, project_name, created_at, analysis_report')
+    .in('id', ids);
+  if (error) throw error;
+  // Keep the order in which the projects were selected.
+  return ids.map(id => (data || []).find(project => project.id === id)).filter(Boolean);
+}
+
+const formatSourceType = (type) =>
+  (type || 'general').replace(/_/g, ' ').replace(/\b\w/g, l => l.toUpperCase());
+
+const ThemeLinks = ({ themes }) => (
+  <ul className="space-y-2">
+    {themes.map((theme, index) => (
+      <li key={`${theme.projectId}-${theme.themeId || index}`} className="text-sm">
+        <Link to={themeLink(theme)} className="text-teal-300 hover:text-teal-200 underline decoration-dotted">
+          {theme.theme}
+        </Link>
+        <span className="text-gray-500">
+          {' '}· {theme.projectName} · {formatSourceType(theme.sourceType === 'legacy' ? 'general' : theme.sourceType)}
+          {' '}· {Math.round((Number(theme.prominence) || 0) * 100)}% prominence
+        </span>
+      </li>
+    ))}
+  </ul>
+);
+
+const SynthesisPage = () => {
+  const navigate = useNavigate();
+  const [searchParams] = useSearchParams();
+  const ids = (searchParams.get('projects') || '').split(',').map(id => id.trim()).filter(Boolean);
+  const idsKey = ids.join(',');
+  const [projects, setProjects] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [focus, setFocus] = useState('');
+  const [synthesis, setSynthesis] = useState(null);
+  const [isRunning, setIsRunning] = useState(false);
+  const [err, setErr] = useState(null);
+
+  useEffect(() => {
+    (async () => {
+      try {
+        setLoading(true);
+        setProjects(await getProjects(idsKey.split(',').filter(Boolean)));
+      } catch (e) {
+        setErr(e.message);
+      } finally {
+        setLoading(false);
+      }
+    })();
+  }, [idsKey]);
+
+  const handleRun = async () => {
+    setIsRunning(true);
+    setErr(null);
+    try {
+      setSynthesis(await synthesizeProjects(projects, { focus }));
+    } catch (e) {
+      setErr(e.message);
+    } finally {
+      setIsRunning(false);
+    }
+  };
+
+  return (
+    <div className="space-y-8">
+      <div className="flex flex-wrap items-start justify-between gap-4">
+        <div>
+          <h2 className="text-3xl font-bold text-white">Cross-Project Synthesis</h2>
+          <p className="text-gray-400 mt-1">Find themes that recur across your studies.</p>
+        </div>
+        <button
+          onClick={() => navigate('/dashboard')}
+          className="px-4 py-2 text-sm rounded-md text-gray-300 bg-gray-700 hover:bg-gray-600 border border-gray-600"
+        >
+          Back to Dashboard
+        </button>
+      </div>
+
+      <div className="p-4 bg-gray-900/50 backdrop-blur-lg border border-gray-700/50 rounded-lg space-y-4">
+        {loading ? (
+          <div className="text-gray-400">Loading…</div>
+        ) : (
+          <>
+            <div>
+              <h3 className="text-lg font-semibold text-white mb-2">Selected projects ({projects.length})</h3>
+              <ul className="flex flex-wrap gap-2">
+                {projects.map(project => (
+                  <li key={project.id}>
+                    <Link to={`/app/${project.id}`} className="inline-block px-3 py-1 rounded-md bg-gray-800 border border-gray-700 text-sm text-gray-200 hover:text-white">
+                      {project.project_name || 'Untitled Project'}
+                    </Link>
+                  </li>
+                ))}
+              </ul>
+              {projects.length < 2 && (
+                <p className="mt-2 text-sm text-yellow-400">Select at least two projects on the dashboard to synthesize.</p>
+              )}
+            </div>
+            <div className="flex flex-wrap items-center gap-2">
+              <input
+                type="text"
+                value={focus}
+                onChange={(e) => setFocus(e.target.value)}
+                placeholder="Optional focus, e.g. onboarding or pricing"
+                className="flex-1 min-w-[12rem] shadow-sm focus:ring-[#13BBAF] focus:border-[#13BBAF] sm:text-sm border-gray-600 bg-gray-800 text-white rounded-md p-2"
+              />
+              <button
+                onClick={handleRun}
+                disabled={isRunning || projects.length < 2}
+                className="px-4 py-2 rounded-md text-white bg-[#13BBAF] hover:bg-teal-600 disabled:bg-gray-600 disabled:cursor-not-allowed"
+              >
+                {isRunning ? 'Synthesizing…' : synthesis ? 'Run again' : 'Synthesize'}
+              </button>
+            </div>
+          </>
+        )}
+        {err && <p className="text-red-400 text-sm">{err}</p>}
+      </div>
+
+      {synthesis && (
+        <div className="space-y-6">
+          {synthesis.overview && (
+            <div className="p-4 rounded-lg border border-gray-700 bg-gray-800/50">
+              <h3 className="text-lg font-semibold text-white mb-2">Overview</h3>
+              <p className="text-gray-300">{synthesis.overview}</p>
+              <p className="mt-2 text-xs text-gray-500">
+                {synthesis.themeCount} themes from {synthesis.projectCount} projects ·
+                {' '}{new Date(synthesis.generatedAt).toLocaleString()}
+              </p>
+            </div>
+          )}
+
+          {synthesis.metaThemes.length === 0 ? (
+            <p className="text-gray-400">No recurring meta-themes were found across these projects.</p>
+          ) : (
+            <ul className="space-y-4">
+              {synthesis.metaThemes.map((metaTheme, index) => (
+                <li key={index} className="p-4 rounded-lg border border-gray-700 bg-gray-900/70">
+                  <div className="flex flex-wrap items-center justify-between gap-2 mb-2">
+                    <h4 className="text-white font-bold text-lg">{metaTheme.title}</h4>
+                    <span className={`text-xs px-2 py-0.5 rounded-full border ${
+                      metaTheme.projectCount > 1
+                        ? 'bg-teal-900/50 text-teal-300 border-teal-700/50'
+                        : 'bg-gray-800 text-gray-400 border-gray-700'
+                    }`}>
+                      {metaTheme.projectCount > 1
+                        ? `Recurs in ${metaTheme.projectCount} of ${synthesis.projectCount} projects`
+                        : 'Found in 1 project'}
+                    </span>
+                  </div>
+                  {metaTheme.summary && <p className="text-gray-300 mb-3">{metaTheme.summary}</p>}
+                  <ThemeLinks themes={metaTheme.themes} />
+                </li>
+              ))}
+            </ul>
+          )}
+
+          {synthesis.ungrouped.length > 0 && (
+            <details className="p-4 rounded-lg border border-gray-700 bg-gray-800/50">
+              <summary className="cursor-pointer text-gray-300 font-semibold">
+                Themes not grouped into a meta-theme ({synthesis.ungrouped.length})
+              </summary>
+              <div className="mt-3">
+                <ThemeLinks themes={synthesis.ungrouped} />
+              </div>
+            </details>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default SynthesisPage;
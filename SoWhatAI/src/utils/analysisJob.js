@@ -0,0 +1,220 @@
+import { getStorageItem, setStorageItem } from './safeStorage.js';
+
+const DEFAULT_POLL_INTERVAL_MS = 2000;
+const PENDING_ANALYSIS_KEY = 'sowhatai:pending-analysis';
+const PENDING_FILES_KEY = 'sowhatai:pending-analysis-files';
+
+function parseJsonSafe(response) {
+  return response
+    .json()
+    .then((value) => value)
+    .catch(() => null);
+}
+
+function toAbortError() {
+  return new DOMException('The operation was aborted.', 'AbortError');
+}
+
+function delay(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal && signal.aborted) {
+      reject(toAbortError());
+      return;
+    }
+    const timeoutId = setTimeout(() => {
+      if (signal) signal.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    const onAbort = () => {
+      clearTimeout(timeoutId);
+      reject(toAbortError());
+    };
+    if (signal) signal.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+function extractErrorMessage(payload, fallback) {
+  return String(payload?.error?.message || payload?.error || payload?.message || fallback)
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+// Errors keep the server's partial report (if any) so the caller can still show it.
+function createJobError(message, { code, partialResult } = {}) {
+  const error = new Error(message);
+  if (code) error.code = code;
+  error.partialResult = partialResult || null;
+  return error;
+}
+
+async function getAnalysisStatus(jobId, { signal } = {}) {
+  const response = await fetch(`/.netlify/functions/analyze-status?jobId=${encodeURIComponent(jobId)}`, {
+    method: 'GET',
+    signal
+  });
+  const data = await parseJsonSafe(response);
+  if (!response.ok || !data || typeof data !== 'object') {
+    throw new Error(extractErrorMessage(data, `Failed to fetch analysis status (${response.status}).`));
+  }
+  return {
+    jobId: String(data.jobId || jobId),
+    status: String(data.status || 'queued').toLowerCase(),
+    progress: {
+      percent: Number.isFinite(Number(data.progress?.percent)) ? Number(data.progress.percent) : 0,
+      stage: String(data.progress?.stage || 'queued'),
+      message: String(data.progress?.message || ''),
+      ...(Number.isFinite(Number(data.progress?.chunks))
+        ? { chunk: Number(data.progress.chunk) || 0, chunks: Number(data.progress.chunks) }
+        : {})
+    },
+    result: data.result ?? null,
+    partialResult: data.partialResult ?? null,
+    error: data.error ?? null,
+    cancelRequested: Boolean(data.cancelRequested)
+  };
+}
+
+async function cancelAnalysisJob(jobId) {
+  const response = await fetch('/.netlify/functions/analyze-cancel', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ jobId })
+  });
+  const data = await parseJsonSafe(response);
+  if (!response.ok) {
+    throw new Error(extractErrorMessage(data, `Failed to cancel analysis (${response.status}).`));
+  }
+  return data;
+}
+
+async function startAnalysisJob(payload) {
+  const response = await fetch('/.netlify/functions/analyze-start', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(payload || {})
+  });
+  const data = await parseJsonSafe(response);
+  if (!response.ok) {
+    throw new Error(extractErrorMessage(data, `Failed to start analysis (${response.status}).`));
+  }
+  if (!data?.jobId) {
+    throw new Error('analyze-start did not return a jobId.');
+  }
+  if (data.status === 'failed') {
+    throw new Error(extractErrorMessage(data, 'Unable to queue analysis.'));
+  }
+  return { jobId: String(data.jobId), status: String(data.status || 'queued') };
+}
+
+/**
+ * Polls a job until it finishes, passing each status to `onProgress`. Resolves with the report.
+ * Failures and cancellations reject with `error.partialResult` set to whatever the job had
+ * produced; cancellations also have `code: 'cancelled'`. Aborting `signal` only stops polling.
+ */
+async function watchAnalysisJob(jobId, { onProgress, pollIntervalMs = DEFAULT_POLL_INTERVAL_MS, signal } = {}) {
+  const intervalMs = Math.max(500, Math.floor(Number(pollIntervalMs) || DEFAULT_POLL_INTERVAL_MS));
+  let failedPolls = 0;
+
+  while (true) {
+    if (signal && signal.aborted) {
+      throw toAbortError();
+    }
+
+    let status;
+    try {
+      status = await getAnalysisStatus(jobId, { signal });
+      failedPolls = 0;
+    } catch (error) {
+      // Transient network errors are retried; the job keeps running server-side regardless.
+      if (error?.name === 'AbortError' || ++failedPolls >= 5) throw error;
+      await delay(intervalMs, signal);
+      continue;
+    }
+
+    if (typeof onProgress === 'function') onProgress(status);
+
+    if (status.status === 'complete') {
+      return status.result || {};
+    }
+    if (status.status === 'cancelled') {
+      throw createJobError('Analysis cancelled.', { code: 'cancelled', partialResult: status.partialResult });
+    }
+    if (status.status === 'failed') {
+      throw createJobError(
+        extractErrorMessage(status, status.progress?.message || 'Analysis failed.'),
+        { code: status.error?.code, partialResult: status.partialResult }
+      );
+    }
+
+    await delay(intervalMs, signal);
+  }
+}
+
+/**
+ * Queues an analysis as a background job and waits for it. `onStart(jobId)` is called once the
+ * job is queued, so the caller can remember it (to resume after a reload) and offer cancel.
+ */
+async function runAnalysisJob(payload, { onStart, onProgress, pollIntervalMs, signal } = {}) {
+  const started = await startAnalysisJob(payload);
+  if (typeof onStart === 'function') onStart(started.jobId);
+  return watchAnalysisJob(started.jobId, { onProgress, pollIntervalMs, signal });
+}
+
+/*
+ * The job that is running for this browser, with what is needed to attach its report to a
+ * project once it finishes: { jobId, projectId, projectName, dataSet, redaction, redactionMap }.
+ * Like the redaction map, it is kept in local storage only.
+ */
+function savePendingAnalysis(pending) {
+  if (!pending?.jobId) return false;
+  return setStorageItem(PENDING_ANALYSIS_KEY, JSON.stringify({ ...pending, startedAt: new Date().toISOString() }));
+}
+
+function loadPendingAnalysis() {
+  const raw = getStorageItem(PENDING_ANALYSIS_KEY);
+  if (!raw) return null;
+  try {
+    const parsed = JSON.parse(raw);
+    return parsed && typeof parsed === 'object' && parsed.jobId ? parsed : null;
+  } catch {
+    return null;
+  }
+}
+
+/*
+ * The pending job's source files, kept under their own key so a data set too large for local
+ * storage does not stop the job itself from being resumed. Returns false when the files could
+ * not be stored in a way that survives a reload.
+ */
+function savePendingAnalysisFiles(files) {
+  return setStorageItem(PENDING_FILES_KEY, JSON.stringify(Array.isArray(files) ? files : []));
+}
+
+function loadPendingAnalysisFiles() {
+  const raw = getStorageItem(PENDING_FILES_KEY);
+  if (!raw) return null;
+  try {
+    const parsed = JSON.parse(raw);
+    return Array.isArray(parsed) ? parsed : null;
+  } catch {
+    return null;
+  }
+}
+
+function clearPendingAnalysis() {
+  setStorageItem(PENDING_FILES_KEY, '');
+  return setStorageItem(PENDING_ANALYSIS_KEY, '');
+}
+
+export {
+  getAnalysisStatus,
+  cancelAnalysisJob,
+  startAnalysisJob,
+  watchAnalysisJob,
+  runAnalysisJob,
+  savePendingAnalysis,
+  loadPendingAnalysis,
+  savePendingAnalysisFiles,
+  loadPendingAnalysisFiles,
+  clearPendingAnalysis
+};
@@ -0,0 +1,90 @@
+import { createThemeId } from './themeEditing.js';
+
+/*
+ * "Ask your data" answers saved to the report are kept as `savedAnswers`:
+ *   { id, question, answer, citations, insufficientEvidence, createdAt }
+ * `citations` are traced evidence objects, like theme evidence.
+ */
+
+function parseJsonSafe(response) {
+  return response
+    .json()
+    .then((value) => value)
+    .catch(() => null);
+}
+
+function extractErrorMessage(payload, fallback) {
+  return String(payload?.error?.message || payload?.error || payload?.message || fallback)
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+// The current themes, flattened for the prompt.
+function summariseThemes(report) {
+  const sources = (report?.analysisBySource || []).length > 0
+    ? report.analysisBySource
+    : [{ sourceType: 'general', themes: report?.themes || [] }];
+  return sources.flatMap(source => (source.themes || []).map(theme => ({
+    sourceType: source.sourceType,
+    theme: theme.theme,
+    themeNarrative: theme.themeNarrative,
+    prominence: theme.prominence
+  })));
+}
+
+/**
+ * Sends a follow-up question to the `ask` function. `history` holds the earlier
+ * { question, answer } turns of the conversation. Resolves to the grounded answer.
+ */
+async function askQuestion({ question, textSources, report, history = [] }, { signal } = {}) {
+  const response = await fetch('/.netlify/functions/ask', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({
+      question,
+      textSources,
+      themes: summariseThemes(report),
+      history: history.map(turn => ({ question: turn.question, answer: turn.answer })),
+      researchQuestion: report?.researchQuestion || ''
+    }),
+    signal
+  });
+  const data = await parseJsonSafe(response);
+  if (!response.ok || !data || typeof data.answer !== 'string') {
+    const error = new Error(extractErrorMessage(data, `Unable to answer the question (${response.status}).`));
+    error.code = data?.error?.code || 'ask_failed';
+    throw error;
+  }
+  return data;
+}
+
+function getSavedAnswers(report) {
+  return Array.isArray(report?.savedAnswers) ? report.savedAnswers : [];
+}
+
+function createSavedAnswer({ question, answer, citations, insufficientEvidence }) {
+  return {
+    id: createThemeId(),
+    question: String(question || '').trim(),
+    answer: String(answer || '').trim(),
+    citations: Array.isArray(citations) ? citations : [],
+    insufficientEvidence: Boolean(insufficientEvidence),
+    createdAt: new Date().toISOString()
+  };
+}
+
+function addSavedAnswer(report, savedAnswer) {
+  return { ...report, savedAnswers: [...getSavedAnswers(report), savedAnswer] };
+}
+
+function removeSavedAnswer(report, answerId) {
+  return { ...report, savedAnswers: getSavedAnswers(report).filter(saved => saved.id !== answerId) };
+}
+
+export {
+  askQuestion,
+  getSavedAnswers,
+  createSavedAnswer,
+  addSavedAnswer,
+  removeSavedAnswer
+};
@@ -0,0 +1,94 @@
+import Papa from 'papaparse';
+import { normaliseCode, buildCodebookCoverage } from './codebookCoverage.js';
+
+// Accepted column names for each codebook field, compared case-insensitively.
+const COLUMN_ALIASES = {
+  code: ['code', 'code name', 'name', 'label', 'theme'],
+  definition: ['definition', 'description', 'meaning'],
+  include: ['include', 'inclusion', 'inclusion criteria', 'when to use'],
+  exclude: ['exclude', 'exclusion', 'exclusion criteria', 'when not to use']
+};
+
+function createCodebookEntry() {
+  return { code: '', definition: '', include: '', exclude: '' };
+}
+
+function pickField(row, field) {
+  const key = Object.keys(row || {}).find(column => COLUMN_ALIASES[field].includes(column.trim().toLowerCase()));
+  return key ? String(row[key] ?? '').trim() : '';
+}
+
+function toEntries(rows) {
+  return rows
+    .map(row => ({
+      code: pickField(row, 'code'),
+      definition: pickField(row, 'definition'),
+      include: pickField(row, 'include'),
+      exclude: pickField(row, 'exclude')
+    }))
+    .filter(entry => entry.code);
+}
+
+/**
+ * Reads a codebook from CSV (one row per code) or JSON (an array of codes, or { codes: [...] }).
+ * Columns are matched by name, e.g. "Code", "Definition", "Inclusion criteria", "Exclusion criteria".
+ */
+function parseCodebook(text, fileName = '') {
+  const raw = String(text || '').trim();
+  if (!raw) throw new Error('The codebook file is empty.');
+
+  let rows;
+  if (/\.json$/i.test(fileName) || /^[[{]/.test(raw)) {
+    let parsed;
+    try {
+      parsed = JSON.parse(raw);
+    } catch {
+      throw new Error('The codebook is not valid JSON.');
+    }
+    rows = Array.isArray(parsed) ? parsed : parsed?.codes;
+    if (!Array.isArray(rows)) throw new Error('A JSON codebook must be an array of codes or { "codes": [...] }.');
+  } else {
+    rows = Papa.parse(raw, { header: true, skipEmptyLines: true }).data;
+  }
+
+  const entries = toEntries(rows);
+  if (entries.length === 0) {
+    throw new Error('No codes were found. Include a "Code" column (plus optional "Definition", "Inclusion", "Exclusion").');
+  }
+  return entries;
+}
+
+// Entries that can be sent for analysis: named, trimmed, first occurrence of each name.
+function usableCodebook(entries) {
+  const seen = new Set();
+  return (Array.isArray(entries) ? entries : [])
+    .map(entry => ({
+      code: String(entry?.code || '').trim(),
+      definition: String(entry?.definition || '').trim(),
+      include: String(entry?.include || '').trim(),
+      exclude: String(entry?.exclude || '').trim()
+    }))
+    .filter(entry => {
+      const key = normaliseCode(entry.code);
+      if (!key || seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    });
+}
+
+/**
+ * Evidence per code for a deductive report, recomputed from its current themes so theme edits
+ * and merges are reflected. Codes without any theme are kept with zero counts.
+ */
+function summariseCodebookCoverage(report) {
+  const stored = report?.codebookCoverage;
+  if (!stored || !Array.isArray(stored.codes)) return null;
+  return buildCodebookCoverage(report, stored.codes, Array.isArray(stored.unmatchedThemes) ? stored.unmatchedThemes : []);
+}
+
+export {
+  createCodebookEntry,
+  parseCodebook,
+  usableCodebook,
+  summariseCodebookCoverage
+};
@@ -0,0 +1,57 @@
+// Codebook rules shared by the browser and netlify/functions/codebook.cjs, which requires this
+// module, so the stored coverage and the coverage recomputed after theme edits always agree.
+
+// The analysis keeps at most this many codes; the rest of a longer codebook is ignored.
+const MAX_CODES = 60;
+
+// Code names match case-insensitively with whitespace collapsed.
+function normaliseCode(value) {
+  return String(value ?? '').trim().toLowerCase().replace(/\s+/g, ' ');
+}
+
+function round2(value) {
+  return Number(Number(value || 0).toFixed(2));
+}
+
+/**
+ * Reports evidence per code across all source types, including codes with no evidence
+ * (`codesWithEvidence` counts the codes found in at least one source type):
+ * { codes: [{ code, definition, sourceTypes, prominence, evidenceCount, verifiedCount }],
+ *   codesWithEvidence, totalCodes, unmatchedThemes }.
+ */
+function buildCodebookCoverage(analysis, codebook, unmatchedThemes = []) {
+  const coverage = new Map(codebook.map(entry => [normaliseCode(entry.code), {
+    code: entry.code,
+    definition: entry.definition || '',
+    sourceTypes: [],
+    prominence: 0,
+    evidenceCount: 0,
+    verifiedCount: 0
+  }]));
+
+  (analysis?.analysisBySource || []).forEach(sourceAnalysis => {
+    (sourceAnalysis?.themes || []).forEach(theme => {
+      const entry = coverage.get(normaliseCode(theme.code || theme.theme));
+      if (!entry) return;
+      const evidence = Array.isArray(theme.evidence) ? theme.evidence : [];
+      if (!entry.sourceTypes.includes(sourceAnalysis.sourceType)) entry.sourceTypes.push(sourceAnalysis.sourceType);
+      entry.prominence = Math.max(entry.prominence, round2(Math.min(1, Math.max(0, Number(theme.prominence) || 0))));
+      entry.evidenceCount += evidence.length;
+      entry.verifiedCount += evidence.filter(item => item && typeof item === 'object' && item.verified).length;
+    });
+  });
+
+  const codes = [...coverage.values()];
+  return {
+    codes,
+    codesWithEvidence: codes.filter(entry => entry.sourceTypes.length > 0).length,
+    totalCodes: codes.length,
+    unmatchedThemes
+  };
+}
+
+export {
+  MAX_CODES,
+  normaliseCode,
+  buildCodebookCoverage
+};
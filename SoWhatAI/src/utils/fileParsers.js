@@ -0,0 +1,248 @@
+import * as mammoth from 'mammoth/mammoth.browser';
+
+const SUPPORTED_EXTENSIONS = ['txt', 'md', 'markdown', 'doc', 'docx', 'pdf', 'vtt', 'srt', 'json', 'csv', 'xls', 'xlsx'];
+const ACCEPT_ATTRIBUTE = SUPPORTED_EXTENSIONS.map(ext => `.${ext}`).join(',');
+const JSON_ARRAY_KEYS = ['responses', 'data', 'results', 'items', 'records', 'rows', 'answers', 'entries'];
+const CUE_TIMING_PATTERN = /^(?:\d{1,2}:)?\d{1,2}:\d{2}[.,]\d{1,3}\s+-->\s+(?:\d{1,2}:)?\d{1,2}:\d{2}[.,]\d{1,3}/;
+
+function fileExtension(name) {
+  const match = String(name || '').toLowerCase().match(/\.([a-z0-9]+)$/);
+  return match ? match[1] : '';
+}
+
+function readFile(file, method) {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = (e) => resolve(e.target.result);
+    reader.onerror = () => reject(new Error('The file could not be read.'));
+    reader[method](file);
+  });
+}
+
+function ensureContent(content) {
+  const text = String(content || '').trim();
+  if (!text) {
+    throw new Error('No readable text was found in this file.');
+  }
+  return text;
+}
+
+// Markdown is kept as prose: syntax that carries no meaning for analysis is removed.
+function markdownToText(markdown) {
+  return String(markdown || '')
+    .replace(/^---\n[\s\S]*?\n---\n/, '')
+    .replace(/```[^\n]*\n?/g, '')
+    .replace(/!\[([^\]]*)\]\([^)]*\)/g, '$1')
+    .replace(/\[([^\]]+)\]\([^)]*\)/g, '$1')
+    .replace(/^\s{0,3}#{1,6}\s+/gm, '')
+    .replace(/^\s{0,3}>\s?/gm, '')
+    .replace(/^\s*(?:[-*+]|\d+\.)\s+\[[ xX]\]\s+/gm, '- ')
+    .replace(/^\s*[-*_]{3,}\s*$/gm, '')
+    .replace(/(\*\*|__)(.+?)\1/g, '$2')
+    .replace(/(^|[^\w*])[*_]([^*_\n]+)[*_](?=[^\w*]|$)/g, '$1$2')
+    .replace(/`([^`]+)`/g, '$1')
+    .replace(/<[^>]+>/g, '')
+    .replace(/\n{3,}/g, '\n\n');
+}
+
+/**
+ * Converts WebVTT or SRT captions to a plain transcript. Cue numbers, timings and NOTE/STYLE
+ * blocks are dropped; `<v Speaker>` voice tags become "Speaker: text" lines, and consecutive
+ * cues from the same speaker are joined into one turn.
+ */
+function captionsToTranscript(raw) {
+  const blocks = String(raw || '')
+    .replace(/^﻿/, '')
+    .replace(/\r\n?/g, '\n')
+    .split(/\n{2,}/);
+
+  const turns = [];
+  blocks.forEach(block => {
+    const lines = block.split('\n').map(line => line.trim()).filter(Boolean);
+    const timingIndex = lines.findIndex(line => CUE_TIMING_PATTERN.test(line));
+    if (timingIndex === -1) return;
+
+    lines.slice(timingIndex + 1).forEach(line => {
+      const voice = line.match(/^<v(?:\.[^\s>]*)?\s+([^>]+)>/i);
+      let speaker = voice ? voice[1].trim() : null;
+      let text = line.replace(/<[^>]+>/g, '').replace(/\{\\[^}]*\}/g, '').trim();
+      if (!speaker) {
+        const prefixed = text.match(/^([A-Z][\w .'-]{0,40}):\s+(.*)$/);
+        if (prefixed) {
+          speaker = prefixed[1].trim();
+          text = prefixed[2];
+        }
+      }
+      if (!text) return;
+
+      const last = turns[turns.length - 1];
+      if (last && last.speaker === speaker) {
+        last.text = `${last.text} ${text}`;
+      } else {
+        turns.push({ speaker, text });
+      }
+    });
+  });
+
+  return turns.map(turn => (turn.speaker ? `${turn.speaker}: ${turn.text}` : turn.text)).join('\n');
+}
+
+function flattenRecord(record, prefix = '', out = {}) {
+  Object.entries(record || {}).forEach(([key, value]) => {
+    const name = prefix ? `${prefix}.${key}` : key;
+    if (value && typeof value === 'object' && !Array.isArray(value)) {
+      flattenRecord(value, name, out);
+    } else if (Array.isArray(value)) {
+      out[name] = value.map(item => (item && typeof item === 'object' ? JSON.stringify(item) : item)).join('; ');
+    } else {
+      out[name] = value ?? '';
+    }
+  });
+  return out;
+}
+
+function findRecordArray(parsed) {
+  const isRecordArray = (value) => Array.isArray(value)
+    && value.length > 0
+    && value.every(item => item && typeof item === 'object' && !Array.isArray(item));
+
+  if (isRecordArray(parsed)) return parsed;
+  if (parsed && typeof parsed === 'object') {
+    const preferred = JSON_ARRAY_KEYS.find(key => isRecordArray(parsed[key]));
+    if (preferred) return parsed[preferred];
+    const anyKey = Object.keys(parsed).find(key => isRecordArray(parsed[key]));
+    if (anyKey) return parsed[anyKey];
+  }
+  return null;
+}
+
+function collectStrings(value, out = []) {
+  if (typeof value === 'string') {
+    if (value.trim()) out.push(value.trim());
+  } else if (Array.isArray(value)) {
+    value.forEach(item => collectStrings(item, out));
+  } else if (value && typeof value === 'object') {
+    Object.values(value).forEach(item => collectStrings(item, out));
+  }
+  return out;
+}
+
+/**
+ * Survey-tool exports (an array of response objects, or an object wrapping one) become a
+ * spreadsheet with flattened column names such as `answers.q1`. Each row's `rowNumbers` entry is
+ * its 1-based record number, since a JSON export has no header row. Any other JSON is treated as
+ * text made of its string values.
+ */
+function parseJsonExport(raw) {
+  let parsed;
+  try {
+    parsed = JSON.parse(raw);
+  } catch {
+    throw new Error('The file is not valid JSON.');
+  }
+
+  const records = findRecordArray(parsed);
+  if (records) {
+    const rows = records.map(record => flattenRecord(record));
+    const headers = [...new Set(rows.flatMap(row => Object.keys(row)))];
+    rows.forEach(row => headers.forEach(header => {
+      if (!(header in row)) row[header] = '';
+    }));
+    return { type: 'spreadsheet', rows, headers, rowNumbers: rows.map((_, index) => index + 1) };
+  }
+  return { type: 'text', content: ensureContent(collectStrings(parsed).join('\n')) };
+}
+
+async function extractPdfText(arrayBuffer) {
+  // pdf.js is large, so it is only loaded when a PDF is added.
+  const [pdfjs, worker] = await Promise.all([
+    import('pdfjs-dist'),
+    import('pdfjs-dist/build/pdf.worker.min.js?url')
+  ]);
+  pdfjs.GlobalWorkerOptions.workerSrc = worker.default;
+
+  let pdf;
+  try {
+    pdf = await pdfjs.getDocument({ data: new Uint8Array(arrayBuffer), isEvalSupported: false }).promise;
+  } catch (err) {
+    if (err?.name === 'PasswordException') {
+      throw new Error('The PDF is password protected.');
+    }
+    throw new Error('The PDF could not be opened.');
+  }
+
+  const pages = [];
+  for (let pageNumber = 1; pageNumber <= pdf.numPages; pageNumber++) {
+    const page = await pdf.getPage(pageNumber);
+    const { items } = await page.getTextContent();
+    const text = items
+      .map(item => `${item.str}${item.hasEOL ? '\n' : ' '}`)
+      .join('')
+      .replace(/[ \t]+/g, ' ')
+      .replace(/ *\n */g, '\n')
+      .trim();
+    if (text) pages.push(text);
+  }
+  await pdf.destroy();
+
+  if (pages.length === 0) {
+    throw new Error('No selectable text was found. Scanned PDFs need OCR before upload.');
+  }
+  return pages.join('\n\n');
+}
+
+/**
+ * Parses an uploaded File into a data-set entry. Text-like formats resolve to
+ * `{ type: 'text', content }`; tabular formats to `{ type: 'spreadsheet', rows, headers }`
+ * (CSV/Excel are parsed later by the mapping modal, so they carry the original `fileObject`).
+ * Rejects with a user-facing message when the format is unsupported or parsing fails.
+ */
+async function parseUploadedFile(file) {
+  const ext = fileExtension(file.name);
+
+  switch (ext) {
+    case 'txt':
+      return { type: 'text', content: ensureContent(await readFile(file, 'readAsText')) };
+    case 'md':
+    case 'markdown':
+      return { type: 'text', content: ensureContent(markdownToText(await readFile(file, 'readAsText'))) };
+    case 'vtt':
+    case 'srt':
+      return { type: 'text', content: ensureContent(captionsToTranscript(await readFile(file, 'readAsText'))) };
+    case 'json':
+      return parseJsonExport(await readFile(file, 'readAsText'));
+    case 'pdf':
+      return { type: 'text', content: await extractPdfText(await readFile(file, 'readAsArrayBuffer')) };
+    case 'doc':
+    case 'docx': {
+      if (!mammoth || typeof mammoth.extractRawText !== 'function') {
+        throw new Error('The Word document reader is not available.');
+      }
+      const arrayBuffer = await readFile(file, 'readAsArrayBuffer');
+      let result;
+      try {
+        result = await mammoth.extractRawText({ arrayBuffer });
+      } catch {
+        throw new Error(ext === 'doc'
+          ? 'Legacy .doc files are not supported. Save the document as .docx and try again.'
+          : 'The Word document could not be read.');
+      }
+      return { type: 'text', content: ensureContent(result.value) };
+    }
+    case 'csv':
+    case 'xls':
+    case 'xlsx':
+      return { type: 'spreadsheet', fileObject: file, rows: [], headers: [] };
+    default:
+      throw new Error(`Unsupported file type${ext ? ` ".${ext}"` : ''}. Supported: ${SUPPORTED_EXTENSIONS.join(', ')}.`);
+  }
+}
+
+export {
+  ACCEPT_ATTRIBUTE,
+  SUPPORTED_EXTENSIONS,
+  parseUploadedFile,
+  markdownToText,
+  captionsToTranscript,
+  parseJsonExport
+};
@@ -0,0 +1,90 @@
+import { createThemeId } from './themeEditing.js';
+
+/*
+ * Manually coded excerpts are kept on the report as `codedExcerpts`:
+ *   { id, themeId, fileName, start, end, text, createdAt }
+ * `start`/`end` are character offsets into the file's content, so a passage can be highlighted
+ * again when the project is reopened. `themeId` refers to a theme in any source type.
+ */
+
+function getCodedExcerpts(report) {
+  return Array.isArray(report?.codedExcerpts) ? report.codedExcerpts : [];
+}
+
+function createExcerpt({ themeId, fileName, start, end, text }) {
+  return {
+    id: createThemeId(),
+    themeId,
+    fileName,
+    start,
+    end,
+    text: String(text || '').trim(),
+    createdAt: new Date().toISOString()
+  };
+}
+
+function addCodedExcerpt(report, excerpt) {
+  return { ...report, codedExcerpts: [...getCodedExcerpts(report), excerpt] };
+}
+
+function removeCodedExcerpt(report, excerptId) {
+  return { ...report, codedExcerpts: getCodedExcerpts(report).filter(excerpt => excerpt.id !== excerptId) };
+}
+
+function excerptsByTheme(report) {
+  const byTheme = new Map();
+  getCodedExcerpts(report).forEach(excerpt => {
+    if (!byTheme.has(excerpt.themeId)) byTheme.set(excerpt.themeId, []);
+    byTheme.get(excerpt.themeId).push(excerpt);
+  });
+  return byTheme;
+}
+
+// "3 coded excerpts from 2 files", or '' when nothing is coded.
+function describeCodedEvidence(excerpts) {
+  const list = Array.isArray(excerpts) ? excerpts : [];
+  if (list.length === 0) return '';
+  const files = new Set(list.map(excerpt => excerpt.fileName)).size;
+  return `${list.length} coded excerpt${list.length === 1 ? '' : 's'} from ${files} file${files === 1 ? '' : 's'}`;
+}
+
+// The theme's quantitative evidence with its manual coding counts appended.
+function codedQuantitativeEvidence(theme, excerpts) {
+  return [theme?.quantitativeEvidence, describeCodedEvidence(excerpts)].filter(Boolean).join(' · ') || null;
+}
+
+/**
+ * Cuts a file's content into runs for highlighting: [{ start, end, text, excerpts }], where
+ * `excerpts` lists the coded excerpts covering the run (overlapping codes are allowed).
+ */
+function segmentContent(content, excerpts) {
+  const text = String(content || '');
+  const ranges = (Array.isArray(excerpts) ? excerpts : [])
+    .filter(excerpt => excerpt.start >= 0 && excerpt.end > excerpt.start && excerpt.end <= text.length);
+  const boundaries = [...new Set([0, text.length, ...ranges.flatMap(excerpt => [excerpt.start, excerpt.end])])]
+    .sort((a, b) => a - b);
+
+  const runs = [];
+  for (let i = 0; i < boundaries.length - 1; i += 1) {
+    const start = boundaries[i];
+    const end = boundaries[i + 1];
+    runs.push({
+      start,
+      end,
+      text: text.slice(start, end),
+      excerpts: ranges.filter(excerpt => excerpt.start <= start && excerpt.end >= end)
+    });
+  }
+  return runs;
+}
+
+export {
+  getCodedExcerpts,
+  createExcerpt,
+  addCodedExcerpt,
+  removeCodedExcerpt,
+  excerptsByTheme,
+  describeCodedEvidence,
+  codedQuantitativeEvidence,
+  segmentContent
+};
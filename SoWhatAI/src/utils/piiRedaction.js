@@ -0,0 +1,231 @@
+import { getStorageItem, setStorageItem } from './safeStorage.js';
+
+const REDACTION_MAP_KEY_PREFIX = 'sowhatai:redaction-map:';
+const REDACTION_CONFIG_KEY_PREFIX = 'sowhatai:redaction-config:';
+
+const DEFAULT_REDACTION_CONFIG = {
+  enabled: true,
+  email: true,
+  phone: true,
+  address: true,
+  names: ''
+};
+
+const EMAIL_PATTERN = /\b[A-Z0-9._%+-]+@[A-Z0-9.-]+\.[A-Z]{2,}\b/gi;
+// Candidate digit runs; isPhoneNumber decides which of them are shaped like a phone number.
+const PHONE_PATTERN = /(?<![\w+.-])(?:\+\d{1,3}[ .-]?)?(?:\(\d{1,5}\)[ .-]?)?\d{1,12}(?:[ .-]\d{1,12}){0,5}(?!\w|[.-]\d)/g;
+const YEAR_GROUP_PATTERN = /^(?:19|20)\d{2}$/;
+const LEADING_YEARS_PATTERN = /^(?:(?:19|20)\d{2}[ .-])+/;
+const STREET_PATTERN = /\b\d{1,5}[A-Za-z]?\s+(?:[A-Z][A-Za-z'-]*\s+){1,3}(?:Street|St|Road|Rd|Avenue|Ave|Lane|Ln|Drive|Dr|Boulevard|Blvd|Court|Ct|Way|Place|Pl|Close|Crescent|Terrace|Square|Sq|Gardens|Parkway)\b\.?/g;
+const POSTCODE_PATTERN = /\b[A-Z]{1,2}\d[A-Z\d]?\s*\d[A-Z]{2}\b/g;
+const DATE_PATTERN = /^(?:\d{4}[./-]\d{1,2}[./-]\d{1,2}|\d{1,2}[./-]\d{1,2}[./-]\d{2,4})$/;
+
+/**
+ * A phone number has 7–15 digits and either starts with "+" or "(", or is split by separators
+ * into at least three groups: an optional 1–3 digit country or trunk prefix ("1 800 555 1234"),
+ * then groups of 2–6 digits. Dates, runs of 4-digit years ("2023 2024"), two-group numbers such
+ * as tickets ("1234 5678"), unseparated numbers such as order IDs and IPv4-style dotted numbers
+ * are left alone.
+ */
+function isPhoneNumber(candidate) {
+  const value = candidate.trim();
+  const digits = value.replace(/\D/g, '');
+  if (digits.length < 7 || digits.length > 15 || DATE_PATTERN.test(value)) return false;
+  if (/^[+(]/.test(value)) return true;
+  const groups = value.split(/[ .-]/);
+  if (groups.length < 3 || groups[0].length > 6) return false;
+  if (groups.slice(1).some(group => group.length < 2 || group.length > 6)) return false;
+  if (groups.every(group => YEAR_GROUP_PATTERN.test(group))) return false;
+  return !(value.includes('.') && groups.length === 4 && groups.every(group => group.length <= 3));
+}
+
+function escapeRegExp(value) {
+  return String(value).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function parseNameList(text) {
+  return String(text || '')
+    .split(/[\n,;]+/)
+    .map(name => name.trim())
+    .filter(name => name.length >= 2);
+}
+
+// A name is redacted as written and by its individual parts (e.g. "Jane" in "Jane Smith").
+function nameVariants(fullName) {
+  return [...new Set([fullName, ...fullName.split(/\s+/).filter(part => part.length >= 3)])];
+}
+
+function wholeWordPattern(value) {
+  return new RegExp(`(?<![\\p{L}\\p{N}])${escapeRegExp(value)}(?![\\p{L}\\p{N}])`, 'giu');
+}
+
+// Full names are matched first, then their individual parts, all mapping to the same placeholder.
+function buildNamePatterns(names) {
+  const entries = [];
+  names.forEach((fullName, index) => {
+    nameVariants(fullName).forEach(variant => entries.push({ variant, index }));
+  });
+  return entries
+    .sort((a, b) => b.variant.length - a.variant.length)
+    .map(({ variant, index }) => ({ pattern: wholeWordPattern(variant), key: `name:${index}` }));
+}
+
+/**
+ * Creates a redaction session. Placeholders are consistent across every text redacted in the
+ * session, so the same email or participant name always becomes the same token. A project's
+ * existing `mapping` can seed the session, so originals it already holds keep their placeholders.
+ */
+function createRedactionSession(config = DEFAULT_REDACTION_CONFIG, seedMapping = null) {
+  const options = { ...DEFAULT_REDACTION_CONFIG, ...config };
+  const names = parseNameList(options.names);
+  const namePatterns = buildNamePatterns(names);
+  const mapping = {};
+  const placeholderByKey = new Map();
+  const counters = {};
+  const counts = { PERSON: 0, EMAIL: 0, PHONE: 0, ADDRESS: 0 };
+
+  // Seeds use the lookup keys redact() builds below: name index, email, phone digits, address.
+  Object.entries(seedMapping || {}).forEach(([placeholder, original]) => {
+    const [, kind, number] = placeholder.match(/^\[(PERSON|EMAIL|PHONE|ADDRESS)_(\d+)\]$/) || [];
+    if (!kind) return;
+    const value = String(original ?? '');
+    counters[kind] = Math.max(counters[kind] || 0, Number(number));
+    mapping[placeholder] = value;
+    let keys = [value, value.replace(/\s+/g, '')];
+    if (kind === 'PHONE') keys = [value.replace(/\D/g, '')];
+    if (kind === 'PERSON') {
+      const index = names.findIndex(name => name.toLowerCase() === value.toLowerCase());
+      keys = index === -1 ? [] : [`name:${index}`];
+    }
+    keys.forEach(key => placeholderByKey.set(`${kind}:${key.toLowerCase()}`, placeholder));
+  });
+
+  const placeholderFor = (kind, key, original) => {
+    const lookup = `${kind}:${key.toLowerCase()}`;
+    if (!placeholderByKey.has(lookup)) {
+      counters[kind] = (counters[kind] || 0) + 1;
+      const placeholder = `[${kind}_${counters[kind]}]`;
+      placeholderByKey.set(lookup, placeholder);
+      mapping[placeholder] = original;
+    }
+    counts[kind] += 1;
+    return placeholderByKey.get(lookup);
+  };
+
+  const redact = (text) => {
+    if (!options.enabled) return String(text ?? '');
+    let output = String(text ?? '');
+    if (options.email) {
+      output = output.replace(EMAIL_PATTERN, match => placeholderFor('EMAIL', match, match));
+    }
+    if (options.address) {
+      output = output.replace(STREET_PATTERN, match => placeholderFor('ADDRESS', match, match));
+      output = output.replace(POSTCODE_PATTERN, match => placeholderFor('ADDRESS', match.replace(/\s+/g, ''), match));
+    }
+    if (options.phone) {
+      output = output.replace(PHONE_PATTERN, match => {
+        // Years directly before a number ("in 2023 020 7946 0958") are kept as text.
+        const years = (match.match(LEADING_YEARS_PATTERN) || [''])[0];
+        const number = years && isPhoneNumber(match.slice(years.length)) ? match.slice(years.length) : match;
+        if (!isPhoneNumber(number)) return match;
+        return `${match.slice(0, match.length - number.length)}${placeholderFor('PHONE', number.replace(/\D/g, ''), number)}`;
+      });
+    }
+    namePatterns.forEach(({ pattern, key }) => {
+      const index = Number(key.split(':')[1]);
+      output = output.replace(pattern, () => placeholderFor('PERSON', key, names[index]));
+    });
+    return output;
+  };
+
+  return {
+    redact,
+    getMapping: () => ({ ...mapping }),
+    getCounts: () => ({ ...counts })
+  };
+}
+
+function reidentifyText(text, mapping) {
+  const value = String(text ?? '');
+  if (!mapping || Object.keys(mapping).length === 0) return value;
+  return value.replace(/\[(?:PERSON|EMAIL|PHONE|ADDRESS)_\d+\]/g, token => mapping[token] ?? token);
+}
+
+// Replaces originals already in a redaction mapping with their placeholders (the inverse of
+// reidentifyText), for text taken from the unredacted source files. Names are replaced by the
+// same variants the session redacted, longest first so full names still match as a whole.
+function redactWithMap(text, mapping) {
+  const value = String(text ?? '');
+  if (!mapping || Object.keys(mapping).length === 0) return value;
+  const replacements = new Map();
+  Object.entries(mapping).forEach(([placeholder, original]) => {
+    const name = String(original || '').trim();
+    if (name.length < 2) return;
+    const variants = placeholder.startsWith('[PERSON_') ? nameVariants(name) : [name];
+    variants.forEach(variant => {
+      if (!replacements.has(variant.toLowerCase())) replacements.set(variant.toLowerCase(), { variant, placeholder });
+    });
+  });
+  return [...replacements.values()]
+    .sort((a, b) => b.variant.length - a.variant.length)
+    .reduce((output, { variant, placeholder }) => output.replace(wholeWordPattern(variant), placeholder), value);
+}
+
+/**
+ * Redaction for sending a saved project's sources out again (search embeddings, ask your data):
+ * a full session with the settings the analysis used, seeded with its mapping. Returns null when
+ * the sources were redacted but those settings (with the name list) are not stored in this
+ * browser, because participant names could then not be redacted.
+ */
+function restoreRedactionSession({ enabled, config, mapping }) {
+  if (enabled === false) return createRedactionSession({ enabled: false });
+  if (!config) return null;
+  return createRedactionSession({ ...config, enabled: true }, mapping);
+}
+
+function saveRedactionMap(projectId, mapping) {
+  if (!projectId || !mapping) return false;
+  return setStorageItem(`${REDACTION_MAP_KEY_PREFIX}${projectId}`, JSON.stringify(mapping));
+}
+
+function loadRedactionMap(projectId) {
+  if (!projectId) return null;
+  const raw = getStorageItem(`${REDACTION_MAP_KEY_PREFIX}${projectId}`);
+  if (!raw) return null;
+  try {
+    const parsed = JSON.parse(raw);
+    return parsed && typeof parsed === 'object' ? parsed : null;
+  } catch {
+    return null;
+  }
+}
+
+// The settings and name list an analysis was redacted with; like the mapping, local storage only.
+function saveRedactionConfig(projectId, config) {
+  if (!projectId || !config) return false;
+  return setStorageItem(`${REDACTION_CONFIG_KEY_PREFIX}${projectId}`, JSON.stringify({ ...DEFAULT_REDACTION_CONFIG, ...config }));
+}
+
+function loadRedactionConfig(projectId) {
+  if (!projectId) return null;
+  const raw = getStorageItem(`${REDACTION_CONFIG_KEY_PREFIX}${projectId}`);
+  if (!raw) return null;
+  try {
+    const parsed = JSON.parse(raw);
+    return parsed && typeof parsed === 'object' ? { ...DEFAULT_REDACTION_CONFIG, ...parsed } : null;
+  } catch {
+    return null;
+  }
+}
+
+export {
+  DEFAULT_REDACTION_CONFIG,
+  createRedactionSession,
+  restoreRedactionSession,
+  reidentifyText,
+  redactWithMap,
+  saveRedactionMap,
+  loadRedactionMap,
+  saveRedactionConfig,
+  loadRedactionConfig
+};
@@ -0,0 +1,68 @@
+function parseJsonSafe(response) {
+  return response
+    .json()
+    .then((value) => value)
+    .catch(() => null);
+}
+
+function extractErrorMessage(payload, fallback) {
+  return String(payload?.error?.message || payload?.error || payload?.message || fallback)
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * The themes of a saved project as sent for synthesis. Legacy reports keep a flat `themes`
+ * list, reported under the 'legacy' source type. Only stored theme IDs are sent, so links back
+ * to the project stay valid.
+ */
+function projectThemesForSynthesis(project) {
+  const report = project?.analysis_report || {};
+  const sources = Array.isArray(report.analysisBySource) && report.analysisBySource.length > 0
+    ? report.analysisBySource
+    : [{ sourceType: 'legacy', themes: report.themes || [] }];
+  return {
+    projectId: project.id,
+    projectName: project.project_name || 'Untitled Project',
+    themes: sources.flatMap(source => (source.themes || []).filter(theme => theme?.theme).map(theme => ({
+      themeId: theme.id || null,
+      sourceType: source.sourceType || 'general',
+      theme: theme.theme,
+      themeNarrative: theme.themeNarrative || '',
+      prominence: theme.prominence,
+      evidenceCount: Array.isArray(theme.evidence) ? theme.evidence.length : 0
+    })))
+  };
+}
+
+// Where a synthesized theme lives in its project's report: the theme itself, or its source section.
+function themeLink(theme) {
+  const anchor = theme.themeId
+    ? `theme-${theme.themeId}`
+    : theme.sourceType === 'legacy' ? 'report-themes-legacy' : `report-findings-${theme.sourceType}`;
+  return `/app/${theme.projectId}#${anchor}`;
+}
+
+/**
+ * Sends the selected projects to the `synthesize` function. Resolves to
+ * { overview, metaThemes, ungrouped, projectCount, themeCount, generatedAt }.
+ */
+async function synthesizeProjects(projects, { focus, signal } = {}) {
+  const response = await fetch('/.netlify/functions/synthesize', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ projects: projects.map(projectThemesForSynthesis), focus: focus || '' }),
+    signal
+  });
+  const data = await parseJsonSafe(response);
+  if (!response.ok || !data || !Array.isArray(data.metaThemes)) {
+    throw new Error(extractErrorMessage(data, `Synthesis failed (${response.status}).`));
+  }
+  return data;
+}
+
+export {
+  projectThemesForSynthesis,
+  themeLink,
+  synthesizeProjects
+};
@@ -0,0 +1,120 @@
+import { contentWords as words, jaccard } from './textSimilarity.js';
+
+// Two themes whose titles differ are treated as a rename when their title and narrative
+// words overlap at least this much (Jaccard similarity).
+const RENAME_SIMILARITY_THRESHOLD = 0.3;
+// Prominence changes smaller than this are treated as noise.
+const PROMINENCE_CHANGE_THRESHOLD = 0.05;
+
+function normaliseTitle(title) {
+  return String(title || '').trim().toLowerCase().replace(/\s+/g, ' ');
+}
+
+function round2(value) {
+  return Number(Number(value || 0).toFixed(2));
+}
+
+// Legacy reports keep a flat `themes` list instead of `analysisBySource`.
+function themesBySource(report) {
+  const bySource = new Map();
+  (report?.analysisBySource || []).forEach(source => {
+    bySource.set(source.sourceType || 'general', source.themes || []);
+  });
+  if (bySource.size === 0 && Array.isArray(report?.themes)) {
+    bySource.set('legacy', report.themes);
+  }
+  return bySource;
+}
+
+function themeSummary(theme) {
+  return { id: theme.id || null, theme: theme.theme, prominence: Number(theme.prominence) || 0 };
+}
+
+/**
+ * Pairs the themes of one source type across two reports: first by stable theme ID, then by
+ * exact title, then remaining themes by title/narrative similarity (reported as renames).
+ */
+function diffThemes(before, after) {
+  const unmatchedBefore = new Set(before.map((_, index) => index));
+  const unmatchedAfter = new Set(after.map((_, index) => index));
+  const pairs = [];
+  const pair = (i, j, renamed) => {
+    pairs.push({ before: before[i], after: after[j], renamed });
+    unmatchedBefore.delete(i);
+    unmatchedAfter.delete(j);
+  };
+
+  before.forEach((theme, i) => {
+    if (!theme.id) return;
+    const j = after.findIndex((other, index) => unmatchedAfter.has(index) && other.id === theme.id);
+    if (j > -1) pair(i, j, normaliseTitle(theme.theme) !== normaliseTitle(after[j].theme));
+  });
+  [...unmatchedBefore].forEach(i => {
+    const j = after.findIndex((other, index) => (
+      unmatchedAfter.has(index) && normaliseTitle(other.theme) === normaliseTitle(before[i].theme)
+    ));
+    if (j > -1) pair(i, j, false);
+  });
+
+  const candidates = [];
+  [...unmatchedBefore].forEach(i => {
+    const a = words(`${before[i].theme} ${before[i].themeNarrative}`);
+    [...unmatchedAfter].forEach(j => {
+      const score = jaccard(a, words(`${after[j].theme} ${after[j].themeNarrative}`));
+      if (score >= RENAME_SIMILARITY_THRESHOLD) candidates.push({ i, j, score });
+    });
+  });
+  candidates
+    .sort((x, y) => y.score - x.score)
+    .forEach(({ i, j }) => {
+      if (unmatchedBefore.has(i) && unmatchedAfter.has(j)) pair(i, j, true);
+    });
+
+  const renamed = [];
+  const prominenceChanges = [];
+  let unchanged = 0;
+  pairs.forEach(({ before: from, after: to, renamed: isRenamed }) => {
+    const delta = round2((Number(to.prominence) || 0) - (Number(from.prominence) || 0));
+    if (isRenamed) renamed.push({ from: themeSummary(from), to: themeSummary(to) });
+    if (Math.abs(delta) >= PROMINENCE_CHANGE_THRESHOLD) {
+      prominenceChanges.push({ theme: to.theme, from: themeSummary(from).prominence, to: themeSummary(to).prominence, delta });
+    }
+    if (!isRenamed && Math.abs(delta) < PROMINENCE_CHANGE_THRESHOLD) unchanged += 1;
+  });
+
+  return {
+    added: [...unmatchedAfter].map(j => themeSummary(after[j])),
+    removed: [...unmatchedBefore].map(i => themeSummary(before[i])),
+    renamed,
+    prominenceChanges: prominenceChanges.sort((x, y) => Math.abs(y.delta) - Math.abs(x.delta)),
+    unchanged
+  };
+}
+
+/**
+ * Compares the themes of two analysis reports, per source type. Returns
+ * { sources: [{ sourceType, added, removed, renamed, prominenceChanges, unchanged }], totals }.
+ */
+function diffReports(before, after) {
+  const beforeSources = themesBySource(before);
+  const afterSources = themesBySource(after);
+  const sourceTypes = [...new Set([...beforeSources.keys(), ...afterSources.keys()])];
+
+  const sources = sourceTypes.map(sourceType => ({
+    sourceType,
+    ...diffThemes(beforeSources.get(sourceType) || [], afterSources.get(sourceType) || [])
+  }));
+
+  const totals = sources.reduce((acc, source) => ({
+    added: acc.added + source.added.length,
+    removed: acc.removed + source.removed.length,
+    renamed: acc.renamed + source.renamed.length,
+    prominenceChanges: acc.prominenceChanges + source.prominenceChanges.length
+  }), { added: 0, removed: 0, renamed: 0, prominenceChanges: 0 });
+
+  return { sources, totals };
+}
+
+export {
+  diffReports
+};
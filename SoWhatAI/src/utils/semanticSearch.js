@@ -0,0 +1,240 @@
+import { STOPWORDS } from './textSimilarity.js';
+
+// Passages are built from consecutive lines of a file, up to about this many words.
+const PASSAGE_WORD_LIMIT = 80;
+const EMBED_BATCH_SIZE = 100;
+const DEFAULT_RESULT_LIMIT = 10;
+
+function wordCount(text) {
+  return (String(text || '').trim().match(/\S+/g) || []).length;
+}
+
+function parseJsonSafe(response) {
+  return response
+    .json()
+    .then((value) => value)
+    .catch(() => null);
+}
+
+function extractErrorMessage(payload, fallback) {
+  return String(payload?.error?.message || payload?.error || payload?.message || fallback)
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+// Mirrors the analysis: workbooks are searched per sheet, named "file.xlsx › Sheet".
+function spreadsheetSources(file) {
+  const sheets = Array.isArray(file.sheets) && file.sheets.length > 0
+    ? file.sheets
+    : [{ name: null, headers: file.headers || [], rows: file.rows || [], rowNumbers: file.rowNumbers, mappings: file.mappings || {} }];
+  return sheets.map(sheet => ({
+    fileName: sheet.name ? `${file.name} › ${sheet.name}` : file.name,
+    textColumns: (sheet.headers || []).filter(header => (sheet.mappings || {})[header] === 'text'),
+    rows: sheet.rows || [],
+    rowNumbers: Array.isArray(sheet.rowNumbers) ? sheet.rowNumbers : null
+  }));
+}
+
+/**
+ * Splits the data set into searchable passages: [{ id, fileName, category, text, offset?, row?, speaker? }].
+ * Text files are cut at line breaks into passages of up to ~80 words (`offset` is the character
+ * offset into the file); transcript turns keep their speaker. Spreadsheets give one passage per
+ * row of their text columns (`row` is the spreadsheet row number, counting the header).
+ */
+function buildPassages(dataSet) {
+  const passages = [];
+  const push = (passage) => passages.push({ id: `p${passages.length}`, ...passage });
+
+  (Array.isArray(dataSet) ? dataSet : []).forEach(file => {
+    if (file.type === 'text' && typeof file.content === 'string') {
+      let current = null;
+      let offset = 0;
+      const flush = () => {
+        if (current && current.text.trim()) push(current);
+        current = null;
+      };
+      file.content.split('\n').forEach(line => {
+        const lineStart = offset;
+        offset += line.length + 1;
+        if (!line.trim()) {
+          flush();
+          return;
+        }
+        const speaker = file.category === 'interview' ? (line.match(/^([^:\n]{1,80}):[ \t]+\S/) || [])[1] : null;
+        // Each transcript turn is its own passage, so its speaker can be shown.
+        if (speaker || !current || wordCount(current.text) + wordCount(line) > PASSAGE_WORD_LIMIT) {
+          flush();
+          current = {
+            fileName: file.name,
+            category: file.category || 'general',
+            text: line,
+            offset: lineStart,
+            ...(speaker ? { speaker: speaker.trim() } : {})
+          };
+        } else {
+          current.text += `\n${line}`;
+        }
+      });
+      flush();
+    } else if (file.type === 'spreadsheet') {
+      spreadsheetSources(file).forEach(source => {
+        if (source.textColumns.length === 0) return;
+        source.rows.forEach((row, index) => {
+          const text = source.textColumns.map(header => String(row[header] ?? '').replace(/\s+/g, ' ').trim()).filter(Boolean).join(' ');
+          if (text) {
+            push({ fileName: source.fileName, category: file.category || 'survey', text, row: source.rowNumbers?.[index] ?? index + 2 });
+          }
+        });
+      });
+    }
+  });
+  return passages;
+}
+
+// Changes whenever the passages change, so a stored index can be checked before it is reused.
+function passagesFingerprint(passages) {
+  let hash = 2166136261;
+  const text = passages.map(passage => `${passage.fileName}\u0000${passage.text}`).join('\u0001');
+  for (let i = 0; i < text.length; i += 1) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 16777619);
+  }
+  return `${passages.length}:${(hash >>> 0).toString(16)}`;
+}
+
+function termCounts(text) {
+  const counts = new Map();
+  (String(text || '').toLowerCase().match(/[a-z0-9']+/g) || []).forEach(word => {
+    if (word.length < 2 || STOPWORDS.has(word)) return;
+    counts.set(word, (counts.get(word) || 0) + 1);
+  });
+  return counts;
+}
+
+function normaliseSparse(weights) {
+  const norm = Math.sqrt([...weights.values()].reduce((sum, weight) => sum + weight * weight, 0)) || 1;
+  weights.forEach((weight, term) => weights.set(term, weight / norm));
+  return weights;
+}
+
+/**
+ * Builds a local TF-IDF index (the offline fallback when no embedding provider is configured).
+ */
+function buildTfIdfIndex(passages) {
+  const documentFrequency = new Map();
+  const counts = passages.map(passage => {
+    const terms = termCounts(passage.text);
+    terms.forEach((_, term) => documentFrequency.set(term, (documentFrequency.get(term) || 0) + 1));
+    return terms;
+  });
+  const idf = new Map();
+  documentFrequency.forEach((df, term) => idf.set(term, Math.log((1 + passages.length) / (1 + df)) + 1));
+  const vectors = counts.map(terms => {
+    const weights = new Map();
+    terms.forEach((count, term) => weights.set(term, (1 + Math.log(count)) * idf.get(term)));
+    return normaliseSparse(weights);
+  });
+  return { kind: 'tfidf', idf, vectors };
+}
+
+function searchTfIdf(index, query) {
+  const weights = new Map();
+  termCounts(query).forEach((count, term) => {
+    if (index.idf.has(term)) weights.set(term, (1 + Math.log(count)) * index.idf.get(term));
+  });
+  const queryVector = normaliseSparse(weights);
+  return index.vectors.map(vector => {
+    let score = 0;
+    queryVector.forEach((weight, term) => { score += weight * (vector.get(term) || 0); });
+    return score;
+  });
+}
+
+function cosine(a, b) {
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+  for (let i = 0; i < Math.min(a.length, b.length); i += 1) {
+    dot += a[i] * b[i];
+    normA += a[i] * a[i];
+    normB += b[i] * b[i];
+  }
+  return normA && normB ? dot / Math.sqrt(normA * normB) : 0;
+}
+
+/**
+ * Embeds texts through the `embed` function, in batches. Rejects with `code:
+ * 'embeddings_unavailable'` when the server has no embedding provider configured.
+ */
+async function embedTexts(texts, { signal } = {}) {
+  const vectors = [];
+  let meta = null;
+  for (let start = 0; start < texts.length; start += EMBED_BATCH_SIZE) {
+    const response = await fetch('/.netlify/functions/embed', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ texts: texts.slice(start, start + EMBED_BATCH_SIZE) }),
+      signal
+    });
+    const data = await parseJsonSafe(response);
+    if (!response.ok || !Array.isArray(data?.vectors)) {
+      const error = new Error(extractErrorMessage(data, `Embedding failed (${response.status}).`));
+      error.code = data?.error?.code || 'embedding_failed';
+      throw error;
+    }
+    meta = { provider: data.provider, model: data.model };
+    vectors.push(...data.vectors);
+  }
+  return { ...meta, vectors };
+}
+
+/**
+ * Builds the search index for a set of passages: embeddings when the server can produce them,
+ * otherwise local TF-IDF. `prepareText` is applied to passages before they leave the browser.
+ * Returns { kind: 'embedding' | 'tfidf', provider?, model?, vectors, fallbackReason? }.
+ */
+async function buildSearchIndex(passages, { prepareText = (text) => text, signal } = {}) {
+  if (passages.length === 0) return buildTfIdfIndex(passages);
+  try {
+    const embedded = await embedTexts(passages.map(passage => prepareText(passage.text)), { signal });
+    return { kind: 'embedding', provider: embedded.provider, model: embedded.model, vectors: embedded.vectors };
+  } catch (error) {
+    if (error?.name === 'AbortError') throw error;
+    return {
+      ...buildTfIdfIndex(passages),
+      fallbackReason: error.code === 'embeddings_unavailable' ? null : error.message
+    };
+  }
+}
+
+/**
+ * Ranks passages against a query. Returns [{ passage, score }] for the best matches, highest
+ * score first; passages with no similarity are left out.
+ */
+async function searchPassages(index, passages, query, { limit = DEFAULT_RESULT_LIMIT, prepareText = (text) => text, signal } = {}) {
+  const text = String(query || '').trim();
+  if (!text || passages.length === 0) return [];
+
+  let scores;
+  if (index.kind === 'embedding') {
+    const { vectors } = await embedTexts([prepareText(text)], { signal });
+    scores = index.vectors.map(vector => cosine(vector, vectors[0]));
+  } else {
+    scores = searchTfIdf(index, text);
+  }
+
+  return scores
+    .map((score, i) => ({ passage: passages[i], score: Number(score.toFixed(3)) }))
+    .filter(result => result.passage && result.score > 0)
+    .sort((a, b) => b.score - a.score)
+    .slice(0, limit);
+}
+
+export {
+  buildPassages,
+  passagesFingerprint,
+  buildTfIdfIndex,
+  embedTexts,
+  buildSearchIndex,
+  searchPassages
+};
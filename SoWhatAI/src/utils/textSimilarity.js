@@ -0,0 +1,25 @@
+const STOPWORDS = new Set([
+  'a', 'an', 'and', 'the', 'of', 'for', 'to', 'in', 'on', 'with', 'by', 'is', 'are', 'was', 'were',
+  'it', 'this', 'that', 'as', 'at', 'or', 'be', 'their', 'they', 'from', 'about', 'vs'
+]);
+
+// Distinct lower-cased words of a text, without stopwords.
+function contentWords(text) {
+  return new Set(
+    (String(text || '').toLowerCase().match(/[a-z0-9']+/g) || []).filter(word => !STOPWORDS.has(word))
+  );
+}
+
+// Jaccard similarity of two word sets (0–1).
+function jaccard(a, b) {
+  if (a.size === 0 || b.size === 0) return 0;
+  let shared = 0;
+  a.forEach(word => { if (b.has(word)) shared += 1; });
+  return shared / (a.size + b.size - shared);
+}
+
+export {
+  STOPWORDS,
+  contentWords,
+  jaccard
+};
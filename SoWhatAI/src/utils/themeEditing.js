@@ -0,0 +1,339 @@
+import { contentWords, jaccard } from './textSimilarity.js';
+
+// Bullet lists a theme carries, in the order they are shown and edited.
+const THEME_LIST_FIELDS = ['drivers', 'barriers', 'tensions', 'opportunities'];
+// Theme pairs at least this similar (Jaccard over title, narrative and bullet words) are suggested for merging.
+const MERGE_SUGGESTION_THRESHOLD = 0.2;
+const MAX_MERGE_SUGGESTIONS = 10;
+
+function createThemeId() {
+  if (typeof crypto !== 'undefined' && typeof crypto.randomUUID === 'function') {
+    return crypto.randomUUID();
+  }
+  return `theme-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+}
+
+function clamp01(value) {
+  const number = Number(value);
+  return Number.isFinite(number) ? Math.min(1, Math.max(0, number)) : 0;
+}
+
+/**
+ * Returns a copy of the report in which every theme has an `id`. Reports saved before theme IDs
+ * existed are given IDs on load; reports that already have them are returned unchanged.
+ */
+function ensureThemeIds(report) {
+  if (!report) return report;
+  const needsIds = (themes) => Array.isArray(themes) && themes.some(theme => theme && !theme.id);
+  const withIds = (themes) => themes.map(theme => (theme && !theme.id ? { ...theme, id: createThemeId() } : theme));
+
+  const sources = Array.isArray(report.analysisBySource) ? report.analysisBySource : [];
+  const sourcesNeedIds = sources.some(source => needsIds(source?.themes));
+  if (!sourcesNeedIds && !needsIds(report.themes)) return report;
+
+  return {
+    ...report,
+    ...(sourcesNeedIds
+      ? { analysisBySource: sources.map(source => (needsIds(source?.themes) ? { ...source, themes: withIds(source.themes) } : source)) }
+      : {}),
+    ...(needsIds(report.themes) ? { themes: withIds(report.themes) } : {})
+  };
+}
+
+// Legacy reports keep a flat `themes` list instead of `analysisBySource`.
+function getSourceThemes(report, sourceType) {
+  if (sourceType === 'legacy') return Array.isArray(report?.themes) ? report.themes : [];
+  const source = (report?.analysisBySource || []).find(s => s.sourceType === sourceType);
+  return Array.isArray(source?.themes) ? source.themes : [];
+}
+
+function setSourceThemes(report, sourceType, themes) {
+  if (sourceType === 'legacy') return { ...report, themes };
+  return {
+    ...report,
+    analysisBySource: (report.analysisBySource || []).map(source => (
+      source.sourceType === sourceType ? { ...source, themes } : source
+    ))
+  };
+}
+
+function createBlankTheme() {
+  return {
+    id: createThemeId(),
+    theme: 'New Theme',
+    emoji: '📌',
+    themeNarrative: '',
+    prominence: 0.5,
+    confidence: 0.5,
+    quantitativeEvidence: null,
+    drivers: [],
+    barriers: [],
+    tensions: [],
+    opportunities: [],
+    evidence: [],
+    manual: true
+  };
+}
+
+/**
+ * Cleans an edited theme before it is saved: trims text, drops empty bullets and quotes, and
+ * clamps prominence and confidence to 0–1. A quote whose text was changed no longer matches its
+ * traced location, so it is kept as plain text.
+ */
+function normaliseEditedTheme(theme, original = {}) {
+  const originalEvidence = new Map(
+    (Array.isArray(original.evidence) ? original.evidence : [])
+      .filter(item => item && typeof item === 'object')
+      .map(item => [item.quote, item])
+  );
+  const lists = Object.fromEntries(THEME_LIST_FIELDS.map(field => [
+    field,
+    (Array.isArray(theme[field]) ? theme[field] : []).map(item => String(item || '').trim()).filter(Boolean)
+  ]));
+  const evidence = (Array.isArray(theme.evidence) ? theme.evidence : [])
+    .map(item => String(typeof item === 'string' ? item : item?.quote || '').trim())
+    .filter(Boolean)
+    .map(quote => originalEvidence.get(quote) || quote);
+
+  return {
+    ...original,
+    ...theme,
+    id: original.id || theme.id || createThemeId(),
+    theme: String(theme.theme || '').trim() || 'Untitled Theme',
+    emoji: String(theme.emoji || '').trim() || original.emoji || '📌',
+    themeNarrative: String(theme.themeNarrative || '').trim(),
+    prominence: clamp01(theme.prominence),
+    confidence: clamp01(theme.confidence),
+    ...lists,
+    evidence
+  };
+}
+
+function moveItem(items, fromIndex, toIndex) {
+  if (fromIndex === toIndex || fromIndex < 0 || toIndex < 0 || fromIndex >= items.length || toIndex >= items.length) {
+    return items;
+  }
+  const next = [...items];
+  const [moved] = next.splice(fromIndex, 1);
+  next.splice(toIndex, 0, moved);
+  return next;
+}
+
+function evidenceKey(item) {
+  return String(typeof item === 'string' ? item : item?.quote || '').trim().toLowerCase();
+}
+
+// Concatenates lists, dropping later duplicates (compared by `keyOf`).
+function uniqueBy(items, keyOf) {
+  const seen = new Set();
+  return items.filter(item => {
+    const key = keyOf(item);
+    if (!key || seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+}
+
+// Sentiment of a merged theme: the two themes' shares, weighted by prominence.
+function mergeSentiment(a, b) {
+  const rated = [a, b].filter(theme => theme.sentiment && typeof theme.sentiment === 'object');
+  if (rated.length === 0) return null;
+  const weights = rated.map(theme => clamp01(theme.prominence) || 1);
+  const total = weights.reduce((sum, weight) => sum + weight, 0);
+  return Object.fromEntries(['positive', 'negative', 'neutral'].map(key => [
+    key,
+    Number((rated.reduce((sum, theme, index) => sum + (Number(theme.sentiment[key]) || 0) * weights[index], 0) / total).toFixed(2))
+  ]));
+}
+
+function findTheme(report, { sourceType, id }) {
+  const themes = getSourceThemes(report, sourceType);
+  const index = themes.findIndex(theme => theme.id === id);
+  return index > -1 ? { themes, index, theme: themes[index] } : null;
+}
+
+/**
+ * Merges theme `from` into theme `into` (refs are { sourceType, id }). The merged theme keeps
+ * `into`'s ID and position; bullets, quotes and participants are combined without duplicates,
+ * prominence is the higher of the two, confidence their mean and sentiment their
+ * prominence-weighted mean. Returns the updated report.
+ */
+function mergeThemes(report, into, from, { title } = {}) {
+  const target = findTheme(report, into);
+  const source = findTheme(report, from);
+  if (!target || !source || (into.sourceType === from.sourceType && into.id === from.id)) return report;
+  const a = target.theme;
+  const b = source.theme;
+
+  const segmentProminence = uniqueBy(
+    [...(a.segmentProminence || []), ...(b.segmentProminence || [])]
+      .map(entry => ({ ...entry }))
+      .sort((x, y) => (Number(y.prominence) || 0) - (Number(x.prominence) || 0)),
+    entry => `${entry.attribute}\u0000${String(entry.segment).toLowerCase()}`
+  );
+  const sentiment = mergeSentiment(a, b);
+  const merged = {
+    ...a,
+    theme: String(title || '').trim() || a.theme,
+    themeNarrative: [a.themeNarrative, b.themeNarrative].filter(Boolean).join('\n\n'),
+    prominence: Math.max(clamp01(a.prominence), clamp01(b.prominence)),
+    confidence: Number(((clamp01(a.confidence) + clamp01(b.confidence)) / 2).toFixed(2)),
+    quantitativeEvidence: [a.quantitativeEvidence, b.quantitativeEvidence].filter(Boolean).join('; ') || null,
+    ...Object.fromEntries(THEME_LIST_FIELDS.map(field => [
+      field,
+      uniqueBy([...(a[field] || []), ...(b[field] || [])], item => String(item || '').trim().toLowerCase())
+    ])),
+    evidence: uniqueBy([...(a.evidence || []), ...(b.evidence || [])], evidenceKey),
+    ...(Array.isArray(a.participants) || Array.isArray(b.participants)
+      ? { participants: [...new Set([...(a.participants || []), ...(b.participants || [])])] }
+      : {}),
+    ...(segmentProminence.length > 0 ? { segmentProminence } : {}),
+    ...(sentiment ? { sentiment } : {}),
+    ...(Array.isArray(a.emotions) || Array.isArray(b.emotions)
+      ? { emotions: [...new Set([...(a.emotions || []), ...(b.emotions || [])])] }
+      : {}),
+    mergedFrom: [...(a.mergedFrom || []), b.id, ...(b.mergedFrom || [])]
+  };
+
+  const next = setSourceThemes(report, from.sourceType, source.themes.filter(theme => theme.id !== b.id));
+  const targetThemes = getSourceThemes(next, into.sourceType);
+  const withMerged = setSourceThemes(next, into.sourceType, targetThemes.map(theme => (theme.id === a.id ? merged : theme)));
+  // Manually coded excerpts follow the merged theme.
+  if (!Array.isArray(withMerged.codedExcerpts)) return withMerged;
+  return {
+    ...withMerged,
+    codedExcerpts: withMerged.codedExcerpts.map(excerpt => (excerpt.themeId === b.id ? { ...excerpt, themeId: a.id } : excerpt))
+  };
+}
+
+// Fields computed from a theme's full evidence that no longer hold once its evidence is divided.
+const SPLIT_STALE_FIELDS = ['sentiment', 'emotions', 'segmentProminence', 'segmentNarrative'];
+
+// Speakers of a theme's verified quotes, which is all a split half can still attribute.
+function evidenceParticipants(evidence) {
+  return [...new Set(evidence
+    .filter(item => item && typeof item === 'object' && item.verified && item.speaker)
+    .map(item => item.speaker))];
+}
+
+/**
+ * Splits a theme in two. `selection` picks, by index, the bullets ({ drivers: [0, 2], ... }) and
+ * quotes (`evidence`) that move to the new theme, and by ID the coded excerpts (`codedExcerpts`)
+ * that follow them. The new theme is inserted right after the original. The original's prominence
+ * is shared between the halves by their quotes and excerpts (evenly if there are none), both keep
+ * its confidence, and fields derived from the whole theme (participant counts, sentiment,
+ * emotions, segment breakdown) are recomputed from each half's quotes or cleared.
+ */
+function splitTheme(report, ref, { title, narrative, selection = {} }) {
+  const found = findTheme(report, ref);
+  if (!found) return report;
+  const original = found.theme;
+  const picks = (field) => new Set(Array.isArray(selection[field]) ? selection[field] : []);
+  const take = (field, keep) => {
+    const selected = picks(field);
+    return (original[field] || []).filter((_, index) => selected.has(index) !== keep);
+  };
+
+  const movedExcerpts = picks('codedExcerpts');
+  const excerpts = (Array.isArray(report.codedExcerpts) ? report.codedExcerpts : [])
+    .filter(excerpt => excerpt.themeId === original.id);
+  const keptEvidence = take('evidence', true);
+  const movedEvidence = take('evidence', false);
+  const keptWeight = keptEvidence.length + excerpts.filter(excerpt => !movedExcerpts.has(excerpt.id)).length;
+  const movedWeight = movedEvidence.length + excerpts.filter(excerpt => movedExcerpts.has(excerpt.id)).length;
+  const movedShare = keptWeight + movedWeight > 0 ? movedWeight / (keptWeight + movedWeight) : 0.5;
+  const prominence = clamp01(original.prominence);
+  const movedProminence = Number((prominence * movedShare).toFixed(2));
+  const derived = (evidence) => ({
+    quantitativeEvidence: null,
+    ...(Array.isArray(original.participants) ? { participants: evidenceParticipants(evidence) } : {})
+  });
+
+  const remaining = Object.fromEntries(Object.entries({
+    ...original,
+    ...Object.fromEntries(THEME_LIST_FIELDS.map(field => [field, take(field, true)])),
+    evidence: keptEvidence,
+    prominence: Number((prominence - movedProminence).toFixed(2)),
+    ...derived(keptEvidence)
+  }).filter(([key]) => !SPLIT_STALE_FIELDS.includes(key)));
+  const created = {
+    id: createThemeId(),
+    theme: String(title || '').trim() || `${original.theme} (split)`,
+    emoji: original.emoji,
+    themeNarrative: String(narrative || '').trim(),
+    prominence: movedProminence,
+    confidence: clamp01(original.confidence),
+    ...Object.fromEntries(THEME_LIST_FIELDS.map(field => [field, take(field, false)])),
+    evidence: movedEvidence,
+    ...derived(movedEvidence),
+    splitFrom: original.id
+  };
+
+  const themes = [...found.themes];
+  themes.splice(found.index, 1, remaining, created);
+  const next = setSourceThemes(report, ref.sourceType, themes);
+  if (movedExcerpts.size === 0 || !Array.isArray(next.codedExcerpts)) return next;
+  return {
+    ...next,
+    codedExcerpts: next.codedExcerpts.map(excerpt => (
+      excerpt.themeId === original.id && movedExcerpts.has(excerpt.id) ? { ...excerpt, themeId: created.id } : excerpt
+    ))
+  };
+}
+
+// Moves a theme to the end of another source type's themes.
+function moveThemeToSource(report, ref, targetSourceType) {
+  const found = findTheme(report, ref);
+  if (!found || ref.sourceType === targetSourceType || ref.sourceType === 'legacy' || targetSourceType === 'legacy') {
+    return report;
+  }
+  if (!(report.analysisBySource || []).some(source => source.sourceType === targetSourceType)) return report;
+  const next = setSourceThemes(report, ref.sourceType, found.themes.filter(theme => theme.id !== ref.id));
+  return setSourceThemes(next, targetSourceType, [...getSourceThemes(next, targetSourceType), found.theme]);
+}
+
+function themeWords(theme) {
+  return contentWords([
+    theme.theme,
+    theme.themeNarrative,
+    ...THEME_LIST_FIELDS.flatMap(field => theme[field] || [])
+  ].join(' '));
+}
+
+/**
+ * Finds likely near-duplicate themes, within and across source types, by word overlap of their
+ * titles, narratives and bullets. Returns [{ a, b, score }] (a and b are { sourceType, id, theme }),
+ * most similar first.
+ */
+function suggestMerges(report, { threshold = MERGE_SUGGESTION_THRESHOLD, limit = MAX_MERGE_SUGGESTIONS } = {}) {
+  const entries = (report?.analysisBySource || []).flatMap(source => (source.themes || [])
+    .filter(theme => theme.id)
+    .map(theme => ({ sourceType: source.sourceType, id: theme.id, theme: theme.theme, words: themeWords(theme) })));
+
+  const suggestions = [];
+  entries.forEach((a, i) => {
+    entries.slice(i + 1).forEach(b => {
+      const score = jaccard(a.words, b.words);
+      if (score >= threshold) {
+        const ref = ({ sourceType, id, theme }) => ({ sourceType, id, theme });
+        suggestions.push({ a: ref(a), b: ref(b), score: Number(score.toFixed(2)) });
+      }
+    });
+  });
+  return suggestions.sort((x, y) => y.score - x.score).slice(0, limit);
+}
+
+export {
+  THEME_LIST_FIELDS,
+  createThemeId,
+  ensureThemeIds,
+  getSourceThemes,
+  setSourceThemes,
+  createBlankTheme,
+  normaliseEditedTheme,
+  moveItem,
+  mergeThemes,
+  splitTheme,
+  moveThemeToSource,
+  suggestMerges
+};
@@ -0,0 +1,159 @@
+// Optional leading timestamp ("[00:01:02]", "00:01:02 -") followed by a speaker label and colon.
+const SPEAKER_LINE_PATTERN = /^\s*(?:\[?\(?\d{1,2}:\d{2}(?::\d{2})?(?:[.,]\d+)?\)?\]?\s*[-–]?\s*)?([^:\n]{1,40}?)\s*:\s+(\S.*)$/;
+const KNOWN_LABEL_PATTERN = /^(?:interviewer|moderator|facilitator|researcher|host|participant|interviewee|respondent|user|customer|guest|speaker|[PRI]\s?\d+|Q|A|INT|MOD)\b/i;
+const MODERATOR_LABEL_PATTERN = /^(?:interviewer|moderator|facilitator|researcher|host|int|mod|q)\b/i;
+const NON_SPEAKER_LABELS = /^(?:note|notes|date|time|location|duration|title|subject|summary|transcript|http|https)$/i;
+const MIN_LABEL_OCCURRENCES = 2;
+// A turn line of a built transcript source. Participant IDs carry their file name, so labels can be long.
+const SPEAKER_PREFIX_PATTERN = /^([^:\n]{1,200}):[ \t]+/;
+
+function wordCount(text) {
+  return (String(text || '').trim().match(/\S+/g) || []).length;
+}
+
+function looksLikeLabel(label) {
+  const value = label.trim();
+  if (!value || NON_SPEAKER_LABELS.test(value)) return false;
+  // Labels are short names or IDs, not sentence fragments.
+  return wordCount(value) <= 4 && !/[.?!,;"“”]/.test(value);
+}
+
+/**
+ * Splits a transcript into speaker turns. A label only counts as a speaker when it is a
+ * well-known role/ID (Interviewer, P3, Speaker 2) or occurs on several lines, so incidental
+ * "Note: ..." lines are not mistaken for speakers. Unlabelled lines continue the previous turn.
+ * Returns null when the text does not look like a speaker-labelled transcript.
+ */
+function parseTranscriptTurns(content) {
+  const lines = String(content || '').replace(/\r\n?/g, '\n').split('\n');
+  const candidates = lines.map(line => {
+    const match = line.match(SPEAKER_LINE_PATTERN);
+    return match && looksLikeLabel(match[1]) ? { label: match[1].trim(), text: match[2].trim() } : null;
+  });
+
+  const occurrences = new Map();
+  candidates.forEach(candidate => {
+    if (candidate) occurrences.set(candidate.label, (occurrences.get(candidate.label) || 0) + 1);
+  });
+  const isSpeaker = (label) => KNOWN_LABEL_PATTERN.test(label) || (occurrences.get(label) || 0) >= MIN_LABEL_OCCURRENCES;
+
+  const turns = [];
+  lines.forEach((line, index) => {
+    const candidate = candidates[index];
+    if (candidate && isSpeaker(candidate.label)) {
+      turns.push({ speaker: candidate.label, text: candidate.text });
+    } else if (line.trim() && turns.length > 0) {
+      turns[turns.length - 1].text += ` ${line.trim()}`;
+    }
+  });
+
+  const speakers = new Map();
+  turns.forEach(turn => {
+    const entry = speakers.get(turn.speaker) || { label: turn.speaker, turns: 0, words: 0 };
+    entry.turns += 1;
+    entry.words += wordCount(turn.text);
+    speakers.set(turn.speaker, entry);
+  });
+
+  const labelledTurns = turns.length;
+  if (speakers.size < 2 && labelledTurns < 3) return null;
+  return { turns, speakers: [...speakers.values()] };
+}
+
+function guessModerators(speakers) {
+  return (speakers || []).filter(speaker => MODERATOR_LABEL_PATTERN.test(speaker.label)).map(speaker => speaker.label);
+}
+
+/**
+ * Participant IDs must be unique across the data set. Every transcript may reuse the same labels
+ * ("Participant", "P1", "Speaker 2"), so each participant label is qualified with the file name.
+ * Colons are dropped from the name, since the label is followed by one on each line.
+ */
+function participantIdFor(label, fileName) {
+  const base = String(fileName || '').replace(/\.[^.]+$/, '').replace(/:/g, ' ').trim();
+  return base ? `${label} (${base})` : label;
+}
+
+function formatSpeakerLine(speaker, text) {
+  return `${speaker}: ${text}`;
+}
+
+/**
+ * Builds the analysis payload for an interview transcript: one "Speaker: text" line per turn,
+ * with participant IDs applied, plus the participant and moderator labels for the server.
+ * Returns null when no speakers were detected, so the file is sent as plain text.
+ */
+function buildTranscriptSource(file) {
+  const parsed = parseTranscriptTurns(file.content);
+  if (!parsed) return null;
+
+  const moderators = new Set(Array.isArray(file.moderators) ? file.moderators : guessModerators(parsed.speakers));
+  const participants = new Set();
+  const lines = parsed.turns.map(turn => {
+    if (moderators.has(turn.speaker)) return formatSpeakerLine(turn.speaker, turn.text);
+    const id = participantIdFor(turn.speaker, file.name);
+    participants.add(id);
+    return formatSpeakerLine(id, turn.text);
+  });
+
+  return {
+    type: 'transcript',
+    content: lines.join('\n'),
+    participants: [...participants],
+    moderators: [...moderators].filter(label => parsed.speakers.some(speaker => speaker.label === label))
+  };
+}
+
+function isTranscriptSource(source) {
+  return source?.type === 'transcript' && Array.isArray(source.participants);
+}
+
+/**
+ * Returns the character span of every line of a built transcript with its speaker label and
+ * where the spoken text starts, so offsets in the content can be attributed to a speaker.
+ */
+function speakerLines(content) {
+  const lines = [];
+  let start = 0;
+  String(content || '').split('\n').forEach(line => {
+    const match = line.match(SPEAKER_PREFIX_PATTERN);
+    lines.push({
+      start,
+      end: start + line.length,
+      speaker: match ? match[1].trim() : null,
+      textStart: start + (match ? match[0].length : 0)
+    });
+    start += line.length + 1;
+  });
+  return lines;
+}
+
+function lineAt(lines, offset) {
+  let low = 0;
+  let high = lines.length - 1;
+  while (low <= high) {
+    const mid = (low + high) >> 1;
+    if (offset < lines[mid].start) high = mid - 1;
+    else if (offset > lines[mid].end) low = mid + 1;
+    else return lines[mid];
+  }
+  return null;
+}
+
+// The header line that introduces a transcript in analysis and "ask your data" prompts.
+function transcriptSourceLabel(source) {
+  const participants = (source.participants || []).join(', ') || 'none';
+  const moderators = (source.moderators || []).join(', ') || 'none';
+  return `[Participants: ${participants} | Moderators (context only, never quote): ${moderators}]`;
+}
+
+export {
+  parseTranscriptTurns,
+  guessModerators,
+  participantIdFor,
+  buildTranscriptSource,
+  isTranscriptSource,
+  speakerLines,
+  lineAt,
+  transcriptSourceLabel
+};
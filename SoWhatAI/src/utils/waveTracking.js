@@ -0,0 +1,193 @@
+import { buildTfIdfIndex, embedTexts } from './semanticSearch.js';
+
+// A theme continues a theme of an earlier wave when their title and narrative are at least this
+// similar. Embedding similarities run much higher than keyword (TF-IDF) ones, so each has its own.
+const MATCH_THRESHOLDS = { embedding: 0.75, tfidf: 0.2 };
+const MAX_WAVES = 12;
+
+/**
+ * Orders linked projects into waves: the chain of previous waves back from `projectId`, the
+ * project itself, then its follow-up waves. `projects` are rows with { id, previous_wave_id }.
+ * Returns the project IDs, oldest wave first.
+ */
+function waveChain(projects, projectId) {
+  const byId = new Map(projects.map(project => [project.id, project]));
+  const chain = [projectId];
+  const seen = new Set(chain);
+  let previous = byId.get(projectId)?.previous_wave_id;
+  while (previous && byId.has(previous) && !seen.has(previous) && chain.length < MAX_WAVES) {
+    chain.unshift(previous);
+    seen.add(previous);
+    previous = byId.get(previous).previous_wave_id;
+  }
+  let current = projectId;
+  while (chain.length < MAX_WAVES) {
+    // When a wave has several follow-ups, the most recent one continues the chain.
+    const next = projects
+      .filter(project => project.previous_wave_id === current && !seen.has(project.id))
+      .sort((a, b) => new Date(b.created_at) - new Date(a.created_at))[0];
+    if (!next) break;
+    chain.push(next.id);
+    seen.add(next.id);
+    current = next.id;
+  }
+  return chain;
+}
+
+// Projects that would close a loop (the project itself and its follow-up waves) cannot be its previous wave.
+function laterWaveIds(projects, projectId) {
+  const later = new Set([projectId]);
+  let added = true;
+  while (added) {
+    added = false;
+    projects.forEach(project => {
+      if (!later.has(project.id) && later.has(project.previous_wave_id)) {
+        later.add(project.id);
+        added = true;
+      }
+    });
+  }
+  return later;
+}
+
+// Sentiment shares are 0–1 decimals, though older reports may hold percentages.
+function toShare(value) {
+  const number = Number(value) || 0;
+  return number > 1 ? number / 100 : number;
+}
+
+function normaliseSentiment(sentiment) {
+  if (!sentiment || typeof sentiment !== 'object') return null;
+  return {
+    positive: toShare(sentiment.positive),
+    negative: toShare(sentiment.negative),
+    neutral: toShare(sentiment.neutral)
+  };
+}
+
+// Positive minus negative share, from -1 to 1.
+function netSentiment(sentiment) {
+  return sentiment ? Number((sentiment.positive - sentiment.negative).toFixed(2)) : null;
+}
+
+function reportThemes(report) {
+  const sources = (report?.analysisBySource || []).length > 0
+    ? report.analysisBySource
+    : [{ sourceType: 'legacy', themes: report?.themes || [] }];
+  return sources.flatMap(source => (source.themes || []).filter(theme => theme?.theme).map(theme => ({
+    id: theme.id || null,
+    sourceType: source.sourceType,
+    theme: theme.theme,
+    text: `${theme.theme}. ${theme.themeNarrative || ''}`,
+    prominence: Math.min(1, Math.max(0, Number(theme.prominence) || 0)),
+    sentiment: normaliseSentiment(theme.sentiment)
+  })));
+}
+
+function similarity(a, b) {
+  if (a instanceof Map) {
+    // TF-IDF vectors are already normalised.
+    let dot = 0;
+    a.forEach((weight, term) => { dot += weight * (b.get(term) || 0); });
+    return dot;
+  }
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+  for (let i = 0; i < Math.min(a.length, b.length); i += 1) {
+    dot += a[i] * b[i];
+    normA += a[i] * a[i];
+    normB += b[i] * b[i];
+  }
+  return normA && normB ? dot / Math.sqrt(normA * normB) : 0;
+}
+
+// Embeds the theme texts when an embedding provider is configured, otherwise uses TF-IDF.
+async function themeVectors(texts, { signal } = {}) {
+  try {
+    const { vectors } = await embedTexts(texts, { signal });
+    return { kind: 'embedding', vectors };
+  } catch (error) {
+    if (error?.name === 'AbortError') throw error;
+    return { kind: 'tfidf', vectors: buildTfIdfIndex(texts.map(text => ({ text }))).vectors };
+  }
+}
+
+/**
+ * Matches themes between waves and returns their trends. `waves` are
+ * [{ projectId, name, createdAt, report }], oldest first. Each theme continues the most similar
+ * theme of an earlier wave (one-to-one per wave); unmatched themes start a new track.
+ * Returns { kind, waves: [{ projectId, name, createdAt, sentiment, net }],
+ *   tracks: [{ title, points: [{ themeId, theme, sourceType, prominence, sentiment, net } | null], change }] }.
+ */
+async function buildWaveTrends(waves, { signal } = {}) {
+  const themesByWave = waves.map(wave => reportThemes(wave.report));
+  const all = themesByWave.flat();
+  const { kind, vectors } = all.length > 0 ? await themeVectors(all.map(theme => theme.text), { signal }) : { kind: 'tfidf', vectors: [] };
+  const threshold = MATCH_THRESHOLDS[kind];
+
+  const tracks = [];
+  let offset = 0;
+  themesByWave.forEach((themes, waveIndex) => {
+    const candidates = [];
+    themes.forEach((theme, i) => {
+      tracks.forEach((track, t) => {
+        const score = similarity(vectors[offset + i], track.vector);
+        if (score >= threshold) candidates.push({ i, t, score });
+      });
+    });
+    const matchedThemes = new Set();
+    const matchedTracks = new Set();
+    candidates.sort((a, b) => b.score - a.score).forEach(({ i, t }) => {
+      if (matchedThemes.has(i) || matchedTracks.has(t)) return;
+      matchedThemes.add(i);
+      matchedTracks.add(t);
+      tracks[t].points[waveIndex] = themes[i];
+      // Later waves are compared with the track's most recent wording.
+      tracks[t].vector = vectors[offset + i];
+    });
+    themes.forEach((theme, i) => {
+      if (matchedThemes.has(i)) return;
+      const points = waves.map(() => null);
+      points[waveIndex] = theme;
+      tracks.push({ points, vector: vectors[offset + i] });
+    });
+    offset += themes.length;
+  });
+
+  return {
+    kind,
+    waves: waves.map(wave => {
+      const sentiment = normaliseSentiment(wave.report?.sentimentDistribution);
+      return { projectId: wave.projectId, name: wave.name, createdAt: wave.createdAt, sentiment, net: netSentiment(sentiment) };
+    }),
+    tracks: tracks
+      .map(({ points }) => {
+        const present = points.filter(Boolean);
+        const latest = present[present.length - 1];
+        return {
+          title: latest.theme,
+          points: points.map(point => (point ? {
+            themeId: point.id,
+            theme: point.theme,
+            sourceType: point.sourceType,
+            prominence: point.prominence,
+            sentiment: point.sentiment,
+            net: netSentiment(point.sentiment)
+          } : null)),
+          change: present.length > 1 ? Number((latest.prominence - present[0].prominence).toFixed(2)) : null
+        };
+      })
+      // Themes in the latest waves first, then by prominence.
+      .sort((a, b) => {
+        const lastIndex = (track) => track.points.map(Boolean).lastIndexOf(true);
+        return lastIndex(b) - lastIndex(a) || b.points[lastIndex(b)].prominence - a.points[lastIndex(a)].prominence;
+      })
+  };
+}
+
+export {
+  waveChain,
+  laterWaveIds,
+  buildWaveTrends
+};
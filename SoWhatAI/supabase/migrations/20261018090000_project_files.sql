@@ -0,0 +1,25 @@
+-- Source files and column mappings for each project, so saved projects can be re-run.
+create table if not exists public.project_files (
+  id uuid primary key default gen_random_uuid(),
+  project_id uuid not null references public.projects (id) on delete cascade,
+  user_id uuid not null references auth.users (id) on delete cascade,
+  name text not null,
+  type text not null check (type in ('text', 'spreadsheet')),
+  category text not null default 'general',
+  position integer not null default 0,
+  -- Text: { content, moderators?, segmentText? }
+  -- Spreadsheet: { headers, rows, rowNumbers?, mappings } or { sheets: [{ name, headers, rows, rowNumbers?, mappings }] }
+  -- (rowNumbers: each row's number in the original file, since blank rows are dropped)
+  payload jsonb not null,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists project_files_project_id_idx on public.project_files (project_id, position);
+
+alter table public.project_files enable row level security;
+
+create policy "Users manage their own project files"
+  on public.project_files
+  for all
+  using (auth.uid() = user_id)
+  with check (auth.uid() = user_id);
@@ -0,0 +1,21 @@
+-- Snapshot of a project's report after every analysis run, manual edit and restore.
+create table if not exists public.project_versions (
+  id uuid primary key default gen_random_uuid(),
+  project_id uuid not null references public.projects (id) on delete cascade,
+  user_id uuid not null references auth.users (id) on delete cascade,
+  author_email text,
+  kind text not null check (kind in ('analysis', 'edit', 'restore')),
+  label text,
+  analysis_report jsonb not null,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists project_versions_project_id_idx on public.project_versions (project_id, created_at desc);
+
+alter table public.project_versions enable row level security;
+
+create policy "Users manage their own project versions"
+  on public.project_versions
+  for all
+  using (auth.uid() = user_id)
+  with check (auth.uid() = user_id);
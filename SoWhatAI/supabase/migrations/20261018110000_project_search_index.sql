@@ -0,0 +1,20 @@
+-- Embedding index of a project's source passages for semantic search. Only the vectors are stored;
+-- passages are rebuilt from `project_files`, and `source_hash` tells when the index is stale.
+create table if not exists public.project_search_index (
+  id uuid primary key default gen_random_uuid(),
+  project_id uuid not null unique references public.projects (id) on delete cascade,
+  user_id uuid not null references auth.users (id) on delete cascade,
+  provider text not null,
+  model text,
+  source_hash text not null,
+  vectors jsonb not null,
+  built_at timestamptz not null default now()
+);
+
+alter table public.project_search_index enable row level security;
+
+create policy "Users manage their own project search index"
+  on public.project_search_index
+  for all
+  using (auth.uid() = user_id)
+  with check (auth.uid() = user_id);
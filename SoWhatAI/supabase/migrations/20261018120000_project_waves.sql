@@ -0,0 +1,11 @@
+-- A project can be a follow-up wave of an earlier project (e.g. the same quarterly survey), so
+-- themes can be tracked across waves. Deleting a wave unlinks its follow-up instead of deleting it.
+alter table public.projects
+  add column if not exists previous_wave_id uuid references public.projects (id) on delete set null;
+
+alter table public.projects
+  drop constraint if exists projects_previous_wave_not_self;
+alter table public.projects
+  add constraint projects_previous_wave_not_self check (previous_wave_id is null or previous_wave_id <> id);
+
+create index if not exists projects_previous_wave_id_idx on public.projects (previous_wave_id);